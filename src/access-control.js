@@ -0,0 +1,197 @@
+/**
+ * Access Control Module
+ *
+ * Role-based authorization for dispatch commands. Roles are ordered
+ * viewer < operator < admin; every command requires a minimum role.
+ * A user's role comes from (most specific first) their user ID, the
+ * channel, then the default role. With several platforms, user and channel
+ * keys may carry the platform prefix ("slack:C456") or not.
+ *
+ * Config shape (JSON):
+ *   {
+ *     "defaultRole": "viewer",              // role for everyone else (or "none")
+ *     "users":    { "U123": "admin" },      // per user ID
+ *     "channels": { "C456": "operator" },   // per channel ID
+ *     "commands": { "start": "admin" }      // override required roles
+ *   }
+ *
+ * With no config at all, everyone is an admin (the historical behavior).
+ */
+
+const fs = require('fs');
+const { lookupId } = require('./channel-ids');
+
+const Roles = {
+  NONE: 'none',
+  VIEWER: 'viewer',
+  OPERATOR: 'operator',
+  ADMIN: 'admin'
+};
+
+const ROLE_RANK = {
+  [Roles.NONE]: 0,
+  [Roles.VIEWER]: 1,
+  [Roles.OPERATOR]: 2,
+  [Roles.ADMIN]: 3
+};
+
+/**
+ * Minimum role per action. Actions are command names, plus
+ * 'message' (plain chat routed to an agent), 'help' (the command list
+ * shown for unknown commands) and a few flag variants.
+ * 'start --mode' is only checked for modes looser than the default.
+ * Actions not listed here need admin.
+ */
+const DEFAULT_COMMAND_ROLES = {
+  help: Roles.VIEWER,
+  list: Roles.VIEWER,
+  status: Roles.VIEWER,
+  jobs: Roles.VIEWER,
+  logs: Roles.VIEWER,
+  queue: Roles.VIEWER,
+  usage: Roles.VIEWER,
+  budget: Roles.VIEWER,
+  unwatch: Roles.VIEWER,
+  'queue --clear': Roles.OPERATOR,
+  start: Roles.OPERATOR,
+  stop: Roles.OPERATOR,
+  'stop --all': Roles.ADMIN,
+  'start --allow': Roles.ADMIN,
+  'start --mode': Roles.ADMIN,
+  'budget --override': Roles.ADMIN,
+  send: Roles.OPERATOR,
+  run: Roles.OPERATOR,
+  cancel: Roles.OPERATOR,
+  verbosity: Roles.OPERATOR,
+  watch: Roles.OPERATOR,
+  model: Roles.OPERATOR,
+  approve: Roles.OPERATOR,
+  deny: Roles.OPERATOR,
+  message: Roles.OPERATOR
+};
+
+/**
+ * Map a command and its raw args to the action name used for rules
+ * @param {string} command - e.g. 'stop'
+ * @param {string} [args]
+ * @returns {string} e.g. 'stop --all'
+ */
+function actionFor(command, args = '') {
+  const name = command.toLowerCase();
+  const flags = (args || '').split(/\s+/);
+  if (name === 'stop' && flags.includes('--all')) return 'stop --all';
+  if (name === 'start' && flags.includes('--allow')) return 'start --allow';
+  if (name === 'queue' && flags.includes('--clear')) return 'queue --clear';
+  if (name === 'budget' && flags.includes('--override')) return 'budget --override';
+  return name;
+}
+
+/**
+ * Validate a role name from config
+ */
+function assertRole(role, where) {
+  if (!(role in ROLE_RANK)) {
+    throw new Error(`Invalid role "${role}" in ${where}. Use: ${Object.keys(ROLE_RANK).join(', ')}`);
+  }
+}
+
+/**
+ * Create an access control checker
+ * @param {Object|null} [config] - See module docs; null/undefined allows everything
+ * @returns {Object} Access control with role/check methods
+ */
+function createAccessControl(config) {
+  const enabled = Boolean(config);
+  const users = (config && config.users) || {};
+  const channels = (config && config.channels) || {};
+  const defaultRole = enabled ? (config.defaultRole || Roles.VIEWER) : Roles.ADMIN;
+  const commandRoles = { ...DEFAULT_COMMAND_ROLES, ...((config && config.commands) || {}) };
+
+  assertRole(defaultRole, 'defaultRole');
+  for (const [id, role] of Object.entries(users)) assertRole(role, `users.${id}`);
+  for (const [id, role] of Object.entries(channels)) assertRole(role, `channels.${id}`);
+  for (const [action, role] of Object.entries(commandRoles)) assertRole(role, `commands.${action}`);
+
+  /**
+   * Resolve the effective role for a user in a channel
+   * @param {string} [userId]
+   * @param {string} [channelId]
+   * @returns {string}
+   */
+  function roleFor(userId, channelId) {
+    const userRole = lookupId(users, userId);
+    if (userRole) return userRole;
+    const channelRole = lookupId(channels, channelId);
+    if (channelRole) return channelRole;
+    return defaultRole;
+  }
+
+  /**
+   * Check whether a context may perform a command
+   * @param {{userId?: string, channelId?: string}} ctx
+   * @param {string} command - Command name, or 'message' for plain chat
+   * @param {string} [args] - Raw command args (some flags need a higher role)
+   * @returns {{allowed: boolean, role: string, required: string, action: string}}
+   */
+  function check(ctx, command, args) {
+    const action = actionFor(command, args);
+    const role = roleFor(ctx.userId, ctx.channelId);
+    // Fail closed: an action without a rule needs admin
+    const required = commandRoles[action] || commandRoles[command.toLowerCase()] || Roles.ADMIN;
+    return {
+      allowed: ROLE_RANK[role] >= ROLE_RANK[required],
+      role,
+      required,
+      action
+    };
+  }
+
+  return {
+    check,
+    roleFor,
+    get enabled() { return enabled; }
+  };
+}
+
+/**
+ * Friendly denial message shown in chat
+ * @param {{role: string, required: string, action: string}} result - From check()
+ * @param {string} [label] - Command as the user typed it, e.g. 'od-stop --all'
+ * @returns {string}
+ */
+function formatDenial(result, label) {
+  const what = result.action === 'message'
+    ? 'talk to agents in this channel'
+    : result.action === 'start --mode'
+      ? 'start agents with a looser permission mode than the default'
+      : `use \`${label}\``;
+  return `🔒 You need the **${result.required}** role to ${what} (your role: ${result.role}). Ask an admin for access.`;
+}
+
+/**
+ * Load access control config from the environment.
+ * OD_ACCESS_CONTROL holds inline JSON; OD_ACCESS_CONTROL_FILE points to a JSON file.
+ * @returns {Object|null} Parsed config, or null when not configured
+ */
+function loadAccessConfig() {
+  const inline = process.env.OD_ACCESS_CONTROL;
+  const filePath = process.env.OD_ACCESS_CONTROL_FILE;
+
+  try {
+    if (inline) return JSON.parse(inline);
+    if (filePath) return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    // Fail closed: a broken config must not silently grant everyone admin
+    throw new Error(`Invalid access control config: ${error.message}`);
+  }
+  return null;
+}
+
+module.exports = {
+  Roles,
+  DEFAULT_COMMAND_ROLES,
+  createAccessControl,
+  loadAccessConfig,
+  formatDenial,
+  actionFor
+};
@@ -0,0 +1,210 @@
+/**
+ * Agent Events
+ *
+ * Typed events emitted by AI backends while a prompt runs (see the
+ * `onEvent` option of claude-core's sendToInstance), and compact progress
+ * lines for chat such as "Edited src/app.js" or "Ran `npm test` (exit 0)".
+ *
+ * Verbosity levels:
+ *   quiet    Only the agent's replies (no progress lines)
+ *   normal   One line per finished tool call (default, env: TOOL_VERBOSITY)
+ *   verbose  Also tool output previews, session start and run summary
+ */
+
+const path = require('path');
+
+const AgentEventType = {
+  INIT: 'init',
+  TEXT: 'text',
+  TOOL_CALL: 'tool_call',
+  TOOL_RESULT: 'tool_result',
+  RESULT: 'result'
+};
+
+const VERBOSITY_LEVELS = ['quiet', 'normal', 'verbose'];
+
+/**
+ * @typedef {Object} AgentEvent
+ * @property {string} type - One of AgentEventType
+ * @property {string} [text] - TEXT: assistant text; RESULT: final reply
+ * @property {string} [id] - TOOL_CALL / TOOL_RESULT: tool use ID linking call and result
+ * @property {string} [name] - TOOL_CALL: tool name, e.g. 'Edit'
+ * @property {Object} [input] - TOOL_CALL: tool arguments
+ * @property {boolean} [isError] - TOOL_RESULT / RESULT
+ * @property {string} [output] - TOOL_RESULT: tool output as text
+ * @property {string} [sessionId] - INIT
+ * @property {string} [model] - INIT
+ * @property {string[]} [tools] - INIT
+ * @property {number} [durationMs] - RESULT
+ * @property {number} [numTurns] - RESULT
+ * @property {number} [costUsd] - RESULT
+ */
+
+/**
+ * Validate a verbosity level
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isVerbosity(value) {
+  return VERBOSITY_LEVELS.includes(value);
+}
+
+/**
+ * Shorten text to one line of at most `max` characters
+ */
+function oneLine(text, max = 80) {
+  const line = String(text).split('\n')[0].trim();
+  return line.length > max ? `${line.substring(0, max - 1)}…` : line;
+}
+
+/**
+ * Show a path relative to the project directory when it's inside it
+ */
+function displayPath(filePath, cwd) {
+  if (!filePath) return 'a file';
+  if (cwd && path.isAbsolute(filePath)) {
+    const relative = path.relative(cwd, filePath);
+    if (relative && !relative.startsWith('..') && !path.isAbsolute(relative)) return relative;
+  }
+  return filePath;
+}
+
+/**
+ * Describe a tool call in the past tense, e.g. "Edited src/app.js"
+ * @param {string} name - Tool name
+ * @param {Object} [input] - Tool arguments
+ * @param {string} [cwd] - Project directory (paths inside it are shown relative)
+ * @returns {string}
+ */
+function describeToolCall(name, input = {}, cwd) {
+  switch (name) {
+    case 'Bash':
+      return `Ran \`${oneLine(input.command || '')}\``;
+    case 'Edit':
+    case 'MultiEdit':
+      return `Edited ${displayPath(input.file_path, cwd)}`;
+    case 'Write':
+      return `Wrote ${displayPath(input.file_path, cwd)}`;
+    case 'Read':
+      return `Read ${displayPath(input.file_path, cwd)}`;
+    case 'NotebookEdit':
+      return `Edited notebook ${displayPath(input.notebook_path, cwd)}`;
+    case 'Glob':
+      return `Listed files matching \`${oneLine(input.pattern || '')}\``;
+    case 'Grep':
+      return `Searched for \`${oneLine(input.pattern || '')}\``;
+    case 'WebFetch':
+      return `Fetched ${oneLine(input.url || '')}`;
+    case 'WebSearch':
+      return `Searched the web for "${oneLine(input.query || '')}"`;
+    case 'Task':
+      return `Ran subagent: ${oneLine(input.description || input.prompt || '')}`;
+    case 'TodoWrite':
+      return 'Updated the todo list';
+    default:
+      return `Used ${name}`;
+  }
+}
+
+/**
+ * Name a tool call that is still running, e.g. "Bash `npm test`" or "Edit src/app.js"
+ * @param {string} name - Tool name
+ * @param {Object} [input] - Tool arguments
+ * @param {string} [cwd] - Project directory (paths inside it are shown relative)
+ * @returns {string}
+ */
+function describeActiveTool(name, input = {}, cwd) {
+  const filePath = input.file_path || input.notebook_path;
+  const code = input.command || input.pattern;
+  const detail = code
+    ? `\`${oneLine(code, 60)}\``
+    : filePath
+      ? displayPath(filePath, cwd)
+      : oneLine(input.url || input.query || input.description || '', 60);
+  return detail ? `${name} ${detail}` : name;
+}
+
+/**
+ * Exit code of a Bash tool result (Claude reports failures as "Exit code N")
+ * @param {AgentEvent} result
+ * @returns {number}
+ */
+function bashExitCode(result) {
+  if (!result.isError) return 0;
+  const match = (result.output || '').match(/exit code (\d+)/i);
+  return match ? parseInt(match[1], 10) : 1;
+}
+
+/**
+ * Create a formatter that turns a run's events into progress lines.
+ * Tool calls are remembered until their result arrives, so each
+ * finished call becomes one line.
+ * @param {Object} [options]
+ * @param {string} [options.verbosity='normal'] - quiet | normal | verbose
+ * @param {string} [options.cwd] - Project directory for relative paths
+ * @returns {{format: (event: AgentEvent) => string|null}}
+ */
+function createProgressFormatter(options = {}) {
+  const { verbosity = 'normal', cwd } = options;
+  const calls = new Map(); // tool use ID → TOOL_CALL event
+
+  function formatToolResult(event) {
+    const call = calls.get(event.id);
+    if (!call) return null;
+    calls.delete(event.id);
+
+    const description = describeToolCall(call.name, call.input, cwd);
+    let line;
+    if (call.name === 'Bash') {
+      const code = bashExitCode(event);
+      line = `${code === 0 ? '🔧' : '⚠️'} ${description} (exit ${code})`;
+    } else if (event.isError) {
+      line = `⚠️ ${description} — failed: ${oneLine(event.output || 'error', 120)}`;
+    } else {
+      line = `🔧 ${description}`;
+    }
+
+    if (verbosity === 'verbose' && event.output && event.output.trim()) {
+      const preview = event.output.trim().split('\n').slice(0, 5).join('\n');
+      line += `\n\`\`\`\n${preview.length > 500 ? `${preview.substring(0, 500)}…` : preview}\n\`\`\``;
+    }
+    return line;
+  }
+
+  return {
+    format(event) {
+      if (verbosity === 'quiet') return null;
+
+      switch (event.type) {
+        case AgentEventType.TOOL_CALL:
+          calls.set(event.id, event);
+          return null;
+        case AgentEventType.TOOL_RESULT:
+          return formatToolResult(event);
+        case AgentEventType.INIT:
+          if (verbosity !== 'verbose') return null;
+          return `🟢 Session started${event.model ? ` · ${event.model}` : ''}` +
+            `${event.tools ? ` · ${event.tools.length} tools` : ''}`;
+        case AgentEventType.RESULT: {
+          if (verbosity !== 'verbose') return null;
+          const parts = [event.isError ? '⚠️ Run failed' : '🏁 Done'];
+          if (event.durationMs != null) parts.push(`${Math.round(event.durationMs / 1000)}s`);
+          if (event.numTurns != null) parts.push(`${event.numTurns} turns`);
+          if (event.costUsd) parts.push(`$${event.costUsd.toFixed(4)}`);
+          return parts.join(' · ');
+        }
+        default:
+          return null;
+      }
+    }
+  };
+}
+
+module.exports = {
+  AgentEventType,
+  VERBOSITY_LEVELS,
+  isVerbosity,
+  describeToolCall,
+  describeActiveTool,
+  createProgressFormatter
+};
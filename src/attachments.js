@@ -0,0 +1,237 @@
+/**
+ * Attachments Module
+ *
+ * Saves files posted with a prompt (screenshots, logs, specs) into a staging
+ * directory inside the agent's project, where any backend's agent can read
+ * them, and lists them in the prompt. Claude also gets images as image
+ * content blocks (see claude-core). The files are deleted when the agent
+ * stops, along with the staging directory once no agent has files there.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/** Directory for everything the bot writes into a project */
+const STAGING_ROOT = '.open-dispatch';
+
+/** Staging directory for uploads, relative to the project */
+const UPLOADS_DIR = path.join(STAGING_ROOT, 'uploads');
+
+/** Largest file saved (bytes) */
+const MAX_ATTACHMENT_BYTES = 20 * 1024 * 1024;
+
+/** Image types Claude accepts as content blocks */
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+/** Types for files posted without one (e.g. Teams file downloads) */
+const MIME_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.pdf': 'application/pdf',
+  '.json': 'application/json',
+  '.txt': 'text/plain',
+  '.log': 'text/plain',
+  '.md': 'text/markdown',
+  '.csv': 'text/csv'
+};
+
+/**
+ * @typedef {Object} StagedFile
+ * @property {string} name - Name as posted
+ * @property {string} path - Absolute path of the saved copy
+ * @property {string} relativePath - Path inside the project
+ * @property {string} mimeType
+ * @property {number} size - Bytes
+ */
+
+/**
+ * Guess a file's type from its extension
+ * @param {string} name
+ * @returns {string}
+ */
+function mimeTypeFor(name) {
+  return MIME_TYPES[path.extname(name || '').toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Detect an image format from its first bytes, since platforms don't
+ * always report one (Teams pastes are "image/*")
+ * @param {Buffer} content
+ * @returns {string|null} MIME type, or null if not a known image format
+ */
+function sniffImageType(content) {
+  if (content.length >= 8 && content.readUInt32BE(0) === 0x89504e47) return 'image/png';
+  if (content.length >= 3 && content[0] === 0xff && content[1] === 0xd8 && content[2] === 0xff) return 'image/jpeg';
+  if (content.length >= 6 && content.toString('ascii', 0, 4) === 'GIF8') return 'image/gif';
+  if (content.length >= 12 && content.toString('ascii', 0, 4) === 'RIFF' && content.toString('ascii', 8, 12) === 'WEBP') return 'image/webp';
+  return null;
+}
+
+/**
+ * Whether a file can be sent to Claude as an image content block
+ * @param {string} mimeType
+ * @returns {boolean}
+ */
+function isImage(mimeType) {
+  return IMAGE_TYPES.includes(mimeType);
+}
+
+/**
+ * Reduce a posted file name to a safe base name
+ * @param {string} name
+ * @returns {string}
+ */
+function safeFileName(name) {
+  const base = path.basename(String(name || '')).replace(/[^\w.-]+/g, '_').replace(/^\.+/, '');
+  return base || 'attachment';
+}
+
+/**
+ * First free path for a file name: report.log, report-2.log, ...
+ */
+function uniquePath(dir, fileName) {
+  const ext = path.extname(fileName);
+  const stem = fileName.slice(0, fileName.length - ext.length);
+  let candidate = path.join(dir, fileName);
+  for (let n = 2; fs.existsSync(candidate); n++) {
+    candidate = path.join(dir, `${stem}-${n}${ext}`);
+  }
+  return candidate;
+}
+
+/**
+ * Format a byte count, e.g. "812 B", "120 KB", "3.4 MB"
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Download attachments into an instance's staging directory
+ * @param {import('./providers/chat-provider').Attachment[]} attachments
+ * @param {Object} options
+ * @param {string} options.projectDir - Instance's project directory
+ * @param {string} options.instanceId
+ * @param {number} [options.maxBytes] - Largest file saved (default 20 MB)
+ * @returns {Promise<{files: StagedFile[], errors: string[]}>} Saved files, and one message per file skipped
+ */
+async function stageAttachments(attachments, options) {
+  const { projectDir, instanceId, maxBytes = MAX_ATTACHMENT_BYTES } = options;
+  const files = [];
+  const errors = [];
+
+  let isDirectory = false;
+  try {
+    isDirectory = fs.statSync(projectDir).isDirectory();
+  } catch (e) {
+    // Remote project (e.g. a Sprite repo)
+  }
+  if (!isDirectory) {
+    return { files, errors: [`${attachments.length === 1 ? 'The file' : 'Files'} can't be saved for this agent (no local project directory)`] };
+  }
+
+  const dir = path.join(projectDir, UPLOADS_DIR, safeFileName(instanceId));
+  fs.mkdirSync(dir, { recursive: true });
+
+  // Keep uploads out of the project's commits
+  const ignoreFile = path.join(projectDir, STAGING_ROOT, '.gitignore');
+  if (!fs.existsSync(ignoreFile)) {
+    fs.writeFileSync(ignoreFile, '*\n');
+  }
+
+  for (const attachment of attachments) {
+    const name = attachment.name || 'attachment';
+    if (attachment.size > maxBytes) {
+      errors.push(`${name} is larger than ${formatSize(maxBytes)}`);
+      continue;
+    }
+
+    let content;
+    try {
+      content = await attachment.download(maxBytes);
+    } catch (error) {
+      errors.push(error.code === 'FILE_TOO_LARGE'
+        ? `${name} is larger than ${formatSize(maxBytes)}`
+        : `Couldn't download ${name}: ${error.message}`);
+      continue;
+    }
+    // Downloads that don't enforce maxBytes themselves
+    if (content.length > maxBytes) {
+      errors.push(`${name} is larger than ${formatSize(maxBytes)}`);
+      continue;
+    }
+
+    const mimeType = sniffImageType(content) || attachment.mimeType || mimeTypeFor(name);
+    let fileName = safeFileName(name);
+    if (!path.extname(fileName) && isImage(mimeType)) {
+      fileName += `.${mimeType.split('/')[1]}`;
+    }
+
+    const filePath = uniquePath(dir, fileName);
+    fs.writeFileSync(filePath, content);
+    files.push({
+      name,
+      path: filePath,
+      relativePath: path.relative(projectDir, filePath),
+      mimeType,
+      size: content.length
+    });
+  }
+
+  return { files, errors };
+}
+
+/**
+ * Delete an instance's saved files. The staging directory (and its
+ * .gitignore) goes too once no other instance has files there.
+ * @param {string} projectDir - Instance's project directory
+ * @param {string} instanceId
+ */
+function clearAttachments(projectDir, instanceId) {
+  const uploads = path.join(projectDir, UPLOADS_DIR);
+  try {
+    fs.rmSync(path.join(uploads, safeFileName(instanceId)), { recursive: true, force: true });
+
+    const root = path.join(projectDir, STAGING_ROOT);
+    const leftover = fs.existsSync(uploads) ? fs.readdirSync(uploads) : [];
+    const others = fs.existsSync(root) ? fs.readdirSync(root).filter(name => name !== 'uploads' && name !== '.gitignore') : [];
+    if (leftover.length === 0 && others.length === 0) {
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  } catch (error) {
+    console.warn(`[Attachments] Couldn't delete uploads for ${instanceId}: ${error.message}`);
+  }
+}
+
+/**
+ * Add a list of saved files to a prompt
+ * @param {string} text - Prompt as typed (may be empty)
+ * @param {StagedFile[]} files
+ * @returns {string}
+ */
+function describeAttachments(text, files) {
+  if (files.length === 0) return text;
+  const list = files.map(f => `- ${f.relativePath} (${f.mimeType}, ${formatSize(f.size)})`).join('\n');
+  const header = `Attached ${files.length === 1 ? 'file' : 'files'} (saved in the project directory):`;
+  return text.trim() ? `${text}\n\n${header}\n${list}` : `${header}\n${list}`;
+}
+
+module.exports = {
+  UPLOADS_DIR,
+  MAX_ATTACHMENT_BYTES,
+  isImage,
+  sniffImageType,
+  mimeTypeFor,
+  safeFileName,
+  formatSize,
+  stageAttachments,
+  clearAttachments,
+  describeAttachments
+};
@@ -0,0 +1,90 @@
+/**
+ * AI Backend Registry
+ *
+ * Named factories for the instance managers bot-engine drives, mirroring
+ * the chat provider registry in providers/chat-provider.js. Built-in
+ * backends load their module on first use; CLI agents described by an
+ * adapter (see cli-agent-core.js) are registered with registerCliAgent.
+ */
+
+const { createCliAgentManager, validateAdapter } = require('./cli-agent-core');
+const { CLI_AGENTS } = require('./cli-agents');
+
+// ============================================
+// BACKEND REGISTRY
+// ============================================
+
+/**
+ * Registry for available AI backends: name → { create, displayName }
+ */
+const backendRegistry = new Map();
+
+/**
+ * Register a backend factory
+ * @param {string} name - Backend name, e.g. 'claude'
+ * @param {Function} create - (options) => instance manager
+ * @param {Object} [info]
+ * @param {string} [info.displayName] - Shown in chat, e.g. 'Claude' (default: name)
+ */
+function registerBackend(name, create, info = {}) {
+  backendRegistry.set(name.toLowerCase(), {
+    create,
+    displayName: info.displayName || name
+  });
+}
+
+/**
+ * Get a registered backend
+ * @param {string} name - Backend name
+ * @returns {{create: Function, displayName: string}|null}
+ */
+function getBackend(name) {
+  return backendRegistry.get(name.toLowerCase()) || null;
+}
+
+/**
+ * List all registered backends
+ * @returns {string[]}
+ */
+function listBackends() {
+  return Array.from(backendRegistry.keys());
+}
+
+/**
+ * Create a backend's instance manager
+ * @param {string} name - Backend name
+ * @param {Object} [options] - Passed to the backend's factory
+ * @returns {Object} Instance manager
+ */
+function createBackend(name, options = {}) {
+  const backend = getBackend(name);
+  if (!backend) {
+    throw new Error(`Unknown backend: ${name}. Available: ${listBackends().join(', ')}`);
+  }
+  return backend.create(options);
+}
+
+/**
+ * Register a CLI agent adapter as a backend
+ * @param {import('./cli-agent-core').CliAgentAdapter} adapter
+ */
+function registerCliAgent(adapter) {
+  validateAdapter(adapter);
+  registerBackend(adapter.name, options => createCliAgentManager(adapter, options), {
+    displayName: adapter.displayName
+  });
+}
+
+registerBackend('claude', options => require('./claude-core').createInstanceManager(options), { displayName: 'Claude' });
+registerBackend('opencode', options => require('./opencode-core').createInstanceManager(options), { displayName: 'OpenCode' });
+registerBackend('opencode-server', options => require('./opencode-server-core').createInstanceManager(options), { displayName: 'OpenCode' });
+registerBackend('sprite', options => require('./sprite-core').createInstanceManager(options), { displayName: 'Sprite' });
+CLI_AGENTS.forEach(registerCliAgent);
+
+module.exports = {
+  registerBackend,
+  getBackend,
+  listBackends,
+  createBackend,
+  registerCliAgent
+};
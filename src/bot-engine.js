@@ -8,6 +8,31 @@
 const os = require('os');
 const path = require('path');
 const { randomBytes } = require('crypto');
+const { createQueueManager } = require('./instance-queue');
+const { JobStatus } = require('./job');
+const { Roles, createAccessControl, loadAccessConfig, formatDenial } = require('./access-control');
+const { createProjectResolver } = require('./project-roots');
+const { describePermissions, isLooserMode } = require('./claude-permissions');
+const { AgentEventType, createProgressFormatter, describeActiveTool, isVerbosity, VERBOSITY_LEVELS } = require('./agent-events');
+const { createLivePanel } = require('./live-panel');
+const { stageAttachments, clearAttachments, describeAttachments } = require('./attachments');
+const { createUsageTracker, GROUP_BY } = require('./usage-tracker');
+const { createBudgets, loadBudgetConfig, describeBudget, formatResetTime } = require('./budgets');
+
+/** Jobs shown per od-jobs page */
+const JOBS_PAGE_SIZE = 10;
+
+/** Groups shown by od-usage (highest cost first) */
+const USAGE_REPORT_LIMIT = 15;
+
+/** Commands with a handler; anything else gets the command list ('help') */
+const COMMANDS = [
+  'start', 'stop', 'list', 'status', 'send', 'run', 'jobs', 'logs', 'queue', 'cancel',
+  'verbosity', 'watch', 'unwatch', 'usage', 'budget', 'model', 'approve', 'deny'
+];
+
+/** How run output appears: batched posts, or one live panel edited in place */
+const PROGRESS_MODES = ['messages', 'panel'];
 
 /**
  * Generate a short unique name for auto-named agents.
@@ -17,6 +42,64 @@ function generateName() {
   return 'agent-' + randomBytes(2).toString('hex');
 }
 
+/**
+ * Parse a short duration such as "30s", "5m", "2h" or "1d".
+ * @param {string} input
+ * @returns {number|null} Milliseconds, or null if invalid
+ */
+function parseDuration(input) {
+  const match = /^(\d+)\s*([smhd])$/i.exec(input || '');
+  if (!match) return null;
+  const unitMs = { s: 1000, m: 60000, h: 3600000, d: 86400000 }[match[2].toLowerCase()];
+  return parseInt(match[1], 10) * unitMs || null;
+}
+
+/**
+ * Format a job log entry as "[HH:MM:SS] message" (level shown unless info)
+ * @param {{timestamp: Date|string, level: string, message: string}} entry
+ * @returns {string}
+ */
+function formatLogEntry(entry) {
+  const time = new Date(entry.timestamp).toISOString().substring(11, 19);
+  const level = entry.level && entry.level !== 'info' ? ` ${entry.level.toUpperCase()}` : '';
+  return `[${time}]${level} ${entry.message}`;
+}
+
+/**
+ * Format a past time relative to now, e.g. "just now", "5m ago", "2h ago"
+ * @param {Date|string|null} date
+ * @returns {string}
+ */
+function formatAgo(date) {
+  if (!date) return 'never';
+  const seconds = Math.max(0, Math.round((Date.now() - new Date(date).getTime()) / 1000));
+  if (seconds < 60) return 'just now';
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+  return `${Math.floor(seconds / 86400)}d ago`;
+}
+
+/**
+ * Format token/cost usage, e.g. "12.3k in / 4.1k out · $0.42"
+ * @param {{inputTokens: number, outputTokens: number, costUsd: number}} usage
+ * @returns {string}
+ */
+function formatUsage(usage) {
+  const tokens = (n) => n >= 1000 ? `${(n / 1000).toFixed(1)}k` : String(n);
+  const cost = usage.costUsd ? ` · $${usage.costUsd.toFixed(2)}` : '';
+  return `${tokens(usage.inputTokens)} in / ${tokens(usage.outputTokens)} out${cost}`;
+}
+
+/**
+ * Format tracked usage totals, e.g. "12.3k in / 4.1k out · $0.42 (3 turns)"
+ * @param {{inputTokens: number, outputTokens: number, costUsd: number, turns: number}} totals
+ * @returns {string}
+ */
+function formatUsageTotals(totals) {
+  if (!totals.turns) return 'none';
+  return `${formatUsage(totals)} (${totals.turns} ${totals.turns === 1 ? 'turn' : 'turns'})`;
+}
+
 /**
  * Tokenize an argument string with quote awareness.
  * Respects double and single quotes — content inside quotes
@@ -71,6 +154,21 @@ function looksLikePath(token) {
     token.includes('/');
 }
 
+/**
+ * Render a tool call's input for an approval prompt
+ * @param {Object} input - e.g. { command: 'npm test' } or { file_path: 'src/a.js', ... }
+ * @returns {string}
+ */
+function formatToolInput(input) {
+  if (!input || typeof input !== 'object') return String(input ?? '');
+  const text = typeof input.command === 'string'
+    ? input.command
+    : typeof input.file_path === 'string' && Object.keys(input).length === 1
+      ? input.file_path
+      : JSON.stringify(input, null, 2);
+  return text.length > 800 ? `${text.substring(0, 800)}…` : text;
+}
+
 /**
  * @typedef {Object} BotEngineOptions
  * @property {import('./providers/chat-provider').ChatProvider} chatProvider - Chat platform provider
@@ -79,6 +177,16 @@ function looksLikePath(token) {
  * @property {string} [aiName='AI'] - Display name for the AI (e.g., 'Claude', 'OpenCode')
  * @property {boolean} [showThinking=true] - Show "Thinking..." indicator
  * @property {boolean} [streamResponses=true] - Use streaming if available
+ * @property {number} [maxQueueDepth=5] - Max prompts waiting per instance (env: MAX_QUEUE_DEPTH)
+ * @property {Object} [accessControl] - From createAccessControl() (env: OD_ACCESS_CONTROL / OD_ACCESS_CONTROL_FILE)
+ * @property {Object} [projectResolver] - From createProjectResolver() (env: PROJECT_ROOTS / PROJECT_ALIASES)
+ * @property {Object} [permissionBridge] - From createPermissionBridge(); posts tool approvals to chat
+ * @property {string} [toolVerbosity='normal'] - Default progress lines for tool use: quiet | normal | verbose (env: TOOL_VERBOSITY)
+ * @property {string} [progressMode='messages'] - How job output and progress lines appear: messages (batched posts)
+ *   or panel (one message per run, edited in place) (env: PROGRESS_MODE)
+ * @property {Object} [usageTracker] - From createUsageTracker(); records token/cost usage per turn (default: in-memory)
+ * @property {Object} [budgets] - From createBudgets(); spending limits checked before each turn (env: OD_BUDGETS / OD_BUDGETS_FILE)
+ * @property {string[]} [allowedModels] - Models od-start --model / od-model may pick; empty allows any (env: ALLOWED_MODELS, comma-separated)
  */
 
 /**
@@ -93,7 +201,16 @@ function createBotEngine(options) {
     commandPrefix = 'od',
     aiName = 'AI',
     showThinking = true,
-    streamResponses = true
+    streamResponses = true,
+    maxQueueDepth = process.env.MAX_QUEUE_DEPTH || 5,
+    accessControl = createAccessControl(loadAccessConfig()),
+    projectResolver = createProjectResolver(),
+    permissionBridge = null,
+    toolVerbosity = process.env.TOOL_VERBOSITY || 'normal',
+    progressMode = process.env.PROGRESS_MODE || 'messages',
+    usageTracker = createUsageTracker(),
+    budgets = createBudgets(loadBudgetConfig(), { usageTracker }),
+    allowedModels = (process.env.ALLOWED_MODELS || '').split(',').map(m => m.trim()).filter(Boolean)
   } = options;
 
   if (!chatProvider) {
@@ -102,6 +219,126 @@ function createBotEngine(options) {
   if (!aiBackend) {
     throw new Error('aiBackend is required');
   }
+  if (!isVerbosity(toolVerbosity)) {
+    throw new Error(`Invalid tool verbosity "${toolVerbosity}". Use: ${VERBOSITY_LEVELS.join(', ')}`);
+  }
+  if (!PROGRESS_MODES.includes(progressMode)) {
+    throw new Error(`Invalid progress mode "${progressMode}". Use: ${PROGRESS_MODES.join(', ')}`);
+  }
+  // A typo would otherwise turn into NaN, which no queue length reaches
+  const queueDepth = Number(maxQueueDepth);
+  if (!Number.isInteger(queueDepth) || queueDepth < 0) {
+    throw new Error(`Invalid max queue depth "${maxQueueDepth}". Use a whole number, 0 or more`);
+  }
+
+  // One FIFO per instance so overlapping prompts never run concurrently
+  const queueManager = createQueueManager({ maxDepth: queueDepth });
+
+  // Per-instance progress verbosity (od-start --verbosity, od-verbosity); resets to the default on restart
+  const verbosityByInstance = new Map();
+
+  function verbosityFor(instanceId) {
+    return verbosityByInstance.get(instanceId) || toolVerbosity;
+  }
+
+  // Extra channels mirroring an instance's output (od-watch); like verbosity, not kept across restarts
+  const watchersByInstance = new Map();
+
+  // Threads opened by od-start --thread; prompts sent from elsewhere still answer inside the thread
+  const threadByInstance = new Map();
+
+  // Commands behind Retry buttons (and command buttons whose arguments are too long
+  // for an action ID), keyed by the token in the button's action ID. Oldest are
+  // dropped; not kept across restarts
+  const retryCommands = new Map();
+  const MAX_RETRY_COMMANDS = 100;
+  let retryCount = 0;
+
+  // Discord caps action IDs at 100 characters; leave room for provider prefixes
+  const MAX_ACTION_ID_LENGTH = 80;
+
+  /**
+   * Remember a command for a button to run later
+   * @param {string} command
+   * @param {string} args
+   * @returns {string} Action ID that replays it
+   */
+  function rememberCommand(command, args) {
+    const token = String(++retryCount);
+    retryCommands.set(token, { command, args });
+    if (retryCommands.size > MAX_RETRY_COMMANDS) {
+      retryCommands.delete(retryCommands.keys().next().value);
+    }
+    return `retry:${token}`;
+  }
+
+  /**
+   * Button that runs a command as the user who clicks it
+   * @param {string} label
+   * @param {string} command - Command name without the prefix
+   * @param {string} args - Usually an instance name or job ID
+   * @param {'primary'|'danger'} [style]
+   * @returns {{id: string, label: string, style?: string}}
+   */
+  function commandButton(label, command, args, style) {
+    const id = `cmd:${command}:${args}`;
+    return {
+      id: id.length > MAX_ACTION_ID_LENGTH ? rememberCommand(command, args) : id,
+      label,
+      ...(style ? { style } : {})
+    };
+  }
+
+  /**
+   * Button that runs a command again with the same arguments
+   * @param {string} command
+   * @param {string} args
+   * @returns {{id: string, label: string}}
+   */
+  function retryButton(command, args) {
+    return { id: rememberCommand(command, args), label: 'Retry', style: 'primary' };
+  }
+
+  /**
+   * Channels watching an instance, other than the one a run is replying to
+   * @param {string} instanceId
+   * @param {string} [exceptChannelId]
+   * @returns {string[]}
+   */
+  function watchersOf(instanceId, exceptChannelId) {
+    return [...(watchersByInstance.get(instanceId) || [])].filter(id => id !== exceptChannelId);
+  }
+
+  /**
+   * Post to each channel; one unreachable watcher doesn't stop the rest
+   * @param {string[]} channelIds
+   * @param {(channelId: string) => Promise<any>} send
+   */
+  async function postToWatchers(channelIds, send) {
+    await Promise.all(channelIds.map(async (channelId) => {
+      try {
+        await send(channelId);
+      } catch (e) {
+        console.error(`[BotEngine] Failed to mirror to ${channelId}:`, e.message);
+      }
+    }));
+  }
+
+  /**
+   * Forget an instance's per-instance settings once it is stopped, and delete
+   * the files posted to it
+   * @param {string} instanceId
+   * @param {Object} [instance] - The instance as it was before stopping
+   */
+  function forgetInstance(instanceId, instance) {
+    queueManager.clear(instanceId);
+    verbosityByInstance.delete(instanceId);
+    watchersByInstance.delete(instanceId);
+    threadByInstance.delete(instanceId);
+    if (instance && aiBackend.localWorkspace) {
+      clearAttachments(instance.projectDir, instanceId);
+    }
+  }
 
   // ============================================
   // MESSAGE BATCHER (rate-limit protection)
@@ -111,9 +348,12 @@ function createBotEngine(options) {
    * Create a message batcher that buffers output and flushes as
    * code-block messages. Prevents hitting chat API rate limits.
    * @param {string} channelId
+   * @param {Object} [batchOptions]
+   * @param {boolean} [batchOptions.codeBlock=true] - Wrap each flush in a code block (false for progress lines)
    * @returns {Object} { push(text), flush(), destroy() }
    */
-  function createMessageBatcher(channelId) {
+  function createMessageBatcher(channelId, batchOptions = {}) {
+    const { codeBlock = true } = batchOptions;
     const buffer = [];
     let flushTimer = null;
     let destroyed = false;
@@ -143,7 +383,7 @@ function createBotEngine(options) {
       }
 
       try {
-        await chatProvider.sendLongMessage(channelId, '```\n' + text + '\n```');
+        await chatProvider.sendLongMessage(channelId, codeBlock ? '```\n' + text + '\n```' : text);
         lastSendTime = Date.now();
       } catch (e) {
         console.error('[BotEngine] Batcher send error:', e.message);
@@ -172,39 +412,98 @@ function createBotEngine(options) {
     };
   }
 
+  /**
+   * Create the output for one run: a live panel edited in place
+   * (progressMode 'panel') or a message batcher
+   * @param {string} channelId
+   * @param {Object} [outputOptions]
+   * @param {boolean} [outputOptions.codeBlock=true] - Show output in a code block (false for progress lines)
+   * @returns {Object} { push(text), setActivity(text), flush(), close() }
+   */
+  function createRunOutput(channelId, outputOptions = {}) {
+    if (progressMode === 'panel') {
+      return createLivePanel(chatProvider, channelId, outputOptions);
+    }
+    const batcher = createMessageBatcher(channelId, outputOptions);
+    return {
+      push: batcher.push,
+      flush: batcher.flush,
+      setActivity() {},
+      async close() {
+        await batcher.flush();
+        batcher.destroy();
+      }
+    };
+  }
+
   // ============================================
   // COMMAND HANDLERS
   // ============================================
 
   /**
    * Handle the 'start' command
-   * Usage: /od-start [name] [--image alias] [path]
+   * Usage: /od-start [name] [--thread] [--image alias] [--model id] [--mode m] [--allow tool] [--deny tool] [--system-prompt text] [--verbosity level] [path | @project]
    */
   async function handleStart(ctx, args) {
     const parsed = parseStartArgs(args);
 
+    if (!parsed.error && parsed.verbosity && !isVerbosity(parsed.verbosity)) {
+      parsed.error = `Unknown verbosity "${parsed.verbosity}". Use: ${VERBOSITY_LEVELS.join(', ')}`;
+    }
+    if (!parsed.error && parsed.model) {
+      parsed.error = modelError(parsed.model);
+    }
     if (parsed.error) {
       await ctx.reply(
         `${parsed.error}\n\n` +
-        `Usage: \`${commandPrefix}-start [name] [--image <alias>] [path]\``
+        `Usage: \`${commandPrefix}-start [name] [--thread] [--image <alias>] [--model <id>] [--mode <mode>] [--allow <tool>] [--deny <tool>] [--system-prompt <text>] [--verbosity <level>] [path | @project]\``
       );
       return;
     }
 
+    // The environment's permission mode is a ceiling; --allow is checked with the command
+    if (parsed.mode && isLooserMode(parsed.mode) && !await authorize(ctx, 'start --mode')) {
+      return;
+    }
+
     const instanceId = parsed.name || generateName();
-    let projectDir = parsed.path || os.homedir();
-    // Expand leading ~ to home directory (Node's cwd doesn't handle ~)
-    if (projectDir.startsWith('~/')) {
-      projectDir = path.join(os.homedir(), projectDir.slice(2));
-    } else if (projectDir === '~') {
-      projectDir = os.homedir();
+    // Local backends get root/symlink/existence checks; remote ones take the value as-is
+    const resolved = projectResolver.resolve(parsed.path, { local: Boolean(aiBackend.localWorkspace) });
+    if (resolved.error) {
+      await replyStartFailure(ctx, resolved.error);
+      return;
     }
+    const projectDir = resolved.projectDir;
     const opts = {};
     if (parsed.image) opts.image = parsed.image;
+    if (parsed.model) opts.model = parsed.model;
+    if (parsed.mode) opts.permissionMode = parsed.mode;
+    if (parsed.allow.length) opts.allowedTools = parsed.allow;
+    if (parsed.deny.length) opts.disallowedTools = parsed.deny;
+    if (parsed.systemPrompt) opts.appendSystemPrompt = parsed.systemPrompt;
+
+    // --thread binds the instance to a new thread, so several can share a channel
+    let channelId = ctx.channelId;
+    if (parsed.thread) {
+      if (aiBackend.getInstance(instanceId)) {
+        await replyStartFailure(ctx, `Instance "${instanceId}" already running`);
+        return;
+      }
+      channelId = await openThread(ctx, instanceId, projectDir);
+      if (!channelId) return;
+    }
+    const reply = channelId === ctx.channelId ? ctx.reply : (text) => chatProvider.sendMessage(channelId, text);
 
-    const result = await aiBackend.startInstance(instanceId, projectDir, ctx.channelId, opts);
+    const result = await aiBackend.startInstance(instanceId, projectDir, channelId, opts);
 
     if (result.success) {
+      if (parsed.verbosity) verbosityByInstance.set(instanceId, parsed.verbosity);
+      if (parsed.thread) threadByInstance.set(instanceId, { threadId: channelId, parentChannelId: ctx.channelId });
+      // Only Claude-based backends record permissions; others ignore the flags
+      const instance = aiBackend.getInstance(instanceId);
+      const permissions = instance && instance.permissions ? describePermissions(instance.permissions) : null;
+      // The instance is running either way, so a card the platform rejects falls back to text
+      let carded = false;
       if (chatProvider.supportsCards) {
         const fields = [
           { name: 'Instance', value: instanceId, inline: true },
@@ -214,59 +513,126 @@ function createBotEngine(options) {
         if (parsed.image) {
           fields.push({ name: 'Image', value: parsed.image, inline: true });
         }
-        await chatProvider.sendCard(ctx.channelId, {
-          title: `${aiName} Instance Started`,
-          color: '#00ff00',
-          fields,
-          footer: `Messages in this channel will be sent to ${aiName}.`
-        });
-      } else {
+        if (parsed.model) {
+          fields.push({ name: 'Model', value: parsed.model, inline: true });
+        }
+        if (permissions) {
+          fields.push({ name: 'Permissions', value: permissions, inline: false });
+        }
+        try {
+          await chatProvider.sendCard(channelId, {
+            title: `${aiName} Instance Started`,
+            color: '#00ff00',
+            fields,
+            footer: `Messages in this ${parsed.thread ? 'thread' : 'channel'} will be sent to ${aiName}.`,
+            actions: [commandButton('Stop', 'stop', instanceId, 'danger')]
+          });
+          carded = true;
+        } catch (error) {
+          console.error(`[BotEngine] Failed to post the start card for ${instanceId}:`, error.message);
+        }
+      }
+      if (!carded) {
         let msg = `Started instance **${instanceId}** in \`${projectDir}\`\n` +
           `Session: \`${result.sessionId}\``;
         if (parsed.image) msg += `\nImage: ${parsed.image}`;
-        msg += `\n\nMessages in this channel will be sent to ${aiName}.`;
-        await ctx.reply(msg);
+        if (parsed.model) msg += `\nModel: ${parsed.model}`;
+        if (permissions) msg += `\nPermissions: ${permissions}`;
+        msg += `\n\nMessages in this ${parsed.thread ? 'thread' : 'channel'} will be sent to ${aiName}.`;
+        await reply(msg);
+      }
+      if (parsed.thread) {
+        await ctx.reply(`Started **${instanceId}** in its own thread — reply there to talk to it.`);
       }
     } else {
-      if (chatProvider.supportsCards) {
-        await chatProvider.sendCard(ctx.channelId, {
-          title: 'Failed to Start',
-          color: '#ff0000',
-          description: result.error
-        });
-      } else {
-        await ctx.reply(`Failed to start: ${result.error}`);
+      await replyStartFailure(ctx, result.error);
+    }
+  }
+
+  /**
+   * Open a thread for a new instance
+   * @returns {Promise<string|null>} Thread ID to bind the instance to, or null after replying why not
+   */
+  async function openThread(ctx, instanceId, projectDir) {
+    let thread = null;
+    if (chatProvider.supportsThreads) {
+      try {
+        thread = await chatProvider.createThread(ctx.channelId, `${aiName}: ${instanceId} (${path.basename(projectDir) || projectDir})`);
+      } catch (error) {
+        await replyStartFailure(ctx, `Couldn't open a thread: ${error.message}`);
+        return null;
       }
     }
+    if (!thread) {
+      await replyStartFailure(ctx, `\`--thread\` isn't supported on ${chatProvider.name}.`);
+      return null;
+    }
+    console.log(`[BotEngine] Opened thread ${thread.threadId} for ${instanceId}`);
+    return thread.threadId;
+  }
+
+  /**
+   * Report a failed start as a card or text
+   */
+  async function replyStartFailure(ctx, error) {
+    if (chatProvider.supportsCards) {
+      await chatProvider.sendCard(ctx.channelId, {
+        title: 'Failed to Start',
+        color: '#ff0000',
+        description: error
+      });
+    } else {
+      await ctx.reply(`Failed to start: ${error}`);
+    }
   }
 
   /**
    * Parse /od-start arguments using quote-aware tokenizer.
    * @param {string} args - Raw argument string
-   * @returns {Object} Parsed { name, image, path }
+   * @returns {Object} Parsed { name, image, model, path, mode, allow, deny, systemPrompt, verbosity, thread }
    */
   function parseStartArgs(args) {
-    const result = { name: null, image: null, path: null, error: null };
+    const result = {
+      name: null, image: null, model: null, path: null,
+      mode: null, allow: [], deny: [], systemPrompt: null,
+      verbosity: null, thread: false,
+      error: null
+    };
     const tokens = tokenize(args);
     if (tokens.error) { result.error = tokens.error; return result; }
+
+    // Boolean flags take no value
+    for (let i = tokens.indexOf('--thread'); i !== -1; i = tokens.indexOf('--thread')) {
+      result.thread = true;
+      tokens.splice(i, 1);
+    }
     if (tokens.length === 0) return result;
 
-    // Extract --image <value> from token list
-    const imageIdx = tokens.indexOf('--image');
-    if (imageIdx !== -1) {
-      if (imageIdx + 1 < tokens.length) {
-        result.image = tokens[imageIdx + 1];
-        tokens.splice(imageIdx, 2);
-      } else {
-        result.error = 'Missing value for --image';
+    // Extract flags (each takes one value; --allow/--deny may repeat)
+    const flags = {
+      '--image': (v) => { result.image = v; },
+      '--model': (v) => { result.model = v; },
+      '--mode': (v) => { result.mode = v; },
+      '--allow': (v) => { result.allow.push(v); },
+      '--deny': (v) => { result.deny.push(v); },
+      '--system-prompt': (v) => { result.systemPrompt = v; },
+      '--verbosity': (v) => { result.verbosity = v; }
+    };
+    for (let i = 0; i < tokens.length;) {
+      const apply = flags[tokens[i]];
+      if (!apply) { i++; continue; }
+      if (i + 1 >= tokens.length) {
+        result.error = `Missing value for ${tokens[i]}`;
         return result;
       }
+      apply(tokens[i + 1]);
+      tokens.splice(i, 2);
     }
 
     if (tokens.length === 0) return result;
 
-    // If first token looks like a path, it's the path (no name given)
-    if (looksLikePath(tokens[0])) {
+    // If first token looks like a path or @alias, it's the path (no name given)
+    if (looksLikePath(tokens[0]) || tokens[0].startsWith('@')) {
       result.path = tokens.join(' ');
     } else {
       result.name = tokens[0];
@@ -293,8 +659,13 @@ function createBotEngine(options) {
       }
       const stopped = [];
       for (const inst of instances) {
+        const watchers = watchersOf(inst.instanceId, ctx.channelId);
         const r = aiBackend.stopInstance(inst.instanceId);
-        if (r.success) stopped.push(inst.instanceId);
+        if (r.success) {
+          forgetInstance(inst.instanceId, inst);
+          stopped.push(inst.instanceId);
+          await postToWatchers(watchers, id => chatProvider.sendMessage(id, `_Instance **${inst.instanceId}** was stopped; no longer watching._`));
+        }
       }
       if (chatProvider.supportsCards) {
         await chatProvider.sendCard(ctx.channelId, {
@@ -315,9 +686,15 @@ function createBotEngine(options) {
       return;
     }
 
+    if (!await authorizeInstance(ctx, instanceId, 'stop', args)) return;
+
+    const watchers = watchersOf(instanceId, ctx.channelId);
+    const instance = aiBackend.getInstance(instanceId);
     const result = aiBackend.stopInstance(instanceId);
 
     if (result.success) {
+      forgetInstance(instanceId, instance);
+      await postToWatchers(watchers, id => chatProvider.sendMessage(id, `_Instance **${instanceId}** was stopped; no longer watching._`));
       if (chatProvider.supportsCards) {
         await chatProvider.sendCard(ctx.channelId, {
           title: `${aiName} Instance Stopped`,
@@ -350,7 +727,7 @@ function createBotEngine(options) {
       if (chatProvider.supportsCards) {
         await chatProvider.sendCard(ctx.channelId, {
           title: 'No Running Instances',
-          description: `Use \`${commandPrefix}-start [name] [--image <alias>] [path]\` to start a new instance.`
+          description: `Use \`${commandPrefix}-start [name] [--image <alias>] [path | @project]\` to start a new instance.`
         });
       } else {
         await ctx.reply('No instances running.');
@@ -384,114 +761,495 @@ function createBotEngine(options) {
   }
 
   /**
-   * Handle the 'send' command
+   * Handle the 'status' command (detail view for one instance)
+   * Usage: /od-status [name]
    */
-  async function handleSend(ctx, args) {
-    const match = args.match(/^(\S+)\s+(.+)$/s);
+  async function handleStatus(ctx, args) {
+    let instanceId = (args || '').trim().split(/\s+/)[0];
+    if (!instanceId) {
+      const found = aiBackend.getInstanceByChannel(ctx.channelId);
+      instanceId = found ? found.instanceId : null;
+    }
 
-    if (!match) {
-      await ctx.reply(
-        `Usage: \`${commandPrefix}-send <instance-name> <message>\``
-      );
+    if (!instanceId) {
+      await ctx.reply(`Usage: \`${commandPrefix}-status <name>\``);
       return;
     }
 
-    const [, instanceId, message] = match;
+    const instance = aiBackend.getInstance(instanceId);
+    if (!instance) {
+      await ctx.reply(`Instance "${instanceId}" not found.`);
+      return;
+    }
 
-    await sendMessageToInstance(ctx, instanceId, message);
+    if (!await authorizeInstance(ctx, instanceId, 'status', args)) return;
+
+    const fields = await buildStatusFields(instanceId, instance);
+
+    if (chatProvider.supportsCards) {
+      await chatProvider.sendCard(ctx.channelId, {
+        title: `Status: ${instanceId}`,
+        color: '#0099ff',
+        fields: fields.map(([name, value, inline = true]) => ({ name, value, inline }))
+      });
+    } else {
+      const lines = fields.map(([name, value]) => `- **${name}:** ${value}`);
+      await ctx.reply(`**Status: ${instanceId}**\n${lines.join('\n')}`);
+    }
   }
 
   /**
-   * Handle the 'run' command (one-shot fire-and-forget)
-   * Usage: /od-run [--image <alias>] <task>
+   * Collect the [name, value, inline?] rows shown by od-status
    */
-  async function handleRun(ctx, args) {
-    // Parse options and task from args
-    const parsed = parseRunArgs(args);
-    parsed.image = resolveImageAlias(parsed.image);
+  async function buildStatusFields(instanceId, instance) {
+    const preview = (text) => text.length > 200 ? text.substring(0, 197) + '...' : text;
+    const uptime = Math.round((Date.now() - new Date(instance.startedAt).getTime()) / 1000 / 60);
+    const currentJob = instance.currentJob && instance.currentJob.toSummary
+      ? instance.currentJob.toSummary()
+      : null;
 
-    if (parsed.error) {
-      await ctx.reply(parsed.error);
-      return;
+    let current;
+    if (currentJob) {
+      const duration = currentJob.duration ? ` for ${Math.round(currentJob.duration / 1000)}s` : '';
+      current = `Job ${currentJob.jobId.substring(0, 8)} (${currentJob.status}${duration})`;
+    } else {
+      current = queueManager.isBusy(instanceId) || instance.activeRun ? 'Running' : 'Idle';
     }
 
-    if (!parsed.task) {
-      await ctx.reply(
-        `Usage: \`${commandPrefix}-run [--image <alias>] <task>\`\n\n` +
-        `**Examples:**\n` +
-        `\`${commandPrefix}-run "run the tests"\`\n` +
-        `\`${commandPrefix}-run --image my-agent:v1 "lint the code"\``
-      );
+    // Sprite jobs record their own activity (log webhooks) on the Job
+    const activity = [instance.lastActivityAt, instance.currentJob && instance.currentJob.lastActivityAt]
+      .filter(Boolean)
+      .map(date => new Date(date))
+      .sort((a, b) => b - a)[0] || null;
+
+    const fields = [
+      ['Backend', aiName],
+      ['Model', instance.model || aiBackend.model || 'default'],
+      ['Session', `\`${instance.sessionId}\``, false],
+      ['Project', `\`${instance.projectDir}\``, false],
+      ['Current Run', current],
+      ['Queue', `${queueManager.depth(instanceId)} waiting`],
+      ['Messages', String(instance.messageCount)],
+      ['Uptime', `${uptime}m`],
+      ['Last Activity', formatAgo(activity)],
+      ['Usage', instance.usage ? formatUsage(instance.usage) : 'n/a'],
+      ['Usage Today', formatUsageTotals(usageTracker.totals({ instanceId, since: new Date() }))],
+      ['Verbosity', verbosityFor(instanceId)]
+    ];
+
+    const watchers = watchersOf(instanceId);
+    if (watchers.length > 0) {
+      fields.push(['Watchers', watchers.map(id => `\`${id}\``).join(', '), false]);
+    }
+
+    if (instance.permissions) {
+      fields.push(['Permissions', describePermissions(instance.permissions), false]);
+    }
+
+    if (aiBackend.getMachineStatus) {
+      const machine = await aiBackend.getMachineStatus(instanceId);
+      if (machine) {
+        fields.push(['Machine', `\`${machine.machineId}\` (${machine.state})`]);
+      }
+    }
+
+    if (instance.lastPrompt) {
+      fields.push(['Last Prompt', preview(instance.lastPrompt), false]);
+    }
+
+    return fields;
+  }
+
+  /**
+   * Handle the 'queue' command
+   * Usage: /od-queue [name] [--clear]
+   */
+  async function handleQueue(ctx, args) {
+    const tokens = tokenize(args);
+    if (tokens.error) {
+      await ctx.reply(tokens.error);
       return;
     }
 
-    // Create a temporary instance for this job
-    const instanceId = generateName();
-    const projectDir = os.homedir();
+    const clearIdx = tokens.indexOf('--clear');
+    const shouldClear = clearIdx !== -1;
+    if (shouldClear) tokens.splice(clearIdx, 1);
 
-    const startOpts = {};
-    if (parsed.image) startOpts.image = parsed.image;
+    // Default to the instance bound to this channel
+    let instanceId = tokens[0];
+    if (!instanceId) {
+      const found = aiBackend.getInstanceByChannel(ctx.channelId);
+      instanceId = found ? found.instanceId : null;
+    }
 
-    const startResult = await aiBackend.startInstance(instanceId, projectDir, ctx.channelId, startOpts);
-    if (!startResult.success) {
-      await ctx.reply(`Failed to start job: ${startResult.error}`);
+    if (!instanceId) {
+      await ctx.reply(`Usage: \`${commandPrefix}-queue <name> [--clear]\``);
       return;
     }
 
-    // Show initial message
+    if (!aiBackend.getInstance(instanceId)) {
+      await ctx.reply(`Instance "${instanceId}" not found.`);
+      return;
+    }
+    if (!await authorizeInstance(ctx, instanceId, 'queue', args)) return;
+
+    if (shouldClear) {
+      const dropped = queueManager.clear(instanceId);
+      await ctx.reply(`Cleared ${dropped} queued prompt(s) for **${instanceId}**.`);
+      return;
+    }
+
+    const { running, pending } = queueManager.inspect(instanceId);
+    const preview = (text) => text.length > 80 ? text.substring(0, 77) + '...' : text;
+
     if (chatProvider.supportsCards) {
+      const fields = [
+        { name: 'Running', value: running ? preview(running.prompt) : 'Idle', inline: false }
+      ];
+      for (const entry of pending) {
+        fields.push({ name: `#${entry.position}`, value: preview(entry.prompt), inline: false });
+      }
       await chatProvider.sendCard(ctx.channelId, {
-        title: 'Job Started',
+        title: `Queue — ${instanceId}`,
         color: '#0099ff',
-        fields: [
-          { name: 'Task', value: parsed.task, inline: false },
-          parsed.image && { name: 'Image', value: parsed.image, inline: true }
-        ].filter(Boolean),
-        footer: 'Streaming logs as they arrive...'
+        fields,
+        footer: `${pending.length}/${queueManager.maxDepth} pending`
       });
     } else {
-      let msg = `**Job Started**\nTask: ${parsed.task}`;
-      if (parsed.image) msg += `\nImage: ${parsed.image}`;
-      await ctx.reply(msg);
+      const lines = [`**Queue for ${instanceId}** (${pending.length}/${queueManager.maxDepth} pending)`];
+      lines.push(`Running: ${running ? preview(running.prompt) : '_idle_'}`);
+      for (const entry of pending) {
+        lines.push(`#${entry.position}: ${preview(entry.prompt)}`);
+      }
+      await ctx.reply(lines.join('\n'));
     }
+  }
 
-    // Show typing indicator
-    await chatProvider.sendTypingIndicator(ctx.channelId);
+  /**
+   * Handle the 'cancel' command
+   * Usage: /od-cancel [name | jobId]
+   */
+  async function handleCancel(ctx, args) {
+    let target = args.trim();
+    if (!target) {
+      const found = aiBackend.getInstanceByChannel(ctx.channelId);
+      target = found ? found.instanceId : '';
+    }
 
-    // Use message batcher for rate-limit protection
-    const batcher = createMessageBatcher(ctx.channelId);
-    const onMessage = async (text) => {
-      batcher.push(text);
-    };
+    if (!target) {
+      await ctx.reply(`Usage: \`${commandPrefix}-cancel <name | jobId>\``);
+      return;
+    }
+
+    if (!aiBackend.cancelInstance) {
+      await ctx.reply(`This backend does not support \`${commandPrefix}-cancel\`.`);
+      return;
+    }
 
     let result;
-    try {
-      // Execute the job
-      result = await aiBackend.sendToInstance(instanceId, parsed.task, {
-        onMessage,
-        image: parsed.image
-      });
-    } catch (err) {
-      result = { success: false, error: err.message || String(err) };
-    } finally {
-      // Always clean up batcher and temp instance, even on error
-      await batcher.flush();
-      batcher.destroy();
-      aiBackend.stopInstance(instanceId);
+    let label;
+    if (aiBackend.getInstance(target)) {
+      if (!await authorizeInstance(ctx, target, 'cancel', args)) return;
+      result = await aiBackend.cancelInstance(target);
+      label = `instance "${target}"`;
+    } else if (aiBackend.cancelJob && aiBackend.listJobs) {
+      // Accept job ID prefixes, as shown by od-jobs
+      const matches = findJobIds(target);
+      if (matches.length > 1) {
+        await ctx.reply(`Job ID "${target}" is ambiguous (${matches.length} matches). Use more characters.`);
+        return;
+      }
+      if (matches.length === 0) {
+        result = { success: false, error: `No instance or job named "${target}"` };
+      } else {
+        label = `job ${matches[0].substring(0, 8)}`;
+        const job = aiBackend.getJob ? aiBackend.getJob(matches[0]) : null;
+        if (!await authorizeTarget(ctx, 'cancel', args, label, job && job.channelId)) return;
+        result = await aiBackend.cancelJob(matches[0]);
+      }
+    } else {
+      result = { success: false, error: `Instance "${target}" not found` };
     }
 
-    // Send final status
     if (result.success) {
       if (chatProvider.supportsCards) {
-        const fields = [
-          { name: 'Status', value: 'Completed', inline: true },
-          { name: 'Job ID', value: result.jobId || 'N/A', inline: true }
-        ];
-
-        if (result.artifacts && result.artifacts.length > 0) {
-          fields.push({
-            name: 'Artifacts',
-            value: result.artifacts.map(a => `[${a.name}](${a.url})`).join('\n'),
+        await chatProvider.sendCard(ctx.channelId, {
+          title: 'Run Cancelled',
+          color: '#ff9900',
+          description: `Cancelled the run in progress on ${label}.`,
+          footer: 'Queued prompts will continue to run.'
+        });
+      } else {
+        await ctx.reply(`**Run Cancelled** — stopped the run in progress on ${label}.`);
+      }
+    } else {
+      if (chatProvider.supportsCards) {
+        await chatProvider.sendCard(ctx.channelId, {
+          title: 'Failed to Cancel',
+          color: '#ff0000',
+          description: result.error
+        });
+      } else {
+        await ctx.reply(`Failed to cancel: ${result.error}`);
+      }
+    }
+  }
+
+  /**
+   * Find job IDs matching a full ID or a prefix (as shown by od-jobs).
+   * An exact match always wins over longer IDs sharing the prefix.
+   * Backends without a findJobIds lookup are searched through listJobs.
+   * @param {string} prefix
+   * @returns {string[]} Matching job IDs
+   */
+  function findJobIds(prefix) {
+    const ids = aiBackend.findJobIds
+      ? aiBackend.findJobIds(prefix)
+      : aiBackend.listJobs().map(job => job.jobId).filter(jobId => jobId.startsWith(prefix));
+    if (ids.includes(prefix)) return [prefix];
+    return ids;
+  }
+
+  /**
+   * Handle the 'logs' command (replay a job's captured output)
+   * Usage: /od-logs <jobId> [--tail N] [--since 5m] [--grep "text|other text"]
+   */
+  async function handleLogs(ctx, args) {
+    if (!aiBackend.getJob || !aiBackend.listJobs) {
+      await ctx.reply(`The \`${commandPrefix}-logs\` command requires Sprite backend.`);
+      return;
+    }
+
+    const parsed = parseLogsArgs(args);
+    if (parsed.error) {
+      await ctx.reply(parsed.error);
+      return;
+    }
+
+    const matches = findJobIds(parsed.jobId);
+    if (matches.length > 1) {
+      await ctx.reply(`Job ID "${parsed.jobId}" is ambiguous (${matches.length} matches). Use more characters.`);
+      return;
+    }
+    const job = matches.length === 1 ? aiBackend.getJob(matches[0]) : null;
+    if (!job) {
+      await ctx.reply(`No job matching "${parsed.jobId}". Use \`${commandPrefix}-jobs\` to list jobs.`);
+      return;
+    }
+    if (!await authorizeTarget(ctx, 'logs', args, `job ${job.jobId.substring(0, 8)}`, job.channelId)) return;
+
+    let entries = job.logs;
+    if (parsed.sinceMs) {
+      const cutoff = Date.now() - parsed.sinceMs;
+      entries = entries.filter(entry => new Date(entry.timestamp).getTime() >= cutoff);
+    }
+    if (parsed.grep) {
+      entries = entries.filter(entry => {
+        const message = String(entry.message).toLowerCase();
+        return parsed.grep.some(term => message.includes(term));
+      });
+    }
+    if (parsed.tail) {
+      entries = entries.slice(-parsed.tail);
+    }
+
+    const shortId = job.jobId.substring(0, 8);
+    const header = `**Logs for job ${shortId}** [${job.status}] — ${entries.length} of ${job.logs.length} lines`;
+
+    if (entries.length === 0) {
+      await ctx.reply(`${header}\n_No matching log lines._`);
+      return;
+    }
+
+    const body = entries.map(formatLogEntry).join('\n');
+    const message = `${header}\n\`\`\`\n${body}\n\`\`\``;
+
+    if (message.length <= chatProvider.maxMessageLength) {
+      await ctx.reply(message);
+      return;
+    }
+
+    // Too long for one message: upload the log as a file instead
+    const sent = await chatProvider.sendFile(ctx.channelId, {
+      filename: `job-${shortId}.log`,
+      content: body + '\n',
+      title: `Logs for job ${shortId}`
+    });
+    if (sent && sent.truncated) {
+      await ctx.reply(`${header}\n_Too long for a message and this platform can't upload files — showing the last lines only. Narrow it with \`--tail\`, \`--since\` or \`--grep\`._`);
+      return;
+    }
+    await ctx.reply(`${header}\n_Too long for a message — uploaded as \`job-${shortId}.log\`._`);
+  }
+
+  /**
+   * Parse od-logs arguments
+   * @returns {{jobId: string, tail: number|null, sinceMs: number|null, grep: string[]|null, error?: string}}
+   *   grep holds lowercased search terms; a line matches if it contains any of them
+   */
+  function parseLogsArgs(args) {
+    const tokens = tokenize(args || '');
+    if (tokens.error) return { error: tokens.error };
+
+    const usage = `Usage: \`${commandPrefix}-logs <jobId> [--tail N] [--since 5m] [--grep "text|other text"]\`` +
+      '\n`--grep` keeps lines containing any of the `|`-separated texts (not a regex, case-insensitive).';
+    const result = { jobId: null, tail: null, sinceMs: null, grep: null };
+
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+      if (token === '--tail') {
+        result.tail = parseInt(tokens[++i], 10);
+        if (!Number.isInteger(result.tail) || result.tail < 1) {
+          return { error: `--tail must be a positive number.\n${usage}` };
+        }
+      } else if (token === '--since') {
+        result.sinceMs = parseDuration(tokens[++i]);
+        if (!result.sinceMs) {
+          return { error: `--since expects a duration like 30s, 5m, 2h or 1d.\n${usage}` };
+        }
+      } else if (token === '--grep') {
+        // Plain text, not a regex: patterns from chat could take forever to match
+        const terms = (tokens[++i] || '').toLowerCase().split('|').filter(Boolean);
+        if (terms.length === 0) return { error: usage };
+        result.grep = terms;
+      } else if (!token.startsWith('--') && !result.jobId) {
+        result.jobId = token;
+      } else {
+        return { error: usage };
+      }
+    }
+
+    if (!result.jobId) return { error: usage };
+    return result;
+  }
+
+  /**
+   * Handle the 'send' command
+   */
+  async function handleSend(ctx, args) {
+    const match = args.match(/^(\S+)\s+(.+)$/s);
+
+    if (!match) {
+      await ctx.reply(
+        `Usage: \`${commandPrefix}-send <instance-name> <message>\``
+      );
+      return;
+    }
+
+    const [, instanceId, message] = match;
+    if (!await authorizeInstance(ctx, instanceId, 'send', args)) return;
+
+    await sendMessageToInstance(ctx, instanceId, message);
+  }
+
+  /**
+   * Handle the 'run' command (one-shot fire-and-forget)
+   * Usage: /od-run [--image <alias>] <task>
+   */
+  async function handleRun(ctx, args) {
+    // Parse options and task from args
+    const parsed = parseRunArgs(args);
+    parsed.image = resolveImageAlias(parsed.image);
+
+    if (parsed.error) {
+      await ctx.reply(parsed.error);
+      return;
+    }
+
+    if (!parsed.task) {
+      await ctx.reply(
+        `Usage: \`${commandPrefix}-run [--image <alias>] <task>\`\n\n` +
+        `**Examples:**\n` +
+        `\`${commandPrefix}-run "run the tests"\`\n` +
+        `\`${commandPrefix}-run --image my-agent:v1 "lint the code"\``
+      );
+      return;
+    }
+
+    const refusal = budgetRefusal(ctx);
+    if (refusal) {
+      await ctx.reply(refusal);
+      return;
+    }
+
+    // Create a temporary instance for this job
+    const instanceId = generateName();
+    const projectDir = os.homedir();
+
+    const startOpts = {};
+    if (parsed.image) startOpts.image = parsed.image;
+
+    const startResult = await aiBackend.startInstance(instanceId, projectDir, ctx.channelId, startOpts);
+    if (!startResult.success) {
+      await ctx.reply(`Failed to start job: ${startResult.error}`);
+      return;
+    }
+
+    // Show initial message
+    if (chatProvider.supportsCards) {
+      await chatProvider.sendCard(ctx.channelId, {
+        title: 'Job Started',
+        color: '#0099ff',
+        fields: [
+          { name: 'Task', value: parsed.task, inline: false },
+          { name: 'Instance', value: instanceId, inline: true },
+          parsed.image && { name: 'Image', value: parsed.image, inline: true }
+        ].filter(Boolean),
+        footer: `Streaming logs as they arrive... Cancel with ${commandPrefix}-cancel ${instanceId}`,
+        actions: [commandButton('Cancel', 'cancel', instanceId, 'danger')]
+      });
+    } else {
+      let msg = `**Job Started** (${instanceId})\nTask: ${parsed.task}`;
+      if (parsed.image) msg += `\nImage: ${parsed.image}`;
+      await ctx.reply(msg);
+    }
+
+    // Show typing indicator
+    await chatProvider.sendTypingIndicator(ctx.channelId);
+
+    // Batched posts or a live panel, for rate-limit protection
+    const output = createRunOutput(ctx.channelId);
+    const onMessage = async (text) => {
+      output.push(text);
+    };
+
+    let result;
+    try {
+      // Execute the job
+      result = await aiBackend.sendToInstance(instanceId, parsed.task, {
+        onMessage,
+        image: parsed.image,
+        userId: ctx.userId
+      });
+    } catch (err) {
+      result = { success: false, error: err.message || String(err) };
+    } finally {
+      // Always clean up output and temp instance, even on error
+      await output.close();
+      aiBackend.stopInstance(instanceId);
+    }
+
+    if (result.usage) {
+      await recordUsage(ctx, instanceId, result.usage);
+    }
+
+    // od-cancel already posted the cancellation card
+    if (result.cancelled) {
+      return;
+    }
+
+    // Send final status
+    if (result.success) {
+      if (chatProvider.supportsCards) {
+        const fields = [
+          { name: 'Status', value: 'Completed', inline: true },
+          { name: 'Job ID', value: result.jobId || 'N/A', inline: true }
+        ];
+
+        if (result.artifacts && result.artifacts.length > 0) {
+          fields.push({
+            name: 'Artifacts',
+            value: result.artifacts.map(a => `[${a.name}](${a.url})`).join('\n'),
             inline: false
           });
         }
@@ -499,7 +1257,8 @@ function createBotEngine(options) {
         await chatProvider.sendCard(ctx.channelId, {
           title: 'Job Completed',
           color: '#00ff00',
-          fields
+          fields,
+          actions: result.jobId ? [commandButton('Logs', 'logs', result.jobId)] : []
         });
       } else {
         let msg = `**Job Completed** (${result.jobId || 'N/A'})`;
@@ -516,7 +1275,11 @@ function createBotEngine(options) {
           description: result.error,
           fields: [
             { name: 'Job ID', value: result.jobId || 'N/A', inline: true }
-          ]
+          ],
+          actions: [
+            retryButton('run', args),
+            result.jobId && commandButton('Logs', 'logs', result.jobId)
+          ].filter(Boolean)
         });
       } else {
         await ctx.reply(`**Job Failed** (${result.jobId || 'N/A'})\nError: ${result.error}`);
@@ -577,14 +1340,34 @@ function createBotEngine(options) {
 
   /**
    * Handle the 'jobs' command (list Sprite jobs)
+   * Usage: /od-jobs [--status <status>] [--mine] [--here] [--page <n>]
    */
-  async function handleJobs(ctx) {
+  async function handleJobs(ctx, args = '') {
     if (!aiBackend.listJobs) {
       await ctx.reply(`The \`${commandPrefix}-jobs\` command requires Sprite backend.`);
       return;
     }
 
-    const jobs = aiBackend.listJobs();
+    const parsed = parseJobsArgs(args);
+    if (parsed.error) {
+      await ctx.reply(parsed.error);
+      return;
+    }
+
+    const filters = {
+      status: parsed.status || undefined,
+      userId: parsed.mine ? ctx.userId : undefined,
+      channelId: parsed.here ? ctx.channelId : undefined
+    };
+
+    // Fetch one extra job to know whether an older page exists
+    const page = aiBackend.listJobs({
+      ...filters,
+      limit: JOBS_PAGE_SIZE + 1,
+      offset: (parsed.page - 1) * JOBS_PAGE_SIZE
+    });
+    const hasMore = page.length > JOBS_PAGE_SIZE;
+    const jobs = page.slice(-JOBS_PAGE_SIZE);
 
     if (jobs.length === 0) {
       if (chatProvider.supportsCards) {
@@ -598,30 +1381,273 @@ function createBotEngine(options) {
       return;
     }
 
+    const title = parsed.page === 1 ? 'Recent Jobs' : `Jobs (page ${parsed.page})`;
+    const nextPageFlags = [
+      parsed.status && `--status ${parsed.status}`,
+      parsed.mine && '--mine',
+      parsed.here && '--here',
+      `--page ${parsed.page + 1}`
+    ].filter(Boolean).join(' ');
+    const footer = hasMore ? `Older jobs: \`${commandPrefix}-jobs ${nextPageFlags}\`` : null;
+
     if (chatProvider.supportsCards) {
-      const fields = jobs.slice(-10).map((job) => ({
+      const fields = jobs.map((job) => ({
         name: `${job.jobId.substring(0, 8)}... (${job.status})`,
         value: `${job.artifactCount} artifacts`,
         inline: false
       }));
 
       await chatProvider.sendCard(ctx.channelId, {
-        title: 'Recent Jobs',
+        title,
         color: '#0099ff',
-        fields
+        fields,
+        footer: footer || undefined
       });
     } else {
-      const lines = jobs.slice(-10).map((job) =>
+      const lines = jobs.map((job) =>
         `- **${job.jobId.substring(0, 8)}...** [${job.status}]`
       );
-      await ctx.reply(`**Recent Jobs:**\n${lines.join('\n')}`);
+      await ctx.reply(`**${title}:**\n${lines.join('\n')}${footer ? `\n_${footer}_` : ''}`);
     }
   }
 
   /**
-   * Send a message to an AI instance and handle the response
+   * Parse od-jobs flags
+   * @returns {{status: string|null, mine: boolean, here: boolean, page: number, error?: string}}
    */
-  async function sendMessageToInstance(ctx, instanceId, message) {
+  function parseJobsArgs(args) {
+    const tokens = tokenize(args || '');
+    if (tokens.error) return { error: tokens.error };
+
+    const result = { status: null, mine: false, here: false, page: 1 };
+    const usage = `Usage: \`${commandPrefix}-jobs [--status <${Object.values(JobStatus).join('|')}>] [--mine] [--here] [--page <n>]\``;
+
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+      if (token === '--status') {
+        result.status = (tokens[++i] || '').toLowerCase();
+        if (!Object.values(JobStatus).includes(result.status)) {
+          return { error: `Unknown status "${result.status}".\n${usage}` };
+        }
+      } else if (token === '--page') {
+        result.page = parseInt(tokens[++i], 10);
+        if (!Number.isInteger(result.page) || result.page < 1) {
+          return { error: `--page must be a positive number.\n${usage}` };
+        }
+      } else if (token === '--mine') {
+        result.mine = true;
+      } else if (token === '--here') {
+        result.here = true;
+      } else {
+        return { error: usage };
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Handle the 'usage' command (token and cost report)
+   * Usage: /od-usage [--since 7d] [--by user | channel | instance | day]
+   */
+  async function handleUsage(ctx, args = '') {
+    const parsed = parseUsageArgs(args);
+    if (parsed.error) {
+      await ctx.reply(parsed.error);
+      return;
+    }
+
+    const since = new Date(Date.now() - parsed.sinceMs);
+    const { groups, total } = usageTracker.report({ since, by: parsed.by });
+    const title = `Usage by ${parsed.by} (last ${parsed.sinceLabel})`;
+
+    if (groups.length === 0) {
+      await ctx.reply(`No usage recorded in the last ${parsed.sinceLabel}.`);
+      return;
+    }
+
+    const shown = groups.slice(0, USAGE_REPORT_LIMIT);
+    const footer = groups.length > shown.length
+      ? `Top ${shown.length} of ${groups.length} · Total: ${formatUsageTotals(total)}`
+      : `Total: ${formatUsageTotals(total)}`;
+
+    if (chatProvider.supportsCards) {
+      await chatProvider.sendCard(ctx.channelId, {
+        title,
+        color: '#0099ff',
+        fields: shown.map((group) => ({
+          name: group.label,
+          value: formatUsageTotals(group),
+          inline: false
+        })),
+        footer
+      });
+    } else {
+      const lines = shown.map((group) => `- **${group.label}:** ${formatUsageTotals(group)}`);
+      await ctx.reply(`**${title}:**\n${lines.join('\n')}\n_${footer}_`);
+    }
+  }
+
+  /**
+   * Parse od-usage flags
+   * @returns {{sinceMs: number, sinceLabel: string, by: string, error?: string}}
+   */
+  function parseUsageArgs(args) {
+    const tokens = tokenize(args || '');
+    if (tokens.error) return { error: tokens.error };
+
+    const result = { sinceMs: parseDuration('7d'), sinceLabel: '7d', by: 'user' };
+    const usage = `Usage: \`${commandPrefix}-usage [--since 7d] [--by ${GROUP_BY.join(' | ')}]\``;
+
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+      if (token === '--since') {
+        result.sinceLabel = tokens[++i] || '';
+        result.sinceMs = parseDuration(result.sinceLabel);
+        if (!result.sinceMs) {
+          return { error: `--since expects a duration like 12h, 7d or 30d.\n${usage}` };
+        }
+      } else if (token === '--by') {
+        result.by = (tokens[++i] || '').toLowerCase();
+        if (!GROUP_BY.includes(result.by)) {
+          return { error: `Unknown grouping "${result.by}".\n${usage}` };
+        }
+      } else {
+        return { error: usage };
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Usage, budgets and roles count a thread against the channel it belongs
+   * to, so threads don't get a channel budget (or role) each
+   * @param {Object} ctx
+   * @returns {Object}
+   */
+  function billingContext(ctx) {
+    return ctx.parentChannelId ? { ...ctx, channelId: ctx.parentChannelId } : ctx;
+  }
+
+  /**
+   * Record a finished turn's usage and warn about soft budget limits it crossed
+   */
+  async function recordUsage(ctx, instanceId, usage) {
+    const billing = billingContext(ctx);
+    usageTracker.record({
+      instanceId,
+      channelId: billing.channelId,
+      userId: ctx.userId,
+      userName: ctx.userName,
+      usage
+    });
+
+    for (const status of budgets.warnings(billing)) {
+      const hard = status.hard ? ` New turns stop at $${status.hard.toFixed(2)}.` : '';
+      await ctx.reply(
+        `⚠️ The ${describeBudget(status)} has passed its $${status.soft.toFixed(2)} warning level ` +
+        `($${status.spentUsd.toFixed(2)} spent).${hard} It resets at ${formatResetTime(status.resetsAt)}.`
+      );
+    }
+  }
+
+  /**
+   * Check budgets before a new turn. Synchronous so allowed turns
+   * reach the queue in the order their messages arrived.
+   * @returns {string|null} Refusal to post, or null if the turn may run
+   */
+  function budgetRefusal(ctx) {
+    const result = budgets.check(billingContext(ctx));
+    if (result.allowed) return null;
+
+    const { exceeded } = result;
+    console.log(`[BotEngine] Refused turn for user ${ctx.userId || 'unknown'}: ${describeBudget(exceeded)} used up`);
+    return `🛑 The ${describeBudget(exceeded)} is used up ($${exceeded.spentUsd.toFixed(2)} of $${exceeded.hard.toFixed(2)}). ` +
+      `New turns are refused until it resets at ${formatResetTime(exceeded.resetsAt)}. ` +
+      `An admin can lift the limit here with \`${commandPrefix}-budget --override <duration>\`.`;
+  }
+
+  /**
+   * Handle the 'budget' command (spending limits for this channel and user)
+   * Usage: /od-budget [--override <duration> | --override off]
+   */
+  async function handleBudget(ctx, args = '') {
+    const usage = `Usage: \`${commandPrefix}-budget [--override <duration> | --override off]\``;
+    const tokens = tokenize(args || '');
+    if (tokens.error) {
+      await ctx.reply(tokens.error);
+      return;
+    }
+
+    if (!budgets.enabled) {
+      await ctx.reply('No budgets are configured. Set `OD_BUDGETS` or `OD_BUDGETS_FILE` to limit spending.');
+      return;
+    }
+
+    const { channelId } = billingContext(ctx);
+    if (tokens[0] === '--override') {
+      const value = (tokens[1] || '').toLowerCase();
+      if (value === 'off') {
+        const cleared = budgets.clearOverride(channelId);
+        await ctx.reply(cleared ? 'Budget override ended; hard limits apply again in this channel.' : 'No budget override is active in this channel.');
+        return;
+      }
+      const ms = parseDuration(value);
+      if (!ms || tokens.length > 2) {
+        await ctx.reply(`--override expects a duration like 30m, 2h or 1d, or \`off\`.\n${usage}`);
+        return;
+      }
+      const until = new Date(Date.now() + ms);
+      budgets.override(channelId, until);
+      console.log(`[BotEngine] Budget override in ${channelId} by ${ctx.userId || 'unknown'} until ${until.toISOString()}`);
+      await ctx.reply(`🔓 Hard budget limits are lifted in this channel until ${formatResetTime(until)}. Spending is still recorded.`);
+      return;
+    }
+
+    if (tokens.length > 0) {
+      await ctx.reply(usage);
+      return;
+    }
+
+    const statuses = budgets.statusFor(billingContext(ctx));
+    if (statuses.length === 0) {
+      await ctx.reply('No budgets apply to you in this channel.');
+      return;
+    }
+
+    const fields = statuses.map((status) => {
+      const limits = [
+        status.soft && `warn at $${status.soft.toFixed(2)}`,
+        status.hard && `limit $${status.hard.toFixed(2)}`
+      ].filter(Boolean).join(', ');
+      const name = describeBudget(status);
+      return [
+        name.charAt(0).toUpperCase() + name.slice(1),
+        `$${status.spentUsd.toFixed(2)} spent (${limits}) · resets ${formatResetTime(status.resetsAt)}`
+      ];
+    });
+    const overriddenUntil = budgets.overrideFor(channelId);
+    const footer = overriddenUntil ? `Hard limits lifted in this channel until ${formatResetTime(overriddenUntil)}` : null;
+
+    if (chatProvider.supportsCards) {
+      await chatProvider.sendCard(ctx.channelId, {
+        title: 'Budgets',
+        color: '#0099ff',
+        fields: fields.map(([name, value]) => ({ name, value, inline: false })),
+        footer: footer || undefined
+      });
+    } else {
+      const lines = fields.map(([name, value]) => `- **${name}:** ${value}`);
+      await ctx.reply(`**Budgets:**\n${lines.join('\n')}${footer ? `\n_${footer}_` : ''}`);
+    }
+  }
+
+  /**
+   * Send a message to an AI instance, queueing it behind any prompt
+   * that is already running on the same instance
+   */
+  async function sendMessageToInstance(ctx, instanceId, message, files = []) {
     const instance = aiBackend.getInstance(instanceId);
 
     if (!instance) {
@@ -637,9 +1663,88 @@ function createBotEngine(options) {
       return;
     }
 
+    const refusal = budgetRefusal(ctx);
+    if (refusal) {
+      await ctx.reply(refusal);
+      return;
+    }
+
+    // Thread instances keep their output in the thread, wherever the prompt came from
+    const thread = threadByInstance.get(instanceId);
+    const runCtx = thread && thread.threadId !== ctx.channelId
+      ? {
+          ...ctx,
+          channelId: thread.threadId,
+          parentChannelId: thread.parentChannelId,
+          reply: (text, options) => chatProvider.sendMessage(thread.threadId, text, options)
+        }
+      : ctx;
+    if (runCtx !== ctx) {
+      await ctx.reply(`_Sent to **${instanceId}** — replies are in its thread._`);
+    }
+
+    const queued = queueManager.enqueue(instanceId, {
+      prompt: message,
+      userId: ctx.userId,
+      run: () => runOnInstance(runCtx, instanceId, message, files)
+    });
+
+    if (!queued.accepted) {
+      await ctx.reply(`_${queued.error}. Try again later or clear it with \`${commandPrefix}-queue ${instanceId} --clear\`._`);
+      return;
+    }
+
+    if (queued.position > 0) {
+      await ctx.reply(`_Queued #${queued.position} for **${instanceId}** — it will run when the current prompt finishes._`);
+    }
+
+    await queued.done;
+  }
+
+  /**
+   * Save a message's attachments in the instance's project and list them in the prompt
+   * @param {Object} ctx
+   * @param {string} instanceId
+   * @param {Object} instance
+   * @param {string} text - Message text
+   * @returns {Promise<{prompt: string, files: Object[]}>}
+   */
+  async function attachFiles(ctx, instanceId, instance, text) {
+    // Remote agents (Sprites) can't read files saved on this machine
+    const { files, errors } = aiBackend.localWorkspace
+      ? await stageAttachments(ctx.attachments, { projectDir: instance.projectDir, instanceId })
+      : { files: [], errors: [`${ctx.attachments.length === 1 ? 'The file' : 'Files'} can't be attached: this agent runs remotely`] };
+    if (errors.length > 0) {
+      await ctx.reply(`_${errors.join('. ')}._`);
+    }
+    return { prompt: describeAttachments(text, files), files };
+  }
+
+  /**
+   * Run a single prompt on an AI instance and handle the response.
+   * Only called by the instance queue, so runs never overlap.
+   */
+  async function runOnInstance(ctx, instanceId, message, files = []) {
+    // The instance may have been stopped while this prompt was queued
+    if (!aiBackend.getInstance(instanceId)) {
+      return;
+    }
+
+    // Earlier prompts in the queue may have used up a budget
+    const refusal = budgetRefusal(ctx);
+    if (refusal) {
+      await ctx.reply(refusal);
+      return;
+    }
+
     // Show typing indicator
     await chatProvider.sendTypingIndicator(ctx.channelId);
 
+    // Watchers see who asked what before the output arrives
+    const who = ctx.userName || ctx.userId || 'someone';
+    await postToWatchers(watchersOf(instanceId, ctx.channelId), id =>
+      chatProvider.sendLongMessage(id, `_**${instanceId}** ← ${who}:_\n${message}`));
+
     // Optional "Thinking..." message
     let thinkingMessageId = null;
     let thinkingDeleted = false;
@@ -671,6 +1776,42 @@ function createBotEngine(options) {
     const streamedTexts = new Set();
     let didStream = false;
 
+    // Progress lines for tool use ("Edited src/app.js"), batched like Sprite output
+    const verbosity = verbosityFor(instanceId);
+    const progress = streamResponses && verbosity !== 'quiet'
+      ? createRunOutput(ctx.channelId, { codeBlock: false })
+      : null;
+    const instance = aiBackend.getInstance(instanceId);
+    const formatter = createProgressFormatter({ verbosity, cwd: instance && instance.projectDir });
+    // One output per watcher, created when it first gets a line (watchers may join mid-run)
+    const watcherProgress = new Map();
+    const allProgress = () => [progress, ...watcherProgress.values()];
+    const flushProgress = async () => {
+      await Promise.all(allProgress().map(output => output.flush()));
+    };
+    const onEvent = progress
+      ? async (event) => {
+          // Live panels show the tool that is running
+          if (event.type === AgentEventType.TOOL_CALL) {
+            const activity = describeActiveTool(event.name, event.input, instance && instance.projectDir);
+            for (const output of allProgress()) output.setActivity(activity);
+          } else if (event.type === AgentEventType.TOOL_RESULT) {
+            for (const output of allProgress()) output.setActivity(null);
+          }
+
+          const line = formatter.format(event);
+          if (!line) return;
+          await deleteThinkingMessage();
+          progress.push(line);
+          for (const id of watchersOf(instanceId, ctx.channelId)) {
+            if (!watcherProgress.has(id)) {
+              watcherProgress.set(id, createRunOutput(id, { codeBlock: false }));
+            }
+            watcherProgress.get(id).push(line);
+          }
+        }
+      : null;
+
     // Prepare streaming callback - sends messages to chat in real-time
     const onMessage = streamResponses
       ? async (text) => {
@@ -684,43 +1825,421 @@ function createBotEngine(options) {
           streamedTexts.add(text);
           didStream = true;
 
+          // Keep progress lines ahead of the text that follows them
+          if (progress) await flushProgress();
+
           // Send to chat immediately
           try {
             await chatProvider.sendLongMessage(ctx.channelId, text);
           } catch (e) {
             console.error('[BotEngine] Failed to stream message:', e);
           }
+          await postToWatchers(watchersOf(instanceId, ctx.channelId), id => chatProvider.sendLongMessage(id, text));
         }
       : null;
 
     // Send to AI backend
     const result = await aiBackend.sendToInstance(instanceId, message, {
-      onMessage
+      onMessage,
+      onEvent,
+      userId: ctx.userId,
+      attachments: files
     });
 
     // Delete thinking message if we haven't already
     await deleteThinkingMessage();
 
+    if (progress) {
+      await Promise.all(allProgress().map(output => output.close()));
+    }
+
+    // Cancelled runs still spent tokens
+    if (result.usage) {
+      await recordUsage(ctx, instanceId, result.usage);
+    }
+
+    // od-cancel already posted the cancellation card
+    if (result.cancelled) {
+      return;
+    }
+
     // Send response (only if we didn't stream, or streaming failed)
+    const watchers = watchersOf(instanceId, ctx.channelId);
     if (result.success) {
       if (!didStream && result.responses && result.responses.length > 0) {
         for (const response of result.responses) {
           await chatProvider.sendLongMessage(ctx.channelId, response);
+          await postToWatchers(watchers, id => chatProvider.sendLongMessage(id, response));
         }
       }
+      await postToWatchers(watchers, id => chatProvider.supportsCards
+        ? chatProvider.sendCard(id, {
+          title: `${aiName} — ${instanceId} Finished`,
+          color: '#00ff00',
+          fields: result.usage ? [{ name: 'Usage', value: formatUsage(result.usage), inline: true }] : [],
+          footer: `Mirrored by ${commandPrefix}-watch`
+        })
+        : chatProvider.sendMessage(id, `_**${instanceId}** finished._`));
     } else {
       if (chatProvider.supportsCards) {
-        await chatProvider.sendCard(ctx.channelId, {
+        const card = {
           title: 'Error',
           color: '#ff0000',
           description: result.error
+        };
+        await chatProvider.sendCard(ctx.channelId, {
+          ...card,
+          actions: [
+            retryButton('send', `${instanceId} ${message}`),
+            commandButton('Stop', 'stop', instanceId, 'danger')
+          ]
         });
+        await postToWatchers(watchers, id => chatProvider.sendCard(id, { ...card, footer: `Instance ${instanceId}` }));
       } else {
         await ctx.reply(`_Error: ${result.error}_`);
+        await postToWatchers(watchers, id => chatProvider.sendMessage(id, `_Error from **${instanceId}**: ${result.error}_`));
       }
     }
   }
 
+  /**
+   * Handle the 'watch' command (mirror an instance's output here)
+   * Usage: /od-watch [name]
+   */
+  async function handleWatch(ctx, args) {
+    const instanceId = args.trim();
+
+    if (!instanceId) {
+      const watching = [...watchersByInstance].filter(([, ids]) => ids.has(ctx.channelId)).map(([id]) => id);
+      await ctx.reply(watching.length > 0
+        ? `Watching here: ${watching.map(id => `**${id}**`).join(', ')}`
+        : `Usage: \`${commandPrefix}-watch <name>\` — mirror an agent's output to this channel`);
+      return;
+    }
+
+    const instance = aiBackend.getInstance(instanceId);
+    if (!instance) {
+      await ctx.reply(`Instance "${instanceId}" not found.`);
+      return;
+    }
+    const instanceChannel = instance.channel || instance.channelId;
+    if (instanceChannel === ctx.channelId) {
+      await ctx.reply(`**${instanceId}** already replies in this channel.`);
+      return;
+    }
+
+    // Watching copies the agent's prompts and output here, so the caller
+    // also needs the role in the agent's own channel
+    if (!await authorizeInstance(ctx, instanceId, 'watch', args)) return;
+
+    if (!watchersByInstance.has(instanceId)) watchersByInstance.set(instanceId, new Set());
+    watchersByInstance.get(instanceId).add(ctx.channelId);
+    console.log(`[BotEngine] ${ctx.channelId} watching ${instanceId}`);
+    await ctx.reply(`Watching **${instanceId}** — its output will be mirrored here. Stop with \`${commandPrefix}-unwatch ${instanceId}\`.`);
+  }
+
+  /**
+   * Handle the 'unwatch' command
+   * Usage: /od-unwatch [name] (no name stops watching everything here)
+   */
+  async function handleUnwatch(ctx, args) {
+    const instanceId = args.trim();
+    const targets = instanceId ? [instanceId] : [...watchersByInstance.keys()];
+    const removed = targets.filter(id => {
+      const watchers = watchersByInstance.get(id);
+      if (!watchers || !watchers.delete(ctx.channelId)) return false;
+      if (watchers.size === 0) watchersByInstance.delete(id);
+      return true;
+    });
+
+    if (removed.length === 0) {
+      await ctx.reply(instanceId ? `This channel isn't watching "${instanceId}".` : 'This channel isn\'t watching any agents.');
+      return;
+    }
+    await ctx.reply(`Stopped watching ${removed.map(id => `**${id}**`).join(', ')}.`);
+  }
+
+  /**
+   * Handle the 'verbosity' command (progress lines for one instance)
+   * Usage: /od-verbosity [name] [quiet | normal | verbose]
+   */
+  async function handleVerbosity(ctx, args) {
+    const tokens = args.trim().split(/\s+/).filter(Boolean);
+    const level = tokens.length > 0 && isVerbosity(tokens[tokens.length - 1]) ? tokens.pop() : null;
+    let instanceId = tokens[0];
+    if (!instanceId) {
+      const found = aiBackend.getInstanceByChannel(ctx.channelId);
+      instanceId = found ? found.instanceId : null;
+    }
+
+    if (!instanceId || tokens.length > 1) {
+      await ctx.reply(`Usage: \`${commandPrefix}-verbosity [name] [${VERBOSITY_LEVELS.join(' | ')}]\``);
+      return;
+    }
+    if (!aiBackend.getInstance(instanceId)) {
+      await ctx.reply(`Instance "${instanceId}" not found.`);
+      return;
+    }
+
+    if (!await authorizeInstance(ctx, instanceId, 'verbosity', args)) return;
+
+    if (!level) {
+      await ctx.reply(`Verbosity for **${instanceId}**: \`${verbosityFor(instanceId)}\` (${VERBOSITY_LEVELS.join(', ')})`);
+      return;
+    }
+
+    verbosityByInstance.set(instanceId, level);
+    await ctx.reply(`Verbosity for **${instanceId}** set to \`${level}\`.`);
+  }
+
+  /**
+   * Check that a model can be requested on this backend
+   * @param {string|null} model - null only checks that the backend supports models
+   * @returns {string|null} Error message, or null if allowed
+   */
+  function modelError(model) {
+    if (!aiBackend.setModel) {
+      return `${aiName} agents can't choose a model.`;
+    }
+    if (model && allowedModels.length > 0 && !allowedModels.includes(model)) {
+      return `Model "${model}" is not allowed. Use: ${allowedModels.join(', ')}`;
+    }
+    return null;
+  }
+
+  /**
+   * Handle the 'model' command (show or switch an instance's model)
+   * Usage: /od-model [name] [model | default]
+   */
+  async function handleModel(ctx, args) {
+    const tokens = args.trim().split(/\s+/).filter(Boolean);
+    // A single token is the instance name if one exists, otherwise the model for this channel's instance
+    let instanceId = tokens.length === 2 || (tokens.length === 1 && aiBackend.getInstance(tokens[0]))
+      ? tokens.shift()
+      : null;
+    const model = tokens.shift() || null;
+    if (!instanceId) {
+      const found = aiBackend.getInstanceByChannel(ctx.channelId);
+      instanceId = found ? found.instanceId : null;
+    }
+
+    if (!instanceId || tokens.length > 0) {
+      await ctx.reply(`Usage: \`${commandPrefix}-model [name] [model | default]\``);
+      return;
+    }
+    const instance = aiBackend.getInstance(instanceId);
+    if (!instance) {
+      await ctx.reply(`Instance "${instanceId}" not found.`);
+      return;
+    }
+
+    if (!await authorizeInstance(ctx, instanceId, 'model', args)) return;
+
+    if (!model) {
+      const current = instance.model || aiBackend.model || 'default';
+      const allowed = allowedModels.length > 0 ? ` (allowed: ${allowedModels.join(', ')})` : '';
+      await ctx.reply(`Model for **${instanceId}**: \`${current}\`${allowed}`);
+      return;
+    }
+
+    const reset = model.toLowerCase() === 'default';
+    const error = modelError(reset ? null : model);
+    if (error) {
+      await ctx.reply(error);
+      return;
+    }
+
+    const result = aiBackend.setModel(instanceId, reset ? null : model);
+    if (!result.success) {
+      await ctx.reply(result.error);
+      return;
+    }
+    const shown = reset ? (aiBackend.model || 'the default model') : `\`${model}\``;
+    console.log(`[BotEngine] Model for ${instanceId} set to ${reset ? 'default' : model}`);
+    await ctx.reply(`**${instanceId}** will use ${shown} from the next message. The conversation continues in the same session.`);
+  }
+
+  // ============================================
+  // TOOL PERMISSION APPROVALS
+  // ============================================
+
+  /**
+   * Post an Approve/Deny prompt for a tool call in the instance's channel
+   * @param {Object} request - PermissionRequest from the bridge
+   */
+  async function postApprovalPrompt(request) {
+    const instance = aiBackend.getInstance(request.instanceId);
+    const channelId = instance && (instance.channel || instance.channelId);
+    if (!channelId) {
+      permissionBridge.decide(request.requestId, {
+        allow: false,
+        message: 'No chat channel is bound to this instance to ask for approval.'
+      });
+      return;
+    }
+
+    const shortId = request.requestId.substring(0, 8);
+    const seconds = Math.round((request.expiresAt - request.createdAt) / 1000);
+    await chatProvider.sendActions(channelId, {
+      title: `Approval needed: ${request.toolName}`,
+      color: '#ff9900',
+      description: `**${request.instanceId}** wants to use \`${request.toolName}\`:\n\`\`\`\n${formatToolInput(request.input)}\n\`\`\``,
+      footer: `Denied automatically after ${seconds}s. ` +
+        `Or type ${commandPrefix}-approve ${shortId} / ${commandPrefix}-deny ${shortId} [reason]`
+    }, [
+      { id: `perm:allow:${request.requestId}`, label: 'Approve', style: 'primary' },
+      { id: `perm:deny:${request.requestId}`, label: 'Deny', style: 'danger' }
+    ]);
+  }
+
+  /**
+   * Tell the channel a prompt expired and the tool call was denied
+   * @param {Object} request - PermissionRequest from the bridge
+   */
+  async function announceApprovalTimeout(request) {
+    const instance = aiBackend.getInstance(request.instanceId);
+    const channelId = instance && (instance.channel || instance.channelId);
+    if (!channelId) return;
+    const seconds = Math.round((request.expiresAt - request.createdAt) / 1000);
+    await chatProvider.sendMessage(channelId,
+      `⏱️ No decision on \`${request.toolName}\` for **${request.instanceId}** within ${seconds}s — denied.`);
+  }
+
+  /**
+   * Apply a decision and report it in chat
+   * @param {Object} ctx
+   * @param {string} requestId
+   * @param {boolean} allow
+   * @param {string} [reason] - Passed to Claude on deny
+   */
+  async function decideApproval(ctx, requestId, allow, reason) {
+    const decidedBy = ctx.userName || ctx.userId || 'unknown user';
+    const result = permissionBridge.decide(requestId, {
+      allow,
+      decidedBy,
+      message: !allow && reason ? `Denied by ${decidedBy}: ${reason}` : undefined
+    });
+
+    if (!result.success) {
+      await ctx.reply(result.error);
+      return;
+    }
+
+    const { toolName, instanceId } = result.request;
+    console.log(`[BotEngine] ${allow ? 'Approved' : 'Denied'} ${toolName} for ${instanceId} (by ${decidedBy})`);
+    await ctx.reply(allow
+      ? `✅ **${decidedBy}** approved \`${toolName}\` for **${instanceId}**.`
+      : `🚫 **${decidedBy}** denied \`${toolName}\` for **${instanceId}**.${reason ? ` Reason: ${reason}` : ''}`);
+  }
+
+  /**
+   * Handle the 'approve' and 'deny' commands (text fallback for buttons)
+   * Usage: /od-approve [requestId], /od-deny [requestId] [reason]
+   */
+  async function handleApproval(ctx, args, allow) {
+    if (!permissionBridge) {
+      await ctx.reply('Tool approvals are not enabled. Set `PERMISSION_APPROVALS=true` and use a permission mode other than bypassPermissions.');
+      return;
+    }
+
+    // Requests for this channel's agent; admins may answer any agent's by ID
+    const pending = permissionBridge.listPending();
+    const found = aiBackend.getInstanceByChannel(ctx.channelId);
+    const local = found ? pending.filter(r => r.instanceId === found.instanceId) : [];
+    const isAdmin = accessControl.roleFor(ctx.userId, billingContext(ctx).channelId) === Roles.ADMIN;
+
+    // The first word is a request ID prefix (8+ hex digits) if it matches one;
+    // otherwise it's part of the reason
+    const words = args.trim().split(/\s+/).filter(Boolean);
+    const idPrefix = /^[0-9a-f]{8}[0-9a-f-]*$/i.test(words[0] || '') ? words[0].toLowerCase() : null;
+    let candidates = idPrefix ? (isAdmin ? pending : local).filter(r => r.requestId.startsWith(idPrefix)) : [];
+    let reason = words.slice(1).join(' ');
+
+    if (candidates.length === 0) {
+      candidates = local;
+      reason = words.join(' ');
+    }
+
+    if (candidates.length === 0) {
+      await ctx.reply('No pending approvals here.');
+      return;
+    }
+    if (candidates.length > 1) {
+      const ids = candidates.map(r => `\`${r.requestId.substring(0, 8)}\` (${r.toolName})`).join(', ');
+      await ctx.reply(`${candidates.length} approvals are pending: ${ids}. Specify one.`);
+      return;
+    }
+
+    await decideApproval(ctx, candidates[0].requestId, allow, allow ? '' : reason);
+  }
+
+  if (permissionBridge) {
+    permissionBridge.onRequest(postApprovalPrompt);
+    permissionBridge.onTimeout(announceApprovalTimeout);
+  }
+
+  // ============================================
+  // ACCESS CONTROL
+  // ============================================
+
+  /**
+   * Check the caller's role for an action, replying with a denial if needed
+   * @param {Object} ctx
+   * @param {string} command - Command name, or 'message' for plain chat
+   * @param {string} [args]
+   * @returns {Promise<boolean>} True if allowed
+   */
+  async function authorize(ctx, command, args) {
+    const result = accessControl.check(billingContext(ctx), command, args);
+    if (result.allowed) return true;
+
+    console.log(`[BotEngine] Denied ${result.action} for user ${ctx.userId || 'unknown'} (role: ${result.role}, needs: ${result.required})`);
+    await ctx.reply(formatDenial(result, `${commandPrefix}-${result.action}`));
+    return false;
+  }
+
+  /**
+   * Channel whose roles govern an instance: a thread instance's parent
+   * channel, otherwise the channel it replies in
+   * @param {string} instanceId
+   * @returns {string|null}
+   */
+  function homeChannelOf(instanceId) {
+    const thread = threadByInstance.get(instanceId);
+    if (thread) return thread.parentChannelId;
+    const instance = aiBackend.getInstance(instanceId);
+    return instance ? (instance.channel || instance.channelId || null) : null;
+  }
+
+  /**
+   * Check the caller's role in the channel a named agent or job belongs to.
+   * Commands can target agents in other channels, and the role checked by
+   * authorize() is only the one in the calling channel.
+   * @param {Object} ctx
+   * @param {string} command
+   * @param {string} args
+   * @param {string} target - Agent name or job label, for the denial
+   * @param {string|null} channelId - The target's channel; null skips the check
+   * @returns {Promise<boolean>} True if allowed
+   */
+  async function authorizeTarget(ctx, command, args, target, channelId) {
+    if (!channelId || channelId === billingContext(ctx).channelId) return true;
+    const result = accessControl.check({ userId: ctx.userId, channelId }, command, args);
+    if (result.allowed) return true;
+
+    console.log(`[BotEngine] Denied ${result.action} on ${target} for user ${ctx.userId || 'unknown'} (role there: ${result.role}, needs: ${result.required})`);
+    await ctx.reply(`🔒 You need the **${result.required}** role in **${target}**'s channel to use \`${commandPrefix}-${result.action}\` on it (your role there: ${result.role}).`);
+    return false;
+  }
+
+  /**
+   * authorizeTarget() for an instance, in its home channel
+   * @returns {Promise<boolean>} True if allowed
+   */
+  function authorizeInstance(ctx, instanceId, command, args) {
+    return authorizeTarget(ctx, command, args, instanceId, homeChannelOf(instanceId));
+  }
+
   // ============================================
   // EVENT WIRING
   // ============================================
@@ -730,6 +2249,51 @@ function createBotEngine(options) {
    */
   chatProvider.onCommand(async (ctx, command, args) => {
     console.log(`[BotEngine] Command: ${command}, Args: ${args}`);
+    await runCommand(ctx, command, args);
+  });
+
+  /**
+   * Handle button clicks: approvals, and commands behind card buttons
+   * (checked against the clicking user's role, like typed commands)
+   */
+  chatProvider.onAction(async (ctx, actionId) => {
+    console.log(`[BotEngine] Action: ${actionId}`);
+
+    const approval = actionId.match(/^perm:(allow|deny):(.+)$/);
+    if (approval) {
+      if (!permissionBridge) return;
+      const allow = approval[1] === 'allow';
+      if (!await authorize(ctx, allow ? 'approve' : 'deny')) return;
+      await decideApproval(ctx, approval[2], allow);
+      return;
+    }
+
+    const command = actionId.match(/^cmd:([a-z]+):(.*)$/s);
+    if (command) {
+      await runCommand(ctx, command[1], command[2]);
+      return;
+    }
+
+    const retry = actionId.match(/^retry:(.+)$/);
+    if (retry) {
+      const replay = retryCommands.get(retry[1]);
+      if (!replay) {
+        await ctx.reply('_That button has expired. Run the command again._');
+        return;
+      }
+      await runCommand(ctx, replay.command, replay.args);
+    }
+  });
+
+  /**
+   * Check the caller's role, then run a command
+   * @param {Object} ctx
+   * @param {string} command - Command name without the prefix
+   * @param {string} args
+   */
+  async function runCommand(ctx, command, args) {
+    const known = COMMANDS.includes(command.toLowerCase());
+    if (!await authorize(ctx, known ? command : 'help', args)) return;
 
     switch (command.toLowerCase()) {
       case 'start':
@@ -741,6 +2305,9 @@ function createBotEngine(options) {
       case 'list':
         await handleList(ctx);
         break;
+      case 'status':
+        await handleStatus(ctx, args);
+        break;
       case 'send':
         await handleSend(ctx, args);
         break;
@@ -748,32 +2315,85 @@ function createBotEngine(options) {
         await handleRun(ctx, args);
         break;
       case 'jobs':
-        await handleJobs(ctx);
+        await handleJobs(ctx, args);
+        break;
+      case 'logs':
+        await handleLogs(ctx, args);
+        break;
+      case 'queue':
+        await handleQueue(ctx, args);
+        break;
+      case 'cancel':
+        await handleCancel(ctx, args);
+        break;
+      case 'verbosity':
+        await handleVerbosity(ctx, args);
+        break;
+      case 'watch':
+        await handleWatch(ctx, args);
+        break;
+      case 'unwatch':
+        await handleUnwatch(ctx, args);
+        break;
+      case 'usage':
+        await handleUsage(ctx, args);
+        break;
+      case 'budget':
+        await handleBudget(ctx, args);
+        break;
+      case 'model':
+        await handleModel(ctx, args);
+        break;
+      case 'approve':
+        await handleApproval(ctx, args, true);
+        break;
+      case 'deny':
+        await handleApproval(ctx, args, false);
         break;
       default:
         await ctx.reply(
           `Unknown command: ${command}\n\n` +
           `**Available commands:**\n` +
-          `- \`${commandPrefix}-start [name] [--image <alias>] [path]\` - Start a conversation\n` +
+          `- \`${commandPrefix}-start [name] [--thread] [--image <alias>] [--model <id>] [--mode <mode>] [--allow <tool>] [--deny <tool>] [--verbosity <level>] [path | @project]\` - Start a conversation\n` +
           `- \`${commandPrefix}-run [--image <alias>] <task>\` - Run a one-shot task\n` +
           `- \`${commandPrefix}-stop <name> | --all\` - Stop agent(s)\n` +
           `- \`${commandPrefix}-list\` - List active agents\n` +
+          `- \`${commandPrefix}-status [name]\` - Show details for one agent\n` +
           `- \`${commandPrefix}-send <name> <message>\` - Send to instance\n` +
-          `- \`${commandPrefix}-jobs\` - List recent jobs`
+          `- \`${commandPrefix}-jobs [--status <s>] [--mine] [--here] [--page <n>]\` - List recent jobs\n` +
+          `- \`${commandPrefix}-logs <jobId> [--tail N] [--since 5m] [--grep "text|other text"]\` - Show a job's output (lines containing any of the texts)\n` +
+          `- \`${commandPrefix}-queue <name> [--clear]\` - Show or clear queued prompts\n` +
+          `- \`${commandPrefix}-cancel <name | jobId>\` - Cancel the run in progress\n` +
+          `- \`${commandPrefix}-verbosity [name] [quiet | normal | verbose]\` - Show or set tool progress lines\n` +
+          `- \`${commandPrefix}-watch <name>\` / \`${commandPrefix}-unwatch [name]\` - Mirror an agent's output to this channel\n` +
+          `- \`${commandPrefix}-model [name] [model | default]\` - Show or switch an agent's model\n` +
+          `- \`${commandPrefix}-usage [--since 7d] [--by user | channel | instance | day]\` - Token and cost report\n` +
+          `- \`${commandPrefix}-budget [--override <duration> | --override off]\` - Show spending limits, or lift them in this channel\n` +
+          `- \`${commandPrefix}-approve [id]\` / \`${commandPrefix}-deny [id] [reason]\` - Answer a tool approval prompt`
         );
     }
-  });
+  }
 
   /**
    * Handle incoming messages (route to active instance)
    */
   chatProvider.onMessage(async (ctx, text) => {
-    // Find instance by channel
-    const found = aiBackend.getInstanceByChannel(ctx.channelId);
+    // Find instance by channel; thread replies fall back to the channel's instance
+    const found = aiBackend.getInstanceByChannel(ctx.channelId) ||
+      (ctx.parentChannelId ? aiBackend.getInstanceByChannel(ctx.parentChannelId) : null);
 
     if (found) {
+      if (!await authorize(ctx, 'message')) return;
+
+      let prompt = text;
+      let files = [];
+      if (ctx.attachments && ctx.attachments.length > 0) {
+        ({ prompt, files } = await attachFiles(ctx, found.instanceId, found.instance, text));
+      }
+      if (!prompt.trim()) return;
+
       console.log(`[BotEngine] Routing message to instance: ${found.instanceId}`);
-      await sendMessageToInstance(ctx, found.instanceId, text);
+      await sendMessageToInstance(ctx, found.instanceId, prompt, files);
     }
     // If no instance, ignore the message (don't spam help in every channel)
   });
@@ -810,6 +2430,9 @@ function createBotEngine(options) {
      * Start the bot
      */
     async start() {
+      if (permissionBridge) {
+        await permissionBridge.start();
+      }
       await chatProvider.initialize();
       await chatProvider.start();
       console.log(`[BotEngine] Started with ${chatProvider.name} provider and ${aiName} backend`);
@@ -820,6 +2443,9 @@ function createBotEngine(options) {
      */
     async stop() {
       await chatProvider.stop();
+      if (permissionBridge) {
+        await permissionBridge.stop();
+      }
       console.log('[BotEngine] Stopped');
     },
 
@@ -846,4 +2472,7 @@ function createBotEngine(options) {
   };
 }
 
-module.exports = { createBotEngine, _test: { generateName, tokenize, looksLikePath } };
+module.exports = {
+  createBotEngine,
+  _test: { generateName, tokenize, looksLikePath, parseDuration, formatLogEntry, formatAgo, formatUsage, formatUsageTotals, formatToolInput }
+};
@@ -0,0 +1,258 @@
+/**
+ * Budgets
+ *
+ * Spending limits on agent usage, checked by bot-engine before each turn.
+ * Spend comes from the usage tracker (see usage-tracker.js). Crossing a
+ * soft limit posts a warning once per period; at a hard limit new turns
+ * are refused until the period resets or an admin overrides the channel
+ * with od-budget.
+ *
+ * Config shape (JSON, amounts in USD, periods are UTC days / months):
+ *   {
+ *     "global":   { "daily": { "soft": 20, "hard": 50 }, "monthly": { "hard": 500 } },
+ *     "channel":  { "daily": { "hard": 10 } },           // every channel
+ *     "user":     { "daily": { "soft": 2, "hard": 5 } },  // every user
+ *     "channels": { "C456": { "monthly": { "hard": 100 } } },  // replaces "channel" here ("slack:C456" too)
+ *     "users":    { "U123": { "daily": { "hard": 20 } } }      // replaces "user" here ("slack:U123" too)
+ *   }
+ *
+ * With no config, nothing is limited.
+ */
+
+const fs = require('fs');
+const { lookupId } = require('./channel-ids');
+
+const PERIODS = ['daily', 'monthly'];
+
+/**
+ * Start of the UTC day or month containing `now`
+ * @param {string} period - daily | monthly
+ * @param {Date} now
+ * @returns {Date}
+ */
+function periodStart(period, now) {
+  return period === 'daily'
+    ? new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()))
+    : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+}
+
+/**
+ * When the period containing `now` ends
+ * @param {string} period - daily | monthly
+ * @param {Date} now
+ * @returns {Date}
+ */
+function periodEnd(period, now) {
+  return period === 'daily'
+    ? new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1))
+    : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+}
+
+/**
+ * Validate one { daily, monthly } limits block from config
+ */
+function assertLimits(limits, where) {
+  if (!limits || typeof limits !== 'object') {
+    throw new Error(`Invalid budget at ${where}: expected an object`);
+  }
+  for (const [period, limit] of Object.entries(limits)) {
+    if (!PERIODS.includes(period)) {
+      throw new Error(`Invalid budget period "${period}" at ${where}. Use: ${PERIODS.join(', ')}`);
+    }
+    for (const level of ['soft', 'hard']) {
+      const amount = limit && limit[level];
+      if (amount !== undefined && !(typeof amount === 'number' && amount > 0)) {
+        throw new Error(`Invalid ${level} limit at ${where}.${period}: expected a positive number of USD`);
+      }
+    }
+  }
+}
+
+/**
+ * @typedef {Object} BudgetStatus
+ * @property {string} scope - global | channel | user
+ * @property {string|null} id - Channel or user ID (null for global)
+ * @property {string} period - daily | monthly
+ * @property {number|undefined} soft - Soft limit in USD
+ * @property {number|undefined} hard - Hard limit in USD
+ * @property {number} spentUsd - Spent so far this period
+ * @property {Date} resetsAt - When the period ends
+ */
+
+/**
+ * Create a budget checker
+ * @param {Object|null} config - See module docs; null/undefined disables budgets
+ * @param {Object} options
+ * @param {Object} options.usageTracker - From createUsageTracker()
+ * @returns {Object} Budgets with statusFor/check/warnings/override methods
+ */
+function createBudgets(config, options = {}) {
+  const { usageTracker } = options;
+  const enabled = Boolean(config);
+  const cfg = config || {};
+
+  if (enabled && !usageTracker) {
+    throw new Error('Budgets require a usageTracker');
+  }
+  for (const scope of ['global', 'channel', 'user']) {
+    if (cfg[scope]) assertLimits(cfg[scope], scope);
+  }
+  for (const [id, limits] of Object.entries(cfg.channels || {})) assertLimits(limits, `channels.${id}`);
+  for (const [id, limits] of Object.entries(cfg.users || {})) assertLimits(limits, `users.${id}`);
+
+  // Soft limits already announced: "scope|id|period|periodStart"
+  const warned = new Set();
+  // Channel ID → Date until which hard limits are lifted
+  const overrides = new Map();
+
+  /**
+   * Every budget that applies to a user in a channel, with spend so far
+   * @param {{channelId?: string, userId?: string}} ctx
+   * @param {Date} [now=new Date()]
+   * @returns {BudgetStatus[]}
+   */
+  function statusFor(ctx, now = new Date()) {
+    if (!enabled) return [];
+
+    const scopes = [
+      ['global', null, cfg.global, {}],
+      ['channel', ctx.channelId, ctx.channelId && (lookupId(cfg.channels, ctx.channelId) || cfg.channel), { channelId: ctx.channelId }],
+      ['user', ctx.userId, ctx.userId && (lookupId(cfg.users, ctx.userId) || cfg.user), { userId: ctx.userId }]
+    ];
+
+    const statuses = [];
+    for (const [scope, id, limits, filters] of scopes) {
+      if (!limits) continue;
+      for (const period of PERIODS) {
+        const limit = limits[period];
+        if (!limit || (!limit.soft && !limit.hard)) continue;
+        const { costUsd } = usageTracker.totals({ ...filters, since: periodStart(period, now) });
+        statuses.push({
+          scope,
+          id: id || null,
+          period,
+          soft: limit.soft,
+          hard: limit.hard,
+          spentUsd: costUsd,
+          resetsAt: periodEnd(period, now)
+        });
+      }
+    }
+    return statuses;
+  }
+
+  /**
+   * The active override for a channel, if any
+   * @param {string} channelId
+   * @param {Date} [now=new Date()]
+   * @returns {Date|null} When it expires
+   */
+  function overrideFor(channelId, now = new Date()) {
+    const until = overrides.get(channelId);
+    if (!until) return null;
+    if (until <= now) {
+      overrides.delete(channelId);
+      return null;
+    }
+    return until;
+  }
+
+  return {
+    statusFor,
+    overrideFor,
+
+    /**
+     * Decide whether a new turn may start
+     * @param {{channelId?: string, userId?: string}} ctx
+     * @param {Date} [now=new Date()]
+     * @returns {{allowed: boolean, exceeded: BudgetStatus|null, overriddenUntil: Date|null}}
+     */
+    check(ctx, now = new Date()) {
+      const exceeded = statusFor(ctx, now).find(s => s.hard && s.spentUsd >= s.hard) || null;
+      const overriddenUntil = exceeded ? overrideFor(ctx.channelId, now) : null;
+      return { allowed: !exceeded || Boolean(overriddenUntil), exceeded, overriddenUntil };
+    },
+
+    /**
+     * Soft limits crossed since the last call (each is reported once per period)
+     * @param {{channelId?: string, userId?: string}} ctx
+     * @param {Date} [now=new Date()]
+     * @returns {BudgetStatus[]}
+     */
+    warnings(ctx, now = new Date()) {
+      return statusFor(ctx, now).filter((status) => {
+        if (!status.soft || status.spentUsd < status.soft) return false;
+        const key = [status.scope, status.id, status.period, periodStart(status.period, now).toISOString()].join('|');
+        if (warned.has(key)) return false;
+        warned.add(key);
+        return true;
+      });
+    },
+
+    /**
+     * Lift hard limits in a channel until a given time
+     * @param {string} channelId
+     * @param {Date} until
+     */
+    override(channelId, until) {
+      overrides.set(channelId, until);
+    },
+
+    /**
+     * End a channel's override early
+     * @param {string} channelId
+     * @returns {boolean} True if one was active
+     */
+    clearOverride(channelId) {
+      return overrides.delete(channelId);
+    },
+
+    get enabled() { return enabled; }
+  };
+}
+
+/**
+ * Name a budget for chat, e.g. "daily budget for channel C123"
+ * @param {BudgetStatus} status
+ * @returns {string}
+ */
+function describeBudget(status) {
+  const owner = status.scope === 'global' ? 'global' : `${status.scope} ${status.id}`;
+  return `${status.period} ${owner} budget`;
+}
+
+/**
+ * Format a reset time, e.g. "2024-02-01 00:00 UTC"
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatResetTime(date) {
+  return `${date.toISOString().substring(0, 16).replace('T', ' ')} UTC`;
+}
+
+/**
+ * Load budget config from the environment.
+ * OD_BUDGETS holds inline JSON; OD_BUDGETS_FILE points to a JSON file.
+ * @returns {Object|null} Parsed config, or null when not configured
+ */
+function loadBudgetConfig() {
+  const inline = process.env.OD_BUDGETS;
+  const filePath = process.env.OD_BUDGETS_FILE;
+
+  try {
+    if (inline) return JSON.parse(inline);
+    if (filePath) return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    // Fail closed: a broken config must not silently remove every limit
+    throw new Error(`Invalid budget config: ${error.message}`);
+  }
+  return null;
+}
+
+module.exports = {
+  PERIODS,
+  createBudgets,
+  loadBudgetConfig,
+  describeBudget,
+  formatResetTime
+};
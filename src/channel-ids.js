@@ -0,0 +1,55 @@
+/**
+ * Channel IDs
+ *
+ * When several chat providers run behind one bot engine (see
+ * providers/multi-provider.js), channel and user IDs are namespaced by
+ * provider ("slack:C123", "teams:19:abc@thread.tacv2", "discord:4242") so
+ * instances, roles and spend from every platform stay apart. Config keyed
+ * by channel or user (access control roles, budgets) may use either form.
+ */
+
+/** Providers whose names prefix channel IDs */
+const PROVIDER_NAMES = ['slack', 'teams', 'discord'];
+
+/**
+ * Prefix a provider's channel ID with the provider name
+ * @param {string} providerName
+ * @param {string} channelId
+ * @returns {string}
+ */
+function namespaceChannel(providerName, channelId) {
+  return `${providerName}:${channelId}`;
+}
+
+/**
+ * Split a namespaced channel ID. Only a known provider name counts as a
+ * prefix, since platform IDs contain colons themselves (a plain Teams
+ * conversation ID "19:abc@thread.tacv2" is not provider "19").
+ * @param {string} channelId
+ * @param {string[]} [providerNames] - Prefixes to recognize
+ * @returns {{provider: string, channelId: string}|null}
+ */
+function parseChannel(channelId, providerNames = PROVIDER_NAMES) {
+  const index = typeof channelId === 'string' ? channelId.indexOf(':') : -1;
+  if (index <= 0) return null;
+  const provider = channelId.slice(0, index);
+  if (!providerNames.includes(provider)) return null;
+  return { provider, channelId: channelId.slice(index + 1) };
+}
+
+/**
+ * Look up a channel or user in config keyed by ID (access control roles,
+ * budgets). Keys may be namespaced ("slack:C123") or plain ("C123"), so
+ * configs written for one platform keep working; the namespaced key wins.
+ * @param {Object} map - e.g. { "slack:C123": "operator", "C456": "viewer" }
+ * @param {string} id - Channel or user ID as the engine sees it
+ * @returns {*} The entry, or undefined
+ */
+function lookupId(map, id) {
+  if (!map || !id) return undefined;
+  if (map[id]) return map[id];
+  const parsed = parseChannel(id);
+  return parsed ? map[parsed.channelId] : undefined;
+}
+
+module.exports = { PROVIDER_NAMES, namespaceChannel, parseChannel, lookupId };
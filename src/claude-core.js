@@ -5,37 +5,92 @@
  * the bot implementation for testability and reusability.
  */
 
+const fs = require('fs');
 const { spawn } = require('child_process');
 const { randomUUID } = require('crypto');
 const readline = require('readline');
+const { terminateProcess } = require('./process-utils');
+const { createInstancePersistence } = require('./state-store');
+const { resolvePermissions, permissionArgs, shellQuote } = require('./claude-permissions');
+const { AgentEventType } = require('./agent-events');
+const { isImage } = require('./attachments');
+const { accumulateUsage } = require('./usage-tracker');
+
+const PROCESS_MODES = ['per-message', 'persistent'];
+
+/** Largest image sent as a content block; bigger ones are only listed by path */
+const MAX_IMAGE_BLOCK_BYTES = 5 * 1024 * 1024;
 
 /**
  * Create an instance manager for Claude Code
  * @param {Object} options
  * @param {Function} [options.spawnFn] - Optional spawn function for testing
+ * @param {number} [options.killGraceMs=5000] - Wait between SIGINT and SIGKILL when cancelling
+ * @param {Object} [options.stateStore] - Persist instances across restarts (see state-store.js)
+ * @param {Object} [options.permissionBridge] - Ask in chat before risky tool calls (see permission-bridge.js)
+ * @param {string} [options.model] - Default model for instances started without one (--model)
+ * @param {string} [options.processMode='per-message'] - 'per-message' spawns `claude --resume` for every
+ *   message; 'persistent' keeps one process per instance fed over stdin (env: CLAUDE_PROCESS_MODE)
+ * @param {number} [options.idleTimeoutMs=600000] - Persistent mode: stop a process after this long without
+ *   messages; the next message resumes the session in a new one (env: CLAUDE_IDLE_TIMEOUT_MS, 0 = never)
  * @returns {Object} Instance manager with methods
  */
 function createInstanceManager(options = {}) {
   const instances = new Map();
   const spawnFn = options.spawnFn || spawn;
+  const killGraceMs = options.killGraceMs ?? 5000;
+  const permissionBridge = options.permissionBridge || null;
+  const model = options.model || null;
+  const processMode = options.processMode || process.env.CLAUDE_PROCESS_MODE || 'per-message';
+  const idleTimeoutMs = options.idleTimeoutMs ?? parseInt(process.env.CLAUDE_IDLE_TIMEOUT_MS || '600000', 10);
+  const persistence = createInstancePersistence(options.stateStore, 'instances:claude', {
+    runtimeFields: ['activeRun', 'liveProcess']
+  });
+
+  if (!PROCESS_MODES.includes(processMode)) {
+    throw new Error(`Invalid Claude process mode "${processMode}". Use: ${PROCESS_MODES.join(', ')}`);
+  }
+
+  // Rehydrate instances saved before a restart so sessions resume
+  for (const [instanceId, instance] of persistence.load()) {
+    instances.set(instanceId, instance);
+  }
 
   /**
    * Start a new Claude Code instance
+   * @param {string} instanceId
+   * @param {string} projectDir
+   * @param {*} channel
+   * @param {Object} [opts]
+   * @param {string} [opts.permissionMode] - bypassPermissions | acceptEdits | default | plan
+   * @param {string[]} [opts.allowedTools] - e.g. ['Bash(git:*)']
+   * @param {string[]} [opts.disallowedTools]
+   * @param {string} [opts.appendSystemPrompt]
+   * @param {string} [opts.model] - e.g. 'sonnet' or 'claude-opus-4-1'
    */
   function startInstance(instanceId, projectDir, channel, opts = {}) {
     if (instances.has(instanceId)) {
       return { success: false, error: `Instance "${instanceId}" already running` };
     }
 
-    const sessionId = randomUUID();
+    const resolved = resolvePermissions(opts);
+    if (resolved.error) {
+      return { success: false, error: resolved.error };
+    }
 
-    instances.set(instanceId, {
+    const sessionId = randomUUID();
+    const instance = {
       sessionId,
       channel,
       projectDir,
+      permissions: resolved.permissions,
+      model: opts.model || null,
       messageCount: 0,
       startedAt: new Date()
-    });
+    };
+
+    instances.set(instanceId, instance);
+    persistence.save(instanceId, instance);
 
     return { success: true, sessionId };
   }
@@ -49,7 +104,48 @@ function createInstanceManager(options = {}) {
       return { success: false, error: `Instance "${instanceId}" not found` };
     }
 
+    if (instance.liveProcess) {
+      stopLiveProcess(instance.liveProcess);
+    } else if (instance.activeRun) {
+      terminateProcess(instance.activeRun.proc, killGraceMs);
+    }
+
     instances.delete(instanceId);
+    persistence.remove(instanceId);
+    return { success: true };
+  }
+
+  /**
+   * Switch an instance's model; the next message resumes the session with it
+   * @param {string} instanceId
+   * @param {string|null} newModel - null returns to the default model
+   */
+  function setModel(instanceId, newModel) {
+    const instance = instances.get(instanceId);
+    if (!instance) {
+      return { success: false, error: `Instance "${instanceId}" not found` };
+    }
+
+    instance.model = newModel || null;
+    persistence.save(instanceId, instance);
+    return { success: true };
+  }
+
+  /**
+   * Cancel the run in progress on an instance.
+   * The pending sendToInstance call resolves with { cancelled: true }.
+   */
+  function cancelInstance(instanceId) {
+    const instance = instances.get(instanceId);
+    if (!instance) {
+      return { success: false, error: `Instance "${instanceId}" not found` };
+    }
+    if (!instance.activeRun) {
+      return { success: false, error: `Instance "${instanceId}" has no run in progress` };
+    }
+
+    instance.activeRun.cancelled = true;
+    terminateProcess(instance.activeRun.proc, killGraceMs);
     return { success: true };
   }
 
@@ -86,7 +182,11 @@ function createInstanceManager(options = {}) {
    * Clear all instances (useful for testing)
    */
   function clearInstances() {
+    for (const instance of instances.values()) {
+      if (instance.liveProcess) stopLiveProcess(instance.liveProcess);
+    }
     instances.clear();
+    persistence.clear();
   }
 
   /**
@@ -95,6 +195,8 @@ function createInstanceManager(options = {}) {
    * @param {string} message - Message to send
    * @param {Object} options - Optional settings
    * @param {Function} [options.onMessage] - Callback for streaming messages: (text: string) => Promise<void>
+   * @param {Function} [options.onEvent] - Callback for typed events (tool calls, results, ...): (event: AgentEvent) => Promise<void>
+   * @param {import('./attachments').StagedFile[]} [options.attachments] - Files saved for this prompt; images are sent as image blocks
    * @returns {Promise<Object>} Result with success, responses, exitCode
    */
   async function sendToInstance(instanceId, message, options = {}) {
@@ -102,24 +204,31 @@ function createInstanceManager(options = {}) {
     if (!instance) {
       return { success: false, error: `Instance "${instanceId}" not found` };
     }
+    if (processMode === 'persistent' && instance.liveProcess && instance.liveProcess.turn) {
+      return { success: false, error: `Instance "${instanceId}" is busy` };
+    }
 
-    const { onMessage } = options;
     const isFirstMessage = instance.messageCount === 0;
     instance.messageCount++;
+    instance.lastPrompt = message;
+    instance.lastActivityAt = new Date();
+    persistence.save(instanceId, instance);
+
+    const input = JSON.stringify({
+      type: 'user',
+      message: {
+        role: 'user',
+        content: buildUserContent(message, options.attachments)
+      }
+    });
 
-    const args = [
-      '--dangerously-skip-permissions',
-      '--output-format', 'stream-json',
-      '--input-format', 'stream-json',
-      '--verbose'
-    ];
-
-    if (isFirstMessage) {
-      args.push('--session-id', instance.sessionId);
-    } else {
-      args.push('--resume', instance.sessionId);
+    if (processMode === 'persistent') {
+      return sendToLiveProcess(instanceId, instance, input, isFirstMessage, options);
     }
 
+    // spawn joins argv with spaces under shell: true, so quote tool patterns and prompts
+    const args = buildArgs(instance.sessionId, isFirstMessage, instance.permissions, instanceId, instance.model || model).map(shellQuote);
+
     return new Promise((resolve) => {
       const proc = spawnFn('claude', args, {
         cwd: instance.projectDir,
@@ -127,75 +236,249 @@ function createInstanceManager(options = {}) {
         env: { ...process.env }
       });
 
+      const run = { proc, cancelled: false };
+      instance.activeRun = run;
+
+      const turn = createTurn(options);
       const rl = readline.createInterface({ input: proc.stdout });
-      const responses = [];
-      let streamed = false;
-
-      rl.on('line', (line) => {
-        try {
-          const event = JSON.parse(line);
-
-          if (event.type === 'assistant' && event.message?.content) {
-            const text = extractTextContent(event.message.content);
-            if (text) {
-              responses.push(text);
-              if (onMessage) {
-                streamed = true;
-                onMessage(text).catch(err => {
-                  console.error('[Claude] Error in onMessage callback:', err);
-                });
-              }
-            }
-          }
-        } catch (e) {
-          // JSON parse error
-        }
-      });
+      rl.on('line', (line) => turn.handleLine(line));
 
-      proc.stderr.on('data', (data) => {
-        const msg = data.toString();
-        if (!msg.includes('Error') || msg.includes('write')) {
-          return;
-        }
-        console.error(`[${instanceId}] stderr: ${msg}`);
-      });
+      proc.stderr.on('data', (data) => logStderr(instanceId, data));
 
       proc.on('close', (code) => {
+        const { responses, streamed, usage } = finishTurn(instanceId, instance, run, turn);
+        if (run.cancelled) {
+          resolve({ success: false, cancelled: true, error: 'Cancelled', responses, exitCode: code, streamed, usage });
+          return;
+        }
         if (code !== 0 && code !== null) {
           console.error(`[${instanceId}] exited with code ${code}`);
         }
-        resolve({ success: true, responses, exitCode: code, streamed });
+        resolve({ success: true, responses, exitCode: code, streamed, usage });
       });
 
       proc.on('error', (err) => {
+        if (instance.activeRun === run) instance.activeRun = null;
         console.error(`[${instanceId}] failed to spawn:`, err);
         resolve({ success: false, error: err.message });
       });
 
-      const input = JSON.stringify({
-        type: 'user',
-        message: {
-          role: 'user',
-          content: message
-        }
-      });
-
       proc.stdin.write(input + '\n');
       proc.stdin.end();
     });
   }
 
+  /**
+   * Collect one turn's output from stream-json lines
+   * @param {Object} callbacks - { onMessage, onEvent } from sendToInstance
+   * @returns {Object} Turn with handleLine(line) → parsed event (or null), responses, streamed, usage
+   */
+  function createTurn({ onMessage, onEvent }) {
+    const turn = { responses: [], streamed: false, usage: null };
+
+    turn.handleLine = (line) => {
+      let event;
+      try {
+        event = JSON.parse(line);
+      } catch (e) {
+        return null;
+      }
+      turn.usage = extractUsage(event) || turn.usage;
+
+      if (onEvent) {
+        for (const agentEvent of parseStreamEvent(event)) {
+          Promise.resolve(onEvent(agentEvent)).catch(err => {
+            console.error('[Claude] Error in onEvent callback:', err);
+          });
+        }
+      }
+
+      if (event.type === 'assistant' && event.message?.content) {
+        const text = extractTextContent(event.message.content);
+        if (text) {
+          turn.responses.push(text);
+          if (onMessage) {
+            turn.streamed = true;
+            onMessage(text).catch(err => {
+              console.error('[Claude] Error in onMessage callback:', err);
+            });
+          }
+        }
+      }
+      return event;
+    };
+
+    return turn;
+  }
+
+  /**
+   * Bookkeeping when a turn ends: clear the run, add usage, persist
+   */
+  function finishTurn(instanceId, instance, run, turn) {
+    if (instance.activeRun === run) instance.activeRun = null;
+    instance.lastActivityAt = new Date();
+    if (turn.usage) accumulateUsage(instance, turn.usage);
+    if (instances.get(instanceId) === instance) {
+      persistence.save(instanceId, instance);
+    }
+    return turn;
+  }
+
+  /**
+   * Log Claude's stderr, skipping its routine noise
+   */
+  function logStderr(instanceId, data) {
+    const msg = data.toString();
+    if (!msg.includes('Error') || msg.includes('write')) {
+      return;
+    }
+    console.error(`[${instanceId}] stderr: ${msg}`);
+  }
+
+  // ============================================
+  // PERSISTENT PROCESS MODE
+  // ============================================
+
+  /**
+   * Send one turn to the instance's long-lived process, starting it if needed.
+   * Resolves when Claude emits the turn's `result` event.
+   */
+  async function sendToLiveProcess(instanceId, instance, input, isFirstMessage, options) {
+    const runModel = instance.model || model;
+
+    // Replace a process that is shutting down (idle timeout) or runs another model (od-model);
+    // the new one resumes the same session, so wait for the old one to let go of it first
+    const current = instance.liveProcess;
+    if (current && (current.stopping || current.model !== runModel)) {
+      instance.liveProcess = null;
+      await stopLiveProcess(current);
+    }
+
+    const live = instance.liveProcess || spawnLiveProcess(instanceId, instance, isFirstMessage, runModel);
+    clearTimeout(live.idleTimer);
+
+    return new Promise((resolve) => {
+      const run = { proc: live.proc, cancelled: false };
+      instance.activeRun = run;
+      live.turn = Object.assign(createTurn(options), { run, resolve });
+      live.proc.stdin.write(input + '\n');
+    });
+  }
+
+  /**
+   * Spawn a Claude process that reads user messages from stdin until closed
+   */
+  function spawnLiveProcess(instanceId, instance, isFirstMessage, runModel) {
+    const args = buildArgs(instance.sessionId, isFirstMessage, instance.permissions, instanceId, runModel).map(shellQuote);
+    const proc = spawnFn('claude', args, {
+      cwd: instance.projectDir,
+      shell: true,
+      env: { ...process.env }
+    });
+    let markExited;
+    const exited = new Promise(resolve => { markExited = resolve; });
+    const live = { proc, model: runModel, turn: null, idleTimer: null, stopping: false, exited };
+    instance.liveProcess = live;
+    console.log(`[${instanceId}] Started Claude process (pid ${proc.pid})`);
+
+    const rl = readline.createInterface({ input: proc.stdout });
+    rl.on('line', (line) => {
+      if (!live.turn) return;
+      const event = live.turn.handleLine(line);
+      // Each turn ends with a `result` event; the process stays up for the next one
+      if (event && event.type === 'result') {
+        endLiveTurn(instanceId, instance, live, { success: true, exitCode: null });
+      }
+    });
+
+    proc.stderr.on('data', (data) => logStderr(instanceId, data));
+    // Writes racing a crash fail with EPIPE; the close handler reports the turn
+    proc.stdin.on('error', (err) => {
+      console.error(`[${instanceId}] stdin error: ${err.message}`);
+    });
+
+    const onExit = (code, error) => {
+      markExited();
+      clearTimeout(live.idleTimer);
+      if (instance.liveProcess === live) instance.liveProcess = null;
+      if (!live.turn) return;
+
+      if (live.turn.run.cancelled || live.stopping) {
+        endLiveTurn(instanceId, instance, live, { success: false, cancelled: true, error: 'Cancelled', exitCode: code });
+      } else {
+        // Crashed mid-turn; the next message starts a new process with --resume
+        const reason = error ? error.message : `Claude exited unexpectedly (code ${code})`;
+        console.error(`[${instanceId}] ${reason}`);
+        endLiveTurn(instanceId, instance, live, { success: false, error: reason, exitCode: code });
+      }
+    };
+    proc.on('close', (code) => onExit(code));
+    proc.on('error', (err) => onExit(null, err));
+
+    return live;
+  }
+
+  /**
+   * Resolve the live process's current turn and start the idle countdown
+   */
+  function endLiveTurn(instanceId, instance, live, outcome) {
+    const turn = live.turn;
+    if (!turn) return;
+    live.turn = null;
+
+    const { responses, streamed, usage } = finishTurn(instanceId, instance, turn.run, turn);
+    turn.resolve({ ...outcome, responses, streamed, usage });
+
+    if (instance.liveProcess === live && idleTimeoutMs > 0) {
+      live.idleTimer = setTimeout(() => {
+        console.log(`[${instanceId}] Stopping idle Claude process`);
+        stopLiveProcess(live);
+      }, idleTimeoutMs);
+      if (live.idleTimer.unref) live.idleTimer.unref();
+    }
+  }
+
+  /**
+   * Stop a long-lived process (its turn, if any, resolves as cancelled)
+   * @returns {Promise<void>} Resolves once the process has exited
+   */
+  function stopLiveProcess(live) {
+    live.stopping = true;
+    clearTimeout(live.idleTimer);
+    terminateProcess(live.proc, killGraceMs);
+    return live.exited;
+  }
+
   /**
    * Build CLI arguments for Claude
+   * @param {string} sessionId
+   * @param {boolean} isFirstMessage
+   * @param {Object} [permissions] - Instance permissions (see claude-permissions.js)
+   * @param {string} [instanceId] - Routes permission prompts back to this instance
+   * @param {string} [runModel] - Model for this run (--model)
+   * @returns {string[]} Raw argv (not shell-quoted)
    */
-  function buildArgs(sessionId, isFirstMessage) {
+  function buildArgs(sessionId, isFirstMessage, permissions, instanceId, runModel) {
     const args = [
-      '--dangerously-skip-permissions',
+      ...permissionArgs(permissions),
       '--output-format', 'stream-json',
       '--input-format', 'stream-json',
       '--verbose'
     ];
 
+    // Outside bypass mode, tools that need permission are asked about in chat
+    const mode = permissions ? permissions.mode : 'bypassPermissions';
+    if (permissionBridge && permissionBridge.url && mode !== 'bypassPermissions' && instanceId) {
+      args.push(
+        '--mcp-config', permissionBridge.mcpConfig(instanceId),
+        '--permission-prompt-tool', permissionBridge.promptToolName
+      );
+    }
+
+    if (runModel) {
+      args.push('--model', runModel);
+    }
+
     if (isFirstMessage) {
       args.push('--session-id', sessionId);
     } else {
@@ -213,7 +496,13 @@ function createInstanceManager(options = {}) {
     listInstances,
     clearInstances,
     sendToInstance,
+    cancelInstance,
+    setModel,
     buildArgs,
+    // Instances run in a directory on this machine (bot-engine validates paths)
+    localWorkspace: true,
+    get model() { return model; },
+    get processMode() { return processMode; },
     get instances() { return instances; }
   };
 }
@@ -237,6 +526,123 @@ function extractTextContent(content) {
   return null;
 }
 
+/**
+ * Text of a tool_result block (string, or an array of text blocks)
+ */
+function toolResultText(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content
+      .filter(block => block && block.type === 'text')
+      .map(block => block.text)
+      .join('\n');
+  }
+  return '';
+}
+
+/**
+ * Content of a stream-json user message: the prompt alone, or the prompt
+ * followed by attached images as base64 image blocks
+ * @param {string} message
+ * @param {import('./attachments').StagedFile[]} [attachments]
+ * @returns {string|Object[]}
+ */
+function buildUserContent(message, attachments = []) {
+  const images = attachments.filter(file => isImage(file.mimeType) && file.size <= MAX_IMAGE_BLOCK_BYTES);
+  if (images.length === 0) return message;
+
+  return [
+    { type: 'text', text: message },
+    ...images.map(file => ({
+      type: 'image',
+      source: { type: 'base64', media_type: file.mimeType, data: fs.readFileSync(file.path).toString('base64') }
+    }))
+  ];
+}
+
+/**
+ * Convert one stream-json line into typed agent events
+ * @param {Object} event - Parsed `--output-format stream-json` line
+ * @returns {import('./agent-events').AgentEvent[]}
+ */
+function parseStreamEvent(event) {
+  const events = [];
+  const content = event.message && event.message.content;
+
+  switch (event.type) {
+    case 'system':
+      if (event.subtype === 'init') {
+        events.push({
+          type: AgentEventType.INIT,
+          sessionId: event.session_id || null,
+          model: event.model || null,
+          tools: event.tools || []
+        });
+      }
+      break;
+
+    case 'assistant':
+      if (typeof content === 'string') {
+        events.push({ type: AgentEventType.TEXT, text: content });
+      } else if (Array.isArray(content)) {
+        for (const block of content) {
+          if (block.type === 'text' && block.text) {
+            events.push({ type: AgentEventType.TEXT, text: block.text });
+          } else if (block.type === 'tool_use') {
+            events.push({ type: AgentEventType.TOOL_CALL, id: block.id, name: block.name, input: block.input || {} });
+          }
+        }
+      }
+      break;
+
+    case 'user':
+      // Tool results come back to Claude as user turns
+      if (Array.isArray(content)) {
+        for (const block of content) {
+          if (block.type === 'tool_result') {
+            events.push({
+              type: AgentEventType.TOOL_RESULT,
+              id: block.tool_use_id,
+              isError: Boolean(block.is_error),
+              output: toolResultText(block.content)
+            });
+          }
+        }
+      }
+      break;
+
+    case 'result':
+      events.push({
+        type: AgentEventType.RESULT,
+        isError: Boolean(event.is_error) || (event.subtype !== undefined && event.subtype !== 'success'),
+        text: typeof event.result === 'string' ? event.result : null,
+        durationMs: event.duration_ms ?? null,
+        numTurns: event.num_turns ?? null,
+        costUsd: event.total_cost_usd ?? event.cost_usd ?? null
+      });
+      break;
+  }
+
+  return events;
+}
+
+/**
+ * Extract token/cost usage from a stream-json `result` event
+ * @param {Object} event
+ * @returns {{inputTokens: number, outputTokens: number, costUsd: number}|null}
+ */
+function extractUsage(event) {
+  if (event.type !== 'result') return null;
+  const usage = event.usage || {};
+  return {
+    inputTokens: (usage.input_tokens || 0) +
+      (usage.cache_read_input_tokens || 0) +
+      (usage.cache_creation_input_tokens || 0),
+    outputTokens: usage.output_tokens || 0,
+    costUsd: event.total_cost_usd ?? event.cost_usd ?? 0
+  };
+}
+
 /**
  * Chunk text for message limits
  * @param {string} text - Text to chunk
@@ -268,7 +674,11 @@ function chunkText(text, maxLength = 3900) {
 }
 
 module.exports = {
+  PROCESS_MODES,
   createInstanceManager,
+  buildUserContent,
   extractTextContent,
+  extractUsage,
+  parseStreamEvent,
   chunkText
 };
@@ -0,0 +1,127 @@
+/**
+ * Claude Permissions Module
+ *
+ * Per-instance Claude Code permission settings: permission mode, tool
+ * allow/deny lists and an appended system prompt. Shared by claude-core
+ * (local CLI) and sprite-core (CLI inside the VM).
+ *
+ * Defaults come from the environment so stricter teams can change the
+ * baseline without touching every `od-start`. The environment is a ceiling:
+ * its disallowed tools always apply, and only admins may pick a looser mode
+ * or add allowed tools (checked by the bot engine):
+ *   CLAUDE_PERMISSION_MODE       bypassPermissions (default) | acceptEdits | default | plan
+ *   CLAUDE_ALLOWED_TOOLS         Comma-separated, e.g. "Read,Bash(git:*)"
+ *   CLAUDE_DISALLOWED_TOOLS      Comma-separated
+ *   CLAUDE_APPEND_SYSTEM_PROMPT  Extra instructions appended to Claude's system prompt
+ */
+
+/** Permission modes, loosest first */
+const PERMISSION_MODES = ['bypassPermissions', 'acceptEdits', 'default', 'plan'];
+
+/**
+ * @typedef {Object} ClaudePermissions
+ * @property {string} mode - One of PERMISSION_MODES
+ * @property {string[]} allowedTools
+ * @property {string[]} disallowedTools
+ * @property {string|null} appendSystemPrompt
+ */
+
+function splitList(value) {
+  return (value || '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Permission mode instances get when od-start doesn't pick one
+ * @returns {string}
+ */
+function defaultPermissionMode() {
+  return process.env.CLAUDE_PERMISSION_MODE || 'bypassPermissions';
+}
+
+/**
+ * Whether a mode allows more than the default mode
+ * @param {string} mode
+ * @param {string} [baseline] - Defaults to defaultPermissionMode()
+ * @returns {boolean}
+ */
+function isLooserMode(mode, baseline = defaultPermissionMode()) {
+  if (!PERMISSION_MODES.includes(mode) || !PERMISSION_MODES.includes(baseline)) return false;
+  return PERMISSION_MODES.indexOf(mode) < PERMISSION_MODES.indexOf(baseline);
+}
+
+/**
+ * Merge per-instance options over environment defaults and validate them.
+ * Per-instance disallowed tools add to the environment's list.
+ * @param {Object} [opts] - { permissionMode, allowedTools, disallowedTools, appendSystemPrompt }
+ * @returns {{permissions: ClaudePermissions} | {error: string}}
+ */
+function resolvePermissions(opts = {}) {
+  const mode = opts.permissionMode || defaultPermissionMode();
+  if (!PERMISSION_MODES.includes(mode)) {
+    return { error: `Unknown permission mode "${mode}". Use: ${PERMISSION_MODES.join(', ')}` };
+  }
+
+  return {
+    permissions: {
+      mode,
+      allowedTools: opts.allowedTools?.length ? [...opts.allowedTools] : splitList(process.env.CLAUDE_ALLOWED_TOOLS),
+      disallowedTools: [...new Set([...splitList(process.env.CLAUDE_DISALLOWED_TOOLS), ...(opts.disallowedTools || [])])],
+      appendSystemPrompt: opts.appendSystemPrompt || process.env.CLAUDE_APPEND_SYSTEM_PROMPT || null
+    }
+  };
+}
+
+/**
+ * Build the Claude CLI flags for a permission set (raw argv, unquoted)
+ * @param {ClaudePermissions} [permissions] - Omitted for instances saved before permissions existed
+ * @returns {string[]}
+ */
+function permissionArgs(permissions) {
+  const { mode = 'bypassPermissions', allowedTools = [], disallowedTools = [], appendSystemPrompt } = permissions || {};
+  const args = mode === 'bypassPermissions'
+    ? ['--dangerously-skip-permissions']
+    : ['--permission-mode', mode];
+
+  if (allowedTools.length > 0) args.push('--allowedTools', ...allowedTools);
+  if (disallowedTools.length > 0) args.push('--disallowedTools', ...disallowedTools);
+  if (appendSystemPrompt) args.push('--append-system-prompt', appendSystemPrompt);
+  return args;
+}
+
+/**
+ * One-line summary for status displays, e.g. "plan · allow Read, Bash(git:*)"
+ * @param {ClaudePermissions} [permissions]
+ * @returns {string}
+ */
+function describePermissions(permissions) {
+  if (!permissions) return 'bypassPermissions';
+  const parts = [permissions.mode];
+  if (permissions.allowedTools.length) parts.push(`allow ${permissions.allowedTools.join(', ')}`);
+  if (permissions.disallowedTools.length) parts.push(`deny ${permissions.disallowedTools.join(', ')}`);
+  if (permissions.appendSystemPrompt) parts.push('custom system prompt');
+  return parts.join(' · ');
+}
+
+/**
+ * Quote an argument for `spawn(..., { shell: true })`, which joins argv
+ * with spaces. Plain tokens are left alone so existing commands are unchanged.
+ * @param {string} arg
+ * @returns {string}
+ */
+function shellQuote(arg) {
+  if (/^[\w@%+=:,./-]+$/.test(arg)) return arg;
+  if (process.platform === 'win32') {
+    return `"${arg.replace(/"/g, '\\"')}"`;
+  }
+  return `'${arg.replace(/'/g, `'\\''`)}'`;
+}
+
+module.exports = {
+  PERMISSION_MODES,
+  defaultPermissionMode,
+  isLooserMode,
+  resolvePermissions,
+  permissionArgs,
+  describePermissions,
+  shellQuote
+};
@@ -0,0 +1,459 @@
+/**
+ * CLI Agent Core Module
+ *
+ * Instance manager for coding agents described by a declarative adapter
+ * (binary, argument templates, session handling, output parser) instead
+ * of a hand-written module per CLI. Built-in adapters live in
+ * cli-agents.js; backends.js registers each one as a backend.
+ */
+
+const { spawn } = require('child_process');
+const { randomUUID } = require('crypto');
+const { terminateProcess } = require('./process-utils');
+const { createInstancePersistence } = require('./state-store');
+const { addUsage, accumulateUsage } = require('./usage-tracker');
+
+const OUTPUT_FORMATS = ['text', 'json', 'ndjson'];
+const SESSION_MODES = ['none', 'generate', 'output'];
+
+/**
+ * @typedef {Object} CliAgentAdapter
+ * @property {string} name - Backend name, e.g. 'codex'
+ * @property {string} displayName - Shown in chat, e.g. 'Codex'
+ * @property {string} binary - Executable; <NAME>_PATH (e.g. CODEX_PATH) overrides it
+ * @property {Array} firstArgs - Argument template for the first message (see expandArgs)
+ * @property {Array} [nextArgs] - Argument template for later messages (default: firstArgs)
+ * @property {string} [session='none'] - How sessions continue:
+ *   'none'     the CLI keeps its own history (templates don't use {sessionId})
+ *   'generate' we pass a fresh UUID as {sessionId} from the first message on
+ *   'output'   the CLI reports its session ID through parseEvent
+ * @property {string} [output='text'] - 'text', 'json' (one object) or 'ndjson' (one event per line, streamed)
+ * @property {Function} [parseEvent] - json/ndjson: (event) => {text?, sessionId?, usage?, error?} | null
+ * @property {Function} [parseOutput] - text: (stdout) => {texts: string[], usage?}; default is the whole output
+ */
+
+/**
+ * Validate an adapter definition
+ * @param {CliAgentAdapter} adapter
+ */
+function validateAdapter(adapter) {
+  if (!adapter || !adapter.name || !/^[a-z][\w-]*$/.test(adapter.name)) {
+    throw new Error('CLI agent adapter needs a lowercase name, e.g. "codex"');
+  }
+  const where = `CLI agent "${adapter.name}"`;
+  if (!adapter.binary) throw new Error(`${where} needs a binary`);
+  if (!Array.isArray(adapter.firstArgs)) throw new Error(`${where} needs a firstArgs template`);
+  if (adapter.nextArgs && !Array.isArray(adapter.nextArgs)) throw new Error(`${where}: nextArgs must be an array`);
+  if (!JSON.stringify(adapter.firstArgs).includes('{message}')) {
+    throw new Error(`${where}: firstArgs must include {message}`);
+  }
+
+  const session = adapter.session || 'none';
+  const output = adapter.output || 'text';
+  if (!SESSION_MODES.includes(session)) {
+    throw new Error(`${where}: invalid session mode "${session}". Use: ${SESSION_MODES.join(', ')}`);
+  }
+  if (!OUTPUT_FORMATS.includes(output)) {
+    throw new Error(`${where}: invalid output format "${output}". Use: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+  if (output !== 'text' && typeof adapter.parseEvent !== 'function') {
+    throw new Error(`${where}: ${output} output needs a parseEvent function`);
+  }
+}
+
+/**
+ * Expand an argument template. '{message}', '{sessionId}', '{model}' and
+ * '{projectDir}' are replaced; a nested array is an optional group, kept
+ * only when all of its placeholders have values.
+ * @param {Array} template - e.g. ['exec', ['-m', '{model}'], '{message}']
+ * @param {Object} values
+ * @returns {string[]|null} null when a required placeholder has no value
+ */
+function expandArgs(template, values) {
+  const args = [];
+  for (const item of template) {
+    if (Array.isArray(item)) {
+      const group = expandArgs(item, values);
+      if (group) args.push(...group);
+      continue;
+    }
+
+    let missing = false;
+    const arg = item.replace(/\{(\w+)\}/g, (match, key) => {
+      const value = values[key];
+      if (value === null || value === undefined) {
+        missing = true;
+        return '';
+      }
+      return String(value);
+    });
+    if (missing) return null;
+    args.push(arg);
+  }
+  return args;
+}
+
+/**
+ * Arguments for one message: nextArgs once the session can be continued,
+ * firstArgs otherwise
+ * @param {CliAgentAdapter} adapter
+ * @param {Object} values - { message, sessionId, model, projectDir }
+ * @param {boolean} isFirstMessage
+ * @returns {string[]}
+ */
+function buildAgentArgs(adapter, values, isFirstMessage) {
+  if (!isFirstMessage && adapter.nextArgs) {
+    // A session the CLI never reported can't be resumed: start a new one
+    const next = expandArgs(adapter.nextArgs, values);
+    if (next) return next;
+  }
+  return expandArgs(adapter.firstArgs, values) || [];
+}
+
+/**
+ * Environment variable that overrides an adapter's binary, e.g. CODEX_PATH
+ */
+function binaryEnvVar(adapter) {
+  return `${adapter.name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_PATH`;
+}
+
+/**
+ * Remove terminal colour codes from CLI output
+ */
+function stripAnsi(text) {
+  return text.replace(/\x1b\[[0-9;?]*[a-zA-Z]/g, '');
+}
+
+/**
+ * Create an instance manager for a CLI agent
+ * @param {CliAgentAdapter} adapter
+ * @param {Object} options
+ * @param {string} [options.model] - Default model for instances started without one
+ * @param {Function} [options.spawnFn] - Optional spawn function for testing
+ * @param {number} [options.killGraceMs=5000] - Wait between SIGINT and SIGKILL when cancelling
+ * @param {Object} [options.stateStore] - Persist instances across restarts (see state-store.js)
+ * @returns {Object} Instance manager with methods
+ */
+function createCliAgentManager(adapter, options = {}) {
+  validateAdapter(adapter);
+
+  const instances = new Map();
+  const model = options.model || null;
+  const spawnFn = options.spawnFn || spawn;
+  const killGraceMs = options.killGraceMs ?? 5000;
+  const output = adapter.output || 'text';
+  const session = adapter.session || 'none';
+  const logPrefix = `[${adapter.displayName || adapter.name}]`;
+  const persistence = createInstancePersistence(options.stateStore, `instances:${adapter.name}`, {
+    runtimeFields: ['activeRun']
+  });
+
+  // Rehydrate instances saved before a restart so sessions resume
+  for (const [instanceId, instance] of persistence.load()) {
+    instances.set(instanceId, instance);
+  }
+
+  /**
+   * Start a new agent instance
+   * @param {string} instanceId
+   * @param {string} projectDir
+   * @param {*} channel
+   * @param {Object} [opts]
+   * @param {string} [opts.model] - Model name as the CLI expects it
+   */
+  function startInstance(instanceId, projectDir, channel, opts = {}) {
+    if (instances.has(instanceId)) {
+      return { success: false, error: `Instance "${instanceId}" already running` };
+    }
+    // Adapters run their CLI unattended, approving every action; don't pretend otherwise
+    if (opts.permissionMode || opts.allowedTools?.length || opts.disallowedTools?.length) {
+      return {
+        success: false,
+        error: `${adapter.displayName} runs unattended and approves every action; --mode, --allow and --deny only apply to Claude`
+      };
+    }
+
+    const sessionId = randomUUID();
+    const instance = {
+      sessionId,
+      // The ID the CLI knows the session by, once there is one
+      agentSessionId: session === 'generate' ? sessionId : null,
+      channel,
+      projectDir,
+      model: opts.model || null,
+      messageCount: 0,
+      startedAt: new Date()
+    };
+
+    instances.set(instanceId, instance);
+    persistence.save(instanceId, instance);
+
+    return { success: true, sessionId };
+  }
+
+  /**
+   * Stop an agent instance
+   */
+  function stopInstance(instanceId) {
+    const instance = instances.get(instanceId);
+    if (!instance) {
+      return { success: false, error: `Instance "${instanceId}" not found` };
+    }
+
+    if (instance.activeRun) {
+      terminateProcess(instance.activeRun.proc, killGraceMs);
+    }
+
+    instances.delete(instanceId);
+    persistence.remove(instanceId);
+    return { success: true };
+  }
+
+  /**
+   * Switch an instance's model; the next message uses it
+   * @param {string} instanceId
+   * @param {string|null} newModel - null returns to the default model
+   */
+  function setModel(instanceId, newModel) {
+    const instance = instances.get(instanceId);
+    if (!instance) {
+      return { success: false, error: `Instance "${instanceId}" not found` };
+    }
+
+    instance.model = newModel || null;
+    persistence.save(instanceId, instance);
+    return { success: true };
+  }
+
+  /**
+   * Cancel the run in progress on an instance.
+   * The pending sendToInstance call resolves with { cancelled: true }.
+   */
+  function cancelInstance(instanceId) {
+    const instance = instances.get(instanceId);
+    if (!instance) {
+      return { success: false, error: `Instance "${instanceId}" not found` };
+    }
+    if (!instance.activeRun) {
+      return { success: false, error: `Instance "${instanceId}" has no run in progress` };
+    }
+
+    instance.activeRun.cancelled = true;
+    terminateProcess(instance.activeRun.proc, killGraceMs);
+    return { success: true };
+  }
+
+  /**
+   * Get an instance by ID
+   */
+  function getInstance(instanceId) {
+    return instances.get(instanceId) || null;
+  }
+
+  /**
+   * Find instance by channel
+   */
+  function getInstanceByChannel(channelId) {
+    for (const [instanceId, instance] of instances) {
+      if (instance.channel === channelId) {
+        return { instanceId, instance };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * List all instances
+   */
+  function listInstances() {
+    return Array.from(instances.entries()).map(([instanceId, instance]) => ({
+      instanceId,
+      ...instance
+    }));
+  }
+
+  /**
+   * Clear all instances (useful for testing)
+   */
+  function clearInstances() {
+    instances.clear();
+    persistence.clear();
+  }
+
+  /**
+   * Send a message to an agent instance
+   * @param {string} instanceId - Instance ID
+   * @param {string} message - Message to send
+   * @param {Object} options - Optional settings
+   * @param {Function} [options.onMessage] - Callback for streaming messages (ndjson agents): (text: string) => Promise<void>
+   * @returns {Promise<Object>} Result with success, responses, exitCode, streamed, usage
+   */
+  async function sendToInstance(instanceId, message, options = {}) {
+    const instance = instances.get(instanceId);
+    if (!instance) {
+      return { success: false, error: `Instance "${instanceId}" not found` };
+    }
+
+    const { onMessage } = options;
+    const isFirstMessage = instance.messageCount === 0;
+    instance.messageCount++;
+    instance.lastPrompt = message;
+    instance.lastActivityAt = new Date();
+    persistence.save(instanceId, instance);
+
+    const args = buildAgentArgs(adapter, {
+      message,
+      sessionId: instance.agentSessionId,
+      model: instance.model || model,
+      projectDir: instance.projectDir
+    }, isFirstMessage);
+
+    return new Promise((resolve) => {
+      const binary = process.env[binaryEnvVar(adapter)] || adapter.binary;
+      const proc = spawnFn(binary, args, {
+        cwd: instance.projectDir,
+        shell: false,
+        env: { ...process.env, TERM: 'dumb', NO_COLOR: '1' },
+        stdio: ['ignore', 'pipe', 'pipe']
+      });
+
+      const run = { proc, cancelled: false };
+      instance.activeRun = run;
+
+      let stdout = '';
+      let stderr = '';
+      let lineBuffer = '';
+      const texts = [];
+      const errors = [];
+      let usage = null;
+      let streamed = false;
+
+      // Apply one parsed json/ndjson event
+      const handleEvent = (event) => {
+        const parsed = adapter.parseEvent(event);
+        if (!parsed) return;
+        if (parsed.sessionId) instance.agentSessionId = parsed.sessionId;
+        if (parsed.error) errors.push(parsed.error);
+        if (parsed.usage) usage = addUsage(usage, parsed.usage);
+        if (parsed.text && parsed.text.trim()) {
+          texts.push(parsed.text);
+          if (onMessage && output === 'ndjson') {
+            streamed = true;
+            onMessage(parsed.text).catch(err => {
+              console.error(`${logPrefix} Error in onMessage callback:`, err);
+            });
+          }
+        }
+      };
+
+      const handleLine = (line) => {
+        if (!line.trim()) return;
+        let event;
+        try {
+          event = JSON.parse(line);
+        } catch (e) {
+          return; // Not an event - ignore
+        }
+        handleEvent(event);
+      };
+
+      proc.stdout.on('data', (data) => {
+        const chunk = data.toString();
+        stdout += chunk;
+
+        if (output === 'ndjson') {
+          lineBuffer += chunk;
+          const lines = lineBuffer.split('\n');
+          lineBuffer = lines.pop() || '';
+          lines.forEach(handleLine);
+        }
+      });
+
+      proc.stderr.on('data', (data) => {
+        stderr += data.toString();
+      });
+
+      proc.on('close', (code) => {
+        if (instance.activeRun === run) instance.activeRun = null;
+
+        if (output === 'ndjson') {
+          handleLine(lineBuffer);
+        } else if (output === 'json') {
+          try {
+            handleEvent(JSON.parse(stdout));
+          } catch (e) {
+            if (stdout.trim()) texts.push(stripAnsi(stdout).trim());
+          }
+        } else {
+          const clean = stripAnsi(stdout);
+          const parsed = adapter.parseOutput ? adapter.parseOutput(clean) : { texts: [clean.trim()] };
+          texts.push(...parsed.texts.filter(text => text && text.trim()));
+          if (parsed.usage) usage = addUsage(usage, parsed.usage);
+        }
+
+        if (usage) accumulateUsage(instance, usage);
+        instance.lastActivityAt = new Date();
+        // Keep the CLI's session ID across restarts
+        if (instances.get(instanceId) === instance) {
+          persistence.save(instanceId, instance);
+        }
+
+        if (run.cancelled) {
+          resolve({ success: false, cancelled: true, error: 'Cancelled', responses: texts, exitCode: code, streamed, usage });
+          return;
+        }
+        if (texts.length === 0 && (errors.length > 0 || code !== 0)) {
+          const detail = errors.join('\n') || stripAnsi(stderr).trim().split('\n').slice(-5).join('\n');
+          resolve({
+            success: false,
+            error: `${adapter.displayName || adapter.name} exited with code ${code}${detail ? `: ${detail}` : ''}`,
+            exitCode: code,
+            usage
+          });
+          return;
+        }
+        resolve({ success: true, responses: texts, exitCode: code, streamed, usage });
+      });
+
+      proc.on('error', (err) => {
+        if (instance.activeRun === run) instance.activeRun = null;
+        resolve({ success: false, error: err.message });
+      });
+    });
+  }
+
+  return {
+    startInstance,
+    stopInstance,
+    getInstance,
+    getInstanceByChannel,
+    listInstances,
+    clearInstances,
+    sendToInstance,
+    cancelInstance,
+    setModel,
+    /**
+     * Build CLI arguments for a message (see buildAgentArgs)
+     */
+    buildArgs(values, isFirstMessage) {
+      return buildAgentArgs(adapter, values, isFirstMessage);
+    },
+    // Instances run in a directory on this machine (bot-engine validates paths)
+    localWorkspace: true,
+    get name() { return adapter.name; },
+    get displayName() { return adapter.displayName || adapter.name; },
+    get model() { return model; },
+    get instances() { return instances; }
+  };
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  SESSION_MODES,
+  createCliAgentManager,
+  validateAdapter,
+  expandArgs,
+  buildAgentArgs,
+  binaryEnvVar,
+  stripAnsi
+};
@@ -0,0 +1,107 @@
+/**
+ * Built-in CLI Agent Adapters
+ *
+ * Declarative definitions for coding agents run through cli-agent-core.js.
+ * Adding an agent means adding an adapter here (or passing one to
+ * registerCliAgent in backends.js); see CliAgentAdapter for the fields.
+ *
+ * Messages come from chat, so templates pass them where they can't be read
+ * as flags: attached to their option (--message=...) or after '--'.
+ */
+
+/**
+ * Parse token counts like "2.3k" or "1.2M"
+ */
+function parseCount(value) {
+  const scale = { k: 1e3, m: 1e6 }[value.slice(-1).toLowerCase()] || 1;
+  return Math.round(parseFloat(value) * scale);
+}
+
+// Aider's startup banner and status lines, not part of the reply
+const AIDER_NOISE = /^(Aider v|Main model:|Weak model:|Editor model:|Git repo:|Repo-map:|Added .+ to the chat|Restored previous conversation history|Use \/help|Tokens: |Cost: )/;
+const AIDER_TOKENS = /Tokens: ([\d.]+[kKmM]?) sent, ([\d.]+[kKmM]?) received\.(?: Cost: \$([\d.]+) message)?/;
+
+/** Aider (https://aider.chat): keeps chat history in the project directory */
+const aider = {
+  name: 'aider',
+  displayName: 'Aider',
+  binary: 'aider',
+  firstArgs: ['--message={message}', '--yes-always', '--no-pretty', '--no-stream', '--no-check-update', ['--model', '{model}']],
+  nextArgs: ['--message={message}', '--yes-always', '--no-pretty', '--no-stream', '--no-check-update', '--restore-chat-history', ['--model', '{model}']],
+  output: 'text',
+  parseOutput(stdout) {
+    const tokens = stdout.match(AIDER_TOKENS);
+    const text = stdout.split('\n')
+      .filter(line => !AIDER_NOISE.test(line.trim()))
+      .join('\n')
+      .trim();
+    return {
+      texts: text ? [text] : [],
+      usage: tokens
+        ? { inputTokens: parseCount(tokens[1]), outputTokens: parseCount(tokens[2]), costUsd: tokens[3] ? parseFloat(tokens[3]) : 0 }
+        : null
+    };
+  }
+};
+
+/** OpenAI Codex CLI: `codex exec --json` reports a thread ID that `exec resume` continues */
+const codex = {
+  name: 'codex',
+  displayName: 'Codex',
+  binary: 'codex',
+  firstArgs: ['exec', '--json', '--full-auto', '--skip-git-repo-check', ['-m', '{model}'], '--', '{message}'],
+  nextArgs: ['exec', '--json', '--full-auto', '--skip-git-repo-check', ['-m', '{model}'], 'resume', '{sessionId}', '--', '{message}'],
+  session: 'output',
+  output: 'ndjson',
+  parseEvent(event) {
+    switch (event.type) {
+      case 'thread.started':
+        return { sessionId: event.thread_id };
+      case 'item.completed':
+        return event.item && event.item.type === 'agent_message' ? { text: event.item.text } : null;
+      case 'turn.completed':
+        return event.usage
+          ? { usage: { inputTokens: event.usage.input_tokens || 0, outputTokens: event.usage.output_tokens || 0, costUsd: 0 } }
+          : null;
+      case 'turn.failed':
+        return { error: (event.error && event.error.message) || 'Turn failed' };
+      case 'error':
+        return { error: event.message || 'Codex reported an error' };
+      default:
+        return null;
+    }
+  }
+};
+
+/** Google Gemini CLI: one JSON result per run; later messages resume the project's latest session */
+const gemini = {
+  name: 'gemini',
+  displayName: 'Gemini',
+  binary: 'gemini',
+  firstArgs: ['--output-format', 'json', '--yolo', ['-m', '{model}'], '--prompt={message}'],
+  nextArgs: ['--output-format', 'json', '--yolo', ['-m', '{model}'], '--resume', 'latest', '--prompt={message}'],
+  output: 'json',
+  parseEvent(result) {
+    let usage = null;
+    for (const stats of Object.values((result.stats && result.stats.models) || {})) {
+      const tokens = stats.tokens || {};
+      usage = usage || { inputTokens: 0, outputTokens: 0, costUsd: 0 };
+      usage.inputTokens += tokens.prompt || 0;
+      usage.outputTokens += (tokens.candidates || 0) + (tokens.thoughts || 0);
+    }
+    return {
+      text: result.response || null,
+      usage,
+      error: result.error ? (result.error.message || String(result.error)) : null
+    };
+  }
+};
+
+const CLI_AGENTS = [aider, codex, gemini];
+
+module.exports = {
+  CLI_AGENTS,
+  aider,
+  codex,
+  gemini
+};
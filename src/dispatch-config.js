@@ -0,0 +1,175 @@
+/**
+ * Dispatch Config
+ *
+ * Chooses the chat providers and AI backend the unified entry point
+ * (dispatch.js) runs, from CHAT_PROVIDER and AI_BACKEND, and checks that
+ * the environment variables each one needs are set. CHAT_PROVIDER may
+ * list several providers (slack,teams) to serve them from one process.
+ */
+
+const CHAT_PROVIDERS = ['slack', 'teams', 'discord'];
+
+/** Text commands and Slack slash commands share this prefix on every platform (od-start, /od-start) */
+const COMMAND_PREFIX = 'od';
+
+/** Env vars each chat provider needs; a nested array lists accepted alternatives */
+const PROVIDER_ENV = {
+  slack: ['SLACK_BOT_TOKEN', 'SLACK_APP_TOKEN', 'SLACK_SIGNING_SECRET'],
+  teams: [['MICROSOFT_APP_ID', 'TEAMS_APP_ID'], ['MICROSOFT_APP_PASSWORD', 'TEAMS_APP_PASSWORD']],
+  discord: ['DISCORD_BOT_TOKEN', 'DISCORD_CLIENT_ID']
+};
+
+/** Env vars each AI backend needs beyond its CLI being installed */
+const BACKEND_ENV = {
+  sprite: ['FLY_API_TOKEN', 'FLY_SPRITE_APP', 'SPRITE_IMAGE']
+};
+
+/** Where to read about setting each one up */
+const SETUP_GUIDES = {
+  teams: 'TEAMS_SETUP.md',
+  discord: 'DISCORD_SETUP.md',
+  opencode: 'OPENCODE_SETUP.md',
+  sprite: 'SPRITE_SETUP.md'
+};
+
+/**
+ * First of several env vars that is set
+ * @param {Object} env
+ * @param {string|string[]} names
+ * @returns {string|undefined}
+ */
+function envValue(env, names) {
+  for (const name of [].concat(names)) {
+    if (env[name]) return env[name];
+  }
+  return undefined;
+}
+
+/**
+ * Resolve and validate the provider and backend selection
+ * @param {Object} env - Usually process.env
+ * @param {string[]} backends - Registered backend names (see backends.js)
+ * @returns {{chatProviders: string[], aiBackend: string, errors: string[], warnings: string[]}}
+ */
+function resolveSelection(env, backends) {
+  const errors = [];
+  const warnings = [];
+  const chatProviders = [...new Set((env.CHAT_PROVIDER || '')
+    .toLowerCase()
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean))];
+  let aiBackend = (env.AI_BACKEND || 'claude').toLowerCase();
+
+  // OPENCODE_BACKEND / OPENCODE_SERVER_URL pick the OpenCode server backend
+  if (aiBackend === 'opencode' && (env.OPENCODE_BACKEND === 'server' || env.OPENCODE_SERVER_URL)) {
+    aiBackend = 'opencode-server';
+  }
+
+  if (chatProviders.length === 0) {
+    errors.push(`CHAT_PROVIDER is required. Use: ${CHAT_PROVIDERS.join(', ')} (or several, e.g. slack,teams)`);
+  }
+  for (const name of chatProviders.filter(name => !CHAT_PROVIDERS.includes(name))) {
+    errors.push(`Unknown CHAT_PROVIDER: ${name}. Use: ${CHAT_PROVIDERS.join(', ')}`);
+  }
+  if (!backends.includes(aiBackend)) {
+    errors.push(`Unknown AI_BACKEND: ${aiBackend}. Use: ${backends.join(', ')}`);
+  }
+
+  const required = [...chatProviders.flatMap(name => PROVIDER_ENV[name] || []), ...(BACKEND_ENV[aiBackend] || [])];
+  const missing = required
+    .filter(names => !envValue(env, names))
+    .map(names => [].concat(names).join(' or '));
+  if (missing.length > 0) {
+    errors.push(`Missing required env vars for ${[...chatProviders, aiBackend].join(' + ')}: ${missing.join(', ')}`);
+  }
+
+  if (env.PERMISSION_APPROVALS === 'true' && aiBackend !== 'claude') {
+    warnings.push(`PERMISSION_APPROVALS only applies to AI_BACKEND=claude; ignored for ${aiBackend}`);
+  }
+
+  return { chatProviders, aiBackend, errors, warnings };
+}
+
+/**
+ * Setup guides to point at when the selection is invalid
+ * @param {string[]} chatProviders
+ * @param {string} aiBackend
+ * @returns {string[]}
+ */
+function setupGuides(chatProviders, aiBackend) {
+  const providerGuides = chatProviders.map(name => SETUP_GUIDES[name] || 'README.md');
+  const backendGuide = SETUP_GUIDES[aiBackend] || (aiBackend.startsWith('opencode') ? SETUP_GUIDES.opencode : null);
+  return [...new Set([...(providerGuides.length > 0 ? providerGuides : ['README.md']), backendGuide])].filter(Boolean);
+}
+
+/**
+ * Chat provider config from the environment
+ * @param {string} name - slack | teams | discord
+ * @param {Object} env
+ * @returns {Object} Config for createProvider()
+ */
+function providerConfig(name, env) {
+  switch (name) {
+    case 'slack':
+      return {
+        token: env.SLACK_BOT_TOKEN,
+        appToken: env.SLACK_APP_TOKEN,
+        signingSecret: env.SLACK_SIGNING_SECRET,
+        socketMode: true,
+        commandPrefix: COMMAND_PREFIX
+      };
+    case 'teams':
+      return {
+        appId: envValue(env, ['MICROSOFT_APP_ID', 'TEAMS_APP_ID']),
+        appPassword: envValue(env, ['MICROSOFT_APP_PASSWORD', 'TEAMS_APP_PASSWORD']),
+        tenantId: env.MICROSOFT_APP_TENANT_ID || undefined,
+        port: parseInt(env.PORT || '3978', 10),
+        commandPrefix: COMMAND_PREFIX
+      };
+    case 'discord':
+      return {
+        token: env.DISCORD_BOT_TOKEN,
+        clientId: env.DISCORD_CLIENT_ID,
+        guildId: env.DISCORD_GUILD_ID || null,
+        commandPrefix: COMMAND_PREFIX,
+        useSlashCommands: true,
+        useTextCommands: true
+      };
+    default:
+      throw new Error(`Unknown CHAT_PROVIDER: ${name}. Use: ${CHAT_PROVIDERS.join(', ')}`);
+  }
+}
+
+/**
+ * Options for a backend's factory
+ * @param {string} name - Backend name
+ * @param {Object} env
+ * @param {Object} shared
+ * @param {Object} shared.stateStore - Sessions survive restarts
+ * @param {Object} [shared.jobStore] - Sprite job history
+ * @param {Object} [shared.permissionBridge] - Claude tool approvals in chat
+ * @returns {Object}
+ */
+function backendOptions(name, env, shared) {
+  switch (name) {
+    case 'claude':
+      return { model: env.CLAUDE_MODEL || null, stateStore: shared.stateStore, permissionBridge: shared.permissionBridge || null };
+    case 'opencode':
+    case 'opencode-server':
+      return { model: env.OPENCODE_MODEL || null, stateStore: shared.stateStore };
+    case 'sprite':
+      return { stateStore: shared.stateStore, jobStore: shared.jobStore };
+    default:
+      return { stateStore: shared.stateStore };
+  }
+}
+
+module.exports = {
+  CHAT_PROVIDERS,
+  COMMAND_PREFIX,
+  resolveSelection,
+  setupGuides,
+  providerConfig,
+  backendOptions
+};
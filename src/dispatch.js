@@ -0,0 +1,136 @@
+/**
+ * Open Dispatch — Unified Entry Point
+ *
+ * Runs any chat provider with any AI backend through the same bot engine,
+ * so every platform gets the same commands, queueing, access control,
+ * usage tracking and persistence.
+ *
+ * Usage:
+ *   CHAT_PROVIDER=slack AI_BACKEND=claude node src/dispatch.js
+ *   CHAT_PROVIDER=teams AI_BACKEND=opencode node src/dispatch.js
+ *   CHAT_PROVIDER=discord AI_BACKEND=sprite node src/dispatch.js
+ *   CHAT_PROVIDER=slack,teams AI_BACKEND=claude node src/dispatch.js
+ *
+ * Required env vars:
+ *   CHAT_PROVIDER — slack | teams | discord, or a comma-separated list to run
+ *                   several from one process (channel IDs become "slack:C123")
+ *   AI_BACKEND    — claude (default) | opencode | sprite, or another registered
+ *                   backend (opencode-server, aider, codex, gemini; see backends.js)
+ *
+ * Per-provider env vars (see README.md, TEAMS_SETUP.md, DISCORD_SETUP.md):
+ *   Slack:   SLACK_BOT_TOKEN, SLACK_APP_TOKEN, SLACK_SIGNING_SECRET
+ *   Teams:   MICROSOFT_APP_ID, MICROSOFT_APP_PASSWORD (optional: MICROSOFT_APP_TENANT_ID, PORT)
+ *   Discord: DISCORD_BOT_TOKEN, DISCORD_CLIENT_ID (optional: DISCORD_GUILD_ID)
+ *
+ * Per-backend env vars:
+ *   Sprite:  FLY_API_TOKEN, FLY_SPRITE_APP, SPRITE_IMAGE (see SPRITE_SETUP.md)
+ *
+ * The older per-combination scripts (bot.js, teams-bot.js, discord-opencode-bot.js, ...)
+ * set CHAT_PROVIDER / AI_BACKEND and load this file.
+ */
+
+const { registerFatalHandlers } = require('./process-handlers');
+registerFatalHandlers();
+
+require('dotenv').config();
+
+const { createProvider } = require('./providers');
+const { createBotEngine } = require('./bot-engine');
+const { createBackend, getBackend, listBackends } = require('./backends');
+const { resolveSelection, setupGuides, providerConfig, backendOptions } = require('./dispatch-config');
+const { createStateStore } = require('./state-store');
+const { createUsageTracker } = require('./usage-tracker');
+
+// ============================================
+// ENV VALIDATION
+// ============================================
+
+const { chatProviders: CHAT_PROVIDERS, aiBackend: AI_BACKEND, errors, warnings } = resolveSelection(process.env, listBackends());
+if (errors.length > 0) {
+  errors.forEach(error => console.error(`Error: ${error}`));
+  console.error(`See ${setupGuides(CHAT_PROVIDERS, AI_BACKEND).join(' and ')} for configuration details.`);
+  process.exit(1);
+}
+warnings.forEach(warning => console.warn(`[dispatch] ${warning}`));
+
+// ============================================
+// BOOT
+// ============================================
+
+(async () => {
+  // 1. Create chat provider (several share one engine through the multi provider)
+  const providers = CHAT_PROVIDERS.map(name => createProvider(name, providerConfig(name, process.env)));
+  const chatProvider = providers.length === 1
+    ? providers[0]
+    : createProvider('multi', { providers });
+
+  // 2. Create AI backend (sessions, usage history and Sprite jobs share the state file)
+  const stateStore = createStateStore();
+  const jobStore = AI_BACKEND === 'sprite' ? require('./job-store').createJobStore() : null;
+  // Route Claude's permission prompts to Approve/Deny buttons in chat
+  const permissionBridge = AI_BACKEND === 'claude' && process.env.PERMISSION_APPROVALS === 'true'
+    ? require('./permission-bridge').createPermissionBridge()
+    : null;
+  const aiBackend = createBackend(AI_BACKEND, backendOptions(AI_BACKEND, process.env, {
+    stateStore,
+    jobStore,
+    permissionBridge
+  }));
+
+  // 3. Sprites report back through the webhook server
+  let webhookServer = null;
+  if (AI_BACKEND === 'sprite') {
+    const { createWebhookServer } = require('./webhook-server');
+    webhookServer = createWebhookServer({
+      jobs: aiBackend.jobs,
+      jobStore,
+      port: parseInt(process.env.WEBHOOK_PORT || '8080', 10)
+    });
+  }
+
+  // 4. Create bot engine
+  const aiName = getBackend(AI_BACKEND).displayName;
+  const bot = createBotEngine({
+    chatProvider,
+    aiBackend,
+    aiName,
+    showThinking: true,
+    streamResponses: true,
+    permissionBridge,
+    usageTracker: createUsageTracker({ stateStore })
+  });
+
+  // 5. Start everything
+  try {
+    if (webhookServer) {
+      await webhookServer.start();
+      aiBackend.startStaleReaper();
+    }
+    await bot.start();
+  } catch (error) {
+    console.error(`Failed to start ${chatProvider.name} bot:`, error);
+    process.exit(1);
+  }
+
+  console.log(`[dispatch] Running with ${CHAT_PROVIDERS.join(' + ')} provider${CHAT_PROVIDERS.length > 1 ? 's' : ''} and ${AI_BACKEND} backend`);
+  if (webhookServer) {
+    console.log(`[dispatch] Webhook server on port ${process.env.WEBHOOK_PORT || '8080'}`);
+    console.log(`[dispatch] Sprite app: ${process.env.FLY_SPRITE_APP}`);
+  }
+  if (aiBackend.model) {
+    console.log(`[dispatch] Default model: ${aiBackend.model}`);
+  }
+
+  // 6. Graceful shutdown
+  const shutdown = async (signal) => {
+    console.log(`\n[dispatch] ${signal} received, shutting down...`);
+    if (webhookServer) aiBackend.stopStaleReaper();
+    await bot.stop();
+    if (webhookServer) await webhookServer.stop();
+    if (aiBackend.close) await aiBackend.close();
+    process.exit(0);
+  };
+
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+})();
@@ -0,0 +1,176 @@
+/**
+ * Instance Queue Module
+ *
+ * Per-instance FIFO queue that serializes prompts sent to the same AI
+ * instance. Every backend resumes a single session per instance, so two
+ * overlapping runs on the same instance would corrupt that session.
+ */
+
+/**
+ * @typedef {Object} QueueEntryInfo
+ * @property {number} position - 0 for the running entry, 1..n for pending ones
+ * @property {string} prompt - Prompt text
+ * @property {string|null} userId - User who sent the prompt
+ * @property {Date} enqueuedAt
+ * @property {Date|null} startedAt
+ */
+
+/**
+ * Create a queue manager
+ * @param {Object} [options]
+ * @param {number} [options.maxDepth=5] - Max pending prompts per instance (excluding the running one)
+ * @returns {Object} Queue manager with methods
+ */
+function createQueueManager(options = {}) {
+  const maxDepth = options.maxDepth ?? 5;
+  const queues = new Map(); // instanceId → { running: entry|null, pending: entry[] }
+
+  function getQueue(instanceId) {
+    let queue = queues.get(instanceId);
+    if (!queue) {
+      queue = { running: null, pending: [] };
+      queues.set(instanceId, queue);
+    }
+    return queue;
+  }
+
+  function runEntry(instanceId, queue, entry) {
+    queue.running = entry;
+    entry.startedAt = new Date();
+
+    const advance = () => {
+      queue.running = null;
+      const next = queue.pending.shift();
+      if (next) {
+        runEntry(instanceId, queue, next);
+      } else if (queues.get(instanceId) === queue) {
+        queues.delete(instanceId);
+      }
+    };
+
+    // Advance before settling so callers awaiting `done` see the next state
+    Promise.resolve()
+      .then(() => entry.run())
+      .then(
+        (value) => { advance(); entry.resolve(value); },
+        (error) => { advance(); entry.reject(error); }
+      );
+  }
+
+  /**
+   * Enqueue a prompt for an instance. Runs immediately if the instance is idle.
+   * @param {string} instanceId
+   * @param {Object} entry
+   * @param {string} entry.prompt - Prompt text (shown by inspect())
+   * @param {string} [entry.userId] - User who sent the prompt
+   * @param {Function} entry.run - async () => any, invoked when the entry reaches the front
+   * @returns {{accepted: boolean, position: number, done: Promise|null, error?: string}}
+   *   position is 0 when the prompt runs immediately, otherwise its 1-based place in line.
+   *   done resolves with run()'s result, or with { cancelled: true } if the entry is cleared.
+   */
+  function enqueue(instanceId, { prompt, userId, run }) {
+    const queue = getQueue(instanceId);
+
+    if (queue.running && queue.pending.length >= maxDepth) {
+      return {
+        accepted: false,
+        position: -1,
+        done: null,
+        error: `Queue for "${instanceId}" is full (${maxDepth} pending)`
+      };
+    }
+
+    const entry = {
+      prompt,
+      userId: userId || null,
+      enqueuedAt: new Date(),
+      startedAt: null,
+      run
+    };
+    const done = new Promise((resolve, reject) => {
+      entry.resolve = resolve;
+      entry.reject = reject;
+    });
+
+    if (!queue.running) {
+      runEntry(instanceId, queue, entry);
+      return { accepted: true, position: 0, done };
+    }
+
+    queue.pending.push(entry);
+    return { accepted: true, position: queue.pending.length, done };
+  }
+
+  /**
+   * Drop all pending prompts for an instance (the running one is untouched).
+   * @param {string} instanceId
+   * @returns {number} Number of prompts dropped
+   */
+  function clear(instanceId) {
+    const queue = queues.get(instanceId);
+    if (!queue) return 0;
+
+    const dropped = queue.pending.splice(0);
+    for (const entry of dropped) {
+      entry.resolve({ cancelled: true });
+    }
+    if (!queue.running) {
+      queues.delete(instanceId);
+    }
+    return dropped.length;
+  }
+
+  /**
+   * Describe the running and pending prompts for an instance
+   * @param {string} instanceId
+   * @returns {{running: QueueEntryInfo|null, pending: QueueEntryInfo[]}}
+   */
+  function inspect(instanceId) {
+    const queue = queues.get(instanceId);
+    if (!queue) return { running: null, pending: [] };
+
+    const describe = (entry, position) => ({
+      position,
+      prompt: entry.prompt,
+      userId: entry.userId,
+      enqueuedAt: entry.enqueuedAt,
+      startedAt: entry.startedAt
+    });
+
+    return {
+      running: queue.running ? describe(queue.running, 0) : null,
+      pending: queue.pending.map((entry, i) => describe(entry, i + 1))
+    };
+  }
+
+  /**
+   * Number of pending prompts (excluding the running one)
+   * @param {string} instanceId
+   * @returns {number}
+   */
+  function depth(instanceId) {
+    const queue = queues.get(instanceId);
+    return queue ? queue.pending.length : 0;
+  }
+
+  /**
+   * Whether a prompt is currently running on the instance
+   * @param {string} instanceId
+   * @returns {boolean}
+   */
+  function isBusy(instanceId) {
+    const queue = queues.get(instanceId);
+    return Boolean(queue && queue.running);
+  }
+
+  return {
+    enqueue,
+    clear,
+    inspect,
+    depth,
+    isBusy,
+    get maxDepth() { return maxDepth; }
+  };
+}
+
+module.exports = { createQueueManager };
@@ -0,0 +1,286 @@
+/**
+ * Job Store Module
+ *
+ * Durable history of Sprite jobs (status, logs, artifacts) so `od-jobs`
+ * survives restarts and the webhook server's in-memory cleanup. Jobs are
+ * stored as Job.toJSON() and come back as Job.fromJSON() instances.
+ * Every implementation exposes the same synchronous interface:
+ *
+ *   save(job)
+ *   get(jobId)      → Job | null
+ *   list(filters)   → { jobs: Job[], total }   (newest first)
+ *   findIds(prefix) → string[]   (IDs starting with prefix, without loading jobs)
+ *   close()
+ *
+ * Implementations: memory (tests), file (default, one JSON file per job
+ * plus an index), SQLite (optional, requires better-sqlite3).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Job } = require('./job');
+const { requireSqlite, DEFAULT_DIR } = require('./state-store');
+
+/**
+ * @typedef {Object} JobFilters
+ * @property {string} [channelId]
+ * @property {string} [status]
+ * @property {string} [userId]
+ * @property {number} [limit=10]
+ * @property {number} [offset=0]
+ */
+
+/**
+ * Index fields used for filtering and ordering without loading every job
+ * @param {Object} json - Job.toJSON() output
+ */
+function toIndexEntry(json) {
+  return {
+    channelId: json.channelId || null,
+    userId: json.userId || null,
+    status: json.status,
+    createdAt: new Date(json.createdAt).toISOString()
+  };
+}
+
+/**
+ * Filter, sort (newest first) and paginate index entries
+ * @param {Array<[string, Object]>} entries - [jobId, indexEntry]
+ * @param {JobFilters} filters
+ * @returns {{ids: string[], total: number}}
+ */
+function selectPage(entries, filters = {}) {
+  const { channelId, status, userId, limit = 10, offset = 0 } = filters;
+
+  const matches = entries
+    .filter(([, entry]) =>
+      (!channelId || entry.channelId === channelId) &&
+      (!status || entry.status === status) &&
+      (!userId || entry.userId === userId))
+    .sort(([, a], [, b]) => b.createdAt.localeCompare(a.createdAt));
+
+  return {
+    ids: matches.slice(offset, offset + limit).map(([jobId]) => jobId),
+    total: matches.length
+  };
+}
+
+function serialize(job) {
+  return JSON.parse(JSON.stringify(job instanceof Job ? job.toJSON() : job));
+}
+
+/**
+ * Create an in-memory job store (nothing is persisted)
+ * @returns {Object} Job store
+ */
+function createMemoryJobStore() {
+  const records = new Map(); // jobId → serialized job
+
+  return {
+    type: 'memory',
+    save(job) {
+      const json = serialize(job);
+      records.set(json.jobId, json);
+    },
+    get(jobId) {
+      const json = records.get(jobId);
+      return json ? Job.fromJSON(json) : null;
+    },
+    list(filters) {
+      const entries = Array.from(records.entries()).map(([jobId, json]) => [jobId, toIndexEntry(json)]);
+      const { ids, total } = selectPage(entries, filters);
+      return { jobs: ids.map(jobId => Job.fromJSON(records.get(jobId))), total };
+    },
+    findIds(prefix) {
+      return Array.from(records.keys()).filter(jobId => jobId.startsWith(prefix));
+    },
+    close() {}
+  };
+}
+
+/**
+ * Create a job store with one JSON file per job and an index file.
+ * @param {Object} [options]
+ * @param {string} [options.dirPath] - Defaults to ~/.open-dispatch/jobs
+ * @returns {Object} Job store
+ */
+function createFileJobStore(options = {}) {
+  const dirPath = options.dirPath || path.join(DEFAULT_DIR, 'jobs');
+  const indexPath = path.join(dirPath, 'index.json');
+  let index = {}; // jobId → index entry
+
+  fs.mkdirSync(dirPath, { recursive: true });
+  if (fs.existsSync(indexPath)) {
+    try {
+      index = JSON.parse(fs.readFileSync(indexPath, 'utf8')) || {};
+    } catch (error) {
+      console.error(`[JobStore] Could not parse ${indexPath}, rebuilding it:`, error.message);
+      index = rebuildIndex();
+    }
+  }
+
+  function jobPath(jobId) {
+    // Job IDs are UUIDs; refuse anything that could escape the directory
+    if (!/^[\w-]+$/.test(jobId)) {
+      throw new Error(`Invalid job ID: ${jobId}`);
+    }
+    return path.join(dirPath, `${jobId}.json`);
+  }
+
+  function writeAtomic(filePath, data) {
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  function rebuildIndex() {
+    const rebuilt = {};
+    for (const file of fs.readdirSync(dirPath)) {
+      if (!file.endsWith('.json') || file === 'index.json') continue;
+      try {
+        const json = JSON.parse(fs.readFileSync(path.join(dirPath, file), 'utf8'));
+        rebuilt[json.jobId] = toIndexEntry(json);
+      } catch (e) {
+        // Skip unreadable job files
+      }
+    }
+    return rebuilt;
+  }
+
+  function get(jobId) {
+    let json;
+    try {
+      json = JSON.parse(fs.readFileSync(jobPath(jobId), 'utf8'));
+    } catch (e) {
+      return null;
+    }
+    return Job.fromJSON(json);
+  }
+
+  return {
+    type: 'file',
+    dirPath,
+    save(job) {
+      const json = serialize(job);
+      writeAtomic(jobPath(json.jobId), json);
+      index[json.jobId] = toIndexEntry(json);
+      writeAtomic(indexPath, index);
+    },
+    get,
+    list(filters) {
+      const { ids, total } = selectPage(Object.entries(index), filters);
+      return { jobs: ids.map(get).filter(Boolean), total };
+    },
+    findIds(prefix) {
+      return Object.keys(index).filter(jobId => jobId.startsWith(prefix));
+    },
+    close() {}
+  };
+}
+
+/**
+ * Create a job store backed by SQLite (requires better-sqlite3)
+ * @param {Object} [options]
+ * @param {string} [options.filePath] - Defaults to ~/.open-dispatch/jobs.db
+ * @param {Function} [options.Database] - better-sqlite3 Database constructor (for testing)
+ * @returns {Object} Job store
+ */
+function createSqliteJobStore(options = {}) {
+  const filePath = options.filePath || path.join(DEFAULT_DIR, 'jobs.db');
+  const Database = options.Database || requireSqlite();
+
+  if (filePath !== ':memory:') {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+
+  const db = new Database(filePath);
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS jobs (
+      job_id TEXT PRIMARY KEY,
+      channel_id TEXT,
+      user_id TEXT,
+      status TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS jobs_channel ON jobs (channel_id, created_at);
+    CREATE INDEX IF NOT EXISTS jobs_status ON jobs (status, created_at);
+  `);
+
+  const saveStmt = db.prepare(
+    'INSERT INTO jobs (job_id, channel_id, user_id, status, created_at, data) VALUES (?, ?, ?, ?, ?, ?) ' +
+    'ON CONFLICT(job_id) DO UPDATE SET status = excluded.status, data = excluded.data'
+  );
+  const getStmt = db.prepare('SELECT data FROM jobs WHERE job_id = ?');
+  const findStmt = db.prepare('SELECT job_id FROM jobs WHERE substr(job_id, 1, ?) = ?');
+
+  /**
+   * Build the WHERE clause for a filter set
+   */
+  function where(filters = {}) {
+    const clauses = [];
+    const params = [];
+    if (filters.channelId) { clauses.push('channel_id = ?'); params.push(filters.channelId); }
+    if (filters.status) { clauses.push('status = ?'); params.push(filters.status); }
+    if (filters.userId) { clauses.push('user_id = ?'); params.push(filters.userId); }
+    return { sql: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '', params };
+  }
+
+  return {
+    type: 'sqlite',
+    filePath,
+    save(job) {
+      const json = serialize(job);
+      const entry = toIndexEntry(json);
+      saveStmt.run(json.jobId, entry.channelId, entry.userId, entry.status, entry.createdAt, JSON.stringify(json));
+    },
+    get(jobId) {
+      const row = getStmt.get(jobId);
+      return row ? Job.fromJSON(JSON.parse(row.data)) : null;
+    },
+    list(filters = {}) {
+      const { limit = 10, offset = 0 } = filters;
+      const { sql, params } = where(filters);
+      const rows = db.prepare(`SELECT data FROM jobs ${sql} ORDER BY created_at DESC LIMIT ? OFFSET ?`)
+        .all(...params, Number.isFinite(limit) ? limit : -1, offset); // -1 = no limit
+      const { total } = db.prepare(`SELECT COUNT(*) AS total FROM jobs ${sql}`).get(...params);
+      return { jobs: rows.map(row => Job.fromJSON(JSON.parse(row.data))), total };
+    },
+    findIds(prefix) {
+      return findStmt.all(prefix.length, prefix).map(row => row.job_id);
+    },
+    close() {
+      db.close();
+    }
+  };
+}
+
+/**
+ * Create the configured job store.
+ * @param {Object} [options]
+ * @param {string} [options.type] - 'file' | 'sqlite' | 'memory' (env: JOB_STORE, default: file)
+ * @param {string} [options.path] - Directory (file) or database path (sqlite) (env: JOB_STORE_PATH)
+ * @returns {Object} Job store
+ */
+function createJobStore(options = {}) {
+  const type = (options.type || process.env.JOB_STORE || 'file').toLowerCase();
+  const storePath = options.path || process.env.JOB_STORE_PATH || undefined;
+
+  switch (type) {
+    case 'file':
+      return createFileJobStore({ dirPath: storePath });
+    case 'sqlite':
+      return createSqliteJobStore({ ...options, filePath: storePath });
+    case 'memory':
+      return createMemoryJobStore();
+    default:
+      throw new Error(`Unknown job store: ${type}. Use: file, sqlite, memory`);
+  }
+}
+
+module.exports = {
+  createJobStore,
+  createMemoryJobStore,
+  createFileJobStore,
+  createSqliteJobStore
+};
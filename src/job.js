@@ -11,7 +11,8 @@ const JobStatus = {
   QUEUED: 'queued',
   RUNNING: 'running',
   COMPLETED: 'completed',
-  FAILED: 'failed'
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
 };
 
 class Job {
@@ -57,18 +58,21 @@ class Job {
    * @param {string} machineId - Fly Machine ID
    */
   start(machineId) {
-    this.status = JobStatus.RUNNING;
     this.machineId = machineId;
     this.spriteId = machineId;
+    // A job cancelled while its Machine was booting stays cancelled
+    if (this.status === JobStatus.CANCELLED) return;
+    this.status = JobStatus.RUNNING;
     this.startedAt = new Date();
     this.lastActivityAt = new Date();
   }
 
   /**
-   * Mark job as completed
+   * Mark job as completed (no-op once cancelled)
    * @param {number} [exitCode]
    */
   complete(exitCode = 0) {
+    if (this.status === JobStatus.CANCELLED) return;
     this.status = JobStatus.COMPLETED;
     this.completedAt = new Date();
     this.exitCode = exitCode;
@@ -76,11 +80,12 @@ class Job {
   }
 
   /**
-   * Mark job as failed
+   * Mark job as failed (no-op once cancelled)
    * @param {string} error
    * @param {number} [exitCode]
    */
   fail(error, exitCode = 1) {
+    if (this.status === JobStatus.CANCELLED) return;
     this.status = JobStatus.FAILED;
     this.completedAt = new Date();
     this.error = error;
@@ -88,6 +93,17 @@ class Job {
     this.lastActivityAt = new Date();
   }
 
+  /**
+   * Mark job as cancelled by a user
+   * @param {string} [reason]
+   */
+  cancel(reason = 'Cancelled by user') {
+    this.status = JobStatus.CANCELLED;
+    this.completedAt = new Date();
+    this.error = reason;
+    this.lastActivityAt = new Date();
+  }
+
   /**
    * Append a log entry and update activity timestamp
    * @param {string} message
@@ -133,6 +149,9 @@ class Job {
     return {
       jobId: this.jobId,
       status: this.status,
+      channelId: this.channelId,
+      userId: this.userId,
+      createdAt: this.createdAt,
       duration: this.getDuration(),
       artifactCount: this.artifacts.length,
       logCount: this.logs.length,
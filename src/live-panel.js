@@ -0,0 +1,214 @@
+/**
+ * Live Panel Module
+ *
+ * One chat message per run that is edited in place with the latest output,
+ * the elapsed time and the tool currently running, instead of a new post
+ * for every batch of lines. When the next render would pass the platform's
+ * message limit, the current message is marked "continued below" and the
+ * panel carries on in a new one. Providers that can't edit messages (editMessage returns
+ * false) get the new lines as separate posts instead.
+ */
+
+const FLUSH_DELAY = 1000; // edits are rate limited more tightly than posts
+const TICK_INTERVAL = 5000; // refresh the elapsed time while nothing is printed
+const MAX_LINES = 15;
+
+/**
+ * Format a duration, e.g. "42s", "3m 05s", "1h 02m"
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatElapsed(ms) {
+  const seconds = Math.max(0, Math.floor(ms / 1000));
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ${String(seconds % 60).padStart(2, '0')}s`;
+  return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+}
+
+/**
+ * Create a live panel for one run's output
+ * @param {import('./providers/chat-provider').ChatProvider} chatProvider
+ * @param {string} channelId
+ * @param {Object} [options]
+ * @param {boolean} [options.codeBlock=true] - Show lines in a code block (false for progress lines)
+ * @param {number} [options.maxLines=15] - Lines kept on the panel; older ones scroll off
+ * @param {number} [options.flushDelay=1000] - Buffer pushes this long before editing (ms)
+ * @param {number} [options.tickInterval=5000] - Refresh the elapsed time this often (ms, 0 = only on output)
+ * @returns {Object} { push(text), setActivity(text), flush(), close(), destroy() }
+ */
+function createLivePanel(chatProvider, channelId, options = {}) {
+  const {
+    codeBlock = true,
+    maxLines = MAX_LINES,
+    flushDelay = FLUSH_DELAY,
+    tickInterval = TICK_INTERVAL
+  } = options;
+  const startedAt = Date.now();
+  const pending = [];
+  let lines = []; // lines on the current message
+  let activity = null;
+  let messageId = null;
+  let canEdit = true;
+  let flushTimer = null;
+  let tickTimer = null;
+  let destroyed = false;
+  let sending = Promise.resolve();
+
+  function render(status, shown = lines) {
+    const body = shown.join('\n');
+    return `_${status}_\n${codeBlock ? '```\n' + body + '\n```' : body}`;
+  }
+
+  function runningStatus() {
+    const elapsed = formatElapsed(Date.now() - startedAt);
+    return `⏳ Running · ${elapsed}${activity ? ` · ${activity}` : ''}`;
+  }
+
+  function fits(shown) {
+    return render(runningStatus(), shown).length <= chatProvider.maxMessageLength;
+  }
+
+  /**
+   * Shorten a line so it always fits on a panel of its own
+   */
+  function clip(line) {
+    const room = Math.floor(chatProvider.maxMessageLength / 2);
+    return line.length > room ? `${line.substring(0, room)}…` : line;
+  }
+
+  async function post(text) {
+    const sent = await chatProvider.sendMessage(channelId, text);
+    messageId = sent && sent.messageId;
+    if (!messageId) canEdit = false;
+  }
+
+  async function edit(text) {
+    if (await chatProvider.editMessage(channelId, messageId, text) === false) {
+      canEdit = false;
+    }
+    return canEdit;
+  }
+
+  /**
+   * Same output as the message batcher, one post per batch
+   */
+  async function postBatch(newLines) {
+    const text = newLines.join('\n');
+    if (text.trim()) {
+      await chatProvider.sendLongMessage(channelId, codeBlock ? '```\n' + text + '\n```' : text);
+    }
+  }
+
+  async function publish(final) {
+    const newLines = pending.splice(0);
+
+    if (!canEdit) {
+      await postBatch(newLines);
+      return;
+    }
+
+    for (const line of newLines) {
+      const next = [...lines, line].slice(-maxLines);
+      if (messageId && !fits(next)) {
+        // Leave the full message behind and carry on in a new one
+        await edit(render('continued below'));
+        messageId = null;
+        lines = [line];
+      } else {
+        lines = next;
+      }
+    }
+    if (lines.length === 0) return;
+
+    const text = final
+      ? render(`Ran for ${formatElapsed(Date.now() - startedAt)}`)
+      : render(runningStatus());
+    if (messageId) {
+      if (!await edit(text)) await postBatch(newLines);
+    } else {
+      await post(text);
+      if (tickInterval > 0 && !tickTimer && !final) {
+        tickTimer = setInterval(() => scheduleFlush(0), tickInterval);
+        if (tickTimer.unref) tickTimer.unref();
+      }
+    }
+  }
+
+  /**
+   * Chain publishes so edits never overlap or arrive out of order
+   */
+  function enqueue(final = false) {
+    sending = sending
+      .then(() => publish(final))
+      .catch(e => console.error('[LivePanel] Update error:', e.message));
+    return sending;
+  }
+
+  function scheduleFlush(delay = flushDelay) {
+    if (flushTimer || destroyed) return;
+    flushTimer = setTimeout(() => {
+      flushTimer = null;
+      enqueue();
+    }, delay);
+  }
+
+  function stopTimers() {
+    if (flushTimer) { clearTimeout(flushTimer); flushTimer = null; }
+    if (tickTimer) { clearInterval(tickTimer); tickTimer = null; }
+  }
+
+  return {
+    /**
+     * Add output. Log output (code block panels) is split into lines;
+     * a progress line with an output preview counts as one.
+     * @param {string} text
+     */
+    push(text) {
+      if (destroyed) return;
+      const added = codeBlock ? String(text).split('\n') : [String(text)];
+      pending.push(...added.map(clip));
+      scheduleFlush();
+    },
+
+    /**
+     * Show what the run is doing right now, or null when idle
+     * @param {string|null} text
+     */
+    setActivity(text) {
+      if (destroyed || activity === text) return;
+      activity = text;
+      if (messageId) scheduleFlush();
+    },
+
+    /**
+     * Show everything pushed so far
+     */
+    async flush() {
+      if (destroyed) return;
+      if (flushTimer) { clearTimeout(flushTimer); flushTimer = null; }
+      await enqueue();
+    },
+
+    /**
+     * Show the final output and total run time, then stop updating
+     */
+    async close() {
+      if (destroyed) return;
+      destroyed = true;
+      stopTimers();
+      activity = null;
+      await enqueue(true);
+    },
+
+    /**
+     * Stop updating without a final edit
+     */
+    destroy() {
+      destroyed = true;
+      stopTimers();
+    }
+  };
+}
+
+module.exports = { createLivePanel, formatElapsed };
@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+/**
+ * MCP Permission Server
+ *
+ * Minimal stdio MCP server that Claude Code launches via `--mcp-config`.
+ * It exposes one tool, `approve`, used as the `--permission-prompt-tool`:
+ * each call is forwarded to the permission bridge (see permission-bridge.js),
+ * which asks a human in chat and answers allow/deny.
+ *
+ * Speaks newline-delimited JSON-RPC 2.0 (the MCP stdio transport) with no
+ * SDK dependency. Configured through env set by the bridge:
+ *   OD_BRIDGE_URL, OD_BRIDGE_TOKEN, OD_INSTANCE_ID
+ */
+
+const http = require('http');
+const readline = require('readline');
+
+const PROTOCOL_VERSION = '2024-11-05';
+
+const APPROVE_TOOL = {
+  name: 'approve',
+  description: 'Ask an Open Dispatch operator in chat to approve or deny a tool call',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      tool_name: { type: 'string', description: 'Tool Claude wants to run' },
+      input: { type: 'object', description: 'Input for the tool' },
+      tool_use_id: { type: 'string' }
+    },
+    required: ['tool_name', 'input']
+  }
+};
+
+/**
+ * Ask the bridge for a decision over HTTP
+ * @param {Object} config - { url, token, instanceId }
+ * @param {Object} args - approve tool arguments
+ * @returns {Promise<{behavior: string, updatedInput?: Object, message?: string}>}
+ */
+function requestBridgeDecision(config, args) {
+  const body = JSON.stringify({
+    instanceId: config.instanceId,
+    toolName: args.tool_name,
+    input: args.input,
+    toolUseId: args.tool_use_id
+  });
+
+  return new Promise((resolve, reject) => {
+    const req = http.request(`${config.url}/permission`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        Authorization: `Bearer ${config.token}`
+      }
+    }, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => {
+        if (res.statusCode !== 200) {
+          reject(new Error(`Bridge returned HTTP ${res.statusCode}`));
+          return;
+        }
+        try {
+          resolve(JSON.parse(data));
+        } catch (e) {
+          reject(new Error('Bridge returned invalid JSON'));
+        }
+      });
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+/**
+ * Create a JSON-RPC message handler
+ * @param {Object} options
+ * @param {(args: Object) => Promise<Object>} options.requestDecision - Resolves to an allow/deny decision
+ * @returns {(message: Object) => Promise<Object|null>} Resolves to a response, or null for notifications
+ */
+function createMcpHandler({ requestDecision }) {
+  async function call(method, params) {
+    switch (method) {
+      case 'initialize':
+        return {
+          protocolVersion: params?.protocolVersion || PROTOCOL_VERSION,
+          capabilities: { tools: {} },
+          serverInfo: { name: 'open-dispatch', version: '1.0.0' }
+        };
+
+      case 'ping':
+        return {};
+
+      case 'tools/list':
+        return { tools: [APPROVE_TOOL] };
+
+      case 'tools/call': {
+        if (params?.name !== APPROVE_TOOL.name) {
+          throw Object.assign(new Error(`Unknown tool: ${params?.name}`), { code: -32602 });
+        }
+        const args = params.arguments || {};
+        let decision;
+        try {
+          decision = await requestDecision(args);
+        } catch (error) {
+          // Never fail open: anything unexpected denies the tool call
+          decision = { behavior: 'deny', message: `Approval unavailable: ${error.message}` };
+        }
+        return { content: [{ type: 'text', text: JSON.stringify(decision) }] };
+      }
+
+      default:
+        throw Object.assign(new Error(`Method not found: ${method}`), { code: -32601 });
+    }
+  }
+
+  return async function handle(message) {
+    const isNotification = message.id === undefined || message.id === null;
+    try {
+      const result = await call(message.method, message.params);
+      return isNotification ? null : { jsonrpc: '2.0', id: message.id, result };
+    } catch (error) {
+      if (isNotification) return null;
+      return {
+        jsonrpc: '2.0',
+        id: message.id,
+        error: { code: error.code || -32603, message: error.message }
+      };
+    }
+  };
+}
+
+/**
+ * Serve MCP over stdin/stdout
+ */
+function run() {
+  const config = {
+    url: process.env.OD_BRIDGE_URL,
+    token: process.env.OD_BRIDGE_TOKEN,
+    instanceId: process.env.OD_INSTANCE_ID
+  };
+  const handle = createMcpHandler({
+    requestDecision: (args) => requestBridgeDecision(config, args)
+  });
+
+  const rl = readline.createInterface({ input: process.stdin });
+  rl.on('line', async (line) => {
+    if (!line.trim()) return;
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (e) {
+      process.stdout.write(JSON.stringify({
+        jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' }
+      }) + '\n');
+      return;
+    }
+    const response = await handle(message);
+    if (response) process.stdout.write(JSON.stringify(response) + '\n');
+  });
+}
+
+if (require.main === module) {
+  run();
+}
+
+module.exports = {
+  createMcpHandler,
+  requestBridgeDecision,
+  APPROVE_TOOL
+};
@@ -7,21 +7,40 @@
 
 const { spawn } = require('child_process');
 const { randomUUID } = require('crypto');
+const { terminateProcess } = require('./process-utils');
+const { createInstancePersistence } = require('./state-store');
+const { accumulateUsage } = require('./usage-tracker');
 
 /**
  * Create an instance manager
  * @param {Object} options
- * @param {string} [options.model] - Optional model override
+ * @param {string} [options.model] - Default model for instances started without one
  * @param {Function} [options.spawnFn] - Optional spawn function for testing
+ * @param {number} [options.killGraceMs=5000] - Wait between SIGINT and SIGKILL when cancelling
+ * @param {Object} [options.stateStore] - Persist instances across restarts (see state-store.js)
  * @returns {Object} Instance manager with methods
  */
 function createInstanceManager(options = {}) {
   const instances = new Map();
   const model = options.model || null;
   const spawnFn = options.spawnFn || spawn;
+  const killGraceMs = options.killGraceMs ?? 5000;
+  const persistence = createInstancePersistence(options.stateStore, 'instances:opencode', {
+    runtimeFields: ['activeRun']
+  });
+
+  // Rehydrate instances saved before a restart so sessions resume
+  for (const [instanceId, instance] of persistence.load()) {
+    instances.set(instanceId, instance);
+  }
 
   /**
    * Start a new OpenCode instance
+   * @param {string} instanceId
+   * @param {string} projectDir
+   * @param {*} channel
+   * @param {Object} [opts]
+   * @param {string} [opts.model] - provider/model, e.g. 'openai/gpt-4o'
    */
   function startInstance(instanceId, projectDir, channel, opts = {}) {
     if (instances.has(instanceId)) {
@@ -29,14 +48,17 @@ function createInstanceManager(options = {}) {
     }
 
     const sessionId = randomUUID();
-
-    instances.set(instanceId, {
+    const instance = {
       sessionId,
       channel,
       projectDir,
+      model: opts.model || null,
       messageCount: 0,
       startedAt: new Date()
-    });
+    };
+
+    instances.set(instanceId, instance);
+    persistence.save(instanceId, instance);
 
     return { success: true, sessionId };
   }
@@ -50,7 +72,46 @@ function createInstanceManager(options = {}) {
       return { success: false, error: `Instance "${instanceId}" not found` };
     }
 
+    if (instance.activeRun) {
+      terminateProcess(instance.activeRun.proc, killGraceMs);
+    }
+
     instances.delete(instanceId);
+    persistence.remove(instanceId);
+    return { success: true };
+  }
+
+  /**
+   * Switch an instance's model; the next message continues the session with it
+   * @param {string} instanceId
+   * @param {string|null} newModel - null returns to the default model
+   */
+  function setModel(instanceId, newModel) {
+    const instance = instances.get(instanceId);
+    if (!instance) {
+      return { success: false, error: `Instance "${instanceId}" not found` };
+    }
+
+    instance.model = newModel || null;
+    persistence.save(instanceId, instance);
+    return { success: true };
+  }
+
+  /**
+   * Cancel the run in progress on an instance.
+   * The pending sendToInstance call resolves with { cancelled: true }.
+   */
+  function cancelInstance(instanceId) {
+    const instance = instances.get(instanceId);
+    if (!instance) {
+      return { success: false, error: `Instance "${instanceId}" not found` };
+    }
+    if (!instance.activeRun) {
+      return { success: false, error: `Instance "${instanceId}" has no run in progress` };
+    }
+
+    instance.activeRun.cancelled = true;
+    terminateProcess(instance.activeRun.proc, killGraceMs);
     return { success: true };
   }
 
@@ -88,6 +149,7 @@ function createInstanceManager(options = {}) {
    */
   function clearInstances() {
     instances.clear();
+    persistence.clear();
   }
 
   /**
@@ -107,6 +169,9 @@ function createInstanceManager(options = {}) {
     const { onMessage } = options;
     const isFirstMessage = instance.messageCount === 0;
     instance.messageCount++;
+    instance.lastPrompt = message;
+    instance.lastActivityAt = new Date();
+    persistence.save(instanceId, instance);
 
     const args = ['run', '--format', 'json'];
 
@@ -114,8 +179,9 @@ function createInstanceManager(options = {}) {
       args.push('--session', instance.sessionId);
     }
 
-    if (model) {
-      args.push('-m', model);
+    const runModel = instance.model || model;
+    if (runModel) {
+      args.push('-m', runModel);
     }
 
     args.push('--', message);
@@ -130,6 +196,9 @@ function createInstanceManager(options = {}) {
         stdio: ['ignore', 'pipe', 'pipe']
       });
 
+      const run = { proc, cancelled: false };
+      instance.activeRun = run;
+
       let stdout = '';
       let stderr = '';
       let lineBuffer = '';
@@ -170,6 +239,8 @@ function createInstanceManager(options = {}) {
       });
 
       proc.on('close', (code) => {
+        if (instance.activeRun === run) instance.activeRun = null;
+
         if (onMessage && lineBuffer.trim()) {
           try {
             const event = JSON.parse(lineBuffer);
@@ -190,12 +261,24 @@ function createInstanceManager(options = {}) {
         if (isFirstMessage && responses.sessionId) {
           instance.sessionId = responses.sessionId;
         }
+        const usage = extractUsage(stdout);
+        if (usage) accumulateUsage(instance, usage);
+        instance.lastActivityAt = new Date();
+        // OpenCode assigns its own session ID on the first run — keep it across restarts
+        if (instances.get(instanceId) === instance) {
+          persistence.save(instanceId, instance);
+        }
 
         const finalTexts = streamedTexts.size > 0 ? [...streamedTexts] : responses.texts;
-        resolve({ success: true, responses: finalTexts, exitCode: code, streamed: streamedTexts.size > 0 });
+        if (run.cancelled) {
+          resolve({ success: false, cancelled: true, error: 'Cancelled', responses: finalTexts, exitCode: code, streamed: streamedTexts.size > 0, usage });
+          return;
+        }
+        resolve({ success: true, responses: finalTexts, exitCode: code, streamed: streamedTexts.size > 0, usage });
       });
 
       proc.on('error', (err) => {
+        if (instance.activeRun === run) instance.activeRun = null;
         resolve({ success: false, error: err.message });
       });
     });
@@ -204,15 +287,16 @@ function createInstanceManager(options = {}) {
   /**
    * Build CLI arguments for OpenCode
    */
-  function buildArgs(message, projectDir, sessionId, isFirstMessage) {
+  function buildArgs(message, projectDir, sessionId, isFirstMessage, instanceModel = null) {
     const args = ['run', '--format', 'json'];
 
     if (!isFirstMessage) {
       args.push('--session', sessionId);
     }
 
-    if (model) {
-      args.push('-m', model);
+    const runModel = instanceModel || model;
+    if (runModel) {
+      args.push('-m', runModel);
     }
 
     args.push('--', message);
@@ -228,7 +312,12 @@ function createInstanceManager(options = {}) {
     listInstances,
     clearInstances,
     sendToInstance,
+    cancelInstance,
+    setModel,
     buildArgs,
+    // Instances run in a directory on this machine (bot-engine validates paths)
+    localWorkspace: true,
+    get model() { return model; },
     get instances() { return instances; }
   };
 }
@@ -294,6 +383,33 @@ function parseOpenCodeOutput(output) {
   return result;
 }
 
+/**
+ * Sum token/cost usage from OpenCode's NDJSON `step_finish` events
+ * @param {string} output - Raw stdout
+ * @returns {{inputTokens: number, outputTokens: number, costUsd: number}|null}
+ */
+function extractUsage(output) {
+  let usage = null;
+
+  for (const line of (output || '').split('\n')) {
+    if (!line.includes('step_finish')) continue;
+    try {
+      const event = JSON.parse(line);
+      const part = event.part || {};
+      if (event.type !== 'step_finish' || !part.tokens) continue;
+      usage = usage || { inputTokens: 0, outputTokens: 0, costUsd: 0 };
+      usage.inputTokens += (part.tokens.input || 0) +
+        (part.tokens.cache?.read || 0) + (part.tokens.cache?.write || 0);
+      usage.outputTokens += (part.tokens.output || 0) + (part.tokens.reasoning || 0);
+      usage.costUsd += part.cost || 0;
+    } catch (e) {
+      // Not a complete JSON line
+    }
+  }
+
+  return usage;
+}
+
 /**
  * Extract text from OpenCode event object
  */
@@ -371,5 +487,6 @@ module.exports = {
   parseOpenCodeOutput,
   extractEventText,
   extractTextContent,
+  extractUsage,
   chunkText
 };
@@ -0,0 +1,625 @@
+/**
+ * OpenCode Server Core Module
+ *
+ * Alternative OpenCode backend that talks to `opencode serve` over its HTTP
+ * API instead of spawning `opencode run` per message. Sessions are created
+ * through the API, so their IDs are known as soon as an instance starts;
+ * replies and tool calls arrive as typed parts on the server's event
+ * stream; and od-cancel aborts the session on the server.
+ *
+ * Connects to OPENCODE_SERVER_URL when set, otherwise launches
+ * `opencode serve` on first use and stops it on close().
+ */
+
+const { spawn } = require('child_process');
+const { terminateProcess } = require('./process-utils');
+const { createInstancePersistence } = require('./state-store');
+const { AgentEventType } = require('./agent-events');
+const { accumulateUsage } = require('./usage-tracker');
+
+/** OpenCode tool names → the names agent-events describes ("Edited src/app.js") */
+const TOOL_NAMES = {
+  bash: 'Bash',
+  edit: 'Edit',
+  write: 'Write',
+  read: 'Read',
+  glob: 'Glob',
+  grep: 'Grep',
+  webfetch: 'WebFetch',
+  todowrite: 'TodoWrite',
+  task: 'Task'
+};
+
+/** `opencode serve` prints "opencode server listening on http://127.0.0.1:4096" once ready */
+const LISTENING_PATTERN = /listening on (https?:\/\/\S+)/;
+
+/**
+ * Create an instance manager backed by an OpenCode server
+ * @param {Object} options
+ * @param {string} [options.model] - Default model for instances started without one (provider/model)
+ * @param {string} [options.serverUrl] - Existing server to use (env: OPENCODE_SERVER_URL); launched when unset
+ * @param {Function} [options.spawnFn] - Optional spawn function for testing
+ * @param {Function} [options.fetchFn] - Optional fetch function for testing
+ * @param {number} [options.startTimeoutMs=30000] - How long a launched server may take to start listening
+ * @param {number} [options.killGraceMs=5000] - Wait between SIGINT and SIGKILL when stopping the server
+ * @param {Object} [options.stateStore] - Persist instances across restarts (see state-store.js)
+ * @returns {Object} Instance manager with methods
+ */
+function createInstanceManager(options = {}) {
+  const instances = new Map();
+  const model = options.model || null;
+  const serverUrl = options.serverUrl || process.env.OPENCODE_SERVER_URL || null;
+  const spawnFn = options.spawnFn || spawn;
+  const fetchFn = options.fetchFn || fetch;
+  const startTimeoutMs = options.startTimeoutMs ?? 30000;
+  const killGraceMs = options.killGraceMs ?? 5000;
+  const persistence = createInstancePersistence(options.stateStore, 'instances:opencode-server', {
+    runtimeFields: ['activeRun']
+  });
+
+  // Launched server: its process and a promise for its base URL
+  let serverProc = null;
+  let serverReady = null;
+
+  // Rehydrate instances saved before a restart; the server keeps their sessions
+  for (const [instanceId, instance] of persistence.load()) {
+    instances.set(instanceId, instance);
+  }
+
+  /**
+   * Base URL of the server, launching `opencode serve` if needed
+   * @returns {Promise<string>}
+   */
+  function ensureServer() {
+    if (serverUrl) return Promise.resolve(serverUrl.replace(/\/+$/, ''));
+    if (!serverReady) {
+      serverReady = launchServer();
+      // Let the next request retry after a failed launch
+      serverReady.catch(() => { serverReady = null; });
+    }
+    return serverReady;
+  }
+
+  /**
+   * Spawn `opencode serve` on a free local port and wait until it listens
+   * @returns {Promise<string>} Base URL
+   */
+  function launchServer() {
+    return new Promise((resolve, reject) => {
+      const opencodePath = process.env.OPENCODE_PATH || 'opencode';
+      const proc = spawnFn(opencodePath, ['serve', '--hostname', '127.0.0.1', '--port', '0'], {
+        shell: false,
+        env: { ...process.env, TERM: 'dumb' },
+        stdio: ['ignore', 'pipe', 'pipe']
+      });
+
+      let output = '';
+      const timer = setTimeout(() => {
+        reject(new Error(`opencode serve did not start within ${startTimeoutMs}ms`));
+        terminateProcess(proc, killGraceMs);
+      }, startTimeoutMs);
+
+      const onData = (data) => {
+        if (serverProc === proc) return;
+        output += data.toString();
+        const match = output.match(LISTENING_PATTERN);
+        if (!match) return;
+        clearTimeout(timer);
+        serverProc = proc;
+        console.log(`[OpenCodeServer] Started opencode serve at ${match[1]} (pid ${proc.pid})`);
+        resolve(match[1].replace(/\/+$/, ''));
+      };
+      proc.stdout.on('data', onData);
+      proc.stderr.on('data', onData);
+
+      proc.on('error', (err) => {
+        clearTimeout(timer);
+        reject(new Error(`Could not start opencode serve: ${err.message}`));
+      });
+
+      proc.on('close', (code) => {
+        clearTimeout(timer);
+        reject(new Error(`opencode serve exited (code ${code}) before it was ready`));
+        // Crashed after starting: the next request launches a new server
+        if (serverProc === proc) {
+          console.error(`[OpenCodeServer] opencode serve exited (code ${code})`);
+          serverProc = null;
+          serverReady = null;
+        }
+      });
+    });
+  }
+
+  /**
+   * Call the server's HTTP API
+   * @param {string} method
+   * @param {string} path - e.g. '/session'
+   * @param {Object} [opts]
+   * @param {Object} [opts.body] - JSON request body
+   * @param {string} [opts.directory] - Project the request applies to
+   * @param {AbortSignal} [opts.signal]
+   * @returns {Promise<*>} Parsed JSON response
+   */
+  async function request(method, path, opts = {}) {
+    const baseUrl = await ensureServer();
+    const url = new URL(baseUrl + path);
+    if (opts.directory) url.searchParams.set('directory', opts.directory);
+
+    const res = await fetchFn(url, {
+      method,
+      headers: opts.body ? { 'content-type': 'application/json' } : undefined,
+      body: opts.body ? JSON.stringify(opts.body) : undefined,
+      signal: opts.signal
+    });
+    const text = await res.text();
+    if (!res.ok) {
+      throw new Error(`OpenCode server returned ${res.status} for ${method} ${path}${text ? `: ${text.substring(0, 200)}` : ''}`);
+    }
+    return text ? JSON.parse(text) : null;
+  }
+
+  /**
+   * Follow the server's event stream until `signal` aborts. Resolves once
+   * connected, or once the stream has failed — replies still arrive in the
+   * message response, only live progress is lost.
+   * @param {string} directory - Project whose events to follow
+   * @param {AbortSignal} signal
+   * @param {Function} handle - Called with each event: { type, properties }
+   * @returns {Promise<void>}
+   */
+  function followEvents(directory, signal, handle) {
+    return new Promise((resolve) => {
+      let timer = null;
+      const ready = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+
+      (async () => {
+        const baseUrl = await ensureServer();
+        const url = new URL(`${baseUrl}/event`);
+        url.searchParams.set('directory', directory);
+        const res = await fetchFn(url, { headers: { accept: 'text/event-stream' }, signal });
+        if (!res.ok) throw new Error(`OpenCode server returned ${res.status} for GET /event`);
+
+        // The server announces itself with a first event; don't wait forever for it
+        timer = setTimeout(ready, 1000);
+
+        const decoder = new TextDecoder();
+        let buffer = '';
+        for await (const chunk of res.body) {
+          buffer += decoder.decode(chunk, { stream: true }).replace(/\r\n/g, '\n');
+          const blocks = buffer.split('\n\n');
+          buffer = blocks.pop();
+
+          for (const block of blocks) {
+            const data = block.split('\n')
+              .filter(line => line.startsWith('data:'))
+              .map(line => line.substring(5).trimStart())
+              .join('\n');
+            if (!data) continue;
+            try {
+              handle(JSON.parse(data));
+            } catch (e) {
+              // Not JSON - ignore
+            }
+            ready();
+          }
+        }
+      })().catch((error) => {
+        if (!signal.aborted) {
+          console.error(`[OpenCodeServer] Event stream failed: ${error.message}`);
+        }
+      }).finally(ready);
+    });
+  }
+
+  /**
+   * Start a new OpenCode instance with its own server session
+   * @param {string} instanceId
+   * @param {string} projectDir
+   * @param {*} channel
+   * @param {Object} [opts]
+   * @param {string} [opts.model] - provider/model, e.g. 'openai/gpt-4o'
+   */
+  async function startInstance(instanceId, projectDir, channel, opts = {}) {
+    if (instances.has(instanceId)) {
+      return { success: false, error: `Instance "${instanceId}" already running` };
+    }
+
+    let session;
+    try {
+      session = await request('POST', '/session', { body: { title: instanceId }, directory: projectDir });
+    } catch (error) {
+      return { success: false, error: `Could not create OpenCode session: ${error.message}` };
+    }
+    // Another start with the same name may have finished while we waited
+    if (instances.has(instanceId)) {
+      return { success: false, error: `Instance "${instanceId}" already running` };
+    }
+
+    const instance = {
+      sessionId: session.id,
+      channel,
+      projectDir,
+      model: opts.model || null,
+      messageCount: 0,
+      startedAt: new Date()
+    };
+
+    instances.set(instanceId, instance);
+    persistence.save(instanceId, instance);
+
+    return { success: true, sessionId: session.id };
+  }
+
+  /**
+   * Abort an instance's run on the server. Its sendToInstance call resolves
+   * with { cancelled: true } once the server reports the aborted reply.
+   */
+  function abortRun(instanceId, instance) {
+    const run = instance.activeRun;
+    run.cancelled = true;
+    request('POST', `/session/${instance.sessionId}/abort`, { directory: instance.projectDir }).catch((error) => {
+      // Server unreachable: give up on the reply instead of waiting for it
+      console.error(`[OpenCodeServer] Abort failed for ${instanceId}: ${error.message}`);
+      run.controller.abort();
+    });
+  }
+
+  /**
+   * Stop an OpenCode instance (the session stays on the server)
+   */
+  function stopInstance(instanceId) {
+    const instance = instances.get(instanceId);
+    if (!instance) {
+      return { success: false, error: `Instance "${instanceId}" not found` };
+    }
+
+    if (instance.activeRun) {
+      abortRun(instanceId, instance);
+    }
+
+    instances.delete(instanceId);
+    persistence.remove(instanceId);
+    return { success: true };
+  }
+
+  /**
+   * Switch an instance's model; the next message continues the session with it
+   * @param {string} instanceId
+   * @param {string|null} newModel - null returns to the default model
+   */
+  function setModel(instanceId, newModel) {
+    const instance = instances.get(instanceId);
+    if (!instance) {
+      return { success: false, error: `Instance "${instanceId}" not found` };
+    }
+
+    instance.model = newModel || null;
+    persistence.save(instanceId, instance);
+    return { success: true };
+  }
+
+  /**
+   * Cancel the run in progress on an instance.
+   * The pending sendToInstance call resolves with { cancelled: true }.
+   */
+  function cancelInstance(instanceId) {
+    const instance = instances.get(instanceId);
+    if (!instance) {
+      return { success: false, error: `Instance "${instanceId}" not found` };
+    }
+    if (!instance.activeRun) {
+      return { success: false, error: `Instance "${instanceId}" has no run in progress` };
+    }
+
+    abortRun(instanceId, instance);
+    return { success: true };
+  }
+
+  /**
+   * Get an instance by ID
+   */
+  function getInstance(instanceId) {
+    return instances.get(instanceId) || null;
+  }
+
+  /**
+   * Find instance by channel
+   */
+  function getInstanceByChannel(channelId) {
+    for (const [instanceId, instance] of instances) {
+      if (instance.channel === channelId) {
+        return { instanceId, instance };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * List all instances
+   */
+  function listInstances() {
+    return Array.from(instances.entries()).map(([instanceId, instance]) => ({
+      instanceId,
+      ...instance
+    }));
+  }
+
+  /**
+   * Clear all instances (useful for testing)
+   */
+  function clearInstances() {
+    instances.clear();
+    persistence.clear();
+  }
+
+  /**
+   * Send a message to an OpenCode instance
+   * @param {string} instanceId - Instance ID
+   * @param {string} message - Message to send
+   * @param {Object} options - Optional settings
+   * @param {Function} [options.onMessage] - Callback for streaming messages: (text: string) => Promise<void>
+   * @param {Function} [options.onEvent] - Callback for typed events (tool calls, results, ...): (event: AgentEvent) => Promise<void>
+   * @returns {Promise<Object>} Result with success, responses, streamed, usage
+   */
+  async function sendToInstance(instanceId, message, options = {}) {
+    const instance = instances.get(instanceId);
+    if (!instance) {
+      return { success: false, error: `Instance "${instanceId}" not found` };
+    }
+    if (instance.activeRun) {
+      return { success: false, error: `Instance "${instanceId}" is busy with another message` };
+    }
+
+    const runModel = instance.model || model;
+    const modelRef = runModel ? parseModel(runModel) : null;
+    if (runModel && !modelRef) {
+      return { success: false, error: `Model "${runModel}" must look like provider/model, e.g. openai/gpt-4o` };
+    }
+
+    const isFirstMessage = instance.messageCount === 0;
+    instance.messageCount++;
+    instance.lastPrompt = message;
+    instance.lastActivityAt = new Date();
+    persistence.save(instanceId, instance);
+
+    const run = { cancelled: false, controller: new AbortController() };
+    instance.activeRun = run;
+    const events = new AbortController();
+    const turn = createTurn(instance.sessionId, options);
+    const startedAt = Date.now();
+
+    try {
+      if (isFirstMessage) {
+        turn.emit({ type: AgentEventType.INIT, sessionId: instance.sessionId, model: runModel || undefined });
+      }
+      await followEvents(instance.projectDir, events.signal, turn.handleEvent);
+
+      const body = { parts: [{ type: 'text', text: message }] };
+      if (modelRef) body.model = modelRef;
+      const reply = await request('POST', `/session/${instance.sessionId}/message`, {
+        body,
+        directory: instance.projectDir,
+        signal: run.controller.signal
+      });
+
+      const info = (reply && reply.info) || {};
+      const usage = extractUsage(info);
+      if (usage) accumulateUsage(instance, usage);
+      const responses = turn.finish((reply && reply.parts) || []);
+      const error = info.error ? describeError(info.error) : null;
+      turn.emit({
+        type: AgentEventType.RESULT,
+        isError: Boolean(error) && !run.cancelled,
+        durationMs: Date.now() - startedAt,
+        costUsd: usage ? usage.costUsd : undefined
+      });
+      await turn.settle();
+
+      if (run.cancelled) {
+        return { success: false, cancelled: true, error: 'Cancelled', responses, streamed: turn.streamed, usage };
+      }
+      if (error) {
+        return { success: false, error, responses, streamed: turn.streamed, usage };
+      }
+      return { success: true, responses, streamed: turn.streamed, usage };
+    } catch (error) {
+      await turn.settle();
+      if (run.cancelled) {
+        return { success: false, cancelled: true, error: 'Cancelled', responses: [], streamed: turn.streamed };
+      }
+      return { success: false, error: error.message };
+    } finally {
+      events.abort();
+      if (instance.activeRun === run) instance.activeRun = null;
+      instance.lastActivityAt = new Date();
+      if (instances.get(instanceId) === instance) {
+        persistence.save(instanceId, instance);
+      }
+    }
+  }
+
+  /**
+   * Stop a server this manager launched
+   */
+  async function close() {
+    if (serverProc) {
+      terminateProcess(serverProc, killGraceMs);
+      serverProc = null;
+      serverReady = null;
+    }
+  }
+
+  return {
+    startInstance,
+    stopInstance,
+    getInstance,
+    getInstanceByChannel,
+    listInstances,
+    clearInstances,
+    sendToInstance,
+    cancelInstance,
+    setModel,
+    close,
+    // Instances run in a directory on this machine (bot-engine validates paths)
+    localWorkspace: true,
+    get model() { return model; },
+    get instances() { return instances; }
+  };
+}
+
+/**
+ * Collect one reply's parts from the event stream and the final response.
+ * Text parts are streamed once, when finished; tool parts become
+ * TOOL_CALL / TOOL_RESULT events.
+ * @param {string} sessionId - Only this session's events are used
+ * @param {Object} callbacks - { onMessage, onEvent } from sendToInstance
+ */
+function createTurn(sessionId, { onMessage, onEvent }) {
+  const assistantMessages = new Set();
+  const streamedParts = new Set();
+  const calledTools = new Set();
+  const finishedTools = new Set();
+  const pending = [];
+
+  function emit(event) {
+    if (!onEvent) return;
+    pending.push(Promise.resolve(onEvent(event)).catch(err => {
+      console.error('[OpenCodeServer] Error in onEvent callback:', err);
+    }));
+  }
+
+  function streamText(part) {
+    if (!onMessage || !part.text || !part.text.trim() || streamedParts.has(part.id)) return;
+    streamedParts.add(part.id);
+    pending.push(Promise.resolve(onMessage(part.text)).catch(err => {
+      console.error('[OpenCodeServer] Error in onMessage callback:', err);
+    }));
+  }
+
+  function handleTool(part) {
+    const state = part.state || {};
+    const id = part.callID || part.id;
+
+    // "pending" parts are still streaming their arguments
+    if (state.status !== 'pending' && !calledTools.has(id)) {
+      calledTools.add(id);
+      emit({ type: AgentEventType.TOOL_CALL, id, name: TOOL_NAMES[part.tool] || part.tool, input: toolInput(state.input) });
+    }
+    if ((state.status === 'completed' || state.status === 'error') && !finishedTools.has(id)) {
+      finishedTools.add(id);
+      emit({ type: AgentEventType.TOOL_RESULT, id, ...toolOutcome(state) });
+    }
+  }
+
+  function handlePart(part, final) {
+    if (part.type === 'text' && !part.synthetic) {
+      if (final || (part.time && part.time.end)) streamText(part);
+    } else if (part.type === 'tool') {
+      handleTool(part);
+    }
+  }
+
+  return {
+    emit,
+
+    /** Handle one event from the server's event stream */
+    handleEvent(event) {
+      const props = event.properties || {};
+      if (event.type === 'message.updated') {
+        const info = props.info || {};
+        if (info.sessionID === sessionId && info.role === 'assistant') assistantMessages.add(info.id);
+      } else if (event.type === 'message.part.updated') {
+        const part = props.part || {};
+        // The prompt itself comes back as a user message part; skip it
+        if (part.sessionID === sessionId && assistantMessages.has(part.messageID)) handlePart(part, false);
+      }
+    },
+
+    /**
+     * Catch up from the reply's final parts (events can be missed or late)
+     * @param {Object[]} parts
+     * @returns {string[]} The reply's texts
+     */
+    finish(parts) {
+      for (const part of parts) handlePart(part, true);
+      return parts
+        .filter(part => part.type === 'text' && !part.synthetic && part.text && part.text.trim())
+        .map(part => part.text);
+    },
+
+    /** Wait for the callbacks already fired */
+    async settle() {
+      await Promise.all(pending);
+    },
+
+    get streamed() { return streamedParts.size > 0; }
+  };
+}
+
+/**
+ * OpenCode tool arguments use camelCase (filePath); agent-events expects file_path
+ */
+function toolInput(input) {
+  const result = {};
+  for (const [key, value] of Object.entries(input || {})) {
+    result[key.replace(/[A-Z]/g, c => `_${c.toLowerCase()}`)] = value;
+  }
+  return result;
+}
+
+/**
+ * Result of a finished tool part, reporting failed shell commands the way Claude does
+ * @returns {{isError: boolean, output: string}}
+ */
+function toolOutcome(state) {
+  if (state.status === 'error') {
+    return { isError: true, output: state.error || 'error' };
+  }
+  const exit = state.metadata && state.metadata.exit;
+  if (typeof exit === 'number' && exit !== 0) {
+    return { isError: true, output: `Exit code ${exit}\n${state.output || ''}` };
+  }
+  return { isError: false, output: state.output || '' };
+}
+
+/**
+ * Split 'provider/model' into the server's model reference
+ * @param {string} value - e.g. 'anthropic/claude-sonnet-4'
+ * @returns {{providerID: string, modelID: string}|null}
+ */
+function parseModel(value) {
+  const slash = value.indexOf('/');
+  if (slash <= 0 || slash === value.length - 1) return null;
+  return { providerID: value.substring(0, slash), modelID: value.substring(slash + 1) };
+}
+
+/**
+ * Token/cost usage of an assistant message
+ * @param {Object} info - The reply's message info
+ * @returns {{inputTokens: number, outputTokens: number, costUsd: number}|null}
+ */
+function extractUsage(info) {
+  const tokens = info && info.tokens;
+  if (!tokens) return null;
+  return {
+    inputTokens: (tokens.input || 0) + (tokens.cache?.read || 0) + (tokens.cache?.write || 0),
+    outputTokens: (tokens.output || 0) + (tokens.reasoning || 0),
+    costUsd: info.cost || 0
+  };
+}
+
+/**
+ * Readable message for an error on an assistant message, e.g. ProviderAuthError
+ */
+function describeError(error) {
+  return (error.data && error.data.message) || error.message || error.name || 'OpenCode reported an error';
+}
+
+module.exports = {
+  createInstanceManager,
+  parseModel,
+  extractUsage
+};
@@ -0,0 +1,291 @@
+/**
+ * Permission Bridge
+ *
+ * Lets a human approve Claude's tool calls from chat. Claude Code runs with
+ * `--permission-prompt-tool mcp__open_dispatch__approve`, which points at the
+ * stdio MCP server in mcp-permission-server.js. That server forwards each
+ * request to this bridge over a loopback HTTP endpoint, and the bridge holds
+ * the request open until someone clicks Approve/Deny (via bot-engine) or the
+ * timeout expires — in which case the tool call is denied.
+ *
+ *   claude ──stdio──► mcp-permission-server ──HTTP──► bridge ──► chat prompt
+ *                                                       ▲
+ *                                    decide() ──────────┘ (button or od-approve)
+ */
+
+const http = require('http');
+const path = require('path');
+const { randomBytes, randomUUID } = require('crypto');
+
+const MCP_SERVER_NAME = 'open_dispatch';
+const MCP_TOOL_NAME = 'approve';
+
+/** Largest request body accepted; tool inputs are far smaller */
+const MAX_BODY_SIZE = 1 * 1024 * 1024;
+
+/**
+ * @typedef {Object} PermissionRequest
+ * @property {string} requestId
+ * @property {string} instanceId - Instance whose Claude run asked
+ * @property {string} toolName - e.g. 'Bash'
+ * @property {Object} input - Tool input (e.g. { command: 'rm -rf build' })
+ * @property {string|null} toolUseId
+ * @property {Date} createdAt
+ * @property {Date} expiresAt
+ */
+
+/**
+ * Create a permission bridge
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs=120000] - Deny when nobody decides in time (env: PERMISSION_TIMEOUT_MS)
+ * @param {string} [options.serverPath] - MCP server script (for testing)
+ * @returns {Object} Bridge with start/stop/decide/listPending
+ */
+function createPermissionBridge(options = {}) {
+  const timeoutMs = options.timeoutMs ?? parseInt(process.env.PERMISSION_TIMEOUT_MS || '120000', 10);
+  const serverPath = options.serverPath || path.join(__dirname, 'mcp-permission-server.js');
+  const token = randomBytes(24).toString('hex');
+
+  const pending = new Map(); // requestId → { request, settle, timer }
+  const requestHandlers = [];
+  const timeoutHandlers = [];
+  let server = null;
+  let url = null;
+
+  /**
+   * Settle a pending request exactly once
+   */
+  function finish(requestId, decision) {
+    const entry = pending.get(requestId);
+    if (!entry) return null;
+    pending.delete(requestId);
+    clearTimeout(entry.timer);
+    entry.settle(decision);
+    return entry.request;
+  }
+
+  /**
+   * Register a new request and wait for a decision
+   * @returns {Promise<{behavior: string, updatedInput?: Object, message?: string}>}
+   */
+  function requestDecision({ instanceId, toolName, input, toolUseId }, onAbandon) {
+    const now = new Date();
+    const request = {
+      requestId: randomUUID(),
+      instanceId,
+      toolName,
+      input: input || {},
+      toolUseId: toolUseId || null,
+      createdAt: now,
+      expiresAt: new Date(now.getTime() + timeoutMs)
+    };
+
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        const timedOut = finish(request.requestId, {
+          behavior: 'deny',
+          message: `No approval within ${Math.round(timeoutMs / 1000)}s; denied by default.`
+        });
+        if (timedOut) {
+          for (const handler of timeoutHandlers) {
+            Promise.resolve(handler(timedOut)).catch(err => {
+              console.error('[PermissionBridge] Timeout handler failed:', err.message);
+            });
+          }
+        }
+      }, timeoutMs);
+      timer.unref?.();
+
+      pending.set(request.requestId, { request, settle: resolve, timer });
+      onAbandon(() => finish(request.requestId, { behavior: 'deny', message: 'Request abandoned' }));
+
+      if (requestHandlers.length === 0) {
+        finish(request.requestId, { behavior: 'deny', message: 'No approval handler is configured.' });
+        return;
+      }
+      for (const handler of requestHandlers) {
+        Promise.resolve(handler(request)).catch(err => {
+          console.error('[PermissionBridge] Request handler failed:', err.message);
+          finish(request.requestId, { behavior: 'deny', message: 'Could not ask for approval.' });
+        });
+      }
+    });
+  }
+
+  /**
+   * HTTP handler for POST /permission from the MCP server
+   */
+  function handleHttp(req, res) {
+    if (req.method !== 'POST' || req.url !== '/permission') {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+    if (req.headers.authorization !== `Bearer ${token}`) {
+      res.writeHead(401);
+      res.end();
+      return;
+    }
+
+    let body = '';
+    let size = 0;
+    let tooLarge = parseInt(req.headers['content-length'], 10) > MAX_BODY_SIZE;
+    if (tooLarge) {
+      req.resume(); // Drain the request body
+      res.writeHead(413);
+      res.end();
+      return;
+    }
+    req.on('data', (chunk) => {
+      if (tooLarge) return;
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) {
+        tooLarge = true;
+        res.writeHead(413);
+        res.end();
+        return;
+      }
+      body += chunk;
+    });
+    req.on('end', async () => {
+      if (tooLarge) return;
+      let payload;
+      try {
+        payload = JSON.parse(body);
+      } catch (e) {
+        res.writeHead(400);
+        res.end();
+        return;
+      }
+
+      let abandon = null;
+      res.on('close', () => {
+        // The CLI went away (run cancelled) before anyone decided
+        if (!res.writableEnded && abandon) abandon();
+      });
+
+      const decision = await requestDecision(payload, (fn) => { abandon = fn; });
+      if (decision.behavior === 'allow') {
+        decision.updatedInput = decision.updatedInput || payload.input || {};
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(decision));
+    });
+  }
+
+  return {
+    /**
+     * Listen on a random loopback port
+     * @returns {Promise<string>} Bridge URL
+     */
+    start() {
+      if (server) return Promise.resolve(url);
+      server = http.createServer(handleHttp);
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+          url = `http://127.0.0.1:${server.address().port}`;
+          console.log(`[PermissionBridge] Listening on ${url}`);
+          resolve(url);
+        });
+      });
+    },
+
+    /**
+     * Deny everything still pending and close the server
+     */
+    async stop() {
+      for (const requestId of Array.from(pending.keys())) {
+        finish(requestId, { behavior: 'deny', message: 'Bot is shutting down.' });
+      }
+      if (!server) return;
+      const closing = server;
+      server = null;
+      url = null;
+      await new Promise(resolve => closing.close(resolve));
+    },
+
+    /**
+     * Register a handler for new requests (post the approval prompt here)
+     * @param {(request: PermissionRequest) => Promise<void>} handler
+     */
+    onRequest(handler) {
+      requestHandlers.push(handler);
+    },
+
+    /**
+     * Register a handler for requests denied by timeout
+     * @param {(request: PermissionRequest) => Promise<void>} handler
+     */
+    onTimeout(handler) {
+      timeoutHandlers.push(handler);
+    },
+
+    /**
+     * Approve or deny a pending request
+     * @param {string} requestId
+     * @param {Object} decision
+     * @param {boolean} decision.allow
+     * @param {string} [decision.message] - Reason shown to Claude on deny
+     * @param {string} [decision.decidedBy]
+     * @returns {{success: boolean, request?: PermissionRequest, error?: string}}
+     */
+    decide(requestId, { allow, message, decidedBy }) {
+      const entry = pending.get(requestId);
+      if (!entry) {
+        return { success: false, error: 'This request was already decided or has expired.' };
+      }
+      const request = finish(requestId, allow
+        ? { behavior: 'allow', updatedInput: entry.request.input }
+        : { behavior: 'deny', message: message || `Denied${decidedBy ? ` by ${decidedBy}` : ''} from chat.` });
+      return { success: true, request };
+    },
+
+    /**
+     * List pending requests, oldest first
+     * @param {Object} [filters]
+     * @param {string} [filters.instanceId]
+     * @returns {PermissionRequest[]}
+     */
+    listPending(filters = {}) {
+      return Array.from(pending.values())
+        .map(entry => entry.request)
+        .filter(request => !filters.instanceId || request.instanceId === filters.instanceId);
+    },
+
+    /**
+     * MCP config (JSON string for `claude --mcp-config`) that routes one
+     * instance's permission prompts through this bridge
+     * @param {string} instanceId
+     * @returns {string}
+     */
+    mcpConfig(instanceId) {
+      if (!url) throw new Error('Permission bridge is not started');
+      return JSON.stringify({
+        mcpServers: {
+          [MCP_SERVER_NAME]: {
+            command: process.execPath,
+            args: [serverPath],
+            env: {
+              OD_BRIDGE_URL: url,
+              OD_BRIDGE_TOKEN: token,
+              OD_INSTANCE_ID: instanceId
+            }
+          }
+        }
+      });
+    },
+
+    /** Value for `claude --permission-prompt-tool` */
+    promptToolName: `mcp__${MCP_SERVER_NAME}__${MCP_TOOL_NAME}`,
+
+    get url() { return url; },
+    get timeoutMs() { return timeoutMs; }
+  };
+}
+
+module.exports = {
+  createPermissionBridge,
+  MCP_SERVER_NAME,
+  MCP_TOOL_NAME
+};
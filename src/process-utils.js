@@ -0,0 +1,31 @@
+/**
+ * Shared helpers for child processes spawned by the local AI backends.
+ */
+
+/**
+ * Terminate a child process: SIGINT first so the CLI can flush its session,
+ * then SIGKILL if it is still running after the grace period.
+ * @param {import('child_process').ChildProcess} proc
+ * @param {number} [graceMs=5000] - Time to wait before escalating to SIGKILL
+ */
+function terminateProcess(proc, graceMs = 5000) {
+  if (!proc || (proc.exitCode !== null && proc.exitCode !== undefined)) return;
+
+  const timer = setTimeout(() => {
+    try {
+      proc.kill('SIGKILL');
+    } catch (e) {
+      // Process already gone
+    }
+  }, graceMs);
+  proc.once('close', () => clearTimeout(timer));
+
+  try {
+    proc.kill('SIGINT');
+  } catch (e) {
+    // Process already gone
+    clearTimeout(timer);
+  }
+}
+
+module.exports = { terminateProcess };
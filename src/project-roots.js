@@ -0,0 +1,151 @@
+/**
+ * Project Roots Module
+ *
+ * Decides which directories `od-start` may open. Local agents run with
+ * full tool access in their project directory, so paths are resolved to
+ * their real location (following symlinks and `..`) and must fall under
+ * one of the configured roots. Named aliases give short, safe handles
+ * for common projects: `od-start api @backend-repo`.
+ *
+ * Configuration:
+ *   PROJECT_ROOTS    Allowed roots, separated by commas (default: no restriction)
+ *   PROJECT_ALIASES  name=path pairs, separated by commas
+ *                    e.g. "backend-repo=~/code/backend,web=/srv/web"
+ *
+ * For remote backends (Sprite), aliases still apply but the value is passed
+ * through untouched — it names a repository, not a local directory.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Expand a leading ~ to the home directory (Node's cwd doesn't handle ~)
+ * @param {string} p
+ * @returns {string}
+ */
+function expandHome(p) {
+  if (p === '~') return os.homedir();
+  if (p.startsWith('~/')) return path.join(os.homedir(), p.slice(2));
+  return p;
+}
+
+/**
+ * Split a comma-separated env value into trimmed, non-empty items
+ * @param {string} [value]
+ * @returns {string[]}
+ */
+function splitList(value) {
+  return (value || '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Parse "name=path,name2=path2" into an alias map
+ * @param {string} [value]
+ * @returns {Object<string, string>}
+ */
+function parseAliases(value) {
+  const aliases = {};
+  for (const pair of splitList(value)) {
+    const eq = pair.indexOf('=');
+    if (eq <= 0) {
+      throw new Error(`Invalid PROJECT_ALIASES entry "${pair}". Use name=path`);
+    }
+    aliases[pair.slice(0, eq).trim().replace(/^@/, '')] = pair.slice(eq + 1).trim();
+  }
+  return aliases;
+}
+
+/**
+ * Check whether a resolved path is inside (or equal to) a root
+ */
+function isWithin(root, target) {
+  const relative = path.relative(root, target);
+  // "..cache" is a real subdirectory; only a whole ".." segment leaves the root
+  const escapes = relative === '..' || relative.startsWith('..' + path.sep);
+  return !escapes && !path.isAbsolute(relative);
+}
+
+/**
+ * Create a project directory resolver
+ * @param {Object} [options]
+ * @param {string[]} [options.roots] - Allowed project roots (env: PROJECT_ROOTS)
+ * @param {Object<string, string>} [options.aliases] - Alias → path (env: PROJECT_ALIASES)
+ * @returns {Object} Resolver with resolve() and listAliases()
+ */
+function createProjectResolver(options = {}) {
+  const roots = (options.roots || splitList(process.env.PROJECT_ROOTS))
+    .map(root => path.resolve(expandHome(root)));
+  const aliases = options.aliases || parseAliases(process.env.PROJECT_ALIASES);
+
+  /**
+   * Resolve an `od-start` path argument to a project directory
+   * @param {string|null} input - Path, ~path, @alias, or null for the default
+   * @param {Object} [opts]
+   * @param {boolean} [opts.local=false] - Backend runs in a local directory (enforce roots, check existence)
+   * @returns {{projectDir: string} | {error: string}}
+   */
+  function resolve(input, opts = {}) {
+    let target = input;
+
+    if (target && target.startsWith('@')) {
+      const name = target.slice(1);
+      if (!Object.prototype.hasOwnProperty.call(aliases, name)) {
+        const known = Object.keys(aliases).map(a => `@${a}`).join(', ');
+        return { error: `Unknown project alias "@${name}".${known ? ` Known aliases: ${known}` : ' No aliases are configured.'}` };
+      }
+      target = aliases[name];
+    }
+
+    if (!target) {
+      target = roots.length > 0 ? roots[0] : os.homedir();
+    }
+    target = expandHome(target);
+
+    if (!opts.local) {
+      return { projectDir: target };
+    }
+
+    // Relative paths are relative to the first root when roots are configured
+    const absolute = path.resolve(roots.length > 0 ? roots[0] : process.cwd(), target);
+
+    let real;
+    try {
+      real = fs.realpathSync(absolute);
+    } catch (error) {
+      return { error: `Project directory not found: \`${absolute}\`` };
+    }
+    if (!fs.statSync(real).isDirectory()) {
+      return { error: `Not a directory: \`${absolute}\`` };
+    }
+
+    if (roots.length > 0) {
+      const realRoots = roots.map(root => {
+        try {
+          return fs.realpathSync(root);
+        } catch (e) {
+          return root;
+        }
+      });
+      if (!realRoots.some(root => isWithin(root, real))) {
+        const shown = real === absolute ? `\`${absolute}\`` : `\`${absolute}\` (resolves to \`${real}\`)`;
+        return { error: `${shown} is outside the allowed project roots: ${roots.map(r => `\`${r}\``).join(', ')}` };
+      }
+    }
+
+    return { projectDir: real };
+  }
+
+  return {
+    resolve,
+    listAliases() { return { ...aliases }; },
+    get roots() { return [...roots]; }
+  };
+}
+
+module.exports = {
+  createProjectResolver,
+  parseAliases,
+  expandHome
+};
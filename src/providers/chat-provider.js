@@ -8,14 +8,25 @@
 
 /**
  * @typedef {Object} MessageContext
- * @property {string} channelId - Platform-specific channel/conversation identifier
+ * @property {string} channelId - Platform-specific channel/conversation identifier (a thread's own ID inside threads)
+ * @property {string} [parentChannelId] - Channel containing the thread, when the message is in one
  * @property {string} userId - Platform-specific user identifier
  * @property {string} [userName] - User's display name (if available)
  * @property {string} [messageId] - Platform-specific message ID
+ * @property {Attachment[]} attachments - Files posted with the message (empty if none)
  * @property {Object} raw - Platform-specific raw event/activity data
  * @property {Function} reply - Convenience method to reply in same channel
  */
 
+/**
+ * @typedef {Object} Attachment
+ * @property {string} name - File name as posted
+ * @property {string} [mimeType] - Content type, if the platform reports one
+ * @property {number} [size] - Size in bytes, if the platform reports it
+ * @property {(maxBytes?: number) => Promise<Buffer>} download - Fetch the content (with the provider's
+ *   credentials); rejects with code 'FILE_TOO_LARGE' past maxBytes, if given
+ */
+
 /**
  * @typedef {Object} SendMessageOptions
  * @property {boolean} [ephemeral] - Only visible to the user (if supported)
@@ -30,6 +41,15 @@
  * @property {string} [color] - Accent color (hex or name)
  * @property {Array<{name: string, value: string}>} [fields] - Key-value fields
  * @property {string} [footer] - Footer text
+ * @property {ActionButton[]} [actions] - Buttons under the card (if supportsActions);
+ *   clicks reach the onAction handler
+ */
+
+/**
+ * @typedef {Object} ActionButton
+ * @property {string} id - Opaque action ID passed back to the onAction handler
+ * @property {string} label - Button text
+ * @property {'primary'|'danger'} [style] - Visual emphasis (if supported)
  */
 
 /**
@@ -50,6 +70,7 @@ class ChatProvider {
     this._messageHandler = null;
     this._commandHandler = null;
     this._errorHandler = null;
+    this._actionHandler = null;
   }
 
   // ============================================
@@ -82,6 +103,14 @@ class ChatProvider {
     return false;
   }
 
+  /**
+   * Whether the platform supports clickable buttons (CardData.actions, sendActions)
+   * @returns {boolean}
+   */
+  get supportsActions() {
+    return false;
+  }
+
   /**
    * Whether the platform supports ephemeral messages
    * @returns {boolean}
@@ -152,11 +181,40 @@ class ChatProvider {
    * @returns {Promise<{messageId: string}>}
    */
   async sendCard(channelId, cardData) {
-    // Default implementation: fall back to plain text
+    // Default implementation: fall back to plain text without buttons,
+    // so callers include a typed alternative to each action
     const text = this._cardToText(cardData);
     return this.sendMessage(channelId, text);
   }
 
+  /**
+   * Send a card with buttons. Clicks are delivered to the onAction handler
+   * with the button's id.
+   * @param {string} channelId - Target channel/conversation
+   * @param {CardData} cardData - Card content
+   * @param {ActionButton[]} actions - Buttons to show
+   * @returns {Promise<{messageId: string}>}
+   */
+  async sendActions(channelId, cardData, actions) {
+    return this.sendCard(channelId, { ...cardData, actions });
+  }
+
+  /**
+   * Upload text content as a file attachment
+   * @param {string} channelId - Target channel/conversation
+   * @param {Object} file
+   * @param {string} file.filename - File name shown in chat (e.g. 'job-1234.log')
+   * @param {string} file.content - UTF-8 text content
+   * @param {string} [file.title] - Optional title/caption
+   * @returns {Promise<{messageId: string|null, truncated?: boolean}>} truncated is
+   *   true when the platform couldn't upload and only the end of the content was posted
+   */
+  async sendFile(channelId, { filename, content, title }) {
+    // Default implementation: post the content as chunked text
+    const { messageIds } = await this.sendLongMessage(channelId, `**${title || filename}**\n${content}`);
+    return { messageId: messageIds[messageIds.length - 1] || null };
+  }
+
   /**
    * Send typing indicator
    * @abstract
@@ -190,6 +248,19 @@ class ChatProvider {
     return false;
   }
 
+  /**
+   * Open a thread in a channel. The returned threadId works as a channelId
+   * for every send method, and messages posted in the thread arrive with it
+   * as ctx.channelId.
+   * @param {string} channelId - Parent channel
+   * @param {string} name - Thread name or opening message
+   * @returns {Promise<{threadId: string}|null>} null if the platform can't open threads
+   */
+  async createThread(channelId, name) {
+    // Default: not supported
+    return null;
+  }
+
   // ============================================
   // EVENT REGISTRATION
   // ============================================
@@ -211,6 +282,14 @@ class ChatProvider {
     this._commandHandler = handler;
   }
 
+  /**
+   * Register handler for button clicks (CardData.actions or sendActions)
+   * @param {(ctx: MessageContext, actionId: string) => Promise<void>} handler
+   */
+  onAction(handler) {
+    this._actionHandler = handler;
+  }
+
   /**
    * Register error handler
    * @param {(error: Error, ctx?: MessageContext) => Promise<void>} handler
@@ -313,13 +392,15 @@ class ChatProvider {
    * @returns {MessageContext}
    */
   _createContext(params) {
-    const { channelId, userId, userName, messageId, raw } = params;
+    const { channelId, parentChannelId, userId, userName, messageId, attachments, raw } = params;
 
     return {
       channelId,
+      parentChannelId: parentChannelId || null,
       userId,
       userName: userName || null,
       messageId: messageId || null,
+      attachments: attachments || [],
       raw: raw || {},
       reply: async (text, options) => {
         return this.sendMessage(channelId, text, options);
@@ -327,6 +408,41 @@ class ChatProvider {
     };
   }
 
+  /**
+   * Download a file posted to the platform, giving up once it passes maxBytes
+   * @protected
+   * @param {string} url
+   * @param {Object} [headers] - e.g. Authorization for private files
+   * @param {number} [maxBytes] - Largest file accepted; the caller (the engine) sets the limit
+   * @returns {Promise<Buffer>}
+   */
+  async _fetchFile(url, headers = {}, maxBytes = Infinity) {
+    const tooLarge = () => {
+      const error = new Error(`File is larger than ${maxBytes} bytes`);
+      error.code = 'FILE_TOO_LARGE';
+      return error;
+    };
+
+    const response = await fetch(url, { headers });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    if (Number(response.headers.get('content-length')) > maxBytes) {
+      await response.body?.cancel();
+      throw tooLarge();
+    }
+
+    // The reported length may be missing or wrong; count what actually arrives
+    const chunks = [];
+    let received = 0;
+    for await (const chunk of response.body || []) {
+      received += chunk.length;
+      if (received > maxBytes) throw tooLarge();
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+
   /**
    * Safely invoke the message handler
    * @protected
@@ -360,6 +476,22 @@ class ChatProvider {
     }
   }
 
+  /**
+   * Safely invoke the action handler
+   * @protected
+   * @param {MessageContext} ctx
+   * @param {string} actionId
+   */
+  async _emitAction(ctx, actionId) {
+    if (this._actionHandler) {
+      try {
+        await this._actionHandler(ctx, actionId);
+      } catch (error) {
+        await this._emitError(error, ctx);
+      }
+    }
+  }
+
   /**
    * Safely invoke the error handler
    * @protected
@@ -8,7 +8,8 @@
 const { ChatProvider, registerProvider } = require('./chat-provider');
 
 // discord.js is imported dynamically to allow graceful handling if not installed
-let Client, GatewayIntentBits, Events, EmbedBuilder, REST, Routes, SlashCommandBuilder;
+let Client, GatewayIntentBits, Events, EmbedBuilder, REST, Routes, SlashCommandBuilder, AttachmentBuilder;
+let ActionRowBuilder, ButtonBuilder, ButtonStyle;
 
 /**
  * Discord-specific configuration
@@ -61,6 +62,10 @@ class DiscordProvider extends ChatProvider {
     return true; // Discord embeds
   }
 
+  get supportsActions() {
+    return true; // Message component buttons
+  }
+
   get supportsEphemeral() {
     return true; // Slash command responses can be ephemeral
   }
@@ -85,6 +90,10 @@ class DiscordProvider extends ChatProvider {
       REST = discordjs.REST;
       Routes = discordjs.Routes;
       SlashCommandBuilder = discordjs.SlashCommandBuilder;
+      AttachmentBuilder = discordjs.AttachmentBuilder;
+      ActionRowBuilder = discordjs.ActionRowBuilder;
+      ButtonBuilder = discordjs.ButtonBuilder;
+      ButtonStyle = discordjs.ButtonStyle;
     } catch (error) {
       throw new Error(
         'discord.js is not installed. Run: npm install discord.js'
@@ -126,11 +135,19 @@ class DiscordProvider extends ChatProvider {
       // Ignore bot messages
       if (message.author.bot) return;
 
+      // Threads are channels of their own; remember the parent for channel-bound instances
       const ctx = this._createContext({
         channelId: message.channelId,
+        parentChannelId: this._parentChannelId(message.channel),
         userId: message.author.id,
         userName: message.author.username,
         messageId: message.id,
+        attachments: message.attachments.map(attachment => ({
+          name: attachment.name,
+          mimeType: attachment.contentType || undefined,
+          size: attachment.size,
+          download: (maxBytes) => this._fetchFile(attachment.url, {}, maxBytes)
+        })),
         raw: message
       });
 
@@ -153,10 +170,15 @@ class DiscordProvider extends ChatProvider {
 
     // Slash command interaction
     this.client.on(Events.InteractionCreate, async (interaction) => {
+      if (interaction.isButton()) {
+        await this._handleButton(interaction);
+        return;
+      }
       if (!interaction.isChatInputCommand()) return;
 
       const ctx = this._createContext({
         channelId: interaction.channelId,
+        parentChannelId: this._parentChannelId(interaction.channel),
         userId: interaction.user.id,
         userName: interaction.user.username,
         messageId: null,
@@ -179,9 +201,10 @@ class DiscordProvider extends ChatProvider {
 
       const command = interaction.commandName.replace(`${this.config.commandPrefix}-`, '');
 
-      // Build args from options
+      // Build args from options; boolean options become flags (thread: true → --thread)
       const args = interaction.options.data
-        .map((opt) => opt.value)
+        .map((opt) => typeof opt.value === 'boolean' ? (opt.value ? `--${opt.name}` : '') : opt.value)
+        .filter(Boolean)
         .join(' ');
 
       await this._emitCommand(ctx, command, args);
@@ -193,6 +216,41 @@ class DiscordProvider extends ChatProvider {
     });
   }
 
+  /**
+   * Handle a click on a button sent with a card
+   * @private
+   */
+  async _handleButton(interaction) {
+    const ctx = this._createContext({
+      channelId: interaction.channelId,
+      parentChannelId: this._parentChannelId(interaction.channel),
+      userId: interaction.user.id,
+      userName: interaction.user.username,
+      messageId: interaction.message ? interaction.message.id : null,
+      raw: interaction
+    });
+
+    // Acknowledge within Discord's 3s window; responses go out as follow-ups
+    try {
+      await interaction.deferUpdate();
+    } catch (error) {
+      console.error('[Discord] Failed to acknowledge button:', error);
+    }
+    ctx.reply = async (text, options = {}) => {
+      return interaction.followUp({ content: text, ephemeral: options.ephemeral });
+    };
+
+    await this._emitAction(ctx, interaction.customId);
+  }
+
+  /**
+   * Parent channel of a thread, or null outside threads
+   * @private
+   */
+  _parentChannelId(channel) {
+    return channel && channel.isThread && channel.isThread() ? channel.parentId : null;
+  }
+
   /**
    * Register slash commands with Discord
    * @private
@@ -217,6 +275,12 @@ class DiscordProvider extends ChatProvider {
             .setName('path')
             .setDescription('Project directory path')
             .setRequired(true)
+        )
+        .addBooleanOption((option) =>
+          option
+            .setName('thread')
+            .setDescription('Open a dedicated thread for this instance')
+            .setRequired(false)
         ),
 
       new SlashCommandBuilder()
@@ -335,9 +399,82 @@ class DiscordProvider extends ChatProvider {
   }
 
   /**
-   * Send a rich embed to a Discord channel
+   * Send a rich embed to a Discord channel, with its actions as a button row
    */
   async sendCard(channelId, cardData) {
+    try {
+      const channel = await this._fetchTextChannel(channelId);
+      const actions = cardData.actions || [];
+      const message = { embeds: [this._buildEmbed(cardData)] };
+
+      if (actions.length > 0) {
+        // Discord allows at most 5 buttons per row
+        message.components = [new ActionRowBuilder().addComponents(
+          actions.slice(0, 5).map((action) => new ButtonBuilder()
+            .setCustomId(action.id)
+            .setLabel(action.label)
+            .setStyle(action.style === 'danger'
+              ? ButtonStyle.Danger
+              : action.style === 'primary' ? ButtonStyle.Primary : ButtonStyle.Secondary))
+        )];
+      }
+
+      const sent = await channel.send(message);
+      return { messageId: sent.id };
+    } catch (error) {
+      console.error('[Discord] Failed to send card:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch a channel that can receive messages
+   * @private
+   */
+  async _fetchTextChannel(channelId) {
+    const channel = await this.client.channels.fetch(channelId);
+
+    if (!channel || !channel.isTextBased()) {
+      throw new Error(`Channel ${channelId} not found or not text-based`);
+    }
+    return channel;
+  }
+
+  /**
+   * Build an embed from CardData
+   * @private
+   */
+  _buildEmbed(cardData) {
+    const embed = new EmbedBuilder();
+
+    if (cardData.title) {
+      embed.setTitle(cardData.title);
+    }
+    if (cardData.description) {
+      embed.setDescription(cardData.description);
+    }
+    if (cardData.color) {
+      embed.setColor(cardData.color);
+    }
+    if (cardData.fields && cardData.fields.length > 0) {
+      embed.addFields(
+        cardData.fields.map((f) => ({
+          name: f.name,
+          value: f.value,
+          inline: f.inline || false
+        }))
+      );
+    }
+    if (cardData.footer) {
+      embed.setFooter({ text: cardData.footer });
+    }
+    return embed;
+  }
+
+  /**
+   * Upload text content as a file attachment
+   */
+  async sendFile(channelId, { filename, content, title }) {
     try {
       const channel = await this.client.channels.fetch(channelId);
 
@@ -345,34 +482,14 @@ class DiscordProvider extends ChatProvider {
         throw new Error(`Channel ${channelId} not found or not text-based`);
       }
 
-      const embed = new EmbedBuilder();
-
-      if (cardData.title) {
-        embed.setTitle(cardData.title);
-      }
-      if (cardData.description) {
-        embed.setDescription(cardData.description);
-      }
-      if (cardData.color) {
-        embed.setColor(cardData.color);
-      }
-      if (cardData.fields && cardData.fields.length > 0) {
-        embed.addFields(
-          cardData.fields.map((f) => ({
-            name: f.name,
-            value: f.value,
-            inline: f.inline || false
-          }))
-        );
-      }
-      if (cardData.footer) {
-        embed.setFooter({ text: cardData.footer });
-      }
-
-      const sent = await channel.send({ embeds: [embed] });
+      const attachment = new AttachmentBuilder(Buffer.from(content, 'utf8'), { name: filename });
+      const sent = await channel.send({
+        content: title ? `**${title}**` : undefined,
+        files: [attachment]
+      });
       return { messageId: sent.id };
     } catch (error) {
-      console.error('[Discord] Failed to send card:', error);
+      console.error('[Discord] Failed to upload file:', error);
       throw error;
     }
   }
@@ -17,6 +17,7 @@ const {
 const { SlackProvider } = require('./slack-provider');
 const { TeamsProvider } = require('./teams-provider');
 const { DiscordProvider } = require('./discord-provider');
+const { MultiProvider, namespaceChannel, parseChannel } = require('./multi-provider');
 
 module.exports = {
   // Base class
@@ -31,5 +32,10 @@ module.exports = {
   // Provider classes
   SlackProvider,
   TeamsProvider,
-  DiscordProvider
+  DiscordProvider,
+  MultiProvider,
+
+  // Multi-provider channel IDs
+  namespaceChannel,
+  parseChannel
 };
@@ -0,0 +1,192 @@
+/**
+ * Multi Chat Provider
+ *
+ * Runs several chat providers behind one ChatProvider so a single bot engine
+ * (and one AI backend, instance table and Sprite webhook server) serves all
+ * of them. Channel IDs are namespaced by provider ("slack:C123",
+ * "teams:19:abc@thread.tacv2") so instances from every platform live side by
+ * side and can be listed or stopped from any of them. User IDs get the same
+ * prefix.
+ */
+
+const { ChatProvider, registerProvider } = require('./chat-provider');
+const { namespaceChannel, parseChannel } = require('../channel-ids');
+
+/**
+ * Multi-provider configuration
+ * @typedef {Object} MultiConfig
+ * @property {ChatProvider[]} providers - Providers to run, each with a unique name
+ */
+
+class MultiProvider extends ChatProvider {
+  /**
+   * @param {MultiConfig} config
+   */
+  constructor(config) {
+    super(config);
+
+    const providers = (config && config.providers) || [];
+    if (providers.length === 0) {
+      throw new Error('Multi provider requires at least one provider');
+    }
+
+    this.providers = new Map();
+    for (const provider of providers) {
+      if (this.providers.has(provider.name)) {
+        throw new Error(`Multi provider got ${provider.name} twice`);
+      }
+      this.providers.set(provider.name, provider);
+      this._attach(provider);
+    }
+  }
+
+  get name() {
+    return [...this.providers.keys()].join('+');
+  }
+
+  get maxMessageLength() {
+    // Smallest limit, for callers that size messages before picking a channel
+    return Math.min(...[...this.providers.values()].map(p => p.maxMessageLength));
+  }
+
+  get supportsCards() {
+    // Card-less providers render cards as text (ChatProvider.sendCard)
+    return [...this.providers.values()].some(p => p.supportsCards);
+  }
+
+  get supportsActions() {
+    return [...this.providers.values()].some(p => p.supportsActions);
+  }
+
+  get supportsEphemeral() {
+    return [...this.providers.values()].some(p => p.supportsEphemeral);
+  }
+
+  get supportsThreads() {
+    return [...this.providers.values()].some(p => p.supportsThreads);
+  }
+
+  // ============================================
+  // LIFECYCLE
+  // ============================================
+
+  async initialize() {
+    for (const provider of this.providers.values()) {
+      await provider.initialize();
+    }
+  }
+
+  async start() {
+    for (const provider of this.providers.values()) {
+      await provider.start();
+    }
+  }
+
+  async stop() {
+    // Stop every provider even if one fails
+    const results = await Promise.allSettled([...this.providers.values()].map(p => p.stop()));
+    const failed = results.find(r => r.status === 'rejected');
+    if (failed) throw failed.reason;
+  }
+
+  // ============================================
+  // MESSAGING (routed by channel namespace)
+  // ============================================
+
+  async sendMessage(channelId, text, options = {}) {
+    const { provider, channelId: id } = this._route(channelId);
+    return provider.sendMessage(id, text, options);
+  }
+
+  async sendLongMessage(channelId, text, options = {}) {
+    // Chunk to the target platform's limit, not the smallest one
+    const { provider, channelId: id } = this._route(channelId);
+    return provider.sendLongMessage(id, text, options);
+  }
+
+  async sendCard(channelId, cardData) {
+    const { provider, channelId: id } = this._route(channelId);
+    return provider.sendCard(id, cardData);
+  }
+
+  async sendActions(channelId, cardData, actions) {
+    const { provider, channelId: id } = this._route(channelId);
+    return provider.sendActions(id, cardData, actions);
+  }
+
+  async sendFile(channelId, file) {
+    const { provider, channelId: id } = this._route(channelId);
+    return provider.sendFile(id, file);
+  }
+
+  async sendTypingIndicator(channelId) {
+    const { provider, channelId: id } = this._route(channelId);
+    return provider.sendTypingIndicator(id);
+  }
+
+  async deleteMessage(channelId, messageId) {
+    const { provider, channelId: id } = this._route(channelId);
+    return provider.deleteMessage(id, messageId);
+  }
+
+  async editMessage(channelId, messageId, newText) {
+    const { provider, channelId: id } = this._route(channelId);
+    return provider.editMessage(id, messageId, newText);
+  }
+
+  async createThread(channelId, name) {
+    const { provider, channelId: id } = this._route(channelId);
+    const thread = await provider.createThread(id, name);
+    return thread && { threadId: namespaceChannel(provider.name, thread.threadId) };
+  }
+
+  // ============================================
+  // INTERNALS
+  // ============================================
+
+  /**
+   * Find the provider for a namespaced channel ID
+   * @private
+   */
+  _route(channelId) {
+    const parsed = parseChannel(channelId, [...this.providers.keys()]);
+    const provider = parsed && this.providers.get(parsed.provider);
+    if (!provider) {
+      throw new Error(`No provider for channel ${channelId}. Expected one of: ${[...this.providers.keys()].map(n => `${n}:<channel>`).join(', ')}`);
+    }
+    return { provider, channelId: parsed.channelId };
+  }
+
+  /**
+   * Forward a provider's events with namespaced channel IDs
+   * @private
+   */
+  _attach(provider) {
+    provider.onMessage((ctx, text) => this._emitMessage(this._wrapContext(provider, ctx), text));
+    provider.onCommand((ctx, command, args) => this._emitCommand(this._wrapContext(provider, ctx), command, args));
+    provider.onAction((ctx, actionId) => this._emitAction(this._wrapContext(provider, ctx), actionId));
+    provider.onError((error, ctx) => this._errorHandler
+      ? this._errorHandler(error, ctx && this._wrapContext(provider, ctx))
+      : undefined);
+  }
+
+  /**
+   * Copy a provider's context with namespaced channel and user IDs (user IDs
+   * from different platforms could collide in roles, budgets and usage)
+   * @private
+   */
+  _wrapContext(provider, ctx) {
+    return {
+      ...ctx,
+      channelId: namespaceChannel(provider.name, ctx.channelId),
+      userId: ctx.userId ? namespaceChannel(provider.name, ctx.userId) : ctx.userId,
+      parentChannelId: ctx.parentChannelId ? namespaceChannel(provider.name, ctx.parentChannelId) : null,
+      provider: provider.name
+    };
+  }
+}
+
+// Register the provider
+registerProvider('multi', MultiProvider);
+
+module.exports = { MultiProvider, namespaceChannel, parseChannel };
@@ -10,6 +10,97 @@ const { ChatProvider, registerProvider } = require('./chat-provider');
 // @slack/bolt is imported dynamically to allow graceful handling if not installed
 let App;
 
+// Button action_ids are namespaced so one listener catches every button click
+const ACTION_PREFIX = 'od_action:';
+
+/**
+ * Address a thread like a channel: "<channel>/<thread_ts>"
+ * @param {string} channel - Slack channel ID
+ * @param {string} threadTs - Timestamp of the thread's parent message
+ * @returns {string}
+ */
+function threadChannelId(channel, threadTs) {
+  return `${channel}/${threadTs}`;
+}
+
+/**
+ * Split a channel ID that may address a thread
+ * @param {string} channelId
+ * @returns {{channel: string, threadTs: string|undefined}}
+ */
+function splitChannelId(channelId) {
+  const [channel, threadTs] = String(channelId).split('/');
+  return { channel, threadTs: threadTs || undefined };
+}
+
+/**
+ * Convert the engine's Markdown to Slack mrkdwn: **bold** → *bold*,
+ * ~~strike~~ → ~strike~, [text](url) → <url|text>, headings → bold.
+ * Code spans and blocks are left as they are.
+ * @param {string} text
+ * @returns {string}
+ */
+function toMrkdwn(text) {
+  return String(text)
+    .split(/(```[\s\S]*?```|`[^`\n]*`)/)
+    .map((part, i) => i % 2 === 1 ? part : part
+      .replace(/\[([^\]\n]+)\]\((https?:\/\/[^\s)]+)\)/g, '<$2|$1>')
+      .replace(/\*\*(.+?)\*\*/g, '*$1*')
+      .replace(/~~(.+?)~~/g, '~$1~')
+      .replace(/^#{1,6}\s+(.+)$/gm, '*$1*'))
+    .join('');
+}
+
+/**
+ * Shorten text to a Block Kit length limit
+ * @param {string} text
+ * @param {number} max
+ * @returns {string}
+ */
+function truncate(text, max) {
+  return text.length > max ? text.slice(0, max - 1) + '…' : text;
+}
+
+/**
+ * Block Kit blocks for a card: header, description, fields and a context footer.
+ * Inline fields share two-column sections; the others get a row each.
+ * @param {import('./chat-provider').CardData} cardData
+ * @returns {Object[]}
+ */
+function buildCardBlocks(cardData) {
+  const blocks = [];
+  if (cardData.title) {
+    blocks.push({ type: 'header', text: { type: 'plain_text', text: truncate(cardData.title, 150), emoji: true } });
+  }
+  if (cardData.description) {
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: truncate(toMrkdwn(cardData.description), 3000) } });
+  }
+
+  let inline = [];
+  const flushInline = () => {
+    // A section holds at most 10 fields
+    for (let i = 0; i < inline.length; i += 10) {
+      blocks.push({ type: 'section', fields: inline.slice(i, i + 10) });
+    }
+    inline = [];
+  };
+  for (const field of cardData.fields || []) {
+    const text = `*${field.name}*\n${toMrkdwn(String(field.value || '-'))}`;
+    if (field.inline) {
+      inline.push({ type: 'mrkdwn', text: truncate(text, 2000) });
+    } else {
+      flushInline();
+      blocks.push({ type: 'section', text: { type: 'mrkdwn', text: truncate(text, 3000) } });
+    }
+  }
+  flushInline();
+
+  if (cardData.footer) {
+    blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: truncate(toMrkdwn(cardData.footer), 3000) }] });
+  }
+  return blocks;
+}
+
 /**
  * Slack-specific configuration
  * @typedef {Object} SlackConfig
@@ -56,7 +147,11 @@ class SlackProvider extends ChatProvider {
   }
 
   get supportsCards() {
-    return false; // Slack has blocks, but we'll use plain text for simplicity
+    return true; // Block Kit
+  }
+
+  get supportsActions() {
+    return true; // Block Kit buttons
   }
 
   get supportsEphemeral() {
@@ -107,22 +202,26 @@ class SlackProvider extends ChatProvider {
 
     // Message handler
     this.app.message(async ({ message, say }) => {
-      // Ignore bot messages and message edits
-      if (message.subtype || message.bot_id) {
+      // Ignore bot messages and message edits (file uploads arrive as file_share)
+      if ((message.subtype && message.subtype !== 'file_share') || message.bot_id) {
         return;
       }
 
+      // Replies in a thread are addressed to the thread, so thread-bound instances hear them
+      const inThread = message.thread_ts && message.thread_ts !== message.ts;
       const ctx = this._createContext({
-        channelId: message.channel,
+        channelId: inThread ? threadChannelId(message.channel, message.thread_ts) : message.channel,
+        parentChannelId: inThread ? message.channel : null,
         userId: message.user,
         userName: null, // Would need additional API call to get username
         messageId: message.ts,
+        attachments: this._attachments(message.files),
         raw: message
       });
 
       // Override reply for Slack context
       ctx.reply = async (text, options = {}) => {
-        return this.sendMessage(message.channel, text, options);
+        return this.sendMessage(ctx.channelId, text, options);
       };
 
       await this._emitMessage(ctx, message.text || '');
@@ -140,7 +239,7 @@ class SlackProvider extends ChatProvider {
         raw: command
       });
 
-      ctx.reply = async (text) => respond(text);
+      ctx.reply = async (text) => respond(toMrkdwn(text));
 
       await this._emitCommand(ctx, 'start', command.text || '');
     });
@@ -157,7 +256,7 @@ class SlackProvider extends ChatProvider {
         raw: command
       });
 
-      ctx.reply = async (text) => respond(text);
+      ctx.reply = async (text) => respond(toMrkdwn(text));
 
       await this._emitCommand(ctx, 'stop', command.text || '');
     });
@@ -174,7 +273,7 @@ class SlackProvider extends ChatProvider {
         raw: command
       });
 
-      ctx.reply = async (text) => respond(text);
+      ctx.reply = async (text) => respond(toMrkdwn(text));
 
       await this._emitCommand(ctx, 'list', '');
     });
@@ -191,7 +290,7 @@ class SlackProvider extends ChatProvider {
         raw: command
       });
 
-      ctx.reply = async (text) => respond(text);
+      ctx.reply = async (text) => respond(toMrkdwn(text));
 
       await this._emitCommand(ctx, 'send', command.text || '');
     });
@@ -208,7 +307,7 @@ class SlackProvider extends ChatProvider {
         raw: command
       });
 
-      ctx.reply = async (text) => respond(text);
+      ctx.reply = async (text) => respond(toMrkdwn(text));
 
       await this._emitCommand(ctx, 'run', command.text || '');
     });
@@ -225,9 +324,134 @@ class SlackProvider extends ChatProvider {
         raw: command
       });
 
-      ctx.reply = async (text) => respond(text);
+      ctx.reply = async (text) => respond(toMrkdwn(text));
+
+      await this._emitCommand(ctx, 'jobs', command.text || '');
+    });
+
+    // Slash command: logs (replay a job's captured output)
+    this.app.command(`/${prefix}-logs`, async ({ command, ack, respond }) => {
+      await ack();
+
+      const ctx = this._createContext({
+        channelId: command.channel_id,
+        userId: command.user_id,
+        userName: command.user_name,
+        messageId: null,
+        raw: command
+      });
+
+      ctx.reply = async (text) => respond(toMrkdwn(text));
+
+      await this._emitCommand(ctx, 'logs', command.text || '');
+    });
+
+    // Slash command: status (detail view for one instance)
+    this.app.command(`/${prefix}-status`, async ({ command, ack, respond }) => {
+      await ack();
+
+      const ctx = this._createContext({
+        channelId: command.channel_id,
+        userId: command.user_id,
+        userName: command.user_name,
+        messageId: null,
+        raw: command
+      });
+
+      ctx.reply = async (text) => respond(toMrkdwn(text));
+
+      await this._emitCommand(ctx, 'status', command.text || '');
+    });
+
+    // Slash command: queue (inspect or clear queued prompts)
+    this.app.command(`/${prefix}-queue`, async ({ command, ack, respond }) => {
+      await ack();
+      const ctx = this._createSlackContext(command, respond);
+      await this._emitCommand(ctx, 'queue', command.text || '');
+    });
+
+    // Slash command: cancel (abort the run in progress)
+    this.app.command(`/${prefix}-cancel`, async ({ command, ack, respond }) => {
+      await ack();
+      const ctx = this._createSlackContext(command, respond);
+      await this._emitCommand(ctx, 'cancel', command.text || '');
+    });
+
+    // Slash command: verbosity (tool progress lines for an instance)
+    this.app.command(`/${prefix}-verbosity`, async ({ command, ack, respond }) => {
+      await ack();
+      const ctx = this._createSlackContext(command, respond);
+      await this._emitCommand(ctx, 'verbosity', command.text || '');
+    });
+
+    // Slash command: model (show or switch an instance's model)
+    this.app.command(`/${prefix}-model`, async ({ command, ack, respond }) => {
+      await ack();
+      const ctx = this._createSlackContext(command, respond);
+      await this._emitCommand(ctx, 'model', command.text || '');
+    });
+
+    // Slash command: watch (mirror an instance's output to this channel)
+    this.app.command(`/${prefix}-watch`, async ({ command, ack, respond }) => {
+      await ack();
+      const ctx = this._createSlackContext(command, respond);
+      await this._emitCommand(ctx, 'watch', command.text || '');
+    });
+
+    // Slash command: unwatch
+    this.app.command(`/${prefix}-unwatch`, async ({ command, ack, respond }) => {
+      await ack();
+      const ctx = this._createSlackContext(command, respond);
+      await this._emitCommand(ctx, 'unwatch', command.text || '');
+    });
+
+    // Slash command: usage (token and cost report)
+    this.app.command(`/${prefix}-usage`, async ({ command, ack, respond }) => {
+      await ack();
+      const ctx = this._createSlackContext(command, respond);
+      await this._emitCommand(ctx, 'usage', command.text || '');
+    });
+
+    // Slash command: budget (spending limits and admin override)
+    this.app.command(`/${prefix}-budget`, async ({ command, ack, respond }) => {
+      await ack();
+      const ctx = this._createSlackContext(command, respond);
+      await this._emitCommand(ctx, 'budget', command.text || '');
+    });
+
+    // Slash command: approve (allow a pending tool call)
+    this.app.command(`/${prefix}-approve`, async ({ command, ack, respond }) => {
+      await ack();
+      const ctx = this._createSlackContext(command, respond);
+      await this._emitCommand(ctx, 'approve', command.text || '');
+    });
+
+    // Slash command: deny (refuse a pending tool call)
+    this.app.command(`/${prefix}-deny`, async ({ command, ack, respond }) => {
+      await ack();
+      const ctx = this._createSlackContext(command, respond);
+      await this._emitCommand(ctx, 'deny', command.text || '');
+    });
+
+    // Button clicks from sendCard / sendActions
+    this.app.action(new RegExp(`^${ACTION_PREFIX}`), async ({ body, action, ack, respond }) => {
+      await ack();
+
+      const threadTs = body.message && body.message.thread_ts;
+      const channelId = body.channel
+        ? (threadTs ? threadChannelId(body.channel.id, threadTs) : body.channel.id)
+        : null;
+      const ctx = this._createContext({
+        channelId,
+        parentChannelId: threadTs && body.channel ? body.channel.id : null,
+        userId: body.user.id,
+        userName: body.user.username || body.user.name,
+        messageId: body.message ? body.message.ts : null,
+        raw: body
+      });
+      ctx.reply = async (text) => respond({ text: toMrkdwn(text), replace_original: false, response_type: 'in_channel' });
 
-      await this._emitCommand(ctx, 'jobs', '');
+      await this._emitAction(ctx, action.action_id.slice(ACTION_PREFIX.length));
     });
 
     // Also support 'od-' prefix for consistency with other platforms
@@ -280,7 +504,91 @@ class SlackProvider extends ChatProvider {
     this.app.command(`/${altPrefix}-jobs`, async ({ command, ack, respond }) => {
       await ack();
       const ctx = this._createSlackContext(command, respond);
-      await this._emitCommand(ctx, 'jobs', '');
+      await this._emitCommand(ctx, 'jobs', command.text || '');
+    });
+
+    // logs
+    this.app.command(`/${altPrefix}-logs`, async ({ command, ack, respond }) => {
+      await ack();
+      const ctx = this._createSlackContext(command, respond);
+      await this._emitCommand(ctx, 'logs', command.text || '');
+    });
+
+    // status
+    this.app.command(`/${altPrefix}-status`, async ({ command, ack, respond }) => {
+      await ack();
+      const ctx = this._createSlackContext(command, respond);
+      await this._emitCommand(ctx, 'status', command.text || '');
+    });
+
+    // queue
+    this.app.command(`/${altPrefix}-queue`, async ({ command, ack, respond }) => {
+      await ack();
+      const ctx = this._createSlackContext(command, respond);
+      await this._emitCommand(ctx, 'queue', command.text || '');
+    });
+
+    // cancel
+    this.app.command(`/${altPrefix}-cancel`, async ({ command, ack, respond }) => {
+      await ack();
+      const ctx = this._createSlackContext(command, respond);
+      await this._emitCommand(ctx, 'cancel', command.text || '');
+    });
+
+    // verbosity
+    this.app.command(`/${altPrefix}-verbosity`, async ({ command, ack, respond }) => {
+      await ack();
+      const ctx = this._createSlackContext(command, respond);
+      await this._emitCommand(ctx, 'verbosity', command.text || '');
+    });
+
+    // model
+    this.app.command(`/${altPrefix}-model`, async ({ command, ack, respond }) => {
+      await ack();
+      const ctx = this._createSlackContext(command, respond);
+      await this._emitCommand(ctx, 'model', command.text || '');
+    });
+
+    // watch
+    this.app.command(`/${altPrefix}-watch`, async ({ command, ack, respond }) => {
+      await ack();
+      const ctx = this._createSlackContext(command, respond);
+      await this._emitCommand(ctx, 'watch', command.text || '');
+    });
+
+    // unwatch
+    this.app.command(`/${altPrefix}-unwatch`, async ({ command, ack, respond }) => {
+      await ack();
+      const ctx = this._createSlackContext(command, respond);
+      await this._emitCommand(ctx, 'unwatch', command.text || '');
+    });
+
+    // usage
+    this.app.command(`/${altPrefix}-usage`, async ({ command, ack, respond }) => {
+      await ack();
+      const ctx = this._createSlackContext(command, respond);
+      await this._emitCommand(ctx, 'usage', command.text || '');
+    });
+
+    // budget
+    this.app.command(`/${altPrefix}-budget`, async ({ command, ack, respond }) => {
+      await ack();
+      const ctx = this._createSlackContext(command, respond);
+      await this._emitCommand(ctx, 'budget', command.text || '');
+    });
+
+    // approve
+    this.app.command(`/${altPrefix}-approve`, async ({ command, ack, respond }) => {
+      await ack();
+      const ctx = this._createSlackContext(command, respond);
+      await this._emitCommand(ctx, 'approve', command.text || '');
+    });
+
+    // deny
+    this.app.command(`/${altPrefix}-deny`, async ({ command, ack, respond }) => {
+      await ack();
+      const ctx = this._createSlackContext(command, respond);
+      await this._emitCommand(ctx, 'deny', command.text || '');
     });
   }
 
@@ -296,7 +604,7 @@ class SlackProvider extends ChatProvider {
       messageId: null,
       raw: command
     });
-    ctx.reply = async (text) => respond(text);
+    ctx.reply = async (text) => respond(toMrkdwn(text));
     return ctx;
   }
 
@@ -326,17 +634,18 @@ class SlackProvider extends ChatProvider {
    * Send a message to a Slack channel
    */
   async sendMessage(channelId, text, options = {}) {
+    const { channel, threadTs } = splitChannelId(channelId);
     try {
       const chunks = this.chunkText(text);
       let lastMessageTs = null;
 
       for (const chunk of chunks) {
         const result = await this.app.client.chat.postMessage({
-          channel: channelId,
-          text: chunk,
+          channel,
+          text: toMrkdwn(chunk),
           unfurl_links: false,
           unfurl_media: false,
-          thread_ts: options.replyTo || undefined
+          thread_ts: threadTs || options.replyTo || undefined
         });
         lastMessageTs = result.ts;
       }
@@ -348,6 +657,88 @@ class SlackProvider extends ChatProvider {
     }
   }
 
+  /**
+   * Files shared with a message; private URLs need the bot token (files:read scope)
+   * @private
+   */
+  _attachments(files = []) {
+    return files
+      .filter(file => file.url_private_download || file.url_private)
+      .map(file => ({
+        name: file.name || file.title,
+        mimeType: file.mimetype,
+        size: file.size,
+        download: (maxBytes) => this._fetchFile(file.url_private_download || file.url_private, {
+          Authorization: `Bearer ${this.config.token}`
+        }, maxBytes)
+      }));
+  }
+
+  /**
+   * Send a card as Block Kit blocks, with its actions as buttons
+   */
+  async sendCard(channelId, cardData) {
+    const { channel, threadTs } = splitChannelId(channelId);
+    const actions = cardData.actions || [];
+    try {
+      const result = await this.app.client.chat.postMessage({
+        channel,
+        thread_ts: threadTs,
+        ...this._cardMessage(cardData, actions.length > 0 ? [{
+          type: 'actions',
+          elements: actions.map((action) => ({
+            type: 'button',
+            text: { type: 'plain_text', text: action.label },
+            action_id: `${ACTION_PREFIX}${action.id}`,
+            ...(action.style ? { style: action.style } : {})
+          }))
+        }] : []),
+        unfurl_links: false,
+        unfurl_media: false
+      });
+      return { messageId: result.ts };
+    } catch (error) {
+      console.error('[Slack] Failed to send card:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * chat.postMessage fields for a card. Slack only colors the edge of
+   * legacy attachments, so colored cards put their blocks in one.
+   * @private
+   */
+  _cardMessage(cardData, extraBlocks = []) {
+    // At most 50 blocks per message; keep the buttons
+    const blocks = [...buildCardBlocks(cardData).slice(0, 50 - extraBlocks.length), ...extraBlocks];
+    const text = toMrkdwn(this._cardToText(cardData));
+    if (!cardData.color) {
+      return { text, blocks };
+    }
+    return { attachments: [{ color: cardData.color, fallback: text, blocks }] };
+  }
+
+  /**
+   * Upload text content as a file (requires the files:write scope)
+   */
+  async sendFile(channelId, { filename, content, title }) {
+    const { channel, threadTs } = splitChannelId(channelId);
+    try {
+      const result = await this.app.client.files.uploadV2({
+        channel_id: channel,
+        thread_ts: threadTs,
+        filename,
+        title: title || filename,
+        content
+      });
+      const file = result.files && result.files[0];
+      return { messageId: file ? file.id : null };
+    } catch (error) {
+      console.error('[Slack] Failed to upload file:', error);
+      throw error;
+    }
+  }
+
   /**
    * Send typing indicator (Slack doesn't have a native typing indicator,
    * so we send a temporary "Thinking..." message)
@@ -363,7 +754,7 @@ class SlackProvider extends ChatProvider {
   async deleteMessage(channelId, messageId) {
     try {
       await this.app.client.chat.delete({
-        channel: channelId,
+        channel: splitChannelId(channelId).channel,
         ts: messageId
       });
       return true;
@@ -379,9 +770,9 @@ class SlackProvider extends ChatProvider {
   async editMessage(channelId, messageId, newText) {
     try {
       await this.app.client.chat.update({
-        channel: channelId,
+        channel: splitChannelId(channelId).channel,
         ts: messageId,
-        text: newText
+        text: toMrkdwn(newText)
       });
       return true;
     } catch (error) {
@@ -396,9 +787,11 @@ class SlackProvider extends ChatProvider {
    * @returns {Promise<string|null>} Message timestamp or null
    */
   async postThinkingMessage(channelId) {
+    const { channel, threadTs } = splitChannelId(channelId);
     try {
       const result = await this.app.client.chat.postMessage({
-        channel: channelId,
+        channel,
+        thread_ts: threadTs,
         text: '_Thinking..._'
       });
       return result.ts;
@@ -407,9 +800,32 @@ class SlackProvider extends ChatProvider {
       return null;
     }
   }
+
+  /**
+   * Open a thread by posting its parent message
+   * @param {string} channelId - Parent channel
+   * @param {string} name - Parent message text
+   * @returns {Promise<{threadId: string}>}
+   */
+  async createThread(channelId, name) {
+    // Slack threads don't nest; a thread ID opens a sibling thread in its channel
+    const { channel } = splitChannelId(channelId);
+    try {
+      const result = await this.app.client.chat.postMessage({
+        channel,
+        text: `🧵 ${name}`,
+        unfurl_links: false,
+        unfurl_media: false
+      });
+      return { threadId: threadChannelId(channel, result.ts) };
+    } catch (error) {
+      console.error('[Slack] Failed to create thread:', error);
+      throw error;
+    }
+  }
 }
 
 // Register provider
 registerProvider('slack', SlackProvider);
 
-module.exports = { SlackProvider };
+module.exports = { SlackProvider, threadChannelId, splitChannelId, toMrkdwn, buildCardBlocks };
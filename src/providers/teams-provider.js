@@ -10,6 +10,30 @@ const { ChatProvider, registerProvider } = require('./chat-provider');
 // botbuilder and restify are imported dynamically
 let BotFrameworkAdapter, ActivityTypes, CardFactory, TurnContext, restify;
 
+/** Hosts (and their subdomains) that may receive the bot's token when fetching images */
+const TOKEN_HOSTS = ['botframework.com', 'smba.trafficmanager.net', 'asm.skype.com', 'teams.microsoft.com'];
+
+/**
+ * Prefixes from the old Teams bots, and the only commands they accept, so an
+ * ordinary message like "claude-code keeps failing" still reaches the agent
+ */
+const LEGACY_PREFIXES = ['claude', 'oc'];
+const LEGACY_COMMANDS = ['start', 'stop', 'list', 'send'];
+
+/**
+ * Whether a URL points at the Bot Framework or Teams over HTTPS
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isTokenHost(url) {
+  try {
+    const { protocol, hostname } = new URL(url);
+    return protocol === 'https:' && TOKEN_HOSTS.some(host => hostname === host || hostname.endsWith(`.${host}`));
+  } catch (e) {
+    return false;
+  }
+}
+
 /**
  * Teams-specific configuration
  * @typedef {Object} TeamsConfig
@@ -61,6 +85,10 @@ class TeamsProvider extends ChatProvider {
     return true; // Teams Adaptive Cards
   }
 
+  get supportsActions() {
+    return true; // Adaptive Card Action.Submit
+  }
+
   get supportsEphemeral() {
     return false; // Teams doesn't support ephemeral messages
   }
@@ -132,10 +160,11 @@ class TeamsProvider extends ChatProvider {
     const prefix = this.config.commandPrefix;
 
     // Check for commands with various prefixes
-    const prefixes = [prefix, 'od', 'opencode'];
+    const prefixes = [...new Set([prefix, 'od', 'opencode', ...LEGACY_PREFIXES])];
     for (const p of prefixes) {
       const match = cleanText.match(new RegExp(`^${p}-(\\w+)(?:\\s+(.*))?$`, 'is'));
-      if (match) {
+      const legacyOnly = p !== prefix && LEGACY_PREFIXES.includes(p);
+      if (match && (!legacyOnly || LEGACY_COMMANDS.includes(match[1].toLowerCase()))) {
         return {
           isCommand: true,
           command: match[1].toLowerCase(),
@@ -177,6 +206,7 @@ class TeamsProvider extends ChatProvider {
         userId: context.activity.from?.aadObjectId || context.activity.from?.id,
         userName: context.activity.from?.name,
         messageId: context.activity.id,
+        attachments: this._attachments(context.activity.attachments),
         raw: context.activity
       });
 
@@ -188,9 +218,13 @@ class TeamsProvider extends ChatProvider {
         return this._sendToContext(context, responseText, options);
       };
 
-      if (parsed.isCommand) {
+      // Action.Submit from an Adaptive Card button
+      const submitted = context.activity.value;
+      if (submitted && typeof submitted.odAction === 'string') {
+        await this._emitAction(ctx, submitted.odAction);
+      } else if (parsed.isCommand) {
         await this._emitCommand(ctx, parsed.command, parsed.args);
-      } else if (parsed.text) {
+      } else if (parsed.text || ctx.attachments.length > 0) {
         await this._emitMessage(ctx, parsed.text);
       }
 
@@ -318,11 +352,65 @@ class TeamsProvider extends ChatProvider {
   }
 
   /**
-   * Send an Adaptive Card to a Teams conversation
+   * Teams bots can't upload files to channels without Graph/SharePoint
+   * access, so post the end of the content in one message instead
+   */
+  async sendFile(channelId, { filename, content, title }) {
+    const heading = `**${title || filename}**\n`;
+    const room = this.maxMessageLength - heading.length - 40;
+    const truncated = content.length > room;
+    // Cut at a line break so the first line shown is whole
+    const shown = truncated ? `…\n${content.slice(-room).replace(/^[^\n]*\n/, '')}` : content;
+    const { messageId } = await this.sendMessage(channelId, `${heading}\`\`\`\n${shown.replace(/\n$/, '')}\n\`\`\``);
+    return { messageId, truncated };
+  }
+
+  /**
+   * Files and pasted images posted with a message. Files come with a
+   * pre-authorized download URL; inline images need the bot's token, which
+   * is only sent to Bot Framework and Teams hosts.
+   * @private
+   */
+  _attachments(attachments = []) {
+    return attachments.flatMap((attachment) => {
+      if (attachment.contentType === 'application/vnd.microsoft.teams.file.download.info' && attachment.content) {
+        return [{
+          name: attachment.name,
+          download: (maxBytes) => this._fetchFile(attachment.content.downloadUrl, {}, maxBytes)
+        }];
+      }
+      if (attachment.contentType && attachment.contentType.startsWith('image/') && attachment.contentUrl) {
+        return [{
+          // Pasted images are often just "image/*"; staging detects the format
+          name: attachment.name || 'image',
+          mimeType: attachment.contentType === 'image/*' ? undefined : attachment.contentType,
+          download: async (maxBytes) => {
+            if (!isTokenHost(attachment.contentUrl)) {
+              return this._fetchFile(attachment.contentUrl, {}, maxBytes);
+            }
+            const token = await this.adapter.credentials.getToken();
+            return this._fetchFile(attachment.contentUrl, { Authorization: `Bearer ${token}` }, maxBytes);
+          }
+        }];
+      }
+      // text/html copies of the message body, cards, ...
+      return [];
+    });
+  }
+
+  /**
+   * Send an Adaptive Card to a Teams conversation, with its actions as
+   * Action.Submit buttons
    */
   async sendCard(channelId, cardData) {
-    const card = this._createAdaptiveCard(cardData);
+    return this._deliverCard(channelId, this._createAdaptiveCard(cardData, cardData.actions), cardData);
+  }
 
+  /**
+   * Deliver a card attachment in the active turn or proactively
+   * @private
+   */
+  async _deliverCard(channelId, card, cardData) {
     const context = this._pendingContexts.get(channelId);
     if (context) {
       const activity = await context.sendActivity({ attachments: [card] });
@@ -350,8 +438,10 @@ class TeamsProvider extends ChatProvider {
   /**
    * Create an Adaptive Card from CardData
    * @private
+   * @param {CardData} cardData
+   * @param {Array<{id: string, label: string, style?: string}>} [actions] - Submit buttons
    */
-  _createAdaptiveCard(cardData) {
+  _createAdaptiveCard(cardData, actions = []) {
     const body = [];
 
     if (cardData.title) {
@@ -394,12 +484,24 @@ class TeamsProvider extends ChatProvider {
       });
     }
 
-    return CardFactory.adaptiveCard({
+    const card = {
       type: 'AdaptiveCard',
       $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
       version: '1.4',
       body
-    });
+    };
+
+    if (actions.length > 0) {
+      card.actions = actions.map(action => ({
+        type: 'Action.Submit',
+        title: action.label,
+        style: action.style === 'danger' ? 'destructive' :
+               action.style === 'primary' ? 'positive' : 'default',
+        data: { odAction: action.id }
+      }));
+    }
+
+    return CardFactory.adaptiveCard(card);
   }
 
   /**
@@ -460,4 +562,4 @@ class TeamsProvider extends ChatProvider {
 // Register provider
 registerProvider('teams', TeamsProvider);
 
-module.exports = { TeamsProvider };
+module.exports = { TeamsProvider, isTokenHost };
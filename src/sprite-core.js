@@ -15,6 +15,8 @@
 const { randomUUID } = require('crypto');
 const { Job, JobStatus } = require('./job');
 const { SpriteOrchestrator } = require('./sprite-orchestrator');
+const { createInstancePersistence } = require('./state-store');
+const { resolvePermissions, permissionArgs } = require('./claude-permissions');
 
 /**
  * Create an instance manager for Sprite-based agents.
@@ -24,6 +26,8 @@ const { SpriteOrchestrator } = require('./sprite-orchestrator');
  * @param {string} [options.baseImage] - Default Docker image
  * @param {string} [options.agentType] - 'claude' or 'opencode'
  * @param {SpriteOrchestrator} [options.orchestrator] - For testing
+ * @param {Object} [options.stateStore] - Persist instances across restarts (see state-store.js)
+ * @param {Object} [options.jobStore] - Durable job history (see job-store.js)
  * @returns {Object} Instance manager
  */
 function createInstanceManager(options = {}) {
@@ -37,6 +41,42 @@ function createInstanceManager(options = {}) {
     baseImage: options.baseImage
   });
 
+  // Jobs are tied to the bot process (webhooks resolve them), so only the
+  // instance itself is restored after a restart
+  const persistence = createInstancePersistence(options.stateStore, 'instances:sprite', {
+    runtimeFields: ['currentJob']
+  });
+  for (const [instanceId, instance] of persistence.load()) {
+    instances.set(instanceId, instance);
+  }
+
+  const jobStore = options.jobStore || null;
+
+  /**
+   * Record a job's current state in the job store (if configured).
+   * Persistence failures are logged, never surfaced to the run itself.
+   */
+  function saveJob(job) {
+    if (!jobStore) return;
+    try {
+      jobStore.save(job);
+    } catch (error) {
+      console.error(`[Sprite] Failed to persist job ${job.jobId}:`, error.message);
+    }
+  }
+
+  // Webhooks for jobs that were in flight before a restart can never be
+  // matched again, so close them out instead of showing them as running
+  if (jobStore) {
+    for (const status of [JobStatus.RUNNING, JobStatus.QUEUED]) {
+      const { jobs: orphaned } = jobStore.list({ status, limit: Infinity });
+      for (const job of orphaned) {
+        job.fail('Interrupted by bot restart');
+        saveJob(job);
+      }
+    }
+  }
+
   let staleReaperInterval = null;
 
   /**
@@ -44,7 +84,8 @@ function createInstanceManager(options = {}) {
    * @param {string} instanceId
    * @param {string} projectDir - Used as repo for Sprites
    * @param {string} channelId - Chat channel ID (provider-agnostic)
-   * @param {Object} [opts]
+   * @param {Object} [opts] - persistent, image, plus Claude permissions
+   *   (permissionMode, allowedTools, disallowedTools, appendSystemPrompt)
    * @returns {Promise<Object>} Result with success status
    */
   async function startInstance(instanceId, projectDir, channelId, opts = {}) {
@@ -52,6 +93,11 @@ function createInstanceManager(options = {}) {
       return { success: false, error: `Instance "${instanceId}" already running` };
     }
 
+    const resolved = resolvePermissions(opts);
+    if (resolved.error) {
+      return { success: false, error: resolved.error };
+    }
+
     const sessionId = randomUUID();
     const { persistent = false, image } = opts;
 
@@ -64,7 +110,8 @@ function createInstanceManager(options = {}) {
       currentJob: null,
       persistent,
       spriteId: null,
-      image
+      image,
+      permissions: resolved.permissions
     };
 
     instances.set(instanceId, instance);
@@ -75,6 +122,7 @@ function createInstanceManager(options = {}) {
           image
         });
         instance.spriteId = machineInfo.id;
+        persistence.save(instanceId, instance);
         return { success: true, sessionId, spriteId: machineInfo.id, persistent: true };
       } catch (error) {
         instances.delete(instanceId);
@@ -82,6 +130,7 @@ function createInstanceManager(options = {}) {
       }
     }
 
+    persistence.save(instanceId, instance);
     return { success: true, sessionId };
   }
 
@@ -104,6 +153,7 @@ function createInstanceManager(options = {}) {
     }
 
     instances.delete(instanceId);
+    persistence.remove(instanceId);
     return { success: true };
   }
 
@@ -131,14 +181,146 @@ function createInstanceManager(options = {}) {
   function clearInstances() {
     instances.clear();
     jobs.clear();
+    persistence.clear();
   }
 
+  /**
+   * Get a job by ID. Live jobs come from memory; finished ones fall back
+   * to the job store (without callbacks).
+   * @param {string} jobId
+   * @returns {Job|null}
+   */
   function getJob(jobId) {
-    return jobs.get(jobId) || null;
+    return jobs.get(jobId) || (jobStore ? jobStore.get(jobId) : null);
   }
 
-  function listJobs() {
-    return Array.from(jobs.values()).map(job => job.toSummary());
+  /**
+   * Find job IDs starting with a prefix (as shown by od-jobs), live or stored
+   * @param {string} prefix
+   * @returns {string[]}
+   */
+  function findJobIds(prefix) {
+    const ids = new Set(Array.from(jobs.keys()).filter(jobId => jobId.startsWith(prefix)));
+    if (jobStore) {
+      for (const jobId of jobStore.findIds(prefix)) ids.add(jobId);
+    }
+    return Array.from(ids);
+  }
+
+  /**
+   * Cancel a queued or running job.
+   * One-shot Machines are destroyed; persistent Machines are stopped and
+   * woken again by the next command. The pending sendToInstance Promise
+   * resolves with { cancelled: true }.
+   * @param {string} jobId
+   * @returns {Promise<Object>} Result with success status
+   */
+  async function cancelJob(jobId) {
+    const job = jobs.get(jobId);
+    if (!job) {
+      const stored = jobStore ? jobStore.get(jobId) : null;
+      if (stored) {
+        return { success: false, error: `Job "${jobId}" is already ${stored.status}` };
+      }
+      return { success: false, error: `Job "${jobId}" not found` };
+    }
+    if (job.status !== JobStatus.RUNNING && job.status !== JobStatus.QUEUED) {
+      return { success: false, error: `Job "${jobId}" is already ${job.status}` };
+    }
+
+    job.cancel();
+    saveJob(job);
+
+    let owner = null;
+    for (const [, instance] of instances) {
+      if (instance.currentJob && instance.currentJob.jobId === jobId) {
+        owner = instance;
+        instance.currentJob = null;
+      }
+    }
+
+    if (job.machineId) {
+      const isPersistent = owner && owner.persistent && owner.spriteId === job.machineId;
+      const teardown = isPersistent
+        ? orchestrator.stopSprite(job.machineId)
+        : orchestrator.destroyMachine(job.machineId);
+      await teardown.catch(err => {
+        console.error(`[Sprite] Error tearing down machine for cancelled job ${jobId}:`, err.message);
+      });
+    }
+
+    if (job.onComplete) {
+      await Promise.resolve(job.onComplete(job)).catch(e => {
+        console.error(`[Sprite] onComplete error during cancel:`, e.message);
+      });
+    }
+
+    return { success: true, jobId };
+  }
+
+  /**
+   * Look up the Fly Machine backing an instance (persistent Sprite or the
+   * Machine running its current job).
+   * @param {string} instanceId
+   * @returns {Promise<{machineId: string, state: string}|null>} null when no Machine is attached
+   */
+  async function getMachineStatus(instanceId) {
+    const instance = instances.get(instanceId);
+    if (!instance) return null;
+
+    const machineId = instance.spriteId || (instance.currentJob && instance.currentJob.machineId);
+    if (!machineId) return null;
+
+    try {
+      const machine = await orchestrator.getSpriteStatus(machineId);
+      return { machineId, state: machine.state || 'unknown' };
+    } catch (error) {
+      return { machineId, state: 'unavailable', error: error.message };
+    }
+  }
+
+  /**
+   * Cancel the job currently running on an instance.
+   * @param {string} instanceId
+   * @returns {Promise<Object>} Result with success status
+   */
+  async function cancelInstance(instanceId) {
+    const instance = instances.get(instanceId);
+    if (!instance) {
+      return { success: false, error: `Instance "${instanceId}" not found` };
+    }
+    if (!instance.currentJob) {
+      return { success: false, error: `Instance "${instanceId}" has no run in progress` };
+    }
+    return cancelJob(instance.currentJob.jobId);
+  }
+
+  /**
+   * List job summaries in chronological order (oldest first).
+   * limit/offset select a page counted back from the newest job, so
+   * { limit: 10 } returns the 10 most recent jobs.
+   * Uses the job store when configured (so history survives restarts),
+   * preferring the live in-memory copy of jobs that are still tracked.
+   * @param {import('./job-store').JobFilters} [filters] - channelId, status, userId, limit, offset
+   * @returns {Object[]} Job summaries
+   */
+  function listJobs(filters = {}) {
+    const { limit = Infinity, offset = 0 } = filters;
+
+    if (jobStore) {
+      return jobStore.list({ ...filters, limit, offset }).jobs
+        .reverse()
+        .map(stored => (jobs.get(stored.jobId) || stored).toSummary());
+    }
+
+    const matches = Array.from(jobs.values()).filter(job =>
+      (!filters.channelId || job.channelId === filters.channelId) &&
+      (!filters.status || job.status === filters.status) &&
+      (!filters.userId || job.userId === filters.userId));
+    const end = Math.max(0, matches.length - offset);
+    return matches
+      .slice(Math.max(0, end - limit), end)
+      .map(job => job.toSummary());
   }
 
   /**
@@ -155,31 +337,36 @@ function createInstanceManager(options = {}) {
       return { success: false, error: `Instance "${instanceId}" not found` };
     }
 
-    const { onMessage, image, timeoutMs } = options;
+    const { onMessage, image, timeoutMs, userId } = options;
     instance.messageCount++;
+    instance.lastPrompt = message;
+    instance.lastActivityAt = new Date();
+    persistence.save(instanceId, instance);
 
-    const agentCommand = buildAgentCommand(message, instance.sessionId, agentType);
+    const agentCommand = buildAgentCommand(message, instance.sessionId, agentType, instance.permissions);
 
     // Persistent: exec on existing Machine
     if (instance.persistent && instance.spriteId) {
-      return sendToPersistentSprite(instance, agentCommand, onMessage);
+      return sendToPersistentSprite(instance, agentCommand, { onMessage, userId });
     }
 
     // One-shot: spawn Machine, wait for webhook callback
-    return sendToNewSprite(instance, agentCommand, { onMessage, image, timeoutMs });
+    return sendToNewSprite(instance, agentCommand, { onMessage, image, timeoutMs, userId });
   }
 
-  async function sendToPersistentSprite(instance, command, onMessage) {
+  async function sendToPersistentSprite(instance, command, { onMessage, userId }) {
     const job = new Job({
       command,
       channelId: instance.channelId,
       projectDir: instance.projectDir,
+      userId,
       image: instance.image
     });
 
     jobs.set(job.jobId, job);
     instance.currentJob = job;
     job.start(instance.spriteId);
+    saveJob(job);
 
     try {
       if (onMessage) {
@@ -199,6 +386,18 @@ function createInstanceManager(options = {}) {
         }
       );
 
+      if (job.status === JobStatus.CANCELLED) {
+        return {
+          success: false,
+          cancelled: true,
+          error: job.error,
+          responses: job.logs.map(l => l.message),
+          jobId: job.jobId,
+          streamed: true,
+          persistent: true
+        };
+      }
+
       if (result.success) {
         job.complete(result.exitCode);
       } else {
@@ -206,6 +405,7 @@ function createInstanceManager(options = {}) {
       }
 
       instance.currentJob = null;
+      saveJob(job);
 
       return {
         success: result.success,
@@ -216,8 +416,12 @@ function createInstanceManager(options = {}) {
         persistent: true
       };
     } catch (error) {
+      if (job.status === JobStatus.CANCELLED) {
+        return { success: false, cancelled: true, error: job.error, jobId: job.jobId };
+      }
       job.fail(error.message);
       instance.currentJob = null;
+      saveJob(job);
       return { success: false, error: error.message, jobId: job.jobId };
     }
   }
@@ -227,7 +431,7 @@ function createInstanceManager(options = {}) {
    * The Promise resolves when /webhooks/status fires with completed/failed.
    */
   async function sendToNewSprite(instance, agentCommand, options) {
-    const { onMessage, image, timeoutMs = 600000 } = options;
+    const { onMessage, image, timeoutMs = 600000, userId } = options;
 
     const jobToken = orchestrator.generateJobToken(randomUUID());
 
@@ -235,6 +439,7 @@ function createInstanceManager(options = {}) {
       command: agentCommand,
       channelId: instance.channelId,
       projectDir: instance.projectDir,
+      userId,
       image,
       jobToken,
       onMessage,
@@ -250,8 +455,10 @@ function createInstanceManager(options = {}) {
         if (resolved) return;
         resolved = true;
         instance.currentJob = null;
+        saveJob(completedJob);
         resolve({
           success: completedJob.status === JobStatus.COMPLETED,
+          cancelled: completedJob.status === JobStatus.CANCELLED,
           responses: completedJob.logs.map(l => l.message),
           jobId: completedJob.jobId,
           artifacts: completedJob.artifacts,
@@ -264,9 +471,17 @@ function createInstanceManager(options = {}) {
 
     jobs.set(job.jobId, job);
     instance.currentJob = job;
+    saveJob(job);
 
     try {
       const machineInfo = await orchestrator.spawnJob(job);
+      saveJob(job);
+
+      // Cancelled while the Machine was booting — tear it down now
+      if (job.status === JobStatus.CANCELLED) {
+        orchestrator.destroyMachine(machineInfo.id).catch(() => {});
+        return completionPromise;
+      }
 
       if (onMessage) {
         await onMessage(`Job ${job.jobId.substring(0, 8)} started (Machine ${machineInfo.id.substring(0, 8)})`).catch(() => {});
@@ -281,6 +496,7 @@ function createInstanceManager(options = {}) {
             resolved = true;
             job.fail('Job timed out');
             instance.currentJob = null;
+            saveJob(job);
             resolve({
               success: false,
               error: 'Job timed out',
@@ -294,8 +510,12 @@ function createInstanceManager(options = {}) {
       clearTimeout(timeoutTimer);
       return result;
     } catch (error) {
+      if (job.status === JobStatus.CANCELLED) {
+        return completionPromise;
+      }
       job.fail(error.message);
       instance.currentJob = null;
+      saveJob(job);
       return { success: false, error: error.message, jobId: job.jobId };
     }
   }
@@ -320,7 +540,7 @@ function createInstanceManager(options = {}) {
       .replace(/!/g, '\\!');
   }
 
-  function buildAgentCommand(message, sessionId, type) {
+  function buildAgentCommand(message, sessionId, type, permissions) {
     const escapedMessage = shellEscape(message);
     const escapedSessionId = shellEscape(sessionId);
 
@@ -328,18 +548,21 @@ function createInstanceManager(options = {}) {
       return `test -f /etc/opencode/opencode.json && ! test -f "\${WORKDIR:-/workspace}/opencode.json" && cp /etc/opencode/opencode.json "\${WORKDIR:-/workspace}/opencode.json"; NO_COLOR=1 opencode run -- "${escapedMessage}" 2>&1 | perl -pe 's/\\x1b\\[[0-9;]*[a-zA-Z]//g'`;
     }
 
-    return `claude --dangerously-skip-permissions --output-format stream-json --session-id "${escapedSessionId}" -p "${escapedMessage}"`;
+    const flags = permissionArgs(permissions)
+      .map(arg => /^[\w@%+=:,./-]+$/.test(arg) ? arg : `"${shellEscape(arg)}"`)
+      .join(' ');
+    return `claude ${flags} --output-format stream-json --session-id "${escapedSessionId}" -p "${escapedMessage}"`;
   }
 
   // buildArgs constructs an argv array for direct process execution,
   // so we must not apply shell-style escaping here. The raw strings
   // are passed as-is to the underlying CLI.
-  function buildArgs(message, sessionId) {
+  function buildArgs(message, sessionId, permissions) {
     if (agentType === 'opencode') {
       return ['run', '--format', 'json', '--session', sessionId, '--', message];
     }
     return [
-      '--dangerously-skip-permissions',
+      ...permissionArgs(permissions),
       '--output-format', 'stream-json',
       '--session-id', sessionId,
       '-p', message
@@ -357,6 +580,7 @@ function createInstanceManager(options = {}) {
         if (job.isTimedOut()) {
           console.warn(`[Sprite] Job ${jobId} timed out, marking failed`);
           job.fail('Job timed out (stale reaper)');
+          saveJob(job);
 
           // Clear instance.currentJob reference to prevent stale references
           for (const [, instance] of instances) {
@@ -399,7 +623,11 @@ function createInstanceManager(options = {}) {
     buildArgs,
     buildAgentCommand,
     getJob,
+    findJobIds,
     listJobs,
+    cancelJob,
+    cancelInstance,
+    getMachineStatus,
     startStaleReaper,
     stopStaleReaper,
     get instances() { return instances; },
@@ -0,0 +1,280 @@
+/**
+ * State Store Module
+ *
+ * Pluggable persistence for bot state (instances, sessions, ...) so it
+ * survives restarts. Values are JSON-serializable objects grouped into
+ * namespaces. Every implementation exposes the same synchronous interface:
+ *
+ *   get(namespace, key)          → value | null
+ *   set(namespace, key, value)
+ *   delete(namespace, key)
+ *   entries(namespace)           → Array<[key, value]>
+ *   clear(namespace)
+ *   close()
+ *
+ * Implementations: memory (tests), JSON file (default), SQLite (optional,
+ * requires better-sqlite3).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DEFAULT_DIR = path.join(os.homedir(), '.open-dispatch');
+
+/**
+ * Create an in-memory state store (nothing is persisted)
+ * @returns {Object} State store
+ */
+function createMemoryStateStore() {
+  const data = new Map(); // namespace → Map<key, value>
+
+  function bucket(namespace) {
+    let map = data.get(namespace);
+    if (!map) {
+      map = new Map();
+      data.set(namespace, map);
+    }
+    return map;
+  }
+
+  return {
+    type: 'memory',
+    get(namespace, key) {
+      const value = bucket(namespace).get(key);
+      return value === undefined ? null : clone(value);
+    },
+    set(namespace, key, value) {
+      bucket(namespace).set(key, clone(value));
+    },
+    delete(namespace, key) {
+      bucket(namespace).delete(key);
+    },
+    entries(namespace) {
+      return Array.from(bucket(namespace).entries()).map(([k, v]) => [k, clone(v)]);
+    },
+    clear(namespace) {
+      data.delete(namespace);
+    },
+    close() {}
+  };
+}
+
+/**
+ * Create a state store backed by a single JSON file.
+ * The whole file is rewritten atomically (temp file + rename) on every change.
+ * @param {Object} [options]
+ * @param {string} [options.filePath] - Defaults to ~/.open-dispatch/state.json
+ * @returns {Object} State store
+ */
+function createJsonStateStore(options = {}) {
+  const filePath = options.filePath || path.join(DEFAULT_DIR, 'state.json');
+  let data = {};
+
+  if (fs.existsSync(filePath)) {
+    try {
+      data = JSON.parse(fs.readFileSync(filePath, 'utf8')) || {};
+    } catch (error) {
+      // Keep the unreadable file for inspection rather than overwriting it
+      const backup = `${filePath}.corrupt-${Date.now()}`;
+      console.error(`[StateStore] Could not parse ${filePath}, moving it to ${backup}:`, error.message);
+      fs.renameSync(filePath, backup);
+      data = {};
+    }
+  }
+
+  function flush() {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  return {
+    type: 'json',
+    filePath,
+    get(namespace, key) {
+      const value = data[namespace]?.[key];
+      return value === undefined ? null : clone(value);
+    },
+    set(namespace, key, value) {
+      if (!data[namespace]) data[namespace] = {};
+      data[namespace][key] = clone(value);
+      flush();
+    },
+    delete(namespace, key) {
+      if (!data[namespace] || !(key in data[namespace])) return;
+      delete data[namespace][key];
+      flush();
+    },
+    entries(namespace) {
+      return Object.entries(data[namespace] || {}).map(([k, v]) => [k, clone(v)]);
+    },
+    clear(namespace) {
+      if (!data[namespace]) return;
+      delete data[namespace];
+      flush();
+    },
+    close() {}
+  };
+}
+
+/**
+ * Load better-sqlite3, which is an optional dependency
+ * @returns {Function} Database constructor
+ */
+function requireSqlite() {
+  try {
+    return require('better-sqlite3');
+  } catch (error) {
+    throw new Error(
+      'better-sqlite3 is not installed. Run: npm install better-sqlite3'
+    );
+  }
+}
+
+/**
+ * Create a state store backed by SQLite (requires better-sqlite3)
+ * @param {Object} [options]
+ * @param {string} [options.filePath] - Defaults to ~/.open-dispatch/state.db
+ * @param {Function} [options.Database] - better-sqlite3 Database constructor (for testing)
+ * @returns {Object} State store
+ */
+function createSqliteStateStore(options = {}) {
+  const filePath = options.filePath || path.join(DEFAULT_DIR, 'state.db');
+  const Database = options.Database || requireSqlite();
+
+  if (filePath !== ':memory:') {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+
+  const db = new Database(filePath);
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS state (
+      namespace TEXT NOT NULL,
+      key TEXT NOT NULL,
+      value TEXT NOT NULL,
+      PRIMARY KEY (namespace, key)
+    )
+  `);
+
+  const getStmt = db.prepare('SELECT value FROM state WHERE namespace = ? AND key = ?');
+  const setStmt = db.prepare(
+    'INSERT INTO state (namespace, key, value) VALUES (?, ?, ?) ' +
+    'ON CONFLICT(namespace, key) DO UPDATE SET value = excluded.value'
+  );
+  const deleteStmt = db.prepare('DELETE FROM state WHERE namespace = ? AND key = ?');
+  const entriesStmt = db.prepare('SELECT key, value FROM state WHERE namespace = ? ORDER BY key');
+  const clearStmt = db.prepare('DELETE FROM state WHERE namespace = ?');
+
+  return {
+    type: 'sqlite',
+    filePath,
+    get(namespace, key) {
+      const row = getStmt.get(namespace, key);
+      return row ? JSON.parse(row.value) : null;
+    },
+    set(namespace, key, value) {
+      setStmt.run(namespace, key, JSON.stringify(value));
+    },
+    delete(namespace, key) {
+      deleteStmt.run(namespace, key);
+    },
+    entries(namespace) {
+      return entriesStmt.all(namespace).map(row => [row.key, JSON.parse(row.value)]);
+    },
+    clear(namespace) {
+      clearStmt.run(namespace);
+    },
+    close() {
+      db.close();
+    }
+  };
+}
+
+/**
+ * Create the configured state store.
+ * @param {Object} [options]
+ * @param {string} [options.type] - 'json' | 'sqlite' | 'memory' (env: STATE_STORE, default: json)
+ * @param {string} [options.filePath] - Store location (env: STATE_PATH)
+ * @returns {Object} State store
+ */
+function createStateStore(options = {}) {
+  const type = (options.type || process.env.STATE_STORE || 'json').toLowerCase();
+  const filePath = options.filePath || process.env.STATE_PATH || undefined;
+
+  switch (type) {
+    case 'json':
+      return createJsonStateStore({ ...options, filePath });
+    case 'sqlite':
+      return createSqliteStateStore({ ...options, filePath });
+    case 'memory':
+      return createMemoryStateStore();
+    default:
+      throw new Error(`Unknown state store: ${type}. Use: json, sqlite, memory`);
+  }
+}
+
+/** Instance fields stored as ISO strings and revived as Dates */
+const INSTANCE_DATE_FIELDS = ['startedAt', 'lastActivityAt'];
+
+/**
+ * Bind a state store to one backend's instance table.
+ * Safe to use without a store — every method becomes a no-op.
+ * @param {Object|null} stateStore
+ * @param {string} namespace - e.g. 'instances:claude'
+ * @param {Object} [options]
+ * @param {string[]} [options.runtimeFields] - Fields never persisted (live processes, jobs)
+ * @returns {{save: Function, remove: Function, load: Function, clear: Function}}
+ */
+function createInstancePersistence(stateStore, namespace, options = {}) {
+  const runtimeFields = options.runtimeFields || [];
+
+  return {
+    save(instanceId, instance) {
+      if (!stateStore) return;
+      const record = { ...instance };
+      for (const field of runtimeFields) delete record[field];
+      stateStore.set(namespace, instanceId, record);
+    },
+    remove(instanceId) {
+      if (!stateStore) return;
+      stateStore.delete(namespace, instanceId);
+    },
+    /**
+     * @returns {Array<[string, Object]>} Saved instances with Dates revived
+     */
+    load() {
+      if (!stateStore) return [];
+      return stateStore.entries(namespace).map(([instanceId, record]) => {
+        for (const field of INSTANCE_DATE_FIELDS) {
+          if (record[field]) record[field] = new Date(record[field]);
+        }
+        for (const field of runtimeFields) record[field] = null;
+        return [instanceId, record];
+      });
+    },
+    clear() {
+      if (!stateStore) return;
+      stateStore.clear(namespace);
+    }
+  };
+}
+
+/**
+ * Deep-copy a JSON-serializable value so callers can't mutate stored state
+ * (and so Dates are stored the same way in every implementation).
+ */
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+module.exports = {
+  createStateStore,
+  createMemoryStateStore,
+  createJsonStateStore,
+  createSqliteStateStore,
+  createInstancePersistence,
+  requireSqlite,
+  DEFAULT_DIR
+};
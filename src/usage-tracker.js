@@ -0,0 +1,169 @@
+/**
+ * Usage Tracker
+ *
+ * Records token and cost usage for every agent turn and keeps daily
+ * totals per instance, channel and user in the state store (namespace
+ * "usage"), so reports survive restarts. Backends already report each
+ * run's usage (claude-core / opencode-core `result.usage`); bot-engine
+ * passes it here.
+ *
+ * One bucket per (UTC day, instance, channel, user):
+ *   { day: '2024-01-31', instanceId, channelId, userId, userName,
+ *     inputTokens, outputTokens, costUsd, turns }
+ */
+
+const { createMemoryStateStore } = require('./state-store');
+
+const NAMESPACE = 'usage';
+
+const GROUP_BY = ['user', 'channel', 'instance', 'day'];
+
+/**
+ * UTC calendar day of a date, e.g. '2024-01-31'
+ * @param {Date} date
+ * @returns {string}
+ */
+function dayOf(date) {
+  return new Date(date).toISOString().substring(0, 10);
+}
+
+/**
+ * @returns {{inputTokens: number, outputTokens: number, costUsd: number, turns: number}}
+ */
+function emptyTotals() {
+  return { inputTokens: 0, outputTokens: 0, costUsd: 0, turns: 0 };
+}
+
+function addTo(totals, bucket) {
+  totals.inputTokens += bucket.inputTokens || 0;
+  totals.outputTokens += bucket.outputTokens || 0;
+  totals.costUsd += bucket.costUsd || 0;
+  totals.turns += bucket.turns || 0;
+  return totals;
+}
+
+/**
+ * Sum two usage records
+ * @param {{inputTokens: number, outputTokens: number, costUsd: number}|null} total
+ * @param {{inputTokens?: number, outputTokens?: number, costUsd?: number}} usage
+ * @returns {{inputTokens: number, outputTokens: number, costUsd: number}}
+ */
+function addUsage(total, usage) {
+  return {
+    inputTokens: (total ? total.inputTokens : 0) + (usage.inputTokens || 0),
+    outputTokens: (total ? total.outputTokens : 0) + (usage.outputTokens || 0),
+    costUsd: (total ? total.costUsd : 0) + (usage.costUsd || 0)
+  };
+}
+
+/**
+ * Add one run's usage to an instance's running totals (instance.usage),
+ * shared by every backend's instance manager
+ * @param {Object} instance
+ * @param {Object} usage - One run's usage
+ */
+function accumulateUsage(instance, usage) {
+  instance.usage = addUsage(instance.usage, usage);
+}
+
+/**
+ * Create a usage tracker
+ * @param {Object} [options]
+ * @param {Object} [options.stateStore] - Shared state store (default: in-memory)
+ * @returns {Object} Tracker with record/totals/report
+ */
+function createUsageTracker(options = {}) {
+  const stateStore = options.stateStore || createMemoryStateStore();
+
+  /**
+   * Buckets matching the filters
+   */
+  function buckets(filters = {}) {
+    const fromDay = filters.since ? dayOf(filters.since) : null;
+    return stateStore.entries(NAMESPACE)
+      .map(([, bucket]) => bucket)
+      .filter(bucket =>
+        (!fromDay || bucket.day >= fromDay) &&
+        (!filters.instanceId || bucket.instanceId === filters.instanceId) &&
+        (!filters.channelId || bucket.channelId === filters.channelId) &&
+        (!filters.userId || bucket.userId === filters.userId));
+  }
+
+  return {
+    /**
+     * Add one turn's usage to its daily bucket
+     * @param {Object} turn
+     * @param {string} turn.instanceId
+     * @param {string} [turn.channelId]
+     * @param {string} [turn.userId]
+     * @param {string} [turn.userName]
+     * @param {{inputTokens: number, outputTokens: number, costUsd: number}} turn.usage
+     * @param {Date} [turn.at=new Date()]
+     */
+    record({ instanceId, channelId = null, userId = null, userName = null, usage, at = new Date() }) {
+      if (!usage) return;
+      const day = dayOf(at);
+      const key = [day, instanceId, channelId || '', userId || ''].join('|');
+      const bucket = stateStore.get(NAMESPACE, key) || {
+        day, instanceId, channelId, userId, userName, ...emptyTotals()
+      };
+      addTo(bucket, { ...usage, turns: 1 });
+      if (userName) bucket.userName = userName;
+      stateStore.set(NAMESPACE, key, bucket);
+    },
+
+    /**
+     * Sum usage matching the filters
+     * @param {Object} [filters]
+     * @param {Date} [filters.since] - Include buckets from this date's UTC day onwards
+     * @param {string} [filters.instanceId]
+     * @param {string} [filters.channelId]
+     * @param {string} [filters.userId]
+     * @returns {{inputTokens: number, outputTokens: number, costUsd: number, turns: number}}
+     */
+    totals(filters = {}) {
+      return buckets(filters).reduce(addTo, emptyTotals());
+    },
+
+    /**
+     * Usage grouped for a report, highest cost first (days newest first)
+     * @param {Object} [options]
+     * @param {Date} [options.since]
+     * @param {string} [options.by='user'] - user | channel | instance | day
+     * @returns {{groups: Array<Object>, total: Object}}
+     */
+    report({ since, by = 'user' } = {}) {
+      if (!GROUP_BY.includes(by)) {
+        throw new Error(`Unknown grouping "${by}". Use: ${GROUP_BY.join(', ')}`);
+      }
+
+      const field = { user: 'userId', channel: 'channelId', instance: 'instanceId', day: 'day' }[by];
+      const groups = new Map();
+      const total = emptyTotals();
+
+      for (const bucket of buckets({ since })) {
+        const key = bucket[field] || 'unknown';
+        let group = groups.get(key);
+        if (!group) {
+          group = { key, label: key, ...emptyTotals() };
+          groups.set(key, group);
+        }
+        if (by === 'user' && bucket.userName) group.label = bucket.userName;
+        addTo(group, bucket);
+        addTo(total, bucket);
+      }
+
+      const sorted = Array.from(groups.values()).sort(by === 'day'
+        ? (a, b) => b.key.localeCompare(a.key)
+        : (a, b) => b.costUsd - a.costUsd || (b.inputTokens + b.outputTokens) - (a.inputTokens + a.outputTokens));
+      return { groups: sorted, total };
+    }
+  };
+}
+
+module.exports = {
+  createUsageTracker,
+  addUsage,
+  accumulateUsage,
+  GROUP_BY
+};
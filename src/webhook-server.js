@@ -17,10 +17,11 @@ const MAX_BODY_SIZE = 1 * 1024 * 1024;
  * Create a webhook server.
  * @param {Object} options
  * @param {Map} options.jobs - Map of jobId → Job objects (from sprite-core)
+ * @param {Object} [options.jobStore] - Durable job history to update (see job-store.js)
  * @param {number} [options.port] - Listen port (default: 8080)
  * @returns {Object} { server, start(), stop() }
  */
-function createWebhookServer({ jobs, port = 8080 }) {
+function createWebhookServer({ jobs, jobStore = null, port = 8080 }) {
   const server = http.createServer(async (req, res) => {
     // CORS and content type
     res.setHeader('Content-Type', 'application/json');
@@ -114,6 +115,18 @@ function createWebhookServer({ jobs, port = 8080 }) {
     return job;
   }
 
+  /**
+   * Record the job in the job store so it outlives the in-memory cleanup.
+   */
+  function saveJob(job) {
+    if (!jobStore) return;
+    try {
+      jobStore.save(job);
+    } catch (e) {
+      console.error(`[Webhook] Failed to persist job ${job.jobId}:`, e.message);
+    }
+  }
+
   function respond(res, status, body) {
     res.writeHead(status);
     res.end(JSON.stringify(body));
@@ -147,6 +160,12 @@ function createWebhookServer({ jobs, port = 8080 }) {
 
     job.addLog(text);
 
+    // Running jobs are saved with all their logs when they finish; only
+    // late output that lands after the terminal status needs saving here
+    if (job.completedAt) {
+      saveJob(job);
+    }
+
     // Fire the onMessage callback (streams to chat)
     if (job.onMessage) {
       try {
@@ -203,6 +222,10 @@ function createWebhookServer({ jobs, port = 8080 }) {
       }
     }
 
+    if (status === 'completed' || status === 'failed') {
+      saveJob(job);
+    }
+
     // Defer cleanup to allow late log/artifact webhooks to land gracefully.
     // The stale reaper handles truly orphaned jobs; this just avoids 401s
     // from in-flight requests that arrive after terminal status.
@@ -246,6 +269,7 @@ function createWebhookServer({ jobs, port = 8080 }) {
         job.addArtifact(artifact);
       }
     }
+    saveJob(job);
 
     respond(res, 200, { ok: true, count: artifacts.length });
   }
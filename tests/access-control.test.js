@@ -0,0 +1,139 @@
+/**
+ * Tests for role-based access control
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createAccessControl, loadAccessConfig, actionFor } = require('../src/access-control');
+
+describe('Access Control', () => {
+  describe('createAccessControl', () => {
+    it('should allow everything when not configured', () => {
+      const access = createAccessControl(null);
+      assert.strictEqual(access.enabled, false);
+      assert.strictEqual(access.check({ channelId: 'C1' }, 'stop', '--all').allowed, true);
+    });
+
+    it('should resolve user roles before channel roles before the default', () => {
+      const access = createAccessControl({
+        users: { U1: 'admin' },
+        channels: { C1: 'operator' }
+      });
+
+      assert.strictEqual(access.roleFor('U1', 'C1'), 'admin');
+      assert.strictEqual(access.roleFor('U2', 'C1'), 'operator');
+      assert.strictEqual(access.roleFor('U2', 'C2'), 'viewer');
+      assert.strictEqual(access.roleFor(undefined, 'C2'), 'viewer');
+    });
+
+    it('should apply the default command rules', () => {
+      const access = createAccessControl({ users: { V: 'viewer', O: 'operator', A: 'admin' } });
+      const allowed = (userId, command, args) => access.check({ userId }, command, args).allowed;
+
+      assert.strictEqual(allowed('V', 'list'), true);
+      assert.strictEqual(allowed('V', 'logs', 'abc1'), true);
+      assert.strictEqual(allowed('V', 'queue', 'bot --clear'), false);
+      assert.strictEqual(allowed('V', 'message'), false);
+      assert.strictEqual(allowed('V', 'watch', 'bot'), false);
+      assert.strictEqual(allowed('V', 'unwatch', 'bot'), true);
+      assert.strictEqual(allowed('O', 'start', 'bot /tmp'), true);
+      assert.strictEqual(allowed('O', 'stop', 'bot'), true);
+      assert.strictEqual(allowed('O', 'stop', '--all'), false);
+      assert.strictEqual(allowed('A', 'stop', '--all'), true);
+      assert.strictEqual(allowed('V', 'help'), true);
+      assert.strictEqual(allowed('O', 'reboot'), false);
+      assert.strictEqual(allowed('A', 'reboot'), true);
+      assert.strictEqual(allowed('O', 'start', 'bot --allow Bash /tmp'), false);
+      assert.strictEqual(allowed('O', 'start --mode'), false);
+      assert.strictEqual(allowed('A', 'start', 'bot --allow Bash /tmp'), true);
+    });
+
+    it('should let config override command rules and lock out unknown users', () => {
+      const access = createAccessControl({
+        defaultRole: 'none',
+        users: { O: 'operator' },
+        commands: { start: 'admin' }
+      });
+
+      const denied = access.check({ userId: 'O' }, 'start', 'bot');
+      assert.deepStrictEqual(denied, { allowed: false, role: 'operator', required: 'admin', action: 'start' });
+      assert.strictEqual(access.check({ userId: 'X' }, 'list').allowed, false);
+    });
+
+    it('should match plain and platform-prefixed channel keys', () => {
+      const access = createAccessControl({ channels: { C1: 'operator', 'slack:C2': 'admin', C2: 'none' } });
+
+      assert.strictEqual(access.roleFor(undefined, 'slack:C1'), 'operator');
+      assert.strictEqual(access.roleFor(undefined, 'C1'), 'operator');
+      assert.strictEqual(access.roleFor(undefined, 'slack:C2'), 'admin');
+      assert.strictEqual(access.roleFor(undefined, 'discord:C3'), 'viewer');
+    });
+
+    it('should match plain and platform-prefixed user keys', () => {
+      const access = createAccessControl({ users: { U1: 'admin', 'discord:U1': 'none' } });
+
+      assert.strictEqual(access.roleFor('slack:U1', 'C1'), 'admin');
+      assert.strictEqual(access.roleFor('U1', 'C1'), 'admin');
+      assert.strictEqual(access.roleFor('discord:U1', 'C1'), 'none');
+    });
+
+    it('should reject unknown roles', () => {
+      assert.throws(() => createAccessControl({ users: { U1: 'owner' } }), /Invalid role "owner" in users.U1/);
+      assert.throws(() => createAccessControl({ defaultRole: 'root' }), /defaultRole/);
+    });
+  });
+
+  describe('actionFor', () => {
+    it('should distinguish privileged flag variants', () => {
+      assert.strictEqual(actionFor('STOP', '--all'), 'stop --all');
+      assert.strictEqual(actionFor('queue', 'bot --clear'), 'queue --clear');
+      assert.strictEqual(actionFor('budget', '--override 2h'), 'budget --override');
+      assert.strictEqual(actionFor('stop', 'bot'), 'stop');
+      assert.strictEqual(actionFor('list'), 'list');
+    });
+  });
+
+  describe('loadAccessConfig', () => {
+    const saved = {
+      inline: process.env.OD_ACCESS_CONTROL,
+      file: process.env.OD_ACCESS_CONTROL_FILE
+    };
+
+    afterEach(() => {
+      for (const [key, value] of [['OD_ACCESS_CONTROL', saved.inline], ['OD_ACCESS_CONTROL_FILE', saved.file]]) {
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+      }
+    });
+
+    it('should return null when not configured', () => {
+      delete process.env.OD_ACCESS_CONTROL;
+      delete process.env.OD_ACCESS_CONTROL_FILE;
+      assert.strictEqual(loadAccessConfig(), null);
+    });
+
+    it('should read inline JSON and files', () => {
+      process.env.OD_ACCESS_CONTROL = '{"users":{"U1":"admin"}}';
+      assert.deepStrictEqual(loadAccessConfig(), { users: { U1: 'admin' } });
+
+      const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'od-access-'));
+      try {
+        const filePath = path.join(tmpDir, 'access.json');
+        fs.writeFileSync(filePath, '{"defaultRole":"none"}');
+        delete process.env.OD_ACCESS_CONTROL;
+        process.env.OD_ACCESS_CONTROL_FILE = filePath;
+        assert.deepStrictEqual(loadAccessConfig(), { defaultRole: 'none' });
+      } finally {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+      }
+    });
+
+    it('should fail closed on invalid JSON', () => {
+      process.env.OD_ACCESS_CONTROL = '{oops';
+      assert.throws(() => loadAccessConfig(), /Invalid access control config/);
+    });
+  });
+});
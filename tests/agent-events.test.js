@@ -0,0 +1,112 @@
+/**
+ * Tests for typed agent events and chat progress lines
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const {
+  AgentEventType,
+  isVerbosity,
+  describeToolCall,
+  describeActiveTool,
+  createProgressFormatter
+} = require('../src/agent-events');
+
+/**
+ * Feed a tool call and its result through a formatter
+ */
+function runTool(formatter, name, input, result = {}) {
+  assert.strictEqual(formatter.format({ type: AgentEventType.TOOL_CALL, id: 't1', name, input }), null);
+  return formatter.format({ type: AgentEventType.TOOL_RESULT, id: 't1', isError: false, output: '', ...result });
+}
+
+describe('Agent Events', () => {
+  describe('describeToolCall', () => {
+    it('should describe common tools in the past tense', () => {
+      assert.strictEqual(describeToolCall('Edit', { file_path: 'src/app.js' }), 'Edited src/app.js');
+      assert.strictEqual(describeToolCall('Write', { file_path: 'README.md' }), 'Wrote README.md');
+      assert.strictEqual(describeToolCall('Bash', { command: 'npm test' }), 'Ran `npm test`');
+      assert.strictEqual(describeToolCall('Grep', { pattern: 'TODO' }), 'Searched for `TODO`');
+      assert.strictEqual(describeToolCall('mcp__github__create_pr', {}), 'Used mcp__github__create_pr');
+    });
+
+    it('should show paths relative to the project directory', () => {
+      assert.strictEqual(describeToolCall('Read', { file_path: '/work/api/src/db.js' }, '/work/api'), 'Read src/db.js');
+      assert.strictEqual(describeToolCall('Read', { file_path: '/etc/hosts' }, '/work/api'), 'Read /etc/hosts');
+    });
+
+    it('should keep long commands to one short line', () => {
+      const line = describeToolCall('Bash', { command: `echo ${'x'.repeat(200)}\nsecond line` });
+      assert.ok(line.length < 90);
+      assert.ok(!line.includes('second line'));
+    });
+  });
+
+  describe('describeActiveTool', () => {
+    it('should name the tool and what it is working on', () => {
+      assert.strictEqual(describeActiveTool('Bash', { command: 'npm test' }), 'Bash `npm test`');
+      assert.strictEqual(describeActiveTool('Edit', { file_path: '/work/api/src/db.js' }, '/work/api'), 'Edit src/db.js');
+      assert.strictEqual(describeActiveTool('WebSearch', { query: 'node 22 release' }), 'WebSearch node 22 release');
+      assert.strictEqual(describeActiveTool('TodoWrite', { todos: [] }), 'TodoWrite');
+    });
+  });
+
+  describe('createProgressFormatter', () => {
+    it('should emit one line per finished tool call', () => {
+      const formatter = createProgressFormatter({ cwd: '/work/api' });
+      assert.strictEqual(runTool(formatter, 'Edit', { file_path: '/work/api/src/app.js' }), '🔧 Edited src/app.js');
+    });
+
+    it('should report Bash exit codes', () => {
+      const formatter = createProgressFormatter();
+      assert.strictEqual(runTool(formatter, 'Bash', { command: 'npm test' }), '🔧 Ran `npm test` (exit 0)');
+      assert.strictEqual(
+        runTool(formatter, 'Bash', { command: 'npm test' }, { isError: true, output: 'Exit code 2\nboom' }),
+        '⚠️ Ran `npm test` (exit 2)'
+      );
+    });
+
+    it('should mark failed tool calls', () => {
+      const formatter = createProgressFormatter();
+      const line = runTool(formatter, 'Edit', { file_path: 'a.js' }, { isError: true, output: 'old_string not found' });
+      assert.strictEqual(line, '⚠️ Edited a.js — failed: old_string not found');
+    });
+
+    it('should ignore results without a matching call', () => {
+      const formatter = createProgressFormatter();
+      assert.strictEqual(formatter.format({ type: AgentEventType.TOOL_RESULT, id: 'unknown', isError: false }), null);
+    });
+
+    it('should stay silent when quiet', () => {
+      const formatter = createProgressFormatter({ verbosity: 'quiet' });
+      assert.strictEqual(formatter.format({ type: AgentEventType.TOOL_CALL, id: 't1', name: 'Bash', input: {} }), null);
+      assert.strictEqual(formatter.format({ type: AgentEventType.TOOL_RESULT, id: 't1' }), null);
+    });
+
+    it('should add output previews and run summaries when verbose', () => {
+      const formatter = createProgressFormatter({ verbosity: 'verbose' });
+      const line = runTool(formatter, 'Bash', { command: 'ls' }, { output: 'a.js\nb.js' });
+      assert.ok(line.includes('```\na.js\nb.js\n```'));
+
+      assert.strictEqual(
+        formatter.format({ type: AgentEventType.INIT, model: 'claude-x', tools: ['Bash', 'Edit'] }),
+        '🟢 Session started · claude-x · 2 tools'
+      );
+      assert.strictEqual(
+        formatter.format({ type: AgentEventType.RESULT, isError: false, durationMs: 42000, numTurns: 7, costUsd: 0.0312 }),
+        '🏁 Done · 42s · 7 turns · $0.0312'
+      );
+    });
+
+    it('should not summarize runs at normal verbosity', () => {
+      const formatter = createProgressFormatter();
+      assert.strictEqual(formatter.format({ type: AgentEventType.RESULT, isError: false }), null);
+      assert.strictEqual(formatter.format({ type: AgentEventType.TEXT, text: 'hi' }), null);
+    });
+  });
+
+  it('should validate verbosity levels', () => {
+    assert.ok(isVerbosity('verbose'));
+    assert.ok(!isVerbosity('loud'));
+  });
+});
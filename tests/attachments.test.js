@@ -0,0 +1,131 @@
+/**
+ * Tests for saving chat attachments into an instance's project
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  stageAttachments,
+  clearAttachments,
+  describeAttachments,
+  sniffImageType,
+  safeFileName
+} = require('../src/attachments');
+const { buildUserContent } = require('../src/claude-core');
+
+const PNG = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+
+const upload = (name, content, extra = {}) => ({ name, download: async () => Buffer.from(content), ...extra });
+
+describe('Attachments', () => {
+  let projectDir;
+
+  beforeEach(() => {
+    projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'od-attachments-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  });
+
+  it('should save files in a per-instance directory kept out of git', async () => {
+    const { files, errors } = await stageAttachments(
+      [upload('build.log', 'FAIL src/app.test.js'), upload('build.log', 'second run')],
+      { projectDir, instanceId: 'api' }
+    );
+
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(files.map(f => f.relativePath), [
+      path.join('.open-dispatch', 'uploads', 'api', 'build.log'),
+      path.join('.open-dispatch', 'uploads', 'api', 'build-2.log')
+    ]);
+    assert.strictEqual(fs.readFileSync(files[1].path, 'utf8'), 'second run');
+    assert.strictEqual(files[0].mimeType, 'text/plain');
+    assert.strictEqual(fs.readFileSync(path.join(projectDir, '.open-dispatch', '.gitignore'), 'utf8'), '*\n');
+  });
+
+  it('should delete an instance\'s files, and the staging directory after the last one', async () => {
+    await stageAttachments([upload('a.log', 'a')], { projectDir, instanceId: 'api' });
+    await stageAttachments([upload('b.log', 'b')], { projectDir, instanceId: 'web' });
+
+    clearAttachments(projectDir, 'api');
+    assert.deepStrictEqual(fs.readdirSync(path.join(projectDir, '.open-dispatch', 'uploads')), ['web']);
+
+    clearAttachments(projectDir, 'web');
+    assert.strictEqual(fs.existsSync(path.join(projectDir, '.open-dispatch')), false);
+    clearAttachments(projectDir, 'web');
+  });
+
+  it('should detect images posted without a type', async () => {
+    const { files } = await stageAttachments([upload('image', PNG, { mimeType: undefined })], { projectDir, instanceId: 'api' });
+
+    assert.strictEqual(files[0].mimeType, 'image/png');
+    assert.ok(files[0].path.endsWith('image.png'));
+    assert.strictEqual(sniffImageType(Buffer.from('plain text')), null);
+  });
+
+  it('should skip files that are too large or fail to download', async () => {
+    const broken = { name: 'spec.pdf', download: async () => { throw new Error('HTTP 403'); } };
+    const limits = [];
+    const streamed = {
+      name: 'trace.zip',
+      download: async (maxBytes) => {
+        limits.push(maxBytes);
+        throw Object.assign(new Error('File is larger than 10 B'), { code: 'FILE_TOO_LARGE' });
+      }
+    };
+    const { files, errors } = await stageAttachments(
+      [upload('dump.bin', 'x'.repeat(20), { size: 20 }), upload('big.txt', 'x'.repeat(20)), broken, streamed, upload('ok.txt', 'ok')],
+      { projectDir, instanceId: 'api', maxBytes: 10 }
+    );
+
+    assert.deepStrictEqual(files.map(f => f.name), ['ok.txt']);
+    assert.deepStrictEqual(errors, [
+      'dump.bin is larger than 10 B',
+      'big.txt is larger than 10 B',
+      "Couldn't download spec.pdf: HTTP 403",
+      'trace.zip is larger than 10 B'
+    ]);
+    assert.deepStrictEqual(limits, [10]);
+  });
+
+  it('should refuse projects that are not local directories', async () => {
+    const { files, errors } = await stageAttachments([upload('a.txt', 'a')], { projectDir: 'owner/repo', instanceId: 'api' });
+
+    assert.deepStrictEqual(files, []);
+    assert.match(errors[0], /no local project directory/);
+  });
+
+  it('should keep names inside the staging directory', () => {
+    assert.strictEqual(safeFileName('../../etc/passwd'), 'passwd');
+    assert.strictEqual(safeFileName('my screenshot (1).png'), 'my_screenshot_1_.png');
+    assert.strictEqual(safeFileName('..'), 'attachment');
+  });
+
+  it('should list saved files after the prompt', () => {
+    const files = [{ relativePath: '.open-dispatch/uploads/api/error.png', mimeType: 'image/png', size: 2048 }];
+
+    assert.strictEqual(
+      describeAttachments('why does this fail?', files),
+      'why does this fail?\n\nAttached file (saved in the project directory):\n- .open-dispatch/uploads/api/error.png (image/png, 2 KB)'
+    );
+    assert.strictEqual(describeAttachments('', files).split('\n')[0], 'Attached file (saved in the project directory):');
+    assert.strictEqual(describeAttachments('hi', []), 'hi');
+  });
+
+  it('should send images to Claude as content blocks', async () => {
+    const { files } = await stageAttachments([upload('shot.png', PNG), upload('notes.txt', 'n')], { projectDir, instanceId: 'api' });
+
+    const content = buildUserContent('look', files);
+
+    assert.deepStrictEqual(content, [
+      { type: 'text', text: 'look' },
+      { type: 'image', source: { type: 'base64', media_type: 'image/png', data: PNG.toString('base64') } }
+    ]);
+    assert.strictEqual(buildUserContent('look', [files[1]]), 'look');
+    assert.strictEqual(buildUserContent('look'), 'look');
+  });
+});
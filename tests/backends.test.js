@@ -0,0 +1,40 @@
+/**
+ * Tests for the AI backend registry
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { registerBackend, getBackend, listBackends, createBackend, registerCliAgent } = require('../src/backends');
+
+describe('Backend Registry', () => {
+  it('should register the built-in backends and CLI agents', () => {
+    const names = listBackends();
+    for (const name of ['claude', 'opencode', 'opencode-server', 'sprite', 'aider', 'codex', 'gemini']) {
+      assert.ok(names.includes(name), `${name} should be registered`);
+    }
+    assert.strictEqual(getBackend('Codex').displayName, 'Codex');
+  });
+
+  it('should create instance managers by name', () => {
+    const opencode = createBackend('opencode', { model: 'openai/gpt-4o' });
+    assert.strictEqual(opencode.model, 'openai/gpt-4o');
+    assert.strictEqual(typeof opencode.sendToInstance, 'function');
+
+    const codex = createBackend('codex');
+    assert.strictEqual(codex.displayName, 'Codex');
+    assert.strictEqual(codex.startInstance('api', '/proj', 'C1').success, true);
+  });
+
+  it('should accept custom backends and adapters', () => {
+    registerBackend('custom-test', () => ({ custom: true }), { displayName: 'Custom' });
+    assert.deepStrictEqual(createBackend('custom-test'), { custom: true });
+
+    registerCliAgent({ name: 'echo-agent', displayName: 'Echo', binary: 'echo', firstArgs: ['{message}'] });
+    assert.strictEqual(createBackend('echo-agent').displayName, 'Echo');
+  });
+
+  it('should reject unknown backends and invalid adapters', () => {
+    assert.throws(() => createBackend('nope'), /Unknown backend: nope\. Available: claude/);
+    assert.throws(() => registerCliAgent({ name: 'broken', binary: 'x', firstArgs: [] }), /must include \{message\}/);
+  });
+});
@@ -3,12 +3,14 @@
  * image alias resolution, and entry-point safety checks.
  */
 
-const { describe, it, beforeEach } = require('node:test');
+const { describe, it, beforeEach, afterEach } = require('node:test');
 const assert = require('node:assert');
 const os = require('os');
 const fs = require('fs');
 const path = require('path');
 const { createBotEngine, _test } = require('../src/bot-engine');
+const { createAccessControl } = require('../src/access-control');
+const { createProjectResolver } = require('../src/project-roots');
 
 // ============================================
 // Mock Chat Provider (for unified command tests)
@@ -54,6 +56,7 @@ function createMockChatProvider() {
     onError(handler) {
       errorHandlers.push(handler);
     },
+    onAction() {},
 
     // Helper to simulate a command
     async simulateCommand(command, args, channelId = 'C123') {
@@ -230,6 +233,25 @@ describe('Bot Engine — Unified Commands', () => {
       assert.strictEqual(call.projectDir, 'projects/api');
     });
 
+    it('should extract permission flags', async () => {
+      await chatProvider.simulateCommand('start', 'mybot --mode plan --allow "Bash(git:*)" --allow Read --deny Edit --system-prompt "Be brief" /tmp/code');
+      const call = aiBackend.startCalls[0];
+      assert.strictEqual(call.instanceId, 'mybot');
+      assert.strictEqual(call.projectDir, '/tmp/code');
+      assert.deepStrictEqual(call.opts, {
+        permissionMode: 'plan',
+        allowedTools: ['Bash(git:*)', 'Read'],
+        disallowedTools: ['Edit'],
+        appendSystemPrompt: 'Be brief'
+      });
+    });
+
+    it('should error when --mode has no value', async () => {
+      await chatProvider.simulateCommand('start', 'mybot --mode');
+      assert.ok(chatProvider.sent.some(m => m.text && m.text.includes('Missing value for --mode')));
+      assert.strictEqual(aiBackend.startCalls.length, 0);
+    });
+
     it('should error when --image has no value', async () => {
       await chatProvider.simulateCommand('start', '--image');
       assert.ok(chatProvider.sent.some(m => m.text && m.text.includes('Missing value for --image')));
@@ -404,6 +426,7 @@ function createStreamingMockChatProvider() {
   const commandHandlers = [];
   const messageHandlers = [];
   const errorHandlers = [];
+  const actionHandlers = [];
 
   return {
     name: 'mock',
@@ -418,6 +441,7 @@ function createStreamingMockChatProvider() {
     onCommand(handler) { commandHandlers.push(handler); },
     onMessage(handler) { messageHandlers.push(handler); },
     onError(handler) { errorHandlers.push(handler); },
+    onAction(handler) { actionHandlers.push(handler); },
 
     async sendMessage(channelId, text) {
       sentMessages.push({ channelId, text, type: 'message' });
@@ -452,6 +476,13 @@ function createStreamingMockChatProvider() {
       for (const handler of messageHandlers) {
         await handler(ctx, text);
       }
+    },
+
+    // Fire an action handler (simulates a button click)
+    async fireAction(ctx, actionId) {
+      for (const handler of actionHandlers) {
+        await handler(ctx, actionId);
+      }
     }
   };
 }
@@ -853,15 +884,23 @@ describe('Unhandled rejection handlers in entry points', () => {
   // This is a static/grep-style check on the source code.
 
   const entryPoints = [
-    { name: 'bot.js', path: path.join(__dirname, '../src/bot.js'), requiresSigint: true },
-    { name: 'sprite-bot.js', path: path.join(__dirname, '../src/sprite-bot.js'), requiresSigint: true },
-    { name: 'discord-bot.js', path: path.join(__dirname, '../src/discord-bot.js'), requiresSigint: true },
-    { name: 'discord-opencode-bot.js', path: path.join(__dirname, '../src/discord-opencode-bot.js'), requiresSigint: true },
-    { name: 'teams-bot.js', path: path.join(__dirname, '../src/teams-bot.js'), requiresSigint: true },
-    { name: 'teams-opencode-bot.js', path: path.join(__dirname, '../src/teams-opencode-bot.js'), requiresSigint: true },
-    { name: 'opencode-bot.js', path: path.join(__dirname, '../src/opencode-bot.js'), requiresSigint: true }
+    { name: 'dispatch.js', path: path.join(__dirname, '../src/dispatch.js'), requiresSigint: true }
   ];
 
+  // The per-combination scripts only pick a provider/backend and load dispatch.js
+  const legacyEntryPoints = [
+    'bot.js', 'sprite-bot.js', 'discord-bot.js', 'discord-opencode-bot.js',
+    'teams-bot.js', 'teams-opencode-bot.js', 'opencode-bot.js'
+  ];
+
+  for (const name of legacyEntryPoints) {
+    it(`${name} should load the unified entry point`, () => {
+      const source = fs.readFileSync(path.join(__dirname, '../src', name), 'utf8');
+      assert.ok(source.includes("require('./dispatch')"), `${name} should require ./dispatch`);
+      assert.ok(source.includes('process.env.AI_BACKEND ='), `${name} should choose its AI backend`);
+    });
+  }
+
   for (const ep of entryPoints) {
     if (ep.requiresSigint) {
       it(`${ep.name} should have SIGINT handler`, () => {
@@ -886,13 +925,1611 @@ describe('Unhandled rejection handlers in entry points', () => {
     });
   }
 
-  it('sprite-bot.js should have SIGTERM handler', () => {
+  it('dispatch.js should have SIGTERM handler', () => {
     const source = fs.readFileSync(
-      path.join(__dirname, '../src/sprite-bot.js'), 'utf8'
+      path.join(__dirname, '../src/dispatch.js'), 'utf8'
     );
     assert.ok(
       source.includes('SIGTERM'),
-      'sprite-bot.js should handle SIGTERM for container shutdown'
+      'dispatch.js should handle SIGTERM for container shutdown'
+    );
+  });
+});
+
+// ============================================
+// Per-Instance Message Queue Tests
+// ============================================
+
+describe('Bot Engine - Message Queue', () => {
+  /**
+   * Backend whose sendToInstance blocks until the test releases it,
+   * recording how many runs overlap.
+   */
+  function createBlockingBackend() {
+    const backend = createStreamingMockAIBackend();
+    const releases = [];
+    let active = 0;
+    backend.maxConcurrent = 0;
+    backend.messages = [];
+
+    backend.sendToInstance = async (instanceId, message) => {
+      active++;
+      backend.maxConcurrent = Math.max(backend.maxConcurrent, active);
+      backend.messages.push(message);
+      await new Promise(r => releases.push(r));
+      active--;
+      return { success: true, responses: [`re: ${message}`] };
+    };
+    backend.releaseNext = async () => {
+      while (releases.length === 0) {
+        await new Promise(r => setImmediate(r));
+      }
+      releases.shift()();
+    };
+    return backend;
+  }
+
+  function createCtx(chatProvider, replies) {
+    return {
+      channelId: 'C123',
+      userId: 'U1',
+      reply: async (text) => { replies.push(text); }
+    };
+  }
+
+  it('should serialize overlapping messages and report queue position', async () => {
+    const chatProvider = createStreamingMockChatProvider();
+    const aiBackend = createBlockingBackend();
+    createBotEngine({ chatProvider, aiBackend, showThinking: false, streamResponses: false });
+    await aiBackend.startInstance('bot', '/project', 'C123');
+
+    const replies = [];
+    const ctx = createCtx(chatProvider, replies);
+    const first = chatProvider.fireMessage(ctx, 'one');
+    const second = chatProvider.fireMessage(ctx, 'two');
+    const third = chatProvider.fireMessage(ctx, 'three');
+
+    await aiBackend.releaseNext();
+    await aiBackend.releaseNext();
+    await aiBackend.releaseNext();
+    await Promise.all([first, second, third]);
+
+    assert.strictEqual(aiBackend.maxConcurrent, 1);
+    assert.deepStrictEqual(aiBackend.messages, ['one', 'two', 'three']);
+    assert.ok(replies.some(r => r.includes('Queued #1')));
+    assert.ok(replies.some(r => r.includes('Queued #2')));
+  });
+
+  it('should reject messages when the queue is full', async () => {
+    const chatProvider = createStreamingMockChatProvider();
+    const aiBackend = createBlockingBackend();
+    createBotEngine({ chatProvider, aiBackend, showThinking: false, maxQueueDepth: 1 });
+    await aiBackend.startInstance('bot', '/project', 'C123');
+
+    const replies = [];
+    const ctx = createCtx(chatProvider, replies);
+    const first = chatProvider.fireMessage(ctx, 'one');
+    const second = chatProvider.fireMessage(ctx, 'two');
+    await chatProvider.fireMessage(ctx, 'three');
+
+    assert.ok(replies.some(r => r.includes('is full')));
+
+    await aiBackend.releaseNext();
+    await aiBackend.releaseNext();
+    await Promise.all([first, second]);
+    assert.deepStrictEqual(aiBackend.messages, ['one', 'two']);
+  });
+
+  it('should list and clear queued prompts with the queue command', async () => {
+    const chatProvider = createStreamingMockChatProvider();
+    const aiBackend = createBlockingBackend();
+    createBotEngine({ chatProvider, aiBackend, showThinking: false });
+    await aiBackend.startInstance('bot', '/project', 'C123');
+
+    const replies = [];
+    const ctx = createCtx(chatProvider, replies);
+    const first = chatProvider.fireMessage(ctx, 'one');
+    const second = chatProvider.fireMessage(ctx, 'two');
+
+    await chatProvider.fireCommand(ctx, 'queue', 'bot');
+    const listing = replies.find(r => r.includes('Queue for bot'));
+    assert.ok(listing);
+    assert.ok(listing.includes('Running: one'));
+    assert.ok(listing.includes('#1: two'));
+
+    await chatProvider.fireCommand(ctx, 'queue', 'bot --clear');
+    assert.ok(replies.some(r => r.includes('Cleared 1 queued prompt')));
+
+    await aiBackend.releaseNext();
+    await Promise.all([first, second]);
+    assert.deepStrictEqual(aiBackend.messages, ['one']);
+  });
+
+  it('should default the queue command to the channel instance', async () => {
+    const chatProvider = createStreamingMockChatProvider();
+    const aiBackend = createStreamingMockAIBackend();
+    createBotEngine({ chatProvider, aiBackend, showThinking: false });
+    await aiBackend.startInstance('bot', '/project', 'C123');
+
+    const replies = [];
+    await chatProvider.fireCommand(createCtx(chatProvider, replies), 'queue', '');
+    assert.ok(replies.some(r => r.includes('Queue for bot') && r.includes('idle')));
+  });
+
+  it('should reject an invalid MAX_QUEUE_DEPTH', () => {
+    const saved = process.env.MAX_QUEUE_DEPTH;
+    process.env.MAX_QUEUE_DEPTH = 'ten';
+    try {
+      assert.throws(
+        () => createBotEngine({ chatProvider: createStreamingMockChatProvider(), aiBackend: createStreamingMockAIBackend() }),
+        /Invalid max queue depth "ten"\. Use a whole number, 0 or more/
+      );
+    } finally {
+      if (saved === undefined) delete process.env.MAX_QUEUE_DEPTH;
+      else process.env.MAX_QUEUE_DEPTH = saved;
+    }
+    assert.throws(
+      () => createBotEngine({ chatProvider: createStreamingMockChatProvider(), aiBackend: createStreamingMockAIBackend(), maxQueueDepth: -1 }),
+      /Invalid max queue depth "-1"/
+    );
+  });
+});
+
+// ============================================
+// Cancel Command Tests
+// ============================================
+
+describe('Bot Engine - Cancel Command', () => {
+  function createCancellableBackend() {
+    const backend = createStreamingMockAIBackend();
+    const pending = new Map();
+    backend.cancelCalls = [];
+
+    backend.sendToInstance = async (instanceId) => {
+      return new Promise(resolve => pending.set(instanceId, resolve));
+    };
+    backend.cancelInstance = (instanceId) => {
+      backend.cancelCalls.push(instanceId);
+      const resolve = pending.get(instanceId);
+      if (!resolve) return { success: false, error: `Instance "${instanceId}" has no run in progress` };
+      pending.delete(instanceId);
+      resolve({ success: false, cancelled: true, error: 'Cancelled' });
+      return { success: true };
+    };
+    backend.isRunning = (instanceId) => pending.has(instanceId);
+    return backend;
+  }
+
+  async function waitUntil(fn) {
+    while (!fn()) await new Promise(r => setImmediate(r));
+  }
+
+  it('should cancel the run on a named instance without an error card', async () => {
+    const chatProvider = createStreamingMockChatProvider();
+    const aiBackend = createCancellableBackend();
+    createBotEngine({ chatProvider, aiBackend, showThinking: false });
+    await aiBackend.startInstance('bot', '/project', 'C123');
+
+    const replies = [];
+    const ctx = { channelId: 'C123', reply: async (text) => { replies.push(text); } };
+    const running = chatProvider.fireMessage(ctx, 'long task');
+    await waitUntil(() => aiBackend.isRunning('bot'));
+
+    await chatProvider.fireCommand(ctx, 'cancel', 'bot');
+    await running;
+
+    assert.deepStrictEqual(aiBackend.cancelCalls, ['bot']);
+    assert.ok(replies.some(r => r.includes('Run Cancelled')));
+    assert.ok(!replies.some(r => r.includes('Error')));
+  });
+
+  it('should default to the instance bound to the channel', async () => {
+    const chatProvider = createStreamingMockChatProvider();
+    const aiBackend = createCancellableBackend();
+    createBotEngine({ chatProvider, aiBackend, showThinking: false });
+    await aiBackend.startInstance('bot', '/project', 'C123');
+
+    const ctx = { channelId: 'C123', reply: async () => {} };
+    const running = chatProvider.fireMessage(ctx, 'long task');
+    await waitUntil(() => aiBackend.isRunning('bot'));
+
+    await chatProvider.fireCommand(ctx, 'cancel', '');
+    await running;
+    assert.deepStrictEqual(aiBackend.cancelCalls, ['bot']);
+  });
+
+  it('should resolve job ID prefixes for backends with jobs', async () => {
+    const chatProvider = createStreamingMockChatProvider();
+    const aiBackend = createCancellableBackend();
+    const cancelledJobs = [];
+    aiBackend.listJobs = () => [
+      { jobId: 'abc12345-0000', status: 'running' },
+      { jobId: 'def67890-0000', status: 'running' }
+    ];
+    aiBackend.cancelJob = async (jobId) => {
+      cancelledJobs.push(jobId);
+      return { success: true, jobId };
+    };
+    createBotEngine({ chatProvider, aiBackend, showThinking: false });
+
+    const replies = [];
+    const ctx = { channelId: 'C123', reply: async (text) => { replies.push(text); } };
+    await chatProvider.fireCommand(ctx, 'cancel', 'abc1');
+
+    assert.deepStrictEqual(cancelledJobs, ['abc12345-0000']);
+    assert.ok(replies.some(r => r.includes('job abc12345')));
+  });
+
+  it('should report when there is nothing to cancel', async () => {
+    const chatProvider = createStreamingMockChatProvider();
+    const aiBackend = createCancellableBackend();
+    createBotEngine({ chatProvider, aiBackend, showThinking: false });
+    await aiBackend.startInstance('bot', '/project', 'C123');
+
+    const replies = [];
+    const ctx = { channelId: 'C123', reply: async (text) => { replies.push(text); } };
+    await chatProvider.fireCommand(ctx, 'cancel', 'bot');
+    await chatProvider.fireCommand(ctx, 'cancel', 'ghost');
+
+    assert.ok(replies.some(r => r.includes('no run in progress')));
+    assert.ok(replies.some(r => r.includes('No instance or job named "ghost"') || r.includes('not found')));
+  });
+});
+
+describe('Bot Engine - Jobs Command', () => {
+  function createJobsBackend(total) {
+    const backend = createStreamingMockAIBackend();
+    backend.listCalls = [];
+    backend.listJobs = (filters = {}) => {
+      backend.listCalls.push(filters);
+      const all = Array.from({ length: total }, (_, i) => ({
+        jobId: `job${String(i).padStart(5, '0')}-0000`,
+        status: 'completed',
+        artifactCount: 0
+      }));
+      const end = Math.max(0, all.length - (filters.offset || 0));
+      return all.slice(Math.max(0, end - (filters.limit ?? Infinity)), end);
+    };
+    return backend;
+  }
+
+  it('should pass status, user and channel filters to the backend', async () => {
+    const chatProvider = createStreamingMockChatProvider();
+    const aiBackend = createJobsBackend(3);
+    createBotEngine({ chatProvider, aiBackend });
+
+    const ctx = { channelId: 'C123', userId: 'U1', reply: async () => {} };
+    await chatProvider.fireCommand(ctx, 'jobs', '--status failed --mine --here');
+
+    assert.deepStrictEqual(aiBackend.listCalls[0], {
+      status: 'failed',
+      userId: 'U1',
+      channelId: 'C123',
+      limit: 11,
+      offset: 0
+    });
+  });
+
+  it('should paginate and point to the next page', async () => {
+    const chatProvider = createStreamingMockChatProvider();
+    const aiBackend = createJobsBackend(25);
+    createBotEngine({ chatProvider, aiBackend });
+
+    const replies = [];
+    const ctx = { channelId: 'C123', reply: async (text) => { replies.push(text); } };
+
+    await chatProvider.fireCommand(ctx, 'jobs', '');
+    assert.ok(replies[0].includes('job00024'));
+    assert.ok(!replies[0].includes('job00014'));
+    assert.ok(replies[0].includes('od-jobs --page 2'));
+
+    await chatProvider.fireCommand(ctx, 'jobs', '--page 3');
+    assert.strictEqual(aiBackend.listCalls[1].offset, 20);
+    assert.ok(replies[1].includes('page 3'));
+    assert.ok(replies[1].includes('job00000'));
+    assert.ok(!replies[1].includes('--page 4'));
+  });
+
+  it('should reject unknown flags and statuses', async () => {
+    const chatProvider = createStreamingMockChatProvider();
+    const aiBackend = createJobsBackend(1);
+    createBotEngine({ chatProvider, aiBackend });
+
+    const replies = [];
+    const ctx = { channelId: 'C123', reply: async (text) => { replies.push(text); } };
+    await chatProvider.fireCommand(ctx, 'jobs', '--status sleeping');
+    await chatProvider.fireCommand(ctx, 'jobs', '--page 0');
+
+    assert.ok(replies[0].includes('Unknown status'));
+    assert.ok(replies[1].includes('--page must be a positive number'));
+    assert.strictEqual(aiBackend.listCalls.length, 0);
+  });
+});
+
+describe('Bot Engine - Logs Command', () => {
+  const now = Date.now();
+
+  function createLogsSetup({ maxMessageLength = 4000 } = {}) {
+    const chatProvider = createStreamingMockChatProvider();
+    chatProvider.maxMessageLength = maxMessageLength;
+    chatProvider.files = [];
+    chatProvider.sendFile = async (channelId, file) => {
+      chatProvider.files.push({ channelId, ...file });
+      return { messageId: 'file-1' };
+    };
+
+    const aiBackend = createStreamingMockAIBackend();
+    aiBackend.jobs.set('abc12345-0000', {
+      jobId: 'abc12345-0000',
+      status: 'completed',
+      logs: [
+        { timestamp: new Date(now - 10 * 60000), level: 'info', message: 'cloning repo' },
+        { timestamp: new Date(now - 2 * 60000), level: 'info', message: 'running tests' },
+        { timestamp: new Date(now - 60000), level: 'error', message: 'Test FAILED: auth' },
+        { timestamp: new Date(now - 30000), level: 'info', message: 'done' }
+      ]
+    });
+    aiBackend.jobs.set('abd99999-0000', { jobId: 'abd99999-0000', status: 'failed', logs: [] });
+    aiBackend.getJob = (jobId) => aiBackend.jobs.get(jobId) || null;
+
+    createBotEngine({ chatProvider, aiBackend });
+    const replies = [];
+    const ctx = { channelId: 'C123', reply: async (text) => { replies.push(text); } };
+    return { chatProvider, aiBackend, ctx, replies };
+  }
+
+  it('should resolve a job ID prefix and show its logs', async () => {
+    const { chatProvider, ctx, replies } = createLogsSetup();
+    await chatProvider.fireCommand(ctx, 'logs', 'abc1');
+
+    assert.ok(replies[0].includes('Logs for job abc12345'));
+    assert.ok(replies[0].includes('4 of 4 lines'));
+    assert.ok(replies[0].includes('cloning repo'));
+    assert.ok(replies[0].includes('ERROR Test FAILED: auth'));
+  });
+
+  it('should apply --tail, --since and --grep', async () => {
+    const { chatProvider, ctx, replies } = createLogsSetup();
+
+    await chatProvider.fireCommand(ctx, 'logs', 'abc1 --tail 1');
+    assert.ok(replies[0].includes('done'));
+    assert.ok(!replies[0].includes('running tests'));
+
+    await chatProvider.fireCommand(ctx, 'logs', 'abc1 --since 5m');
+    assert.ok(replies[1].includes('3 of 4 lines'));
+    assert.ok(!replies[1].includes('cloning repo'));
+
+    await chatProvider.fireCommand(ctx, 'logs', 'abc1 --grep "failed|done"');
+    assert.ok(replies[2].includes('2 of 4 lines'));
+
+    await chatProvider.fireCommand(ctx, 'logs', 'abc1 --grep "(a+)+$"');
+    assert.ok(replies[3].includes('0 of 4 lines'));
+  });
+
+  it('should look up IDs with the backend\'s findJobIds when it has one', async () => {
+    const { chatProvider, aiBackend, ctx, replies } = createLogsSetup();
+    aiBackend.findJobIds = (prefix) => [...aiBackend.jobs.keys()].filter(jobId => jobId.startsWith(prefix));
+    aiBackend.listJobs = () => { throw new Error('listJobs should not be called'); };
+
+    await chatProvider.fireCommand(ctx, 'logs', 'abc1');
+
+    assert.ok(replies[0].includes('Logs for job abc12345'));
+  });
+
+  it('should report ambiguous and unknown job IDs', async () => {
+    const { chatProvider, ctx, replies } = createLogsSetup();
+    await chatProvider.fireCommand(ctx, 'logs', 'ab');
+    await chatProvider.fireCommand(ctx, 'logs', 'zzz');
+
+    assert.ok(replies[0].includes('ambiguous'));
+    assert.ok(replies[1].includes('No job matching "zzz"'));
+  });
+
+  it('should upload the log as a file when it exceeds the message limit', async () => {
+    const { chatProvider, ctx, replies } = createLogsSetup({ maxMessageLength: 100 });
+    await chatProvider.fireCommand(ctx, 'logs', 'abc12345-0000');
+
+    assert.strictEqual(chatProvider.files.length, 1);
+    assert.strictEqual(chatProvider.files[0].filename, 'job-abc12345.log');
+    assert.ok(chatProvider.files[0].content.includes('cloning repo'));
+    assert.ok(replies[0].includes('uploaded'));
+  });
+
+  it('should say so when the platform could only post the end of the log', async () => {
+    const { chatProvider, ctx, replies } = createLogsSetup({ maxMessageLength: 100 });
+    chatProvider.sendFile = async () => ({ messageId: 'm1', truncated: true });
+
+    await chatProvider.fireCommand(ctx, 'logs', 'abc12345-0000');
+
+    assert.ok(replies[0].includes('showing the last lines only'));
+    assert.ok(!replies[0].includes('uploaded'));
+  });
+
+  it('should validate flags', async () => {
+    const { chatProvider, ctx, replies } = createLogsSetup();
+    await chatProvider.fireCommand(ctx, 'logs', '');
+    await chatProvider.fireCommand(ctx, 'logs', 'abc1 --since soon');
+    await chatProvider.fireCommand(ctx, 'logs', 'abc1 --grep "|"');
+
+    assert.ok(replies[0].startsWith('Usage'));
+    assert.ok(replies[1].includes('--since expects a duration'));
+    assert.ok(replies[2].startsWith('Usage'));
+  });
+});
+
+describe('Bot Engine - Status Command', () => {
+  it('should show details for the channel instance as text', async () => {
+    const chatProvider = createStreamingMockChatProvider();
+    const aiBackend = createStreamingMockAIBackend();
+    createBotEngine({ chatProvider, aiBackend, aiName: 'Claude' });
+    await aiBackend.startInstance('bot', '/project', 'C123');
+    Object.assign(aiBackend.getInstance('bot'), {
+      sessionId: 'sess-1',
+      lastPrompt: 'fix the flaky test',
+      lastActivityAt: new Date(Date.now() - 5 * 60000),
+      usage: { inputTokens: 12345, outputTokens: 678, costUsd: 0.4231 }
+    });
+
+    const replies = [];
+    const ctx = { channelId: 'C123', reply: async (text) => { replies.push(text); } };
+    await chatProvider.fireCommand(ctx, 'status', '');
+
+    const text = replies[0];
+    assert.ok(text.includes('Status: bot'));
+    assert.ok(text.includes('**Backend:** Claude'));
+    assert.ok(text.includes('sess-1'));
+    assert.ok(text.includes('**Current Run:** Idle'));
+    assert.ok(text.includes('**Queue:** 0 waiting'));
+    assert.ok(text.includes('5m ago'));
+    assert.ok(text.includes('12.3k in / 678 out · $0.42'));
+    assert.ok(text.includes('fix the flaky test'));
+  });
+
+  it('should render a card with the current job and Machine', async () => {
+    const { Job } = require('../src/job');
+    const chatProvider = createMockChatProvider();
+    chatProvider.supportsCards = true;
+    const aiBackend = createStreamingMockAIBackend();
+    aiBackend.getMachineStatus = async () => ({ machineId: 'm-123', state: 'started' });
+    createBotEngine({ chatProvider, aiBackend, aiName: 'Sprite' });
+    await aiBackend.startInstance('sprite', 'owner/repo', 'C9');
+    const job = new Job({ command: 'c', channelId: 'C9' });
+    job.start('m-123');
+    aiBackend.getInstance('sprite').currentJob = job;
+
+    await chatProvider.simulateCommand('status', 'sprite');
+
+    const { card } = chatProvider.cards[0];
+    const field = (name) => card.fields.find(f => f.name === name).value;
+    assert.strictEqual(card.title, 'Status: sprite');
+    assert.ok(field('Current Run').includes(`Job ${job.jobId.substring(0, 8)} (running`));
+    assert.strictEqual(field('Machine'), '`m-123` (started)');
+    assert.strictEqual(field('Usage'), 'n/a');
+  });
+
+  it('should report unknown instances', async () => {
+    const chatProvider = createStreamingMockChatProvider();
+    createBotEngine({ chatProvider, aiBackend: createStreamingMockAIBackend() });
+
+    const replies = [];
+    const ctx = { channelId: 'C123', reply: async (text) => { replies.push(text); } };
+    await chatProvider.fireCommand(ctx, 'status', 'ghost');
+    await chatProvider.fireCommand(ctx, 'status', '');
+
+    assert.ok(replies[0].includes('Instance "ghost" not found'));
+    assert.ok(replies[1].startsWith('Usage'));
+  });
+});
+
+describe('Bot Engine - Access Control', () => {
+  const config = {
+    defaultRole: 'viewer',
+    users: { U_ADMIN: 'admin', U_OPS: 'operator' },
+    channels: { C_OPS: 'operator', C_LOCKED: 'none' }
+  };
+
+  function setup() {
+    const chatProvider = createStreamingMockChatProvider();
+    const aiBackend = createStreamingMockAIBackend();
+    createBotEngine({
+      chatProvider,
+      aiBackend,
+      showThinking: false,
+      streamResponses: false,
+      accessControl: createAccessControl(config)
+    });
+    const replies = [];
+    const ctx = (userId, channelId = 'C123', parentChannelId = null) => ({
+      channelId,
+      parentChannelId,
+      userId,
+      reply: async (text) => { replies.push(text); }
+    });
+    return { chatProvider, aiBackend, replies, ctx };
+  }
+
+  it('should deny operator commands to viewers with a friendly message', async () => {
+    const { chatProvider, aiBackend, replies, ctx } = setup();
+
+    await chatProvider.fireCommand(ctx('U_VIEWER'), 'start', 'bot /tmp');
+
+    assert.strictEqual(aiBackend.instances.size, 0);
+    assert.ok(replies[0].includes('You need the **operator** role to use `od-start`'));
+    assert.ok(replies[0].includes('your role: viewer'));
+  });
+
+  it('should show the command list to viewers for unknown commands', async () => {
+    const { chatProvider, replies, ctx } = setup();
+
+    await chatProvider.fireCommand(ctx('U_VIEWER'), 'reboot', '');
+
+    assert.ok(replies[0].startsWith('Unknown command: reboot'));
+  });
+
+  it('should allow viewers to run read-only commands', async () => {
+    const { chatProvider, replies, ctx } = setup();
+
+    await chatProvider.fireCommand(ctx('U_VIEWER'), 'list', '');
+
+    assert.ok(!replies[0].includes('🔒'));
+  });
+
+  it('should reserve stop --all for admins', async () => {
+    const { chatProvider, aiBackend, replies, ctx } = setup();
+    await aiBackend.startInstance('bot', '/project', 'C123');
+
+    await chatProvider.fireCommand(ctx('U_OPS'), 'stop', '--all');
+    assert.ok(replies[0].includes('**admin** role to use `od-stop --all`'));
+    assert.strictEqual(aiBackend.instances.size, 1);
+
+    await chatProvider.fireCommand(ctx('U_ADMIN'), 'stop', '--all');
+    assert.strictEqual(aiBackend.instances.size, 0);
+  });
+
+  it('should grant channel roles to everyone in the channel', async () => {
+    const { chatProvider, aiBackend, ctx } = setup();
+
+    await chatProvider.fireCommand(ctx('U_VIEWER', 'C_OPS'), 'start', 'bot /tmp');
+
+    assert.ok(aiBackend.instances.has('bot'));
+  });
+
+  it('should reserve looser permissions than the defaults for admins', async () => {
+    const savedMode = process.env.CLAUDE_PERMISSION_MODE;
+    process.env.CLAUDE_PERMISSION_MODE = 'default';
+    try {
+      const { chatProvider, aiBackend, replies, ctx } = setup();
+
+      await chatProvider.fireCommand(ctx('U_OPS'), 'start', 'a --mode bypassPermissions /tmp');
+      await chatProvider.fireCommand(ctx('U_OPS'), 'start', 'b --allow Bash /tmp');
+      await chatProvider.fireCommand(ctx('U_OPS'), 'start', 'c --mode plan --deny Bash /tmp');
+      await chatProvider.fireCommand(ctx('U_ADMIN'), 'start', 'd --mode acceptEdits --allow Bash /tmp');
+
+      assert.deepStrictEqual([...aiBackend.instances.keys()], ['c', 'd']);
+      assert.ok(replies[0].includes('**admin** role to start agents with a looser permission mode'));
+      assert.ok(replies[1].includes('**admin** role to use `od-start --allow`'));
+    } finally {
+      if (savedMode === undefined) delete process.env.CLAUDE_PERMISSION_MODE;
+      else process.env.CLAUDE_PERMISSION_MODE = savedMode;
+    }
+  });
+
+  it('should apply the parent channel\'s role in threads', async () => {
+    const { chatProvider, aiBackend, replies, ctx } = setup();
+
+    await chatProvider.fireCommand(ctx('U_VIEWER', 'C_LOCKED/t1', 'C_LOCKED'), 'list', '');
+    assert.ok(replies[0].includes('You need the **viewer** role to use `od-list` (your role: none)'));
+
+    await chatProvider.fireCommand(ctx('U_VIEWER', 'C_OPS/t1', 'C_OPS'), 'start', 'bot /tmp');
+    assert.ok(aiBackend.instances.has('bot'));
+  });
+
+  it('should need the role in the agent\'s channel for commands naming it', async () => {
+    const { chatProvider, aiBackend, replies, ctx } = setup();
+    await aiBackend.startInstance('bot', '/project', 'C123');
+    aiBackend.sendCalls = [];
+    aiBackend.sendToInstance = async (...args) => {
+      aiBackend.sendCalls.push(args);
+      return { success: true, responses: [] };
+    };
+
+    await chatProvider.fireCommand(ctx('U_VIEWER', 'C_OPS'), 'send', 'bot delete everything');
+    await chatProvider.fireCommand(ctx('U_VIEWER', 'C_OPS'), 'queue', 'bot --clear');
+    await chatProvider.fireCommand(ctx('U_VIEWER', 'C_OPS'), 'stop', 'bot');
+    await chatProvider.fireAction(ctx('U_VIEWER', 'C_OPS'), 'cmd:stop:bot');
+
+    assert.strictEqual(aiBackend.sendCalls.length, 0);
+    assert.ok(aiBackend.instances.has('bot'));
+    assert.deepStrictEqual(replies, [
+      "🔒 You need the **operator** role in **bot**'s channel to use `od-send` on it (your role there: viewer).",
+      "🔒 You need the **operator** role in **bot**'s channel to use `od-queue --clear` on it (your role there: viewer).",
+      "🔒 You need the **operator** role in **bot**'s channel to use `od-stop` on it (your role there: viewer).",
+      "🔒 You need the **operator** role in **bot**'s channel to use `od-stop` on it (your role there: viewer)."
+    ]);
+  });
+
+  it('should check a thread agent against its parent channel', async () => {
+    const { chatProvider, aiBackend, replies, ctx } = setup();
+    chatProvider.supportsThreads = true;
+    chatProvider.createThread = async (channelId) => ({ threadId: `${channelId}/t1` });
+
+    await chatProvider.fireCommand(ctx('U_VIEWER', 'C_OPS'), 'start', 'bot --thread /tmp');
+    await chatProvider.fireCommand(ctx('U_VIEWER', 'C_OPS'), 'stop', 'bot');
+
+    assert.ok(!replies.some(text => text.includes('🔒')));
+    assert.ok(!aiBackend.instances.has('bot'));
+  });
+
+  it('should not route channel messages from viewers to the agent', async () => {
+    const { chatProvider, aiBackend, replies, ctx } = setup();
+    await aiBackend.startInstance('bot', '/project', 'C123');
+    aiBackend.sendCalls = [];
+    const originalSend = aiBackend.sendToInstance;
+    aiBackend.sendToInstance = async (...args) => {
+      aiBackend.sendCalls.push(args);
+      return originalSend(...args);
+    };
+
+    await chatProvider.fireMessage(ctx('U_VIEWER'), 'delete everything');
+    assert.strictEqual(aiBackend.sendCalls.length, 0);
+    assert.ok(replies[0].includes('talk to agents in this channel'));
+
+    await chatProvider.fireMessage(ctx('U_OPS'), 'hello');
+    assert.strictEqual(aiBackend.sendCalls.length, 1);
+  });
+});
+
+describe('Bot Engine - Tool Progress', () => {
+  /**
+   * Backend whose runs use Edit and Bash before replying
+   */
+  function createToolUsingBackend() {
+    const backend = createStreamingMockAIBackend();
+    backend.sendToInstance = async (instanceId, message, opts = {}) => {
+      const events = [
+        { type: 'tool_call', id: 't1', name: 'Edit', input: { file_path: '/project/src/app.js' } },
+        { type: 'tool_result', id: 't1', isError: false, output: '' },
+        { type: 'tool_call', id: 't2', name: 'Bash', input: { command: 'npm test' } },
+        { type: 'tool_result', id: 't2', isError: false, output: 'ok' }
+      ];
+      for (const event of events) {
+        if (opts.onEvent) await opts.onEvent(event);
+      }
+      if (opts.onMessage) await opts.onMessage('All tests pass.');
+      return { success: true, responses: ['All tests pass.'] };
+    };
+    return backend;
+  }
+
+  function setup(engineOptions = {}) {
+    const chatProvider = createStreamingMockChatProvider();
+    const aiBackend = createToolUsingBackend();
+    createBotEngine({ chatProvider, aiBackend, showThinking: false, ...engineOptions });
+    const replies = [];
+    const ctx = { channelId: 'C123', reply: async (text) => { replies.push(text); } };
+    return { chatProvider, aiBackend, replies, ctx };
+  }
+
+  const texts = (chatProvider) => chatProvider.sentMessages.filter(m => m.text).map(m => m.text);
+
+  it('should post progress lines before the reply', async () => {
+    const { chatProvider, aiBackend, ctx } = setup();
+    await aiBackend.startInstance('bot', '/project', 'C123');
+
+    await chatProvider.fireMessage(ctx, 'fix the tests');
+
+    assert.deepStrictEqual(texts(chatProvider), [
+      '🔧 Edited src/app.js\n🔧 Ran `npm test` (exit 0)',
+      'All tests pass.'
+    ]);
+  });
+
+  it('should honor --verbosity quiet from od-start', async () => {
+    const { chatProvider, ctx } = setup();
+
+    await chatProvider.fireCommand(ctx, 'start', 'bot --verbosity quiet /tmp');
+    chatProvider.sentMessages.length = 0;
+    await chatProvider.fireMessage(ctx, 'fix the tests');
+
+    assert.deepStrictEqual(texts(chatProvider), ['All tests pass.']);
+  });
+
+  it('should reject unknown verbosity levels on od-start', async () => {
+    const { chatProvider, aiBackend, replies, ctx } = setup();
+
+    await chatProvider.fireCommand(ctx, 'start', 'bot --verbosity loud /tmp');
+
+    assert.strictEqual(aiBackend.instances.size, 0);
+    assert.ok(replies[0].includes('Unknown verbosity "loud"'));
+  });
+
+  it('should change verbosity with od-verbosity', async () => {
+    const { chatProvider, aiBackend, replies, ctx } = setup({ toolVerbosity: 'quiet' });
+    await aiBackend.startInstance('bot', '/project', 'C123');
+
+    await chatProvider.fireCommand(ctx, 'verbosity', '');
+    assert.ok(replies[0].includes('`quiet`'));
+
+    await chatProvider.fireCommand(ctx, 'verbosity', 'bot verbose');
+    assert.ok(replies[1].includes('set to `verbose`'));
+
+    await chatProvider.fireMessage(ctx, 'fix the tests');
+    assert.ok(texts(chatProvider)[0].includes('```\nok\n```'));
+  });
+
+  it('should reject an invalid default verbosity', () => {
+    assert.throws(
+      () => createBotEngine({
+        chatProvider: createStreamingMockChatProvider(),
+        aiBackend: createToolUsingBackend(),
+        toolVerbosity: 'loud'
+      }),
+      /Invalid tool verbosity/
+    );
+  });
+
+  it('should keep progress in one live panel in panel mode', async () => {
+    const { chatProvider, aiBackend, ctx } = setup({ progressMode: 'panel' });
+    chatProvider.maxMessageLength = 4000;
+    const edits = [];
+    chatProvider.editMessage = async (channelId, messageId, text) => {
+      edits.push(text);
+      return true;
+    };
+    await aiBackend.startInstance('bot', '/project', 'C123');
+
+    await chatProvider.fireMessage(ctx, 'fix the tests');
+
+    assert.deepStrictEqual(texts(chatProvider), [
+      '_⏳ Running · 0s_\n🔧 Edited src/app.js\n🔧 Ran `npm test` (exit 0)',
+      'All tests pass.'
+    ]);
+    assert.deepStrictEqual(edits, ['_Ran for 0s_\n🔧 Edited src/app.js\n🔧 Ran `npm test` (exit 0)']);
+  });
+
+  it('should reject an invalid progress mode', () => {
+    assert.throws(
+      () => createBotEngine({
+        chatProvider: createStreamingMockChatProvider(),
+        aiBackend: createToolUsingBackend(),
+        progressMode: 'ticker'
+      }),
+      /Invalid progress mode "ticker"\. Use: messages, panel/
+    );
+  });
+});
+
+describe('Bot Engine - Watch', () => {
+  function setup(backendOptions = {}, engineOptions = {}) {
+    const chatProvider = createStreamingMockChatProvider();
+    const aiBackend = createStreamingMockAIBackend({ streamMessages: ['Done.'], ...backendOptions });
+    const sendToInstance = aiBackend.sendToInstance;
+    aiBackend.sendToInstance = async (instanceId, message, opts = {}) => {
+      if (opts.onEvent) {
+        await opts.onEvent({ type: 'tool_call', id: 't1', name: 'Edit', input: { file_path: '/project/src/app.js' } });
+        await opts.onEvent({ type: 'tool_result', id: 't1', isError: false, output: '' });
+      }
+      return sendToInstance(instanceId, message, opts);
+    };
+    createBotEngine({ chatProvider, aiBackend, showThinking: false, aiName: 'TestAI', ...engineOptions });
+    const replies = [];
+    const context = (channelId) => ({ channelId, userId: 'U1', userName: 'alice', reply: async (text) => { replies.push(text); } });
+    return { chatProvider, aiBackend, replies, context };
+  }
+
+  const textsIn = (chatProvider, channelId) => chatProvider.sentMessages
+    .filter(m => m.channelId === channelId && m.text)
+    .map(m => m.text);
+
+  it('should mirror prompts, progress and replies to watching channels', async () => {
+    const { chatProvider, aiBackend, replies, context } = setup();
+    await aiBackend.startInstance('bot', '/project', 'teams:T1');
+
+    await chatProvider.fireCommand(context('slack:OPS'), 'watch', 'bot');
+    assert.ok(replies[0].includes('Watching **bot**'));
+
+    await chatProvider.fireMessage(context('teams:T1'), 'fix the tests');
+
+    assert.deepStrictEqual(textsIn(chatProvider, 'teams:T1'), ['🔧 Edited src/app.js', 'Done.']);
+    assert.deepStrictEqual(textsIn(chatProvider, 'slack:OPS'), [
+      '_**bot** ← alice:_\nfix the tests',
+      '🔧 Edited src/app.js',
+      'Done.',
+      '_**bot** finished._'
+    ]);
+  });
+
+  it('should mirror errors', async () => {
+    const { chatProvider, aiBackend, context } = setup({ streamMessages: [], sendError: 'rate limited' });
+    await aiBackend.startInstance('bot', '/project', 'C1');
+    await chatProvider.fireCommand(context('C2'), 'watch', 'bot');
+
+    await chatProvider.fireMessage(context('C1'), 'hi');
+
+    assert.ok(textsIn(chatProvider, 'C2').includes('_Error from **bot**: rate limited_'));
+  });
+
+  it('should validate and list watches', async () => {
+    const { chatProvider, aiBackend, replies, context } = setup();
+    await aiBackend.startInstance('bot', '/project', 'C1');
+    await aiBackend.startInstance('api', '/project', 'C3');
+
+    await chatProvider.fireCommand(context('C2'), 'watch', 'nope');
+    await chatProvider.fireCommand(context('C1'), 'watch', 'bot');
+    await chatProvider.fireCommand(context('C2'), 'watch', '');
+    await chatProvider.fireCommand(context('C2'), 'watch', 'bot');
+    await chatProvider.fireCommand(context('C2'), 'watch', 'api');
+    await chatProvider.fireCommand(context('C2'), 'watch', '');
+
+    assert.strictEqual(replies[0], 'Instance "nope" not found.');
+    assert.ok(replies[1].includes('already replies in this channel'));
+    assert.ok(replies[2].startsWith('Usage:'));
+    assert.strictEqual(replies[5], 'Watching here: **bot**, **api**');
+  });
+
+  it('should stop mirroring on od-unwatch', async () => {
+    const { chatProvider, aiBackend, replies, context } = setup();
+    await aiBackend.startInstance('bot', '/project', 'C1');
+    await aiBackend.startInstance('api', '/project', 'C3');
+    await chatProvider.fireCommand(context('C2'), 'watch', 'bot');
+    await chatProvider.fireCommand(context('C2'), 'watch', 'api');
+    replies.length = 0;
+
+    await chatProvider.fireCommand(context('C2'), 'unwatch', 'bot');
+    await chatProvider.fireMessage(context('C1'), 'hi');
+    assert.deepStrictEqual(textsIn(chatProvider, 'C2'), []);
+
+    await chatProvider.fireCommand(context('C2'), 'unwatch', '');
+    await chatProvider.fireCommand(context('C2'), 'unwatch', 'bot');
+    assert.deepStrictEqual(replies, [
+      'Stopped watching **bot**.',
+      'Stopped watching **api**.',
+      'This channel isn\'t watching "bot".'
+    ]);
+  });
+
+  it('should need the role in the agent\'s own channel too', async () => {
+    const { chatProvider, aiBackend, replies, context } = setup({}, {
+      accessControl: createAccessControl({ defaultRole: 'operator', channels: { C1: 'viewer' } })
+    });
+    await aiBackend.startInstance('bot', '/project', 'C1');
+
+    await chatProvider.fireCommand(context('C2'), 'watch', 'bot');
+    await chatProvider.fireMessage(context('C1'), 'hi');
+
+    assert.strictEqual(replies[0], "🔒 You need the **operator** role in **bot**'s channel to use `od-watch` on it (your role there: viewer).");
+    assert.deepStrictEqual(textsIn(chatProvider, 'C2'), []);
+  });
+
+  it('should tell watchers when the instance stops', async () => {
+    const { chatProvider, aiBackend, context } = setup();
+    await aiBackend.startInstance('bot', '/project', 'C1');
+    await chatProvider.fireCommand(context('C2'), 'watch', 'bot');
+
+    await chatProvider.fireCommand(context('C1'), 'stop', 'bot');
+    await aiBackend.startInstance('bot', '/project', 'C1');
+    await chatProvider.fireMessage(context('C1'), 'hi');
+
+    assert.deepStrictEqual(textsIn(chatProvider, 'C2'), ['_Instance **bot** was stopped; no longer watching._']);
+  });
+});
+
+describe('Bot Engine - Threads', () => {
+  function setup({ threads = true } = {}) {
+    const chatProvider = createStreamingMockChatProvider();
+    chatProvider.supportsThreads = threads;
+    chatProvider.threads = [];
+    chatProvider.createThread = async (channelId, name) => {
+      chatProvider.threads.push({ channelId, name });
+      return { threadId: `${channelId}/t${chatProvider.threads.length}` };
+    };
+    const aiBackend = createStreamingMockAIBackend({ streamMessages: ['Done.'] });
+    createBotEngine({ chatProvider, aiBackend, showThinking: false, aiName: 'TestAI' });
+    const replies = [];
+    const context = (channelId, parentChannelId = null) => ({ channelId, parentChannelId, userId: 'U1', reply: async (text) => { replies.push(text); } });
+    return { chatProvider, aiBackend, replies, context };
+  }
+
+  const textsIn = (chatProvider, channelId) => chatProvider.sentMessages
+    .filter(m => m.channelId === channelId && m.text)
+    .map(m => m.text);
+
+  it('should bind od-start --thread instances to a new thread', async () => {
+    const { chatProvider, aiBackend, replies, context } = setup();
+
+    await chatProvider.fireCommand(context('C1'), 'start', 'api --thread /tmp');
+    await chatProvider.fireCommand(context('C1'), 'start', 'web --thread /tmp');
+
+    assert.deepStrictEqual(chatProvider.threads, [
+      { channelId: 'C1', name: 'TestAI: api (tmp)' },
+      { channelId: 'C1', name: 'TestAI: web (tmp)' }
+    ]);
+    assert.strictEqual(aiBackend.getInstance('api').channelId, 'C1/t1');
+    assert.strictEqual(aiBackend.getInstance('web').channelId, 'C1/t2');
+    assert.ok(textsIn(chatProvider, 'C1/t1')[0].includes('Messages in this thread will be sent to TestAI'));
+    assert.ok(replies[0].includes('Started **api** in its own thread'));
+  });
+
+  it('should route thread replies by thread and keep output inside it', async () => {
+    const { chatProvider, aiBackend, replies, context } = setup();
+    await chatProvider.fireCommand(context('C1'), 'start', 'api --thread /tmp');
+    await chatProvider.fireCommand(context('C1'), 'start', 'web --thread /tmp');
+    chatProvider.sentMessages.length = 0;
+
+    await chatProvider.fireMessage(context('C1/t2', 'C1'), 'hello web');
+    assert.strictEqual(aiBackend.getInstance('web').messageCount, 1);
+    assert.strictEqual(aiBackend.getInstance('api').messageCount, 0);
+    assert.deepStrictEqual(textsIn(chatProvider, 'C1/t2'), ['Done.']);
+
+    // od-send from the channel still answers in the thread
+    await chatProvider.fireCommand(context('C1'), 'send', 'api run the tests');
+    assert.deepStrictEqual(textsIn(chatProvider, 'C1/t1'), ['Done.']);
+    assert.deepStrictEqual(textsIn(chatProvider, 'C1'), []);
+    assert.strictEqual(replies.at(-1), '_Sent to **api** — replies are in its thread._');
+  });
+
+  it('should let thread replies reach the channel instance', async () => {
+    const { chatProvider, aiBackend, context } = setup();
+    await aiBackend.startInstance('bot', '/tmp', 'C1');
+
+    await chatProvider.fireMessage(context('C1/123.456', 'C1'), 'hi');
+
+    assert.strictEqual(aiBackend.getInstance('bot').messageCount, 1);
+    assert.deepStrictEqual(textsIn(chatProvider, 'C1/123.456'), ['Done.']);
+  });
+
+  it('should refuse --thread where threads are not supported', async () => {
+    const { chatProvider, aiBackend, replies, context } = setup({ threads: false });
+
+    await chatProvider.fireCommand(context('C1'), 'start', 'api --thread /tmp');
+
+    assert.strictEqual(aiBackend.instances.size, 0);
+    assert.ok(replies[0].includes('`--thread` isn\'t supported on mock'));
+  });
+});
+
+describe('Bot Engine - Attachments', () => {
+  let projectDir;
+
+  beforeEach(() => {
+    projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'od-engine-uploads-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  });
+
+  function setup() {
+    const chatProvider = createStreamingMockChatProvider();
+    const aiBackend = createStreamingMockAIBackend();
+    aiBackend.localWorkspace = true;
+    const sent = [];
+    const sendToInstance = aiBackend.sendToInstance;
+    aiBackend.sendToInstance = async (instanceId, message, opts = {}) => {
+      sent.push({ message, attachments: opts.attachments });
+      return sendToInstance(instanceId, message, opts);
+    };
+    createBotEngine({ chatProvider, aiBackend, showThinking: false, streamResponses: false });
+    const replies = [];
+    const ctx = (attachments) => ({ channelId: 'C1', userId: 'U1', attachments, reply: async (text) => { replies.push(text); } });
+    return { chatProvider, aiBackend, sent, replies, ctx };
+  }
+
+  const file = (name, content) => ({ name, download: async () => Buffer.from(content) });
+
+  it('should save attachments in the project and list them in the prompt', async () => {
+    const { chatProvider, aiBackend, sent, ctx } = setup();
+    await aiBackend.startInstance('api', projectDir, 'C1');
+
+    await chatProvider.fireMessage(ctx([file('trace.log', 'TypeError at line 4')]), 'what broke?');
+
+    const relativePath = path.join('.open-dispatch', 'uploads', 'api', 'trace.log');
+    assert.strictEqual(sent[0].message, `what broke?\n\nAttached file (saved in the project directory):\n- ${relativePath} (text/plain, 19 B)`);
+    assert.strictEqual(sent[0].attachments[0].path, path.join(projectDir, relativePath));
+    assert.strictEqual(fs.readFileSync(path.join(projectDir, relativePath), 'utf8'), 'TypeError at line 4');
+  });
+
+  it('should delete an agent\'s files when it stops', async () => {
+    const { chatProvider, aiBackend, ctx } = setup();
+    await aiBackend.startInstance('api', projectDir, 'C1');
+    await chatProvider.fireMessage(ctx([file('trace.log', 'TypeError at line 4')]), 'what broke?');
+
+    await chatProvider.fireCommand(ctx([]), 'stop', 'api');
+
+    assert.deepStrictEqual(fs.readdirSync(projectDir), []);
+  });
+
+  it('should send a file posted without text', async () => {
+    const { chatProvider, aiBackend, sent, ctx } = setup();
+    await aiBackend.startInstance('api', projectDir, 'C1');
+
+    await chatProvider.fireMessage(ctx([file('spec.md', '# Spec')]), '');
+    await chatProvider.fireMessage(ctx([]), '');
+
+    assert.strictEqual(sent.length, 1);
+    assert.match(sent[0].message, /^Attached file/);
+  });
+
+  it('should explain when files cannot be saved and send the text alone', async () => {
+    const { chatProvider, aiBackend, sent, replies, ctx } = setup();
+    aiBackend.localWorkspace = false;
+    await aiBackend.startInstance('api', 'owner/repo', 'C1');
+
+    await chatProvider.fireMessage(ctx([file('a.txt', 'a')]), 'deploy it');
+
+    assert.deepStrictEqual(replies, ["_The file can't be attached: this agent runs remotely._"]);
+    assert.deepStrictEqual(sent, [{ message: 'deploy it', attachments: [] }]);
+  });
+});
+
+describe('Bot Engine - Card Buttons', () => {
+  function setup(backendOptions = {}, accessControl = undefined) {
+    const chatProvider = createStreamingMockChatProvider();
+    chatProvider.supportsCards = true;
+    const aiBackend = createStreamingMockAIBackend(backendOptions);
+    const prompts = [];
+    const sendToInstance = aiBackend.sendToInstance;
+    aiBackend.sendToInstance = async (instanceId, message, opts = {}) => {
+      prompts.push(message);
+      // Sprite jobs keep their ID when they fail
+      return { jobId: 'mock-job-123', ...await sendToInstance(instanceId, message, opts) };
+    };
+    createBotEngine({ chatProvider, aiBackend, showThinking: false, streamResponses: false, aiName: 'TestAI', accessControl });
+    const replies = [];
+    const ctx = (userId = 'U1') => ({ channelId: 'C1', userId, reply: async (text) => { replies.push(text); } });
+    return { chatProvider, aiBackend, prompts, replies, ctx };
+  }
+
+  const cardTitled = (chatProvider, title) => chatProvider.sentMessages
+    .filter(m => m.type === 'card' && m.card.title === title)
+    .at(-1).card;
+
+  it('should stop an instance from its start card', async () => {
+    const { chatProvider, aiBackend, ctx } = setup();
+    await chatProvider.fireCommand(ctx(), 'start', 'bot /tmp');
+
+    const card = cardTitled(chatProvider, 'TestAI Instance Started');
+    assert.deepStrictEqual(card.actions, [{ id: 'cmd:stop:bot', label: 'Stop', style: 'danger' }]);
+
+    await chatProvider.fireAction(ctx(), card.actions[0].id);
+    assert.strictEqual(aiBackend.getInstance('bot'), null);
+  });
+
+  it('should keep action IDs short for long instance names', async () => {
+    const { chatProvider, aiBackend, ctx } = setup();
+    const name = 'a'.repeat(95);
+    await chatProvider.fireCommand(ctx(), 'start', `${name} /tmp`);
+
+    const card = cardTitled(chatProvider, 'TestAI Instance Started');
+    assert.match(card.actions[0].id, /^retry:\d+$/);
+
+    await chatProvider.fireAction(ctx(), card.actions[0].id);
+    assert.strictEqual(aiBackend.getInstance(name), null);
+  });
+
+  it('should fall back to text when the start card is rejected', async () => {
+    const { chatProvider, aiBackend, replies, ctx } = setup();
+    chatProvider.sendCard = async () => { throw new Error('Invalid Form Body'); };
+
+    await chatProvider.fireCommand(ctx(), 'start', 'bot /tmp');
+
+    assert.ok(aiBackend.getInstance('bot'));
+    assert.ok(replies[0].startsWith('Started instance **bot**'));
+  });
+
+  it('should retry a failed job and offer its logs', async () => {
+    const { chatProvider, prompts, ctx } = setup({ sendError: 'out of memory' });
+    await chatProvider.fireCommand(ctx(), 'run', '"run the tests"');
+
+    const card = cardTitled(chatProvider, 'Job Failed');
+    assert.deepStrictEqual(card.actions.map(a => a.label), ['Retry', 'Logs']);
+    assert.strictEqual(card.actions[1].id, 'cmd:logs:mock-job-123');
+
+    await chatProvider.fireAction(ctx(), card.actions[0].id);
+    assert.deepStrictEqual(prompts, ['run the tests', 'run the tests']);
+  });
+
+  it('should resend a failed prompt to the same instance', async () => {
+    const { chatProvider, aiBackend, prompts, ctx } = setup({ sendError: 'rate limited' });
+    await aiBackend.startInstance('bot', '/project', 'C1');
+    await chatProvider.fireMessage(ctx(), 'fix the build');
+
+    const card = cardTitled(chatProvider, 'Error');
+    assert.deepStrictEqual(card.actions.map(a => a.label), ['Retry', 'Stop']);
+
+    await chatProvider.fireAction(ctx(), card.actions[0].id);
+    assert.deepStrictEqual(prompts, ['fix the build', 'fix the build']);
+  });
+
+  it('should check the clicking user\'s role', async () => {
+    const accessControl = createAccessControl({ defaultRole: 'viewer', users: { U_OPS: 'operator' } });
+    const { chatProvider, aiBackend, replies, ctx } = setup({}, accessControl);
+    await chatProvider.fireCommand(ctx('U_OPS'), 'start', 'bot /tmp');
+
+    await chatProvider.fireAction(ctx('U_VIEWER'), 'cmd:stop:bot');
+    assert.ok(aiBackend.getInstance('bot'));
+    assert.ok(replies.at(-1).includes('operator'));
+
+    await chatProvider.fireAction(ctx('U_OPS'), 'retry:999');
+    assert.match(replies.at(-1), /expired/);
+  });
+});
+
+describe('Bot Engine - Usage Command', () => {
+  const { createUsageTracker } = require('../src/usage-tracker');
+
+  function setup() {
+    const chatProvider = createStreamingMockChatProvider();
+    const aiBackend = createStreamingMockAIBackend();
+    aiBackend.sendToInstance = async () => ({
+      success: true,
+      responses: ['Done.'],
+      usage: { inputTokens: 1500, outputTokens: 200, costUsd: 0.05 }
+    });
+    const usageTracker = createUsageTracker();
+    createBotEngine({ chatProvider, aiBackend, showThinking: false, usageTracker });
+    const replies = [];
+    const ctx = (userId, userName) => ({
+      channelId: 'C123', userId, userName, reply: async (text) => { replies.push(text); }
+    });
+    return { chatProvider, aiBackend, usageTracker, replies, ctx };
+  }
+
+  it('should record each turn against the instance, channel and user', async () => {
+    const { chatProvider, aiBackend, usageTracker, ctx } = setup();
+    await aiBackend.startInstance('bot', '/project', 'C123');
+
+    await chatProvider.fireMessage(ctx('U1', 'alice'), 'fix the tests');
+    await chatProvider.fireMessage(ctx('U1', 'alice'), 'and the lint');
+
+    assert.deepStrictEqual(
+      usageTracker.totals({ instanceId: 'bot', channelId: 'C123', userId: 'U1' }),
+      { inputTokens: 3000, outputTokens: 400, costUsd: 0.1, turns: 2 }
     );
   });
+
+  it('should show today\'s usage in od-status', async () => {
+    const { chatProvider, aiBackend, replies, ctx } = setup();
+    await aiBackend.startInstance('bot', '/project', 'C123');
+
+    await chatProvider.fireMessage(ctx('U1', 'alice'), 'fix the tests');
+    await chatProvider.fireCommand(ctx('U1', 'alice'), 'status', 'bot');
+
+    assert.ok(replies[0].includes('**Usage Today:** 1.5k in / 200 out · $0.05 (1 turn)'));
+  });
+
+  it('should report usage by user and by channel', async () => {
+    const { chatProvider, aiBackend, replies, ctx } = setup();
+    await aiBackend.startInstance('bot', '/project', 'C123');
+
+    await chatProvider.fireMessage(ctx('U1', 'alice'), 'one');
+    await chatProvider.fireMessage(ctx('U2', 'bob'), 'two');
+    await chatProvider.fireMessage(ctx('U2', 'bob'), 'three');
+    await chatProvider.fireCommand(ctx('U1', 'alice'), 'usage', '');
+    await chatProvider.fireCommand(ctx('U1', 'alice'), 'usage', '--since 1d --by channel');
+
+    assert.ok(replies[0].startsWith('**Usage by user (last 7d):**'));
+    assert.ok(replies[0].indexOf('**bob:**') < replies[0].indexOf('**alice:**'));
+    assert.ok(replies[0].includes('Total: 4.5k in / 600 out · $0.15 (3 turns)'));
+    assert.ok(replies[1].includes('**C123:** 4.5k in / 600 out · $0.15 (3 turns)'));
+  });
+
+  it('should reject bad flags', async () => {
+    const { chatProvider, replies, ctx } = setup();
+
+    await chatProvider.fireCommand(ctx('U1'), 'usage', '--by model');
+    await chatProvider.fireCommand(ctx('U1'), 'usage', '--since soon');
+    await chatProvider.fireCommand(ctx('U1'), 'usage', '');
+
+    assert.ok(replies[0].includes('Unknown grouping "model"'));
+    assert.ok(replies[1].includes('--since expects a duration'));
+    assert.strictEqual(replies[2], 'No usage recorded in the last 7d.');
+  });
+});
+
+describe('Bot Engine - Budgets', () => {
+  const { createUsageTracker } = require('../src/usage-tracker');
+  const { createBudgets } = require('../src/budgets');
+
+  function setup(config) {
+    const chatProvider = createStreamingMockChatProvider();
+    const aiBackend = createStreamingMockAIBackend();
+    aiBackend.prompts = [];
+    aiBackend.sendToInstance = async (instanceId, message) => {
+      aiBackend.prompts.push(message);
+      return { success: true, responses: ['Done.'], usage: { inputTokens: 100, outputTokens: 10, costUsd: 1 } };
+    };
+    const usageTracker = createUsageTracker();
+    const budgets = createBudgets(config, { usageTracker });
+    createBotEngine({ chatProvider, aiBackend, showThinking: false, usageTracker, budgets });
+    const replies = [];
+    const ctx = { channelId: 'C123', userId: 'U1', reply: async (text) => { replies.push(text); } };
+    return { chatProvider, aiBackend, replies, ctx };
+  }
+
+  it('should warn at the soft limit and refuse turns at the hard limit', async () => {
+    const { chatProvider, aiBackend, replies, ctx } = setup({ channel: { daily: { soft: 1, hard: 2 } } });
+    await aiBackend.startInstance('bot', '/project', 'C123');
+
+    await chatProvider.fireMessage(ctx, 'one');
+    assert.ok(replies[0].startsWith('⚠️ The daily channel C123 budget has passed its $1.00 warning level'));
+
+    await chatProvider.fireMessage(ctx, 'two');
+    await chatProvider.fireMessage(ctx, 'three');
+
+    assert.deepStrictEqual(aiBackend.prompts, ['one', 'two']);
+    assert.ok(replies[1].startsWith('🛑 The daily channel C123 budget is used up ($2.00 of $2.00)'));
+    assert.ok(replies[1].includes('UTC'));
+  });
+
+  it('should refuse od-run over budget', async () => {
+    const { chatProvider, aiBackend, replies, ctx } = setup({ global: { daily: { hard: 1 } } });
+    await aiBackend.startInstance('bot', '/project', 'C123');
+    await chatProvider.fireMessage(ctx, 'one');
+
+    await chatProvider.fireCommand(ctx, 'run', 'fix the tests');
+
+    assert.deepStrictEqual(aiBackend.prompts, ['one']);
+    assert.ok(replies.some(r => r.includes('daily global budget is used up')));
+  });
+
+  it('should show budgets and let an override lift the hard limit', async () => {
+    const { chatProvider, aiBackend, replies, ctx } = setup({ user: { daily: { hard: 1 } } });
+    await aiBackend.startInstance('bot', '/project', 'C123');
+    await chatProvider.fireMessage(ctx, 'one');
+
+    await chatProvider.fireCommand(ctx, 'budget', '');
+    assert.ok(replies[0].includes('**Daily user U1 budget:** $1.00 spent (limit $1.00)'));
+
+    await chatProvider.fireCommand(ctx, 'budget', '--override 1h');
+    assert.ok(replies[1].includes('lifted in this channel'));
+    await chatProvider.fireMessage(ctx, 'two');
+    assert.deepStrictEqual(aiBackend.prompts, ['one', 'two']);
+
+    await chatProvider.fireCommand(ctx, 'budget', '--override off');
+    await chatProvider.fireMessage(ctx, 'three');
+    assert.deepStrictEqual(aiBackend.prompts, ['one', 'two']);
+  });
+
+  it('should require admin to override', async () => {
+    const { createAccessControl } = require('../src/access-control');
+    const chatProvider = createStreamingMockChatProvider();
+    createBotEngine({
+      chatProvider,
+      aiBackend: createStreamingMockAIBackend(),
+      accessControl: createAccessControl({ users: { U1: 'operator' } }),
+      budgets: createBudgets({ global: { daily: { hard: 1 } } }, { usageTracker: createUsageTracker() })
+    });
+    const replies = [];
+    const ctx = { channelId: 'C123', userId: 'U1', reply: async (text) => { replies.push(text); } };
+
+    await chatProvider.fireCommand(ctx, 'budget', '--override 2h');
+
+    assert.ok(replies[0].includes('**admin** role'));
+  });
+
+  it('should explain when no budgets are configured', async () => {
+    const { chatProvider, replies, ctx } = setup(null);
+
+    await chatProvider.fireCommand(ctx, 'budget', '');
+
+    assert.ok(replies[0].includes('No budgets are configured'));
+  });
+});
+
+describe('Bot Engine - Model Selection', () => {
+  /**
+   * Streaming mock with the model support of claude-core / opencode-core
+   */
+  function createModelBackend() {
+    const backend = createStreamingMockAIBackend();
+    backend.startOpts = [];
+    const originalStart = backend.startInstance;
+    backend.startInstance = async (instanceId, projectDir, channelId, opts = {}) => {
+      backend.startOpts.push(opts);
+      const result = await originalStart(instanceId, projectDir, channelId, opts);
+      if (result.success) backend.instances.get(instanceId).model = opts.model || null;
+      return result;
+    };
+    backend.setModel = (instanceId, model) => {
+      backend.instances.get(instanceId).model = model;
+      return { success: true };
+    };
+    return backend;
+  }
+
+  function setup(engineOptions = {}, aiBackend = createModelBackend()) {
+    const chatProvider = createStreamingMockChatProvider();
+    createBotEngine({ chatProvider, aiBackend, allowedModels: [], ...engineOptions });
+    const replies = [];
+    const ctx = { channelId: 'C123', userId: 'U1', reply: async (text) => { replies.push(text); } };
+    return { chatProvider, aiBackend, replies, ctx };
+  }
+
+  it('should pass --model from od-start to the backend', async () => {
+    const { chatProvider, aiBackend, replies, ctx } = setup();
+
+    await chatProvider.fireCommand(ctx, 'start', 'bot --model opus /tmp');
+
+    assert.strictEqual(aiBackend.startOpts[0].model, 'opus');
+    assert.ok(replies[0].includes('Model: opus'));
+  });
+
+  it('should enforce the model allowlist', async () => {
+    const { chatProvider, aiBackend, replies, ctx } = setup({ allowedModels: ['sonnet', 'haiku'] });
+
+    await chatProvider.fireCommand(ctx, 'start', 'bot --model opus /tmp');
+    await aiBackend.startInstance('bot', '/project', 'C123');
+    await chatProvider.fireCommand(ctx, 'model', 'bot opus');
+
+    assert.strictEqual(aiBackend.startOpts.length, 1);
+    assert.ok(replies[0].includes('Model "opus" is not allowed. Use: sonnet, haiku'));
+    assert.ok(replies[1].includes('Model "opus" is not allowed'));
+    assert.strictEqual(aiBackend.getInstance('bot').model, null);
+  });
+
+  it('should show and switch the model with od-model', async () => {
+    const { chatProvider, aiBackend, replies, ctx } = setup();
+    await aiBackend.startInstance('bot', '/project', 'C123');
+
+    await chatProvider.fireCommand(ctx, 'model', '');
+    await chatProvider.fireCommand(ctx, 'model', 'bot haiku');
+    await chatProvider.fireCommand(ctx, 'model', 'sonnet');
+    const afterSwitch = aiBackend.getInstance('bot').model;
+    await chatProvider.fireCommand(ctx, 'model', 'bot default');
+
+    assert.ok(replies[0].includes('Model for **bot**: `default`'));
+    assert.ok(replies[1].includes('**bot** will use `haiku` from the next message'));
+    assert.strictEqual(afterSwitch, 'sonnet');
+    assert.strictEqual(aiBackend.getInstance('bot').model, null);
+  });
+
+  it('should explain when the backend has no model choice', async () => {
+    const { chatProvider, aiBackend, replies, ctx } = setup({ aiName: 'Sprite' }, createStreamingMockAIBackend());
+
+    await chatProvider.fireCommand(ctx, 'start', 'bot --model opus /tmp');
+
+    assert.strictEqual(aiBackend.instances.size, 0);
+    assert.ok(replies[0].includes("Sprite agents can't choose a model."));
+  });
+});
+
+describe('Bot Engine - Tool Approvals', () => {
+  /**
+   * In-memory stand-in for permission-bridge.js
+   */
+  function createFakeBridge() {
+    const pending = new Map();
+    const decisions = [];
+    let requestHandler = null;
+    let timeoutHandler = null;
+    let seq = 0;
+
+    return {
+      decisions,
+      async start() {},
+      async stop() {},
+      onRequest(handler) { requestHandler = handler; },
+      onTimeout(handler) { timeoutHandler = handler; },
+      listPending() { return Array.from(pending.values()); },
+      decide(requestId, decision) {
+        const request = pending.get(requestId);
+        if (!request) return { success: false, error: 'This request was already decided or has expired.' };
+        pending.delete(requestId);
+        decisions.push({ requestId, ...decision });
+        return { success: true, request };
+      },
+      async ask(instanceId, toolName, input) {
+        seq++;
+        const request = {
+          requestId: `${seq}0000000-aaaa-bbbb-cccc-dddddddddddd`,
+          instanceId,
+          toolName,
+          input,
+          createdAt: new Date(0),
+          expiresAt: new Date(120000)
+        };
+        pending.set(request.requestId, request);
+        await requestHandler(request);
+        return request;
+      },
+      async expire(request) {
+        pending.delete(request.requestId);
+        await timeoutHandler(request);
+      }
+    };
+  }
+
+  function setup(accessConfig = null) {
+    const chatProvider = createStreamingMockChatProvider();
+    const actionHandlers = [];
+    chatProvider.onAction = (handler) => { actionHandlers.push(handler); };
+    chatProvider.sendActions = async (channelId, card, actions) => {
+      chatProvider.sentMessages.push({ channelId, card, actions, type: 'actions' });
+      return { messageId: 'm1' };
+    };
+    chatProvider.fireAction = async (ctx, actionId) => {
+      for (const handler of actionHandlers) await handler(ctx, actionId);
+    };
+
+    const aiBackend = createStreamingMockAIBackend();
+    const permissionBridge = createFakeBridge();
+    createBotEngine({
+      chatProvider,
+      aiBackend,
+      showThinking: false,
+      streamResponses: false,
+      accessControl: createAccessControl(accessConfig),
+      permissionBridge
+    });
+    const replies = [];
+    const ctx = (userId = 'U1', channelId = 'C123') => ({
+      channelId,
+      userId,
+      userName: userId.toLowerCase(),
+      reply: async (text) => { replies.push(text); }
+    });
+    return { chatProvider, aiBackend, permissionBridge, replies, ctx };
+  }
+
+  it('should post Approve/Deny buttons in the instance channel', async () => {
+    const { chatProvider, aiBackend, permissionBridge } = setup();
+    await aiBackend.startInstance('bot', '/project', 'C123');
+
+    const request = await permissionBridge.ask('bot', 'Bash', { command: 'rm -rf build' });
+
+    const prompt = chatProvider.sentMessages.find(m => m.type === 'actions');
+    assert.strictEqual(prompt.channelId, 'C123');
+    assert.ok(prompt.card.title.includes('Bash'));
+    assert.ok(prompt.card.description.includes('rm -rf build'));
+    assert.ok(prompt.card.footer.includes(`od-approve ${request.requestId.substring(0, 8)}`));
+    assert.deepStrictEqual(prompt.actions.map(a => a.id), [
+      `perm:allow:${request.requestId}`,
+      `perm:deny:${request.requestId}`
+    ]);
+  });
+
+  it('should apply button clicks as decisions', async () => {
+    const { chatProvider, aiBackend, permissionBridge, replies, ctx } = setup();
+    await aiBackend.startInstance('bot', '/project', 'C123');
+    const request = await permissionBridge.ask('bot', 'Bash', { command: 'npm publish' });
+
+    await chatProvider.fireAction(ctx('U1'), `perm:allow:${request.requestId}`);
+    await chatProvider.fireAction(ctx('U2'), `perm:deny:${request.requestId}`);
+
+    assert.strictEqual(permissionBridge.decisions.length, 1);
+    assert.strictEqual(permissionBridge.decisions[0].allow, true);
+    assert.strictEqual(permissionBridge.decisions[0].decidedBy, 'u1');
+    assert.ok(replies[0].includes('approved `Bash` for **bot**'));
+    assert.ok(replies[1].includes('already decided'));
+  });
+
+  it('should deny the only pending request in the channel with a reason', async () => {
+    const { chatProvider, aiBackend, permissionBridge, replies, ctx } = setup();
+    await aiBackend.startInstance('bot', '/project', 'C123');
+    await permissionBridge.ask('bot', 'Write', { file_path: '.env' });
+
+    await chatProvider.fireCommand(ctx(), 'deny', 'secrets stay put');
+
+    assert.strictEqual(permissionBridge.decisions[0].allow, false);
+    assert.match(permissionBridge.decisions[0].message, /secrets stay put/);
+    assert.ok(replies[0].includes('denied `Write`'));
+  });
+
+  it('should ask for an ID when several requests are pending', async () => {
+    const { chatProvider, aiBackend, permissionBridge, replies, ctx } = setup();
+    await aiBackend.startInstance('bot', '/project', 'C123');
+    await permissionBridge.ask('bot', 'Bash', { command: 'a' });
+    const second = await permissionBridge.ask('bot', 'Bash', { command: 'b' });
+
+    await chatProvider.fireCommand(ctx(), 'approve', '');
+    assert.ok(replies[0].includes('2 approvals are pending'));
+
+    await chatProvider.fireCommand(ctx(), 'approve', second.requestId.substring(0, 8));
+    assert.deepStrictEqual(permissionBridge.decisions.map(d => d.requestId), [second.requestId]);
+  });
+
+  it('should only answer other channels\' requests by ID for admins', async () => {
+    const { chatProvider, aiBackend, permissionBridge, replies, ctx } = setup({
+      defaultRole: 'operator',
+      users: { U_ADMIN: 'admin' }
+    });
+    await aiBackend.startInstance('bot', '/project', 'C123');
+    await aiBackend.startInstance('api', '/project', 'C456');
+    const request = await permissionBridge.ask('bot', 'Bash', { command: 'ls' });
+    const id = request.requestId.substring(0, 8);
+
+    await chatProvider.fireCommand(ctx('U1', 'C456'), 'approve', id);
+    await chatProvider.fireCommand(ctx('U1', 'C456'), 'deny', '1 too risky');
+    assert.deepStrictEqual(replies, ['No pending approvals here.', 'No pending approvals here.']);
+
+    await chatProvider.fireCommand(ctx('U_ADMIN', 'C456'), 'approve', id);
+    assert.deepStrictEqual(permissionBridge.decisions.map(d => d.requestId), [request.requestId]);
+  });
+
+  it('should announce timeouts', async () => {
+    const { chatProvider, aiBackend, permissionBridge } = setup();
+    await aiBackend.startInstance('bot', '/project', 'C123');
+    const request = await permissionBridge.ask('bot', 'Bash', { command: 'ls' });
+
+    await permissionBridge.expire(request);
+
+    const notice = chatProvider.sentMessages.find(m => m.type === 'message' && m.text.includes('No decision'));
+    assert.ok(notice.text.includes('within 120s'));
+  });
+
+  it('should require the operator role to answer', async () => {
+    const { chatProvider, aiBackend, permissionBridge, replies, ctx } = setup({ defaultRole: 'viewer' });
+    await aiBackend.startInstance('bot', '/project', 'C123');
+    const request = await permissionBridge.ask('bot', 'Bash', { command: 'ls' });
+
+    await chatProvider.fireAction(ctx('U_VIEWER'), `perm:allow:${request.requestId}`);
+
+    assert.strictEqual(permissionBridge.decisions.length, 0);
+    assert.ok(replies[0].includes('**operator** role to use `od-approve`'));
+  });
+});
+
+describe('Bot Engine - Project Roots', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'od-engine-roots-')));
+    fs.mkdirSync(path.join(tmpDir, 'backend'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function setup() {
+    const chatProvider = createMockChatProvider();
+    const aiBackend = { ...createMockLocalBackend(), localWorkspace: true };
+    aiBackend.startCalls = [];
+    const startInstance = aiBackend.startInstance;
+    aiBackend.startInstance = (...args) => {
+      aiBackend.startCalls.push(args);
+      return startInstance(...args);
+    };
+    createBotEngine({
+      chatProvider,
+      aiBackend,
+      projectResolver: createProjectResolver({
+        roots: [tmpDir],
+        aliases: { 'backend-repo': path.join(tmpDir, 'backend') }
+      })
+    });
+    return { chatProvider, aiBackend };
+  }
+
+  it('should start in an aliased project', async () => {
+    const { chatProvider, aiBackend } = setup();
+
+    await chatProvider.simulateCommand('start', 'api @backend-repo');
+
+    assert.strictEqual(aiBackend.startCalls[0][0], 'api');
+    assert.strictEqual(aiBackend.startCalls[0][1], path.join(tmpDir, 'backend'));
+  });
+
+  it('should treat a lone @alias as the path', async () => {
+    const { chatProvider, aiBackend } = setup();
+
+    await chatProvider.simulateCommand('start', '@backend-repo');
+
+    assert.ok(aiBackend.startCalls[0][0].startsWith('agent-'));
+    assert.strictEqual(aiBackend.startCalls[0][1], path.join(tmpDir, 'backend'));
+  });
+
+  it('should refuse paths outside the roots and missing directories before spawning', async () => {
+    const { chatProvider, aiBackend } = setup();
+
+    await chatProvider.simulateCommand('start', 'bot ~');
+    await chatProvider.simulateCommand('start', 'bot ../');
+    await chatProvider.simulateCommand('start', 'bot ./missing');
+
+    assert.strictEqual(aiBackend.startCalls.length, 0);
+    assert.ok(chatProvider.sent[0].text.includes('outside the allowed project roots'));
+    assert.ok(chatProvider.sent[1].text.includes('outside the allowed project roots'));
+    assert.ok(chatProvider.sent[2].text.includes('Project directory not found'));
+  });
 });
@@ -0,0 +1,150 @@
+/**
+ * Tests for spending budgets
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { createBudgets, loadBudgetConfig, describeBudget, formatResetTime } = require('../src/budgets');
+const { createUsageTracker } = require('../src/usage-tracker');
+
+const NOW = new Date('2024-01-31T15:00:00Z');
+
+function spend(tracker, costUsd, { channelId = 'C1', userId = 'U1', at = NOW } = {}) {
+  tracker.record({ instanceId: 'bot', channelId, userId, usage: { inputTokens: 0, outputTokens: 0, costUsd }, at });
+}
+
+describe('Budgets', () => {
+  let usageTracker;
+
+  beforeEach(() => {
+    usageTracker = createUsageTracker();
+  });
+
+  it('should allow everything when not configured', () => {
+    const budgets = createBudgets(null, { usageTracker });
+    spend(usageTracker, 1000);
+
+    assert.strictEqual(budgets.enabled, false);
+    assert.deepStrictEqual(budgets.statusFor({ channelId: 'C1', userId: 'U1' }, NOW), []);
+    assert.strictEqual(budgets.check({ channelId: 'C1', userId: 'U1' }, NOW).allowed, true);
+  });
+
+  it('should refuse turns at a hard limit until the period resets', () => {
+    const budgets = createBudgets({ user: { daily: { hard: 5 } } }, { usageTracker });
+    spend(usageTracker, 3, { at: new Date('2024-01-30T12:00:00Z') });
+    spend(usageTracker, 5);
+
+    const result = budgets.check({ channelId: 'C1', userId: 'U1' }, NOW);
+    assert.strictEqual(result.allowed, false);
+    assert.strictEqual(result.exceeded.spentUsd, 5);
+    assert.strictEqual(formatResetTime(result.exceeded.resetsAt), '2024-02-01 00:00 UTC');
+
+    assert.strictEqual(budgets.check({ channelId: 'C1', userId: 'U2' }, NOW).allowed, true);
+    assert.strictEqual(budgets.check({ channelId: 'C1', userId: 'U1' }, new Date('2024-02-01T00:01:00Z')).allowed, true);
+  });
+
+  it('should sum monthly budgets from the first of the month', () => {
+    const budgets = createBudgets({ global: { monthly: { hard: 10 } } }, { usageTracker });
+    spend(usageTracker, 20, { at: new Date('2023-12-31T23:00:00Z') });
+    spend(usageTracker, 4, { channelId: 'C1', at: new Date('2024-01-02T00:00:00Z') });
+    spend(usageTracker, 4, { channelId: 'C2', userId: 'U2' });
+
+    const [status] = budgets.statusFor({ channelId: 'C1', userId: 'U1' }, NOW);
+    assert.strictEqual(status.spentUsd, 8);
+    assert.strictEqual(formatResetTime(status.resetsAt), '2024-02-01 00:00 UTC');
+    assert.strictEqual(describeBudget(status), 'monthly global budget');
+  });
+
+  it('should prefer a channel\'s own limits over the per-channel default', () => {
+    const budgets = createBudgets({
+      channel: { daily: { hard: 1 } },
+      channels: { C1: { daily: { hard: 50 } } }
+    }, { usageTracker });
+    spend(usageTracker, 2);
+
+    const [status] = budgets.statusFor({ channelId: 'C1', userId: 'U1' }, NOW);
+    assert.strictEqual(status.hard, 50);
+    assert.strictEqual(describeBudget(status), 'daily channel C1 budget');
+    assert.strictEqual(budgets.check({ channelId: 'C1' }, NOW).allowed, true);
+  });
+
+  it('should apply plain channel keys to platform-prefixed channels', () => {
+    const budgets = createBudgets({ channels: { C1: { daily: { hard: 1 } } } }, { usageTracker });
+    spend(usageTracker, 2, { channelId: 'slack:C1' });
+
+    assert.strictEqual(budgets.check({ channelId: 'slack:C1' }, NOW).allowed, false);
+    assert.strictEqual(budgets.check({ channelId: 'slack:C9' }, NOW).allowed, true);
+  });
+
+  it('should apply plain user keys to platform-prefixed users', () => {
+    const budgets = createBudgets({ users: { U1: { daily: { hard: 1 } } } }, { usageTracker });
+    spend(usageTracker, 2, { userId: 'slack:U1' });
+
+    assert.strictEqual(budgets.check({ channelId: 'slack:C1', userId: 'slack:U1' }, NOW).allowed, false);
+    assert.strictEqual(budgets.check({ channelId: 'slack:C1', userId: 'discord:U1' }, NOW).allowed, true);
+  });
+
+  it('should report each crossed soft limit once per period', () => {
+    const budgets = createBudgets({ channel: { daily: { soft: 2, hard: 5 } } }, { usageTracker });
+    const ctx = { channelId: 'C1', userId: 'U1' };
+
+    spend(usageTracker, 1);
+    assert.deepStrictEqual(budgets.warnings(ctx, NOW), []);
+
+    spend(usageTracker, 1.5);
+    assert.strictEqual(budgets.warnings(ctx, NOW).length, 1);
+    assert.deepStrictEqual(budgets.warnings(ctx, NOW), []);
+  });
+
+  it('should let an override lift hard limits in one channel until it expires', () => {
+    const budgets = createBudgets({ global: { daily: { hard: 1 } } }, { usageTracker });
+    spend(usageTracker, 2);
+    budgets.override('C1', new Date(NOW.getTime() + 3600000));
+
+    const lifted = budgets.check({ channelId: 'C1' }, NOW);
+    assert.strictEqual(lifted.allowed, true);
+    assert.ok(lifted.overriddenUntil);
+    assert.strictEqual(budgets.check({ channelId: 'C2' }, NOW).allowed, false);
+    assert.strictEqual(budgets.check({ channelId: 'C1' }, new Date(NOW.getTime() + 7200000)).allowed, false);
+
+    budgets.override('C1', new Date(NOW.getTime() + 3600000));
+    assert.strictEqual(budgets.clearOverride('C1'), true);
+    assert.strictEqual(budgets.check({ channelId: 'C1' }, NOW).allowed, false);
+  });
+
+  it('should reject invalid config', () => {
+    assert.throws(() => createBudgets({ global: { weekly: { hard: 1 } } }, { usageTracker }), /Invalid budget period "weekly"/);
+    assert.throws(() => createBudgets({ users: { U1: { daily: { hard: -1 } } } }, { usageTracker }), /users\.U1\.daily/);
+    assert.throws(() => createBudgets({ global: { daily: { hard: 1 } } }), /usageTracker/);
+  });
+
+  describe('loadBudgetConfig', () => {
+    const saved = {};
+
+    beforeEach(() => {
+      saved.inline = process.env.OD_BUDGETS;
+      saved.file = process.env.OD_BUDGETS_FILE;
+      delete process.env.OD_BUDGETS;
+      delete process.env.OD_BUDGETS_FILE;
+    });
+
+    afterEach(() => {
+      for (const [key, value] of [['OD_BUDGETS', saved.inline], ['OD_BUDGETS_FILE', saved.file]]) {
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+      }
+    });
+
+    it('should return null when not configured', () => {
+      assert.strictEqual(loadBudgetConfig(), null);
+    });
+
+    it('should read inline JSON and fail closed on invalid JSON', () => {
+      process.env.OD_BUDGETS = '{"global":{"daily":{"hard":10}}}';
+      assert.deepStrictEqual(loadBudgetConfig(), { global: { daily: { hard: 10 } } });
+
+      process.env.OD_BUDGETS = '{oops';
+      assert.throws(() => loadBudgetConfig(), /Invalid budget config/);
+    });
+  });
+});
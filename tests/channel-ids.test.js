@@ -0,0 +1,34 @@
+/**
+ * Tests for platform-prefixed channel IDs
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { namespaceChannel, parseChannel, lookupId } = require('../src/channel-ids');
+
+describe('Channel IDs', () => {
+  it('should split on the first colon only', () => {
+    assert.strictEqual(namespaceChannel('teams', '19:abc@thread.tacv2'), 'teams:19:abc@thread.tacv2');
+    assert.deepStrictEqual(parseChannel('teams:19:abc@thread.tacv2'), { provider: 'teams', channelId: '19:abc@thread.tacv2' });
+    assert.strictEqual(parseChannel('C123'), null);
+  });
+
+  it('should only strip known provider prefixes', () => {
+    assert.strictEqual(parseChannel('19:abc@thread.tacv2'), null);
+    assert.deepStrictEqual(parseChannel('mock:C1', ['mock']), { provider: 'mock', channelId: 'C1' });
+
+    assert.strictEqual(lookupId({ 'abc@thread.tacv2': 'admin' }, '19:abc@thread.tacv2'), undefined);
+    assert.strictEqual(lookupId({ '19:abc@thread.tacv2': 'viewer' }, 'teams:19:abc@thread.tacv2'), 'viewer');
+  });
+
+  it('should look up prefixed keys before plain ones', () => {
+    const map = { 'slack:C1': 'admin', C1: 'viewer', C2: 'operator' };
+
+    assert.strictEqual(lookupId(map, 'slack:C1'), 'admin');
+    assert.strictEqual(lookupId(map, 'discord:C1'), 'viewer');
+    assert.strictEqual(lookupId(map, 'C2'), 'operator');
+    assert.strictEqual(lookupId(map, 'C3'), undefined);
+    assert.strictEqual(lookupId(undefined, 'C1'), undefined);
+  });
+});
@@ -15,7 +15,7 @@ const {
 
 // Import providers to register them
 require('../src/providers/slack-provider');
-require('../src/providers/teams-provider');
+const { TeamsProvider, isTokenHost } = require('../src/providers/teams-provider');
 require('../src/providers/discord-provider');
 
 // ============================================
@@ -311,3 +311,325 @@ describe('ChatProvider._cardToText', () => {
     assert.ok(text.includes('_Footer text_'));
   });
 });
+
+describe('ChatProvider.sendFile', () => {
+  class TestProvider extends ChatProvider {
+    constructor(config) {
+      super(config);
+      this.sent = [];
+    }
+    get name() { return 'test'; }
+    get maxMessageLength() { return 50; }
+    async initialize() {}
+    async start() {}
+    async stop() {}
+    async sendMessage(channelId, text) {
+      this.sent.push(text);
+      return { messageId: String(this.sent.length) };
+    }
+    async sendTypingIndicator() {}
+    async deleteMessage() { return true; }
+  }
+
+  it('should fall back to chunked text when uploads are not supported', async () => {
+    const provider = new TestProvider({});
+    const content = Array.from({ length: 10 }, (_, i) => `line ${i}`).join('\n');
+
+    const result = await provider.sendFile('C1', { filename: 'job.log', content });
+
+    assert.ok(provider.sent.length > 1);
+    assert.ok(provider.sent[0].startsWith('**job.log**'));
+    assert.ok(provider.sent.join('\n').includes('line 9'));
+    assert.strictEqual(result.messageId, String(provider.sent.length));
+  });
+});
+
+describe('ChatProvider actions', () => {
+  class TestProvider extends ChatProvider {
+    constructor(config) {
+      super(config);
+      this.sent = [];
+    }
+    get name() { return 'test'; }
+    get maxMessageLength() { return 1000; }
+    async initialize() {}
+    async start() {}
+    async stop() {}
+    async sendMessage(channelId, text) {
+      this.sent.push(text);
+      return { messageId: String(this.sent.length) };
+    }
+    async sendTypingIndicator() {}
+    async deleteMessage() { return true; }
+  }
+
+  it('should not advertise buttons by default', () => {
+    assert.strictEqual(new TestProvider({}).supportsActions, false);
+  });
+
+  it('should fall back to a plain card without buttons', async () => {
+    const provider = new TestProvider({});
+
+    await provider.sendActions('C1', { title: 'Approval needed', footer: 'Or type od-approve' }, [
+      { id: 'perm:allow:1', label: 'Approve', style: 'primary' }
+    ]);
+
+    assert.strictEqual(provider.sent.length, 1);
+    assert.ok(provider.sent[0].includes('**Approval needed**'));
+    assert.ok(provider.sent[0].includes('od-approve'));
+    assert.ok(!provider.sent[0].includes('perm:allow:1'));
+  });
+
+  it('should deliver clicks to the action handler', async () => {
+    const provider = new TestProvider({});
+    const clicks = [];
+    provider.onAction(async (ctx, actionId) => { clicks.push([ctx.userId, actionId]); });
+
+    await provider._emitAction(provider._createContext({ channelId: 'C1', userId: 'U1' }), 'perm:deny:1');
+
+    assert.deepStrictEqual(clicks, [['U1', 'perm:deny:1']]);
+  });
+
+  it('should route action handler errors to the error handler', async () => {
+    const provider = new TestProvider({});
+    const errors = [];
+    provider.onAction(async () => { throw new Error('boom'); });
+    provider.onError(async (error) => { errors.push(error.message); });
+
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+      await provider._emitAction(provider._createContext({ channelId: 'C1' }), 'x');
+    } finally {
+      console.error = originalError;
+    }
+
+    assert.deepStrictEqual(errors, ['boom']);
+  });
+});
+
+// ============================================
+// Threads
+// ============================================
+
+const { SlackProvider, splitChannelId, toMrkdwn } = require('../src/providers/slack-provider');
+
+/**
+ * Slack provider with a recording client in place of @slack/bolt
+ */
+function createSlack() {
+  const provider = new SlackProvider({ token: 'xoxb', signingSecret: 's', appToken: 'xapp' });
+  const posts = [];
+  provider.app = {
+    client: {
+      chat: {
+        postMessage: async (params) => {
+          posts.push(params);
+          return { ts: `17000000${posts.length}.000100` };
+        }
+      }
+    }
+  };
+  return { provider, posts };
+}
+
+describe('ChatProvider attachments', () => {
+  it('should default to no attachments', () => {
+    class TestProvider extends ChatProvider {}
+    const ctx = new TestProvider({})._createContext({ channelId: 'C1', userId: 'U1' });
+    assert.deepStrictEqual(ctx.attachments, []);
+  });
+
+  it('should download Slack files with the bot token', async () => {
+    const { provider } = createSlack();
+    const fetched = [];
+    provider._fetchFile = async (url, headers) => {
+      fetched.push([url, headers]);
+      return Buffer.from('log');
+    };
+
+    const [attachment] = provider._attachments([
+      { name: 'build.log', mimetype: 'text/plain', size: 3, url_private_download: 'https://files.slack.com/build.log' },
+      { name: 'external', external_type: 'gdrive' }
+    ]);
+
+    assert.deepStrictEqual([attachment.name, attachment.mimeType, attachment.size], ['build.log', 'text/plain', 3]);
+    assert.strictEqual((await attachment.download()).toString(), 'log');
+    assert.deepStrictEqual(fetched, [['https://files.slack.com/build.log', { Authorization: 'Bearer xoxb' }]]);
+  });
+
+  it('should stop downloading files past the size limit', async (t) => {
+    class TestProvider extends ChatProvider {}
+    const provider = new TestProvider({});
+    const chunked = (...chunks) => new ReadableStream({
+      start(controller) {
+        for (const chunk of chunks) controller.enqueue(new TextEncoder().encode(chunk));
+        controller.close();
+      }
+    });
+    const responses = [
+      new Response('0123456789', { headers: { 'content-length': '10' } }),
+      new Response(chunked('01234', '56789')),
+      new Response(chunked('0123'))
+    ];
+    t.mock.method(globalThis, 'fetch', async () => responses.shift());
+
+    await assert.rejects(provider._fetchFile('https://files.example/a', {}, 8), { code: 'FILE_TOO_LARGE', message: 'File is larger than 8 bytes' });
+    await assert.rejects(provider._fetchFile('https://files.example/b', {}, 8), { code: 'FILE_TOO_LARGE' });
+    assert.strictEqual((await provider._fetchFile('https://files.example/c', {}, 8)).toString(), '0123');
+  });
+
+  it('should only send the Teams token to Bot Framework hosts', async () => {
+    const provider = new TeamsProvider({ appId: 'app', appPassword: 'secret' });
+    provider.adapter = { credentials: { getToken: async () => 'bf-token' } };
+    const fetched = [];
+    provider._fetchFile = async (url, headers) => {
+      fetched.push([url, headers]);
+      return Buffer.from('img');
+    };
+
+    const attachments = provider._attachments([
+      { contentType: 'image/*', contentUrl: 'https://smba.trafficmanager.net/amer/v3/attachments/1/views/original' },
+      { contentType: 'image/png', contentUrl: 'https://botframework.com.attacker.example/steal' },
+      { contentType: 'text/html', content: '<p>hi</p>' }
+    ]);
+    for (const attachment of attachments) await attachment.download();
+
+    assert.deepStrictEqual(fetched, [
+      ['https://smba.trafficmanager.net/amer/v3/attachments/1/views/original', { Authorization: 'Bearer bf-token' }],
+      ['https://botframework.com.attacker.example/steal', {}]
+    ]);
+    assert.strictEqual(isTokenHost('http://api.botframework.com/x'), false);
+    assert.strictEqual(isTokenHost('https://us-api.asm.skype.com/v1/objects/1'), true);
+  });
+
+  it('should accept the old Teams prefixes only for their own commands', () => {
+    const provider = new TeamsProvider({ appId: 'app', appPassword: 'secret', commandPrefix: 'od' });
+
+    assert.deepStrictEqual(provider._parseCommand('<at>Bot</at> claude-start api /tmp'),
+      { isCommand: true, command: 'start', args: 'api /tmp' });
+    assert.deepStrictEqual(provider._parseCommand('oc-list'), { isCommand: true, command: 'list', args: '' });
+    assert.deepStrictEqual(provider._parseCommand('od-usage today'), { isCommand: true, command: 'usage', args: 'today' });
+    assert.deepStrictEqual(provider._parseCommand('claude-code keeps failing'),
+      { isCommand: false, text: 'claude-code keeps failing' });
+  });
+
+  it('should post the end of long files on Teams', async () => {
+    const provider = new TeamsProvider({ appId: 'app', appPassword: 'secret' });
+    const posts = [];
+    provider.sendMessage = async (channelId, text) => {
+      posts.push(text);
+      return { messageId: `a${posts.length}` };
+    };
+    const lines = Array.from({ length: 5000 }, (_, i) => `line ${i}`).join('\n') + '\n';
+
+    const short = await provider.sendFile('T1', { filename: 'job-1.log', content: 'ok\n', title: 'Logs' });
+    const long = await provider.sendFile('T1', { filename: 'job-1.log', content: lines });
+
+    assert.deepStrictEqual(short, { messageId: 'a1', truncated: false });
+    assert.strictEqual(posts[0], '**Logs**\n```\nok\n```');
+    assert.deepStrictEqual(long, { messageId: 'a2', truncated: true });
+    assert.ok(posts[1].length <= provider.maxMessageLength);
+    assert.ok(posts[1].startsWith('**job-1.log**\n```\n…\nline '));
+    assert.ok(posts[1].endsWith('line 4999\n```'));
+  });
+});
+
+describe('ChatProvider threads', () => {
+  it('should not open threads by default', async () => {
+    class TestProvider extends ChatProvider {
+      get name() { return 'test'; }
+      get maxMessageLength() { return 1000; }
+    }
+    assert.strictEqual(await new TestProvider({}).createThread('C1', 'bot'), null);
+  });
+
+  it('should address Slack threads as channel/thread_ts', async () => {
+    const { provider, posts } = createSlack();
+
+    const { threadId } = await provider.createThread('C1', 'Claude Code: api');
+    await provider.sendMessage(threadId, 'hello');
+    await provider.sendMessage('C1', 'top level');
+
+    assert.strictEqual(threadId, 'C1/170000001.000100');
+    assert.deepStrictEqual(splitChannelId(threadId), { channel: 'C1', threadTs: '170000001.000100' });
+    assert.strictEqual(posts[0].text, '🧵 Claude Code: api');
+    assert.deepStrictEqual([posts[1].channel, posts[1].thread_ts], ['C1', '170000001.000100']);
+    assert.deepStrictEqual([posts[2].channel, posts[2].thread_ts], ['C1', undefined]);
+  });
+});
+
+// ============================================
+// Slack Block Kit
+// ============================================
+
+describe('SlackProvider Block Kit', () => {
+  it('should convert Markdown to mrkdwn outside code', () => {
+    assert.strictEqual(
+      toMrkdwn('Started **api** in `**x**` ([docs](https://example.com/a)) ~~old~~\n## Next\n```\n**raw**\n```'),
+      'Started *api* in `**x**` (<https://example.com/a|docs>) ~old~\n*Next*\n```\n**raw**\n```'
+    );
+  });
+
+  it('should send plain messages as mrkdwn', async () => {
+    const { provider, posts } = createSlack();
+    await provider.sendMessage('C1', 'Stopped instance **api**');
+    assert.strictEqual(posts[0].text, 'Stopped instance *api*');
+  });
+
+  it('should render cards as colored Block Kit attachments', async () => {
+    const { provider, posts } = createSlack();
+    assert.strictEqual(provider.supportsCards, true);
+
+    await provider.sendCard('C1/17.1', {
+      title: 'Claude Code Instance Started',
+      color: '#00ff00',
+      description: 'Ready in **api**',
+      fields: [
+        { name: 'Instance', value: 'api', inline: true },
+        { name: 'Session', value: 'abc...', inline: true },
+        { name: 'Permissions', value: 'mode plan', inline: false }
+      ],
+      footer: 'Messages in this thread will be sent to Claude Code.'
+    });
+
+    const [post] = posts;
+    assert.deepStrictEqual([post.channel, post.thread_ts], ['C1', '17.1']);
+    const [attachment] = post.attachments;
+    assert.strictEqual(attachment.color, '#00ff00');
+    assert.ok(attachment.fallback.startsWith('*Claude Code Instance Started*'));
+    assert.deepStrictEqual(attachment.blocks.map(b => b.type), ['header', 'section', 'section', 'section', 'context']);
+    assert.strictEqual(attachment.blocks[0].text.text, 'Claude Code Instance Started');
+    assert.strictEqual(attachment.blocks[1].text.text, 'Ready in *api*');
+    assert.deepStrictEqual(attachment.blocks[2].fields.map(f => f.text), ['*Instance*\napi', '*Session*\nabc...']);
+    assert.strictEqual(attachment.blocks[3].text.text, '*Permissions*\nmode plan');
+  });
+
+  it('should keep buttons after the card blocks', async () => {
+    const { provider, posts } = createSlack();
+
+    await provider.sendActions('C1', { title: 'Approval needed' }, [{ id: 'perm:allow:1', label: 'Approve', style: 'primary' }]);
+
+    const blocks = posts[0].blocks;
+    assert.deepStrictEqual(blocks.map(b => b.type), ['header', 'actions']);
+    assert.strictEqual(blocks[1].elements[0].action_id, 'od_action:perm:allow:1');
+    assert.strictEqual(posts[0].text, '*Approval needed*');
+  });
+
+  it('should render card actions as buttons inside colored cards', async () => {
+    const { provider, posts } = createSlack();
+
+    await provider.sendCard('C1', {
+      title: 'Job Failed',
+      color: '#ff0000',
+      actions: [{ id: 'retry:1', label: 'Retry', style: 'primary' }, { id: 'cmd:logs:job-1', label: 'Logs' }]
+    });
+
+    const [actions] = posts[0].attachments[0].blocks.slice(-1);
+    assert.strictEqual(actions.type, 'actions');
+    assert.deepStrictEqual(actions.elements.map(e => [e.action_id, e.text.text, e.style]), [
+      ['od_action:retry:1', 'Retry', 'primary'],
+      ['od_action:cmd:logs:job-1', 'Logs', undefined]
+    ]);
+  });
+});
@@ -0,0 +1,419 @@
+/**
+ * Tests for Claude Code CLI integration (permission settings)
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+const { PassThrough } = require('stream');
+const { createInstanceManager, parseStreamEvent } = require('../src/claude-core');
+const {
+  resolvePermissions,
+  permissionArgs,
+  describePermissions,
+  isLooserMode,
+  shellQuote
+} = require('../src/claude-permissions');
+
+/**
+ * Mock spawn that records argv, prints the given stream-json lines and finishes
+ */
+function createRecordingSpawn(calls, lines = []) {
+  return function mockSpawn(command, args, options) {
+    calls.push({ command, args, options });
+    const proc = new EventEmitter();
+    proc.stdout = new PassThrough();
+    proc.stderr = new EventEmitter();
+    proc.stdin = { write() {}, end() {} };
+    for (const line of lines) {
+      proc.stdout.write(JSON.stringify(line) + '\n');
+    }
+    setImmediate(() => {
+      proc.stdout.end();
+      proc.emit('close', 0);
+    });
+    return proc;
+  };
+}
+
+const ENV_KEYS = ['CLAUDE_PERMISSION_MODE', 'CLAUDE_ALLOWED_TOOLS', 'CLAUDE_DISALLOWED_TOOLS', 'CLAUDE_APPEND_SYSTEM_PROMPT'];
+
+describe('Claude Permissions', () => {
+  const saved = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+
+  afterEach(() => {
+    for (const key of ENV_KEYS) {
+      if (saved[key] === undefined) delete process.env[key];
+      else process.env[key] = saved[key];
+    }
+  });
+
+  it('should default to skipping permissions', () => {
+    for (const key of ENV_KEYS) delete process.env[key];
+    const { permissions } = resolvePermissions();
+    assert.deepStrictEqual(permissionArgs(permissions), ['--dangerously-skip-permissions']);
+    assert.deepStrictEqual(permissionArgs(undefined), ['--dangerously-skip-permissions']);
+  });
+
+  it('should take defaults from the environment', () => {
+    process.env.CLAUDE_PERMISSION_MODE = 'acceptEdits';
+    process.env.CLAUDE_ALLOWED_TOOLS = 'Read, Bash(git:*)';
+    process.env.CLAUDE_APPEND_SYSTEM_PROMPT = 'Never push to main.';
+
+    const { permissions } = resolvePermissions();
+    assert.deepStrictEqual(permissionArgs(permissions), [
+      '--permission-mode', 'acceptEdits',
+      '--allowedTools', 'Read', 'Bash(git:*)',
+      '--append-system-prompt', 'Never push to main.'
+    ]);
+  });
+
+  it('should let per-instance options override the environment', () => {
+    process.env.CLAUDE_ALLOWED_TOOLS = 'Read';
+    const { permissions } = resolvePermissions({
+      permissionMode: 'plan',
+      allowedTools: ['Edit'],
+      disallowedTools: ['Bash(rm:*)']
+    });
+    assert.deepStrictEqual(permissionArgs(permissions), [
+      '--permission-mode', 'plan',
+      '--allowedTools', 'Edit',
+      '--disallowedTools', 'Bash(rm:*)'
+    ]);
+    assert.strictEqual(describePermissions(permissions), 'plan · allow Edit · deny Bash(rm:*)');
+  });
+
+  it('should keep the environment\'s disallowed tools', () => {
+    process.env.CLAUDE_DISALLOWED_TOOLS = 'WebFetch, Bash(rm:*)';
+    const { permissions } = resolvePermissions({ disallowedTools: ['Bash(rm:*)', 'Write'] });
+    assert.deepStrictEqual(permissions.disallowedTools, ['WebFetch', 'Bash(rm:*)', 'Write']);
+  });
+
+  it('should compare modes against the default', () => {
+    process.env.CLAUDE_PERMISSION_MODE = 'default';
+    assert.strictEqual(isLooserMode('acceptEdits'), true);
+    assert.strictEqual(isLooserMode('bypassPermissions'), true);
+    assert.strictEqual(isLooserMode('default'), false);
+    assert.strictEqual(isLooserMode('plan'), false);
+    assert.strictEqual(isLooserMode('yolo'), false);
+    assert.strictEqual(isLooserMode('plan', 'bypassPermissions'), false);
+  });
+
+  it('should reject unknown modes', () => {
+    assert.match(resolvePermissions({ permissionMode: 'yolo' }).error, /Unknown permission mode "yolo"/);
+  });
+
+  it('should only quote arguments that need it', () => {
+    assert.strictEqual(shellQuote('--permission-mode'), '--permission-mode');
+    if (process.platform !== 'win32') {
+      assert.strictEqual(shellQuote('Bash(git:*)'), "'Bash(git:*)'");
+      assert.strictEqual(shellQuote("it's $HOME"), "'it'\\''s $HOME'");
+    }
+  });
+});
+
+describe('Claude Instance Manager', () => {
+  it('should refuse to start with an invalid mode', () => {
+    const manager = createInstanceManager();
+    const result = manager.startInstance('bot', '/project', 'C1', { permissionMode: 'yolo' });
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(manager.getInstance('bot'), null);
+  });
+
+  it('should pass the instance permissions to the CLI', async () => {
+    const calls = [];
+    const manager = createInstanceManager({ spawnFn: createRecordingSpawn(calls) });
+    manager.startInstance('bot', '/project', 'C1', {
+      permissionMode: 'plan',
+      allowedTools: ['Bash(git:*)']
+    });
+
+    const result = await manager.sendToInstance('bot', 'hello');
+
+    assert.strictEqual(result.success, true);
+    const { args } = calls[0];
+    assert.ok(!args.includes('--dangerously-skip-permissions'));
+    assert.deepStrictEqual(args.slice(0, 4), [
+      '--permission-mode', 'plan',
+      '--allowedTools', shellQuote('Bash(git:*)')
+    ]);
+    assert.ok(args.includes('--session-id'));
+  });
+
+  describe('with a permission bridge', () => {
+    const bridge = {
+      url: 'http://127.0.0.1:1234',
+      promptToolName: 'mcp__open_dispatch__approve',
+      mcpConfig: (instanceId) => JSON.stringify({ mcpServers: { open_dispatch: { env: { OD_INSTANCE_ID: instanceId } } } })
+    };
+
+    it('should route permission prompts to the bridge outside bypass mode', () => {
+      const manager = createInstanceManager({ permissionBridge: bridge });
+      const args = manager.buildArgs('s1', true, resolvePermissions({ permissionMode: 'default' }).permissions, 'bot');
+
+      const config = JSON.parse(args[args.indexOf('--mcp-config') + 1]);
+      assert.strictEqual(config.mcpServers.open_dispatch.env.OD_INSTANCE_ID, 'bot');
+      assert.strictEqual(args[args.indexOf('--permission-prompt-tool') + 1], 'mcp__open_dispatch__approve');
+    });
+
+    it('should not ask when permissions are bypassed', () => {
+      const manager = createInstanceManager({ permissionBridge: bridge });
+      const args = manager.buildArgs('s1', true, resolvePermissions({ permissionMode: 'bypassPermissions' }).permissions, 'bot');
+
+      assert.ok(!args.includes('--permission-prompt-tool'));
+      assert.ok(!args.includes('--mcp-config'));
+    });
+  });
+});
+
+describe('Claude Model Selection', () => {
+  it('should pass the instance model and keep the session when it changes', async () => {
+    const calls = [];
+    const manager = createInstanceManager({ spawnFn: createRecordingSpawn(calls), model: 'sonnet' });
+    manager.startInstance('bot', '/project', 'C1', { model: 'haiku' });
+    manager.startInstance('plain', '/project', 'C2');
+
+    await manager.sendToInstance('bot', 'first');
+    assert.strictEqual(manager.setModel('bot', 'opus').success, true);
+    await manager.sendToInstance('bot', 'second');
+    await manager.sendToInstance('plain', 'hello');
+
+    const flag = (args) => args[args.indexOf('--model') + 1];
+    assert.strictEqual(flag(calls[0].args), 'haiku');
+    assert.strictEqual(flag(calls[1].args), 'opus');
+    assert.ok(calls[1].args.includes('--resume'));
+    assert.strictEqual(flag(calls[2].args), 'sonnet');
+    assert.strictEqual(manager.setModel('ghost', 'opus').success, false);
+  });
+
+  it('should omit --model when none is configured', () => {
+    const manager = createInstanceManager();
+    assert.ok(!manager.buildArgs('s1', true, null, 'bot').includes('--model'));
+  });
+});
+
+describe('Claude Stream Events', () => {
+  const toolUse = {
+    type: 'assistant',
+    message: {
+      content: [
+        { type: 'text', text: 'Running the tests.' },
+        { type: 'tool_use', id: 'tu_1', name: 'Bash', input: { command: 'npm test' } }
+      ]
+    }
+  };
+  const toolResult = {
+    type: 'user',
+    message: {
+      content: [
+        { type: 'tool_result', tool_use_id: 'tu_1', is_error: true, content: [{ type: 'text', text: 'Exit code 1\nfailing' }] }
+      ]
+    }
+  };
+
+  it('should turn assistant blocks into text and tool call events', () => {
+    assert.deepStrictEqual(parseStreamEvent(toolUse), [
+      { type: 'text', text: 'Running the tests.' },
+      { type: 'tool_call', id: 'tu_1', name: 'Bash', input: { command: 'npm test' } }
+    ]);
+  });
+
+  it('should turn tool results into result events', () => {
+    assert.deepStrictEqual(parseStreamEvent(toolResult), [
+      { type: 'tool_result', id: 'tu_1', isError: true, output: 'Exit code 1\nfailing' }
+    ]);
+  });
+
+  it('should parse init and final result events', () => {
+    const [init] = parseStreamEvent({ type: 'system', subtype: 'init', session_id: 's1', model: 'claude-x', tools: ['Bash'] });
+    assert.deepStrictEqual(init, { type: 'init', sessionId: 's1', model: 'claude-x', tools: ['Bash'] });
+
+    const [result] = parseStreamEvent({
+      type: 'result', subtype: 'success', result: 'Done', duration_ms: 1200, num_turns: 3, total_cost_usd: 0.02
+    });
+    assert.deepStrictEqual(result, {
+      type: 'result', isError: false, text: 'Done', durationMs: 1200, numTurns: 3, costUsd: 0.02
+    });
+  });
+
+  it('should ignore events it does not understand', () => {
+    assert.deepStrictEqual(parseStreamEvent({ type: 'stream_event' }), []);
+    assert.deepStrictEqual(parseStreamEvent({ type: 'system', subtype: 'compact_boundary' }), []);
+  });
+
+  it('should deliver events to onEvent while keeping text responses', async () => {
+    const calls = [];
+    const manager = createInstanceManager({ spawnFn: createRecordingSpawn(calls, [toolUse, toolResult]) });
+    manager.startInstance('bot', '/project', 'C1');
+
+    const events = [];
+    const result = await manager.sendToInstance('bot', 'test it', {
+      onEvent: async (event) => { events.push(event.type); }
+    });
+
+    assert.deepStrictEqual(events, ['text', 'tool_call', 'tool_result']);
+    assert.deepStrictEqual(result.responses, ['Running the tests.']);
+  });
+});
+
+describe('Claude Persistent Process Mode', () => {
+  /**
+   * Mock long-lived `claude`: answers each stdin line with a reply and a
+   * `result` event. `crash` / `hang` pick prompts that exit or never finish;
+   * `exitDelayMs` slows down exiting on a signal.
+   */
+  function createLiveSpawn(calls, behavior = {}) {
+    return function mockSpawn(command, args) {
+      const proc = new EventEmitter();
+      const call = { args, inputs: [], signals: [], closed: false, othersRunning: calls.filter(c => !c.closed).length };
+      calls.push(call);
+      proc.pid = 1000 + calls.length;
+      proc.exitCode = null;
+      proc.stdout = new PassThrough();
+      proc.stderr = new EventEmitter();
+
+      const exit = (code) => {
+        if (proc.exitCode !== null) return;
+        proc.exitCode = code;
+        proc.stdout.end();
+        setImmediate(() => {
+          call.closed = true;
+          proc.emit('close', code);
+        });
+      };
+      proc.kill = (signal) => {
+        call.signals.push(signal);
+        setTimeout(() => exit(null), behavior.exitDelayMs || 0);
+      };
+      proc.stdin = Object.assign(new EventEmitter(), {
+        write(data) {
+          const prompt = JSON.parse(data).message.content;
+          call.inputs.push(prompt);
+          if (behavior.hang && behavior.hang(prompt)) return;
+          setImmediate(() => {
+            if (behavior.crash && behavior.crash(prompt)) {
+              exit(1);
+              return;
+            }
+            proc.stdout.write(JSON.stringify({ type: 'assistant', message: { content: [{ type: 'text', text: `re: ${prompt}` }] } }) + '\n');
+            proc.stdout.write(JSON.stringify({ type: 'result', subtype: 'success', total_cost_usd: 0.01, usage: { input_tokens: 10, output_tokens: 5 } }) + '\n');
+          });
+        },
+        end() { exit(0); }
+      });
+      return proc;
+    };
+  }
+
+  function createManager(calls, behavior, extra = {}) {
+    return createInstanceManager({
+      spawnFn: createLiveSpawn(calls, behavior),
+      processMode: 'persistent',
+      idleTimeoutMs: 0,
+      ...extra
+    });
+  }
+
+  /**
+   * Run fn with console.log/error silenced (process start/stop lines)
+   */
+  async function quietly(fn) {
+    const { log, error } = console;
+    console.log = () => {};
+    console.error = () => {};
+    try {
+      return await fn();
+    } finally {
+      console.log = log;
+      console.error = error;
+    }
+  }
+
+  it('should reuse one process and end each turn at its result event', async () => {
+    const calls = [];
+    const manager = createManager(calls);
+    manager.startInstance('bot', '/project', 'C1');
+
+    const first = await quietly(() => manager.sendToInstance('bot', 'one'));
+    const second = await quietly(() => manager.sendToInstance('bot', 'two'));
+
+    assert.strictEqual(calls.length, 1);
+    assert.deepStrictEqual(calls[0].inputs, ['one', 'two']);
+    assert.ok(calls[0].args.includes('--session-id'));
+    assert.deepStrictEqual(first.responses, ['re: one']);
+    assert.deepStrictEqual(second.responses, ['re: two']);
+    assert.strictEqual(second.success, true);
+    assert.strictEqual(manager.getInstance('bot').usage.costUsd, 0.02);
+    assert.strictEqual(manager.getInstance('bot').activeRun, null);
+
+    await quietly(() => manager.stopInstance('bot'));
+    assert.deepStrictEqual(calls[0].signals, ['SIGINT']);
+  });
+
+  it('should fail the turn on a crash and resume in a new process', async () => {
+    const calls = [];
+    const manager = createManager(calls, { crash: (prompt) => prompt === 'boom' });
+    manager.startInstance('bot', '/project', 'C1');
+
+    const crashed = await quietly(() => manager.sendToInstance('bot', 'boom'));
+    const next = await quietly(() => manager.sendToInstance('bot', 'again'));
+
+    assert.strictEqual(crashed.success, false);
+    assert.match(crashed.error, /exited unexpectedly \(code 1\)/);
+    assert.strictEqual(calls.length, 2);
+    assert.ok(calls[1].args.includes('--resume'));
+    assert.deepStrictEqual(next.responses, ['re: again']);
+    await quietly(() => manager.stopInstance('bot'));
+  });
+
+  it('should resolve a cancelled turn and restart on the next message', async () => {
+    const calls = [];
+    const manager = createManager(calls, { hang: (prompt) => prompt === 'slow' }, { killGraceMs: 10 });
+    manager.startInstance('bot', '/project', 'C1');
+
+    const pending = quietly(() => manager.sendToInstance('bot', 'slow'));
+    assert.strictEqual((await manager.sendToInstance('bot', 'overlap')).error, 'Instance "bot" is busy');
+    assert.strictEqual(manager.cancelInstance('bot').success, true);
+    const cancelled = await pending;
+
+    assert.strictEqual(cancelled.cancelled, true);
+    await quietly(() => manager.sendToInstance('bot', 'after'));
+    assert.strictEqual(calls.length, 2);
+    await quietly(() => manager.stopInstance('bot'));
+  });
+
+  it('should restart with --resume when the model changes', async () => {
+    const calls = [];
+    const manager = createManager(calls, { exitDelayMs: 20 });
+    manager.startInstance('bot', '/project', 'C1', { model: 'sonnet' });
+
+    await quietly(() => manager.sendToInstance('bot', 'one'));
+    manager.setModel('bot', 'opus');
+    await quietly(() => manager.sendToInstance('bot', 'two'));
+
+    assert.strictEqual(calls.length, 2);
+    assert.deepStrictEqual(calls[0].signals, ['SIGINT']);
+    assert.strictEqual(calls[1].args[calls[1].args.indexOf('--model') + 1], 'opus');
+    assert.ok(calls[1].args.includes('--resume'));
+    assert.strictEqual(calls[1].othersRunning, 0);
+    await quietly(() => manager.stopInstance('bot'));
+  });
+
+  it('should stop an idle process', async () => {
+    const calls = [];
+    const manager = createManager(calls, {}, { idleTimeoutMs: 10 });
+    manager.startInstance('bot', '/project', 'C1');
+
+    await quietly(async () => {
+      await manager.sendToInstance('bot', 'one');
+      await new Promise(resolve => setTimeout(resolve, 50));
+    });
+
+    assert.deepStrictEqual(calls[0].signals, ['SIGINT']);
+    assert.strictEqual(manager.getInstance('bot').liveProcess, null);
+  });
+
+  it('should reject unknown process modes', () => {
+    assert.throws(() => createInstanceManager({ processMode: 'forever' }), /Invalid Claude process mode "forever"/);
+  });
+});
@@ -0,0 +1,206 @@
+/**
+ * Tests for the generic CLI agent adapter and the built-in adapters
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+const { createCliAgentManager, validateAdapter, expandArgs, buildAgentArgs, binaryEnvVar } = require('../src/cli-agent-core');
+const { aider, codex, gemini } = require('../src/cli-agents');
+const { createMemoryStateStore } = require('../src/state-store');
+
+/**
+ * Spawn mock: each call prints the next scripted output and exits.
+ * Records [command, args] per call; `hang` keeps the process running until killed.
+ */
+function createScriptedSpawn(outputs, calls, { exitCode = 0, stderr = '', hang = false } = {}) {
+  return function mockSpawn(command, args) {
+    calls.push([command, args]);
+    const output = outputs[calls.length - 1] || '';
+    const proc = new EventEmitter();
+    proc.stdout = new EventEmitter();
+    proc.stderr = new EventEmitter();
+    proc.exitCode = null;
+    proc.kill = (signal) => {
+      proc.exitCode = 130;
+      setImmediate(() => proc.emit('close', 130, signal));
+    };
+
+    setImmediate(() => {
+      if (output) proc.stdout.emit('data', Buffer.from(output));
+      if (stderr) proc.stderr.emit('data', Buffer.from(stderr));
+      if (!hang) {
+        proc.exitCode = exitCode;
+        proc.emit('close', exitCode);
+      }
+    });
+    return proc;
+  };
+}
+
+const ndjson = (...events) => events.map(e => JSON.stringify(e)).join('\n') + '\n';
+
+describe('expandArgs', () => {
+  it('should fill placeholders and drop optional groups without values', () => {
+    const template = ['exec', ['-m', '{model}'], '--cwd={projectDir}', '{message}'];
+
+    assert.deepStrictEqual(
+      expandArgs(template, { message: 'hi {model}', model: 'o3', projectDir: '/p' }),
+      ['exec', '-m', 'o3', '--cwd=/p', 'hi {model}']
+    );
+    assert.deepStrictEqual(expandArgs(template, { message: 'hi', projectDir: '/p' }), ['exec', '--cwd=/p', 'hi']);
+    assert.strictEqual(expandArgs(['resume', '{sessionId}'], { sessionId: null }), null);
+  });
+
+  it('should fall back to firstArgs until the session can be resumed', () => {
+    const values = { message: 'next', sessionId: null };
+    assert.deepStrictEqual(buildAgentArgs(codex, values, false).slice(-1), ['next']);
+    assert.ok(!buildAgentArgs(codex, values, false).includes('resume'));
+
+    const resumed = buildAgentArgs(codex, { ...values, sessionId: 'th_1' }, false);
+    assert.deepStrictEqual(resumed.slice(-4), ['resume', 'th_1', '--', 'next']);
+  });
+});
+
+describe('validateAdapter', () => {
+  it('should reject incomplete adapters', () => {
+    assert.throws(() => validateAdapter({ name: 'Bad Name' }), /lowercase name/);
+    assert.throws(() => validateAdapter({ name: 'x', binary: 'x', firstArgs: ['--go'] }), /must include \{message\}/);
+    assert.throws(() => validateAdapter({ name: 'x', binary: 'x', firstArgs: ['{message}'], output: 'ndjson' }), /parseEvent/);
+    assert.throws(() => validateAdapter({ name: 'x', binary: 'x', firstArgs: ['{message}'], session: 'magic' }), /invalid session mode/);
+  });
+
+  it('should accept the built-in adapters', () => {
+    for (const adapter of [aider, codex, gemini]) validateAdapter(adapter);
+    assert.strictEqual(binaryEnvVar(codex), 'CODEX_PATH');
+  });
+});
+
+describe('CLI Agent Manager', () => {
+  it('should stream ndjson replies and resume the session the CLI reported', async () => {
+    const calls = [];
+    const manager = createCliAgentManager(codex, {
+      spawnFn: createScriptedSpawn([
+        ndjson(
+          { type: 'thread.started', thread_id: 'th_1' },
+          { type: 'item.completed', item: { type: 'reasoning', text: 'thinking' } },
+          { type: 'item.completed', item: { type: 'agent_message', text: 'Fixed the bug.' } },
+          { type: 'turn.completed', usage: { input_tokens: 900, cached_input_tokens: 400, output_tokens: 80 } }
+        ),
+        ndjson({ type: 'item.completed', item: { type: 'agent_message', text: 'Tests pass.' } })
+      ], calls)
+    });
+    manager.startInstance('api', '/proj', 'C1', { model: 'o3' });
+    const streamed = [];
+
+    const first = await manager.sendToInstance('api', 'fix it', { onMessage: async (text) => { streamed.push(text); } });
+    assert.strictEqual(first.success, true);
+    assert.deepStrictEqual(first.responses, ['Fixed the bug.']);
+    assert.deepStrictEqual(streamed, ['Fixed the bug.']);
+    assert.strictEqual(first.streamed, true);
+    assert.deepStrictEqual(first.usage, { inputTokens: 900, outputTokens: 80, costUsd: 0 });
+    assert.strictEqual(manager.getInstance('api').agentSessionId, 'th_1');
+
+    await manager.sendToInstance('api', 'run the tests');
+    assert.strictEqual(calls[0][0], 'codex');
+    assert.deepStrictEqual(calls[0][1], ['exec', '--json', '--full-auto', '--skip-git-repo-check', '-m', 'o3', '--', 'fix it']);
+    assert.deepStrictEqual(calls[1][1].slice(-4), ['resume', 'th_1', '--', 'run the tests']);
+  });
+
+  it('should strip banners and read usage from text output', async () => {
+    const calls = [];
+    const output = [
+      '\x1b[1mAider v0.86.1\x1b[0m',
+      'Main model: anthropic/claude-sonnet-4 with diff edit format',
+      'Git repo: .git with 42 files',
+      'Repo-map: using 4096 tokens, auto refresh',
+      '',
+      'I updated `src/app.js` to handle empty input.',
+      '',
+      'Tokens: 2.3k sent, 150 received. Cost: $0.01 message, $0.01 session.'
+    ].join('\n');
+    const manager = createCliAgentManager(aider, { spawnFn: createScriptedSpawn([output, output], calls) });
+    manager.startInstance('api', '/proj', 'C1');
+
+    const result = await manager.sendToInstance('api', '--help me handle empty input');
+    assert.deepStrictEqual(result.responses, ['I updated `src/app.js` to handle empty input.']);
+    assert.deepStrictEqual(result.usage, { inputTokens: 2300, outputTokens: 150, costUsd: 0.01 });
+    assert.strictEqual(result.streamed, false);
+
+    await manager.sendToInstance('api', 'again');
+    assert.strictEqual(calls[0][1][0], '--message=--help me handle empty input');
+    assert.ok(!calls[0][1].includes('--restore-chat-history'));
+    assert.ok(calls[1][1].includes('--restore-chat-history'));
+    assert.deepStrictEqual(manager.getInstance('api').usage, { inputTokens: 4600, outputTokens: 300, costUsd: 0.02 });
+  });
+
+  it('should parse a single JSON result', async () => {
+    const calls = [];
+    const output = JSON.stringify({
+      response: 'Here is the summary.',
+      stats: { models: { 'gemini-2.5-pro': { tokens: { prompt: 1200, candidates: 300, thoughts: 50 } } } }
+    });
+    const manager = createCliAgentManager(gemini, { spawnFn: createScriptedSpawn([output], calls) });
+    manager.startInstance('docs', '/proj', 'C1');
+
+    const result = await manager.sendToInstance('docs', 'summarize');
+
+    assert.deepStrictEqual(result.responses, ['Here is the summary.']);
+    assert.deepStrictEqual(result.usage, { inputTokens: 1200, outputTokens: 350, costUsd: 0 });
+    assert.deepStrictEqual(calls[0][1], ['--output-format', 'json', '--yolo', '--prompt=summarize']);
+  });
+
+  it('should report a failed run with its stderr', async () => {
+    const manager = createCliAgentManager(codex, {
+      spawnFn: createScriptedSpawn([''], [], { exitCode: 2, stderr: 'Not logged in. Run codex login.\n' })
+    });
+    manager.startInstance('api', '/proj', 'C1');
+
+    const result = await manager.sendToInstance('api', 'hi');
+
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.error, 'Codex exited with code 2: Not logged in. Run codex login.');
+  });
+
+  it('should refuse permission options it cannot honour', () => {
+    const manager = createCliAgentManager(codex, { spawnFn: createScriptedSpawn([], []) });
+
+    const result = manager.startInstance('api', '/proj', 'C1', { permissionMode: 'plan', disallowedTools: ['Bash'] });
+
+    assert.strictEqual(result.success, false);
+    assert.match(result.error, /^Codex runs unattended and approves every action/);
+    assert.strictEqual(manager.getInstance('api'), null);
+    assert.strictEqual(manager.startInstance('api', '/proj', 'C1', { model: 'o3' }).success, true);
+  });
+
+  it('should cancel a run in progress', async () => {
+    const manager = createCliAgentManager(aider, {
+      spawnFn: createScriptedSpawn(['Working...'], [], { hang: true }),
+      killGraceMs: 50
+    });
+    manager.startInstance('api', '/proj', 'C1');
+
+    const pending = manager.sendToInstance('api', 'long task');
+    await new Promise(resolve => setImmediate(resolve));
+    assert.strictEqual(manager.cancelInstance('api').success, true);
+    const result = await pending;
+
+    assert.strictEqual(result.cancelled, true);
+    assert.strictEqual(manager.getInstance('api').activeRun, null);
+    assert.strictEqual(manager.cancelInstance('api').success, false);
+  });
+
+  it('should keep the CLI session across restarts', async () => {
+    const stateStore = createMemoryStateStore();
+    const calls = [];
+    const spawnFn = createScriptedSpawn([ndjson({ type: 'thread.started', thread_id: 'th_9' }), ''], calls);
+    const first = createCliAgentManager(codex, { spawnFn, stateStore });
+    first.startInstance('api', '/proj', 'C1');
+    await first.sendToInstance('api', 'hello');
+
+    const second = createCliAgentManager(codex, { spawnFn, stateStore });
+    await second.sendToInstance('api', 'again');
+
+    assert.deepStrictEqual(calls[1][1].slice(-4), ['resume', 'th_9', '--', 'again']);
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Tests for provider/backend selection in the unified entry point
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { resolveSelection, setupGuides, providerConfig, backendOptions } = require('../src/dispatch-config');
+
+const BACKENDS = ['claude', 'opencode', 'opencode-server', 'sprite', 'codex'];
+const SLACK = { CHAT_PROVIDER: 'slack', SLACK_BOT_TOKEN: 'xoxb', SLACK_APP_TOKEN: 'xapp', SLACK_SIGNING_SECRET: 's' };
+
+describe('resolveSelection', () => {
+  it('should default to the Claude backend', () => {
+    const result = resolveSelection(SLACK, BACKENDS);
+    assert.deepStrictEqual(result, { chatProviders: ['slack'], aiBackend: 'claude', errors: [], warnings: [] });
+  });
+
+  it('should require CHAT_PROVIDER and a known backend', () => {
+    assert.match(resolveSelection({}, BACKENDS).errors[0], /CHAT_PROVIDER is required/);
+    assert.match(resolveSelection({ CHAT_PROVIDER: 'irc' }, BACKENDS).errors[0], /Unknown CHAT_PROVIDER: irc/);
+    assert.match(resolveSelection({ ...SLACK, AI_BACKEND: 'Copilot' }, BACKENDS).errors[0], /Unknown AI_BACKEND: copilot\. Use: claude, opencode/);
+  });
+
+  it('should list missing env vars for the combination', () => {
+    const teamsSprite = resolveSelection({ CHAT_PROVIDER: 'teams', AI_BACKEND: 'sprite', TEAMS_APP_ID: 'id', FLY_API_TOKEN: 't' }, BACKENDS);
+    assert.deepStrictEqual(teamsSprite.errors, [
+      'Missing required env vars for teams + sprite: MICROSOFT_APP_PASSWORD or TEAMS_APP_PASSWORD, FLY_SPRITE_APP, SPRITE_IMAGE'
+    ]);
+    assert.deepStrictEqual(setupGuides(['teams'], 'sprite'), ['TEAMS_SETUP.md', 'SPRITE_SETUP.md']);
+  });
+
+  it('should accept several chat providers', () => {
+    const env = { ...SLACK, CHAT_PROVIDER: 'slack, Teams,slack', TEAMS_APP_ID: 'id' };
+    const result = resolveSelection(env, BACKENDS);
+    assert.deepStrictEqual(result.chatProviders, ['slack', 'teams']);
+    assert.deepStrictEqual(result.errors, [
+      'Missing required env vars for slack + teams + claude: MICROSOFT_APP_PASSWORD or TEAMS_APP_PASSWORD'
+    ]);
+    assert.match(resolveSelection({ ...SLACK, CHAT_PROVIDER: 'slack,irc' }, BACKENDS).errors[0], /Unknown CHAT_PROVIDER: irc/);
+    assert.deepStrictEqual(setupGuides(result.chatProviders, 'claude'), ['README.md', 'TEAMS_SETUP.md']);
+  });
+
+  it('should pick the OpenCode server backend when configured', () => {
+    const result = resolveSelection({ ...SLACK, AI_BACKEND: 'opencode', OPENCODE_SERVER_URL: 'http://127.0.0.1:4096' }, BACKENDS);
+    assert.strictEqual(result.aiBackend, 'opencode-server');
+    assert.deepStrictEqual(setupGuides(['slack'], result.aiBackend), ['README.md', 'OPENCODE_SETUP.md']);
+  });
+
+  it('should warn about settings the backend ignores', () => {
+    const result = resolveSelection({ ...SLACK, AI_BACKEND: 'codex', PERMISSION_APPROVALS: 'true' }, BACKENDS);
+    assert.deepStrictEqual(result.errors, []);
+    assert.match(result.warnings[0], /PERMISSION_APPROVALS only applies to AI_BACKEND=claude/);
+  });
+});
+
+describe('providerConfig', () => {
+  it('should use the od prefix on every platform', () => {
+    for (const name of ['slack', 'teams', 'discord']) {
+      assert.strictEqual(providerConfig(name, {}).commandPrefix, 'od');
+    }
+  });
+
+  it('should accept both Teams credential names', () => {
+    const config = providerConfig('teams', { TEAMS_APP_ID: 'id', MICROSOFT_APP_PASSWORD: 'pw', PORT: '4000' });
+    assert.strictEqual(config.appId, 'id');
+    assert.strictEqual(config.appPassword, 'pw');
+    assert.strictEqual(config.port, 4000);
+  });
+});
+
+describe('backendOptions', () => {
+  it('should pass each backend its model and shared stores', () => {
+    const shared = { stateStore: {}, jobStore: {}, permissionBridge: {} };
+    const env = { CLAUDE_MODEL: 'opus', OPENCODE_MODEL: 'openai/gpt-4o' };
+
+    assert.deepStrictEqual(backendOptions('claude', env, shared), { model: 'opus', stateStore: shared.stateStore, permissionBridge: shared.permissionBridge });
+    assert.deepStrictEqual(backendOptions('opencode-server', env, shared), { model: 'openai/gpt-4o', stateStore: shared.stateStore });
+    assert.deepStrictEqual(backendOptions('sprite', env, shared), { stateStore: shared.stateStore, jobStore: shared.jobStore });
+    assert.deepStrictEqual(backendOptions('codex', env, shared), { stateStore: shared.stateStore });
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * Tests for the per-instance prompt queue
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { createQueueManager } = require('../src/instance-queue');
+
+/**
+ * Create a task whose completion is controlled by the test.
+ */
+function createDeferredTask(log, name) {
+  let finish;
+  const finished = new Promise(r => { finish = r; });
+  return {
+    finish: (value) => finish(value),
+    run: async () => {
+      log.push(`start:${name}`);
+      const value = await finished;
+      log.push(`end:${name}`);
+      return value;
+    }
+  };
+}
+
+describe('Instance Queue', () => {
+  let queue;
+  let log;
+
+  beforeEach(() => {
+    queue = createQueueManager({ maxDepth: 2 });
+    log = [];
+  });
+
+  it('should run immediately when the instance is idle', async () => {
+    const result = queue.enqueue('bot', { prompt: 'hello', run: async () => 'done' });
+
+    assert.strictEqual(result.accepted, true);
+    assert.strictEqual(result.position, 0);
+    assert.strictEqual(await result.done, 'done');
+    assert.strictEqual(queue.isBusy('bot'), false);
+  });
+
+  it('should queue prompts behind a running one in FIFO order', async () => {
+    const a = createDeferredTask(log, 'a');
+    const b = createDeferredTask(log, 'b');
+    const c = createDeferredTask(log, 'c');
+
+    const ra = queue.enqueue('bot', { prompt: 'a', run: a.run });
+    const rb = queue.enqueue('bot', { prompt: 'b', run: b.run });
+    const rc = queue.enqueue('bot', { prompt: 'c', run: c.run });
+
+    assert.strictEqual(ra.position, 0);
+    assert.strictEqual(rb.position, 1);
+    assert.strictEqual(rc.position, 2);
+
+    a.finish();
+    await ra.done;
+    b.finish();
+    await rb.done;
+    c.finish();
+    await rc.done;
+
+    assert.deepStrictEqual(log, ['start:a', 'end:a', 'start:b', 'end:b', 'start:c', 'end:c']);
+  });
+
+  it('should keep separate queues per instance', async () => {
+    const a = createDeferredTask(log, 'a');
+    const ra = queue.enqueue('bot-a', { prompt: 'a', run: a.run });
+    const rb = queue.enqueue('bot-b', { prompt: 'b', run: async () => 'b' });
+
+    assert.strictEqual(ra.position, 0);
+    assert.strictEqual(rb.position, 0);
+    assert.strictEqual(await rb.done, 'b');
+
+    a.finish();
+    await ra.done;
+  });
+
+  it('should reject prompts beyond max depth', async () => {
+    const a = createDeferredTask(log, 'a');
+    queue.enqueue('bot', { prompt: 'a', run: a.run });
+    queue.enqueue('bot', { prompt: 'b', run: async () => {} });
+    queue.enqueue('bot', { prompt: 'c', run: async () => {} });
+
+    const rejected = queue.enqueue('bot', { prompt: 'd', run: async () => {} });
+
+    assert.strictEqual(rejected.accepted, false);
+    assert.strictEqual(rejected.done, null);
+    assert.ok(rejected.error.includes('full'));
+
+    a.finish();
+  });
+
+  it('should inspect running and pending prompts', async () => {
+    const a = createDeferredTask(log, 'a');
+    queue.enqueue('bot', { prompt: 'first', userId: 'U1', run: a.run });
+    queue.enqueue('bot', { prompt: 'second', userId: 'U2', run: async () => {} });
+
+    // Let the first entry start
+    await new Promise(r => setImmediate(r));
+
+    const info = queue.inspect('bot');
+    assert.strictEqual(info.running.prompt, 'first');
+    assert.ok(info.running.startedAt instanceof Date);
+    assert.strictEqual(info.pending.length, 1);
+    assert.strictEqual(info.pending[0].position, 1);
+    assert.strictEqual(info.pending[0].prompt, 'second');
+    assert.strictEqual(info.pending[0].userId, 'U2');
+    assert.strictEqual(queue.depth('bot'), 1);
+
+    a.finish();
+  });
+
+  it('should return an empty view for unknown instances', () => {
+    assert.deepStrictEqual(queue.inspect('nope'), { running: null, pending: [] });
+    assert.strictEqual(queue.depth('nope'), 0);
+    assert.strictEqual(queue.isBusy('nope'), false);
+  });
+
+  it('should clear pending prompts without running them', async () => {
+    const a = createDeferredTask(log, 'a');
+    const ra = queue.enqueue('bot', { prompt: 'a', run: a.run });
+    const rb = queue.enqueue('bot', { prompt: 'b', run: async () => log.push('ran:b') });
+
+    assert.strictEqual(queue.clear('bot'), 1);
+    assert.deepStrictEqual(await rb.done, { cancelled: true });
+
+    a.finish();
+    await ra.done;
+    await new Promise(r => setImmediate(r));
+
+    assert.ok(!log.includes('ran:b'));
+    assert.strictEqual(queue.isBusy('bot'), false);
+  });
+
+  it('should continue with the next prompt after a failure', async () => {
+    const ra = queue.enqueue('bot', {
+      prompt: 'a',
+      run: async () => { throw new Error('boom'); }
+    });
+    const rb = queue.enqueue('bot', { prompt: 'b', run: async () => 'ok' });
+
+    await assert.rejects(ra.done, /boom/);
+    assert.strictEqual(await rb.done, 'ok');
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * Tests for the durable job store
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Job, JobStatus } = require('../src/job');
+const {
+  createJobStore,
+  createMemoryJobStore,
+  createFileJobStore
+} = require('../src/job-store');
+
+/**
+ * Create a job with a fixed creation time so ordering is deterministic
+ */
+function makeJob(overrides = {}, minutesAgo = 0) {
+  const job = new Job({
+    command: 'claude -p "task"',
+    channelId: 'C1',
+    userId: 'U1',
+    ...overrides
+  });
+  job.createdAt = new Date(Date.UTC(2024, 0, 1, 12, 0) - minutesAgo * 60000);
+  return job;
+}
+
+/**
+ * Shared contract every implementation must satisfy
+ */
+function describeJobStoreContract(name, makeStore) {
+  describe(`${name} contract`, () => {
+    let store;
+
+    beforeEach(() => {
+      store = makeStore();
+    });
+
+    afterEach(() => {
+      store.close();
+    });
+
+    it('should round-trip a job with logs and artifacts', () => {
+      const job = makeJob();
+      job.start('machine-1');
+      job.addLog('hello');
+      job.addArtifact({ name: 'PR', url: 'https://example.com/pr/1' });
+      job.complete(0);
+      store.save(job);
+
+      const loaded = store.get(job.jobId);
+      assert.ok(loaded instanceof Job);
+      assert.strictEqual(loaded.status, JobStatus.COMPLETED);
+      assert.strictEqual(loaded.logs[0].message, 'hello');
+      assert.strictEqual(loaded.artifacts[0].url, 'https://example.com/pr/1');
+      assert.strictEqual(loaded.machineId, 'machine-1');
+      assert.ok(loaded.completedAt instanceof Date);
+      assert.strictEqual(loaded.jobToken, null);
+    });
+
+    it('should return null for unknown jobs', () => {
+      assert.strictEqual(store.get('missing'), null);
+    });
+
+    it('should update an existing job on save', () => {
+      const job = makeJob();
+      store.save(job);
+      job.fail('boom');
+      store.save(job);
+
+      assert.strictEqual(store.get(job.jobId).status, JobStatus.FAILED);
+      assert.strictEqual(store.list().total, 1);
+    });
+
+    it('should list newest first with pagination', () => {
+      const jobs = [3, 2, 1, 0].map(minutesAgo => makeJob({}, minutesAgo));
+      for (const job of jobs) store.save(job);
+
+      const first = store.list({ limit: 2 });
+      assert.strictEqual(first.total, 4);
+      assert.deepStrictEqual(first.jobs.map(j => j.jobId), [jobs[3].jobId, jobs[2].jobId]);
+
+      const second = store.list({ limit: 2, offset: 2 });
+      assert.deepStrictEqual(second.jobs.map(j => j.jobId), [jobs[1].jobId, jobs[0].jobId]);
+    });
+
+    it('should filter by channel, status and user', () => {
+      const a = makeJob({ channelId: 'C1', userId: 'U1' }, 2);
+      const b = makeJob({ channelId: 'C2', userId: 'U1' }, 1);
+      const c = makeJob({ channelId: 'C1', userId: 'U2' }, 0);
+      c.fail('boom');
+      for (const job of [a, b, c]) store.save(job);
+
+      assert.deepStrictEqual(store.list({ channelId: 'C1' }).jobs.map(j => j.jobId), [c.jobId, a.jobId]);
+      assert.deepStrictEqual(store.list({ userId: 'U1' }).jobs.map(j => j.jobId), [b.jobId, a.jobId]);
+      assert.deepStrictEqual(store.list({ status: JobStatus.FAILED }).jobs.map(j => j.jobId), [c.jobId]);
+      assert.strictEqual(store.list({ channelId: 'C2', userId: 'U2' }).total, 0);
+    });
+
+    it('should find job IDs by prefix', () => {
+      for (const jobId of ['abc12345-0000', 'abc12345-1111', 'abd00000-0000']) {
+        store.save(makeJob({ jobId }));
+      }
+
+      assert.deepStrictEqual(store.findIds('abc12345').sort(), ['abc12345-0000', 'abc12345-1111']);
+      assert.deepStrictEqual(store.findIds('abd'), ['abd00000-0000']);
+      assert.deepStrictEqual(store.findIds('abc1_'), []);
+    });
+  });
+}
+
+describe('Job Store', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'od-jobs-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describeJobStoreContract('memory', () => createMemoryJobStore());
+  describeJobStoreContract('file', () => createFileJobStore({ dirPath: path.join(tmpDir, 'jobs') }));
+
+  describe('file', () => {
+    it('should survive reopening the directory', () => {
+      const dirPath = path.join(tmpDir, 'jobs');
+      const job = makeJob();
+      createFileJobStore({ dirPath }).save(job);
+
+      const reopened = createFileJobStore({ dirPath });
+      assert.strictEqual(reopened.get(job.jobId).command, job.command);
+      assert.strictEqual(reopened.list().total, 1);
+    });
+
+    it('should rebuild a corrupt index from the job files', () => {
+      const dirPath = path.join(tmpDir, 'jobs');
+      const job = makeJob();
+      createFileJobStore({ dirPath }).save(job);
+      fs.writeFileSync(path.join(dirPath, 'index.json'), '{oops');
+
+      const originalError = console.error;
+      console.error = () => {};
+      let reopened;
+      try {
+        reopened = createFileJobStore({ dirPath });
+      } finally {
+        console.error = originalError;
+      }
+
+      assert.deepStrictEqual(reopened.list().jobs.map(j => j.jobId), [job.jobId]);
+    });
+
+    it('should refuse job IDs that could escape the directory', () => {
+      const store = createFileJobStore({ dirPath: path.join(tmpDir, 'jobs') });
+      assert.throws(() => store.save(makeJob({ jobId: '../evil' })), /Invalid job ID/);
+      assert.strictEqual(store.get('../evil'), null);
+    });
+  });
+
+  describe('createJobStore', () => {
+    it('should create the requested type', () => {
+      assert.strictEqual(createJobStore({ type: 'memory' }).type, 'memory');
+      const store = createJobStore({ type: 'file', path: path.join(tmpDir, 'jobs') });
+      assert.strictEqual(store.type, 'file');
+      assert.strictEqual(store.dirPath, path.join(tmpDir, 'jobs'));
+    });
+
+    it('should reject unknown types', () => {
+      assert.throws(() => createJobStore({ type: 'mongo' }), /Unknown job store/);
+    });
+  });
+});
@@ -139,6 +139,40 @@ describe('Job', () => {
     });
   });
 
+  describe('cancel', () => {
+    it('should set status to cancelled with a reason', () => {
+      job.start('m1');
+      job.cancel();
+      assert.strictEqual(job.status, JobStatus.CANCELLED);
+      assert.strictEqual(job.error, 'Cancelled by user');
+      assert.ok(job.completedAt instanceof Date);
+    });
+
+    it('should not be overridden by late complete or fail', () => {
+      job.start('m1');
+      job.cancel('stop it');
+      job.complete(0);
+      job.fail('late failure');
+      assert.strictEqual(job.status, JobStatus.CANCELLED);
+      assert.strictEqual(job.error, 'stop it');
+    });
+
+    it('should stay cancelled if the Machine starts afterwards', () => {
+      job.cancel();
+      job.start('m1');
+      assert.strictEqual(job.status, JobStatus.CANCELLED);
+      assert.strictEqual(job.machineId, 'm1');
+    });
+
+    it('should not be considered timed out', () => {
+      job = new Job({ command: 'c', channelId: 'ch', timeoutMs: 1 });
+      job.start('m1');
+      job.cancel();
+      job.lastActivityAt = new Date(Date.now() - 100);
+      assert.strictEqual(job.isTimedOut(), false);
+    });
+  });
+
   describe('addLog', () => {
     it('should append log entries', () => {
       job.addLog('line 1');
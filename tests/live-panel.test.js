@@ -0,0 +1,117 @@
+/**
+ * Tests for the live progress panel
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { createLivePanel, formatElapsed } = require('../src/live-panel');
+
+/**
+ * Chat provider that keeps each message's latest text
+ */
+function createFakeProvider({ maxMessageLength = 4000, canEdit = true } = {}) {
+  const messages = new Map();
+  const posts = [];
+  return {
+    messages,
+    posts,
+    maxMessageLength,
+    async sendMessage(channelId, text) {
+      const messageId = `m${messages.size + 1}`;
+      messages.set(messageId, text);
+      posts.push(text);
+      return { messageId };
+    },
+    async sendLongMessage(channelId, text) {
+      posts.push(text);
+    },
+    async editMessage(channelId, messageId, text) {
+      if (!canEdit) return false;
+      messages.set(messageId, text);
+      return true;
+    }
+  };
+}
+
+// Timers off: tests flush explicitly
+const manual = { flushDelay: 60000, tickInterval: 0 };
+
+describe('Live Panel', () => {
+  it('should keep editing one message with the latest lines', async () => {
+    const provider = createFakeProvider();
+    const panel = createLivePanel(provider, 'C1', { ...manual, codeBlock: false, maxLines: 2 });
+
+    panel.push('🔧 Read src/app.js');
+    await panel.flush();
+    panel.setActivity('Bash `npm test`');
+    panel.push('🔧 Edited src/app.js');
+    panel.push('🔧 Ran `npm test` (exit 0)');
+    await panel.flush();
+
+    assert.strictEqual(provider.posts.length, 1);
+    assert.strictEqual(
+      provider.messages.get('m1'),
+      '_⏳ Running · 0s · Bash `npm test`_\n🔧 Edited src/app.js\n🔧 Ran `npm test` (exit 0)'
+    );
+
+    await panel.close();
+    assert.match(provider.messages.get('m1'), /^_Ran for 0s_\n🔧 Edited/);
+    panel.push('late');
+    await panel.flush();
+    assert.strictEqual(provider.posts.length, 1);
+  });
+
+  it('should not post until there is output', async () => {
+    const provider = createFakeProvider();
+    const panel = createLivePanel(provider, 'C1', manual);
+
+    panel.setActivity('Read a file');
+    await panel.close();
+
+    assert.deepStrictEqual(provider.posts, []);
+  });
+
+  it('should split log output into lines inside a code block', async () => {
+    const provider = createFakeProvider();
+    const panel = createLivePanel(provider, 'C1', { ...manual, maxLines: 2 });
+
+    panel.push('one\ntwo\nthree');
+    await panel.flush();
+
+    assert.strictEqual(provider.messages.get('m1'), '_⏳ Running · 0s_\n```\ntwo\nthree\n```');
+    panel.destroy();
+  });
+
+  it('should continue in a new message at the size limit', async () => {
+    const provider = createFakeProvider({ maxMessageLength: 60 });
+    const panel = createLivePanel(provider, 'C1', { ...manual, codeBlock: false });
+
+    panel.push('first line of the output');
+    await panel.flush();
+    panel.push('second line of the output');
+    await panel.flush();
+
+    assert.strictEqual(provider.messages.get('m1'), '_continued below_\nfirst line of the output');
+    assert.strictEqual(provider.messages.get('m2'), '_⏳ Running · 0s_\nsecond line of the output');
+    panel.destroy();
+  });
+
+  it('should post batches when the platform cannot edit', async () => {
+    const provider = createFakeProvider({ canEdit: false });
+    const panel = createLivePanel(provider, 'C1', manual);
+
+    panel.push('one');
+    await panel.flush();
+    panel.push('two');
+    panel.push('three');
+    await panel.close();
+
+    assert.deepStrictEqual(provider.posts, ['_⏳ Running · 0s_\n```\none\n```', '```\ntwo\nthree\n```']);
+  });
+
+  it('should format elapsed time', () => {
+    assert.strictEqual(formatElapsed(42000), '42s');
+    assert.strictEqual(formatElapsed(185000), '3m 05s');
+    assert.strictEqual(formatElapsed(3720000), '1h 02m');
+  });
+});
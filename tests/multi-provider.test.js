@@ -0,0 +1,178 @@
+/**
+ * Tests for running several chat providers behind one bot engine
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const { ChatProvider, createProvider } = require('../src/providers/chat-provider');
+const { MultiProvider } = require('../src/providers/multi-provider');
+const { createBotEngine } = require('../src/bot-engine');
+
+/**
+ * Provider that records what it sends and lets tests simulate commands
+ */
+class FakeProvider extends ChatProvider {
+  constructor(name, { maxMessageLength = 1000, supportsCards = false } = {}) {
+    super({});
+    this._name = name;
+    this._maxMessageLength = maxMessageLength;
+    this._supportsCards = supportsCards;
+    this.sent = [];
+    this.cards = [];
+    this.started = false;
+  }
+
+  get name() { return this._name; }
+  get maxMessageLength() { return this._maxMessageLength; }
+  get supportsCards() { return this._supportsCards; }
+
+  async initialize() {}
+  async start() { this.started = true; }
+  async stop() { this.started = false; }
+  async sendMessage(channelId, text) {
+    this.sent.push({ channelId, text });
+    return { messageId: `${this._name}-${this.sent.length}` };
+  }
+  async sendCard(channelId, card) {
+    if (!this._supportsCards) return super.sendCard(channelId, card);
+    this.cards.push({ channelId, card });
+    return { messageId: 'card' };
+  }
+  async sendTypingIndicator() {}
+  async deleteMessage() { return true; }
+
+  simulateCommand(command, args, channelId) {
+    const ctx = this._createContext({ channelId, userId: 'U1' });
+    return this._emitCommand(ctx, command, args);
+  }
+
+  simulateMessage(text, channelId) {
+    const ctx = this._createContext({ channelId, userId: 'U1' });
+    return this._emitMessage(ctx, text);
+  }
+}
+
+/**
+ * In-memory backend keyed by the channel IDs the engine hands it
+ */
+function createBackend() {
+  const instances = new Map();
+  const messages = [];
+  return {
+    messages,
+    startInstance(instanceId, projectDir, channelId) {
+      instances.set(instanceId, { projectDir, channelId, startedAt: new Date(), messageCount: 0 });
+      return { success: true, sessionId: 'session-abc' };
+    },
+    stopInstance(instanceId) {
+      if (!instances.delete(instanceId)) return { success: false, error: `Instance "${instanceId}" not found` };
+      return { success: true };
+    },
+    getInstance: (instanceId) => instances.get(instanceId) || null,
+    getInstanceByChannel(channelId) {
+      for (const [instanceId, instance] of instances) {
+        if (instance.channelId === channelId) return { instanceId, instance };
+      }
+      return null;
+    },
+    listInstances: () => [...instances].map(([instanceId, inst]) => ({ instanceId, ...inst })),
+    async sendToInstance(instanceId, message) {
+      messages.push({ instanceId, message });
+      return { success: true, responses: [`echo: ${message}`] };
+    }
+  };
+}
+
+describe('MultiProvider', () => {
+  let slack;
+  let teams;
+  let multi;
+
+  beforeEach(() => {
+    slack = new FakeProvider('slack', { maxMessageLength: 4000 });
+    teams = new FakeProvider('teams', { maxMessageLength: 25000, supportsCards: true });
+    multi = createProvider('multi', { providers: [slack, teams] });
+  });
+
+  it('should combine the providers it wraps', async () => {
+    assert.ok(multi instanceof MultiProvider);
+    assert.strictEqual(multi.name, 'slack+teams');
+    assert.strictEqual(multi.maxMessageLength, 4000);
+    assert.strictEqual(multi.supportsCards, true);
+
+    await multi.start();
+    assert.ok(slack.started && teams.started);
+    await multi.stop();
+    assert.ok(!slack.started && !teams.started);
+  });
+
+  it('should reject duplicate or missing providers', () => {
+    assert.throws(() => new MultiProvider({ providers: [] }), /at least one provider/);
+    assert.throws(() => new MultiProvider({ providers: [slack, new FakeProvider('slack')] }), /got slack twice/);
+  });
+
+  it('should route outgoing messages by namespace', async () => {
+    await multi.sendMessage('teams:19:abc@thread.tacv2', 'hi');
+    await multi.sendCard('slack:C1', { title: 'Status' });
+
+    assert.deepStrictEqual(teams.sent, [{ channelId: '19:abc@thread.tacv2', text: 'hi' }]);
+    assert.deepStrictEqual(slack.sent, [{ channelId: 'C1', text: '**Status**' }]);
+    await assert.rejects(() => multi.sendMessage('discord:1', 'hi'), /No provider for channel discord:1/);
+  });
+
+  it('should chunk long messages to the target platform limit', async () => {
+    await multi.sendLongMessage('teams:T1', 'x'.repeat(5000));
+    assert.strictEqual(teams.sent.length, 1);
+  });
+
+  it('should namespace incoming events and reply on the original platform', async () => {
+    const seen = [];
+    multi.onCommand(async (ctx, command) => {
+      seen.push([ctx.channelId, ctx.userId, ctx.provider, command]);
+      await ctx.reply('ok');
+    });
+
+    await slack.simulateCommand('list', '', 'C1');
+
+    assert.deepStrictEqual(seen, [['slack:C1', 'slack:U1', 'slack', 'list']]);
+    assert.deepStrictEqual(slack.sent, [{ channelId: 'C1', text: 'ok' }]);
+  });
+
+  it('should pass handler errors on with the namespaced context', async () => {
+    const errors = [];
+    multi.onCommand(async () => { throw new Error('boom'); });
+    multi.onError(async (error, ctx) => { errors.push([error.message, ctx.channelId]); });
+
+    await teams.simulateCommand('start', '', 'T1');
+
+    assert.deepStrictEqual(errors, [['boom', 'teams:T1']]);
+  });
+});
+
+describe('Bot Engine with several providers', () => {
+  it('should share one instance table across platforms', async () => {
+    const slack = new FakeProvider('slack');
+    const teams = new FakeProvider('teams');
+    const aiBackend = createBackend();
+    createBotEngine({ chatProvider: new MultiProvider({ providers: [slack, teams] }), aiBackend, aiName: 'TestAI' });
+
+    await slack.simulateCommand('start', 'api /tmp', 'C1');
+    assert.strictEqual(aiBackend.getInstance('api').channelId, 'slack:C1');
+
+    // Listed from Teams
+    await teams.simulateCommand('list', '', 'T1');
+    assert.match(teams.sent.at(-1).text, /api/);
+
+    // Plain messages only reach the instance bound to that platform's channel
+    await teams.simulateMessage('hello from teams', 'C1');
+    assert.deepStrictEqual(aiBackend.messages, []);
+    await slack.simulateMessage('hello from slack', 'C1');
+    assert.deepStrictEqual(aiBackend.messages, [{ instanceId: 'api', message: 'hello from slack' }]);
+    assert.ok(slack.sent.some(m => m.channelId === 'C1' && m.text.includes('echo: hello from slack')));
+
+    // Stopped from Teams
+    await teams.simulateCommand('stop', 'api', 'T1');
+    assert.strictEqual(aiBackend.getInstance('api'), null);
+  });
+});
@@ -5,8 +5,10 @@ const {
   parseOpenCodeOutput,
   extractEventText,
   extractTextContent,
+  extractUsage,
   chunkText
 } = require('../src/opencode-core');
+const { createMemoryStateStore } = require('../src/state-store');
 
 const EventEmitter = require('events');
 
@@ -148,6 +150,28 @@ describe('Instance Manager', () => {
       assert.ok(args.includes('-m'));
       assert.ok(args.includes('openai/gpt-4o'));
     });
+
+    it('should prefer the instance model over the default', () => {
+      const managerWithModel = createInstanceManager({ model: 'openai/gpt-4o' });
+      const args = managerWithModel.buildArgs('Hello', '/project', 'session-123', false, 'anthropic/claude-sonnet-4-20250514');
+
+      assert.strictEqual(args[args.indexOf('-m') + 1], 'anthropic/claude-sonnet-4-20250514');
+      assert.ok(!args.includes('openai/gpt-4o'));
+    });
+  });
+
+  describe('setModel', () => {
+    it('should store the model on the instance and reset it with null', () => {
+      manager.startInstance('bot', '/project', 'C1', { model: 'openai/gpt-4o' });
+      assert.strictEqual(manager.getInstance('bot').model, 'openai/gpt-4o');
+
+      assert.strictEqual(manager.setModel('bot', 'openai/o3').success, true);
+      assert.strictEqual(manager.getInstance('bot').model, 'openai/o3');
+
+      manager.setModel('bot', null);
+      assert.strictEqual(manager.getInstance('bot').model, null);
+      assert.strictEqual(manager.setModel('ghost', 'x').success, false);
+    });
   });
 });
 
@@ -211,6 +235,139 @@ describe('sendToInstance', () => {
   });
 });
 
+describe('cancelInstance', () => {
+  /**
+   * Spawn a process that never exits on its own; kill() records the
+   * signal and closes it.
+   */
+  function createHangingSpawn(signals, { ignoreSigint = false } = {}) {
+    return function hangingSpawn() {
+      const proc = new EventEmitter();
+      proc.stdout = new EventEmitter();
+      proc.stderr = new EventEmitter();
+      proc.exitCode = null;
+      proc.kill = (signal) => {
+        signals.push(signal);
+        if (signal === 'SIGINT' && ignoreSigint) return;
+        setImmediate(() => proc.emit('close', null));
+      };
+      return proc;
+    };
+  }
+
+  it('should interrupt the running process and resolve as cancelled', async () => {
+    const signals = [];
+    const manager = createInstanceManager({ spawnFn: createHangingSpawn(signals) });
+    manager.startInstance('test', '/project', 'channel');
+
+    const sendPromise = manager.sendToInstance('test', 'Hello');
+    const cancelResult = manager.cancelInstance('test');
+    const result = await sendPromise;
+
+    assert.strictEqual(cancelResult.success, true);
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.cancelled, true);
+    assert.deepStrictEqual(signals, ['SIGINT']);
+    assert.strictEqual(manager.getInstance('test').activeRun, null);
+  });
+
+  it('should escalate to SIGKILL when SIGINT is ignored', async () => {
+    const signals = [];
+    const manager = createInstanceManager({
+      spawnFn: createHangingSpawn(signals, { ignoreSigint: true }),
+      killGraceMs: 10
+    });
+    manager.startInstance('test', '/project', 'channel');
+
+    const sendPromise = manager.sendToInstance('test', 'Hello');
+    manager.cancelInstance('test');
+    const result = await sendPromise;
+
+    assert.strictEqual(result.cancelled, true);
+    assert.deepStrictEqual(signals, ['SIGINT', 'SIGKILL']);
+  });
+
+  it('should fail when nothing is running', () => {
+    const manager = createInstanceManager();
+    manager.startInstance('test', '/project', 'channel');
+
+    assert.strictEqual(manager.cancelInstance('test').success, false);
+    assert.strictEqual(manager.cancelInstance('nonexistent').success, false);
+  });
+});
+
+describe('state persistence', () => {
+  it('should restore instances and session IDs after a restart', async () => {
+    const stateStore = createMemoryStateStore();
+    const mockOutput = JSON.stringify({ sessionId: 'ses_abc', response: 'OK' });
+    const first = createInstanceManager({ stateStore, spawnFn: createMockSpawn(mockOutput) });
+
+    first.startInstance('test', '/project', 'channel');
+    await first.sendToInstance('test', 'Hello');
+
+    const second = createInstanceManager({ stateStore });
+    const restored = second.getInstance('test');
+    assert.strictEqual(restored.sessionId, 'ses_abc');
+    assert.strictEqual(restored.projectDir, '/project');
+    assert.strictEqual(restored.messageCount, 1);
+    assert.ok(restored.startedAt instanceof Date);
+    assert.strictEqual(second.getInstanceByChannel('channel').instanceId, 'test');
+
+    // The next message resumes the saved session
+    const args = second.buildArgs('Next', restored.projectDir, restored.sessionId, false);
+    assert.ok(args.includes('ses_abc'));
+  });
+
+  it('should forget stopped instances', () => {
+    const stateStore = createMemoryStateStore();
+    const first = createInstanceManager({ stateStore });
+    first.startInstance('test', '/project', 'channel');
+    first.stopInstance('test');
+
+    assert.strictEqual(createInstanceManager({ stateStore }).getInstance('test'), null);
+  });
+});
+
+describe('extractUsage', () => {
+  const stepFinish = (input, output, cost) => JSON.stringify({
+    type: 'step_finish',
+    part: { tokens: { input, output, reasoning: 0, cache: { read: 10, write: 0 } }, cost }
+  });
+
+  it('should sum tokens and cost across steps', () => {
+    const output = [
+      JSON.stringify({ type: 'text', part: { text: 'hi' } }),
+      stepFinish(100, 20, 0.01),
+      stepFinish(200, 30, 0.02)
+    ].join('\n');
+
+    const usage = extractUsage(output);
+    assert.strictEqual(usage.inputTokens, 320);
+    assert.strictEqual(usage.outputTokens, 50);
+    assert.ok(Math.abs(usage.costUsd - 0.03) < 1e-9);
+  });
+
+  it('should return null when no usage is reported', () => {
+    assert.strictEqual(extractUsage(JSON.stringify({ response: 'hi' })), null);
+    assert.strictEqual(extractUsage(''), null);
+  });
+
+  it('should accumulate usage and record the last prompt on the instance', async () => {
+    const manager = createInstanceManager({ spawnFn: createMockSpawn(stepFinish(100, 20, 0.01) + '\n') });
+    manager.startInstance('test', '/project', 'channel');
+
+    const result = await manager.sendToInstance('test', 'First');
+    await manager.sendToInstance('test', 'Second');
+
+    const instance = manager.getInstance('test');
+    assert.strictEqual(result.usage.inputTokens, 110);
+    assert.strictEqual(instance.usage.inputTokens, 220);
+    assert.strictEqual(instance.usage.outputTokens, 40);
+    assert.strictEqual(instance.lastPrompt, 'Second');
+    assert.ok(instance.lastActivityAt instanceof Date);
+  });
+});
+
 describe('parseOpenCodeOutput', () => {
   it('should handle empty output', () => {
     assert.deepStrictEqual(parseOpenCodeOutput(''), { texts: [], sessionId: null });
@@ -0,0 +1,298 @@
+/**
+ * Tests for the OpenCode server-mode backend, run against a local fake
+ * `opencode serve` that speaks the same HTTP API and event stream.
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const EventEmitter = require('events');
+const { createInstanceManager, parseModel, extractUsage } = require('../src/opencode-server-core');
+const { createMemoryStateStore } = require('../src/state-store');
+
+const TOKENS = { input: 100, output: 20, reasoning: 5, cache: { read: 50, write: 0 } };
+
+/**
+ * Fake OpenCode server. `reply(sessionId, body, server)` scripts each
+ * message: it may broadcast events and returns the { info, parts } response
+ * (or a promise for it).
+ */
+function createFakeServer(reply) {
+  const server = {
+    requests: [],
+    streams: new Set(),
+    aborted: [],
+    onAbort: null,
+    broadcast(type, properties) {
+      for (const res of server.streams) {
+        res.write(`data: ${JSON.stringify({ type, properties })}\n\n`);
+      }
+    }
+  };
+
+  server.http = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', async () => {
+      const body = raw ? JSON.parse(raw) : null;
+      server.requests.push({ method: req.method, path: url.pathname, directory: url.searchParams.get('directory'), body });
+      const json = (value) => {
+        res.writeHead(200, { 'content-type': 'application/json' });
+        res.end(JSON.stringify(value));
+      };
+
+      if (req.method === 'GET' && url.pathname === '/event') {
+        res.writeHead(200, { 'content-type': 'text/event-stream' });
+        res.write(`data: ${JSON.stringify({ type: 'server.connected', properties: {} })}\n\n`);
+        server.streams.add(res);
+        res.on('close', () => server.streams.delete(res));
+        return;
+      }
+      if (req.method === 'POST' && url.pathname === '/session') {
+        json({ id: `ses_${server.requests.length}`, title: body.title });
+        return;
+      }
+      const match = url.pathname.match(/^\/session\/([^/]+)\/(message|abort)$/);
+      if (match && match[2] === 'message') {
+        json(await reply(match[1], body, server));
+        return;
+      }
+      if (match && match[2] === 'abort') {
+        server.aborted.push(match[1]);
+        if (server.onAbort) server.onAbort();
+        json(true);
+        return;
+      }
+      res.writeHead(404);
+      res.end('not found');
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.http.listen(0, '127.0.0.1', () => {
+      server.url = `http://127.0.0.1:${server.http.address().port}`;
+      resolve(server);
+    });
+  });
+}
+
+async function closeServer(server) {
+  for (const res of server.streams) res.end();
+  const closed = new Promise(resolve => server.http.close(resolve));
+  server.http.closeAllConnections();
+  await closed;
+}
+
+function textPart(sessionID, id, text) {
+  return { id, sessionID, messageID: 'msg_a', type: 'text', text, time: { start: 1, end: 2 } };
+}
+
+/** A reply that edits a file, runs a failing command, then answers */
+function scriptedReply(sessionID, body, server) {
+  server.broadcast('message.updated', { info: { id: 'msg_u', sessionID, role: 'user' } });
+  server.broadcast('message.part.updated', { part: { id: 'prt_u', sessionID, messageID: 'msg_u', type: 'text', text: body.parts[0].text } });
+  server.broadcast('message.updated', { info: { id: 'msg_a', sessionID, role: 'assistant' } });
+  server.broadcast('message.part.updated', { part: { id: 'prt_1', sessionID, messageID: 'msg_a', type: 'text', text: 'Fixing it', time: { start: 1 } } });
+  server.broadcast('message.part.updated', { part: textPart(sessionID, 'prt_1', 'Fixing it') });
+  server.broadcast('message.part.updated', { part: { id: 'prt_2', sessionID, messageID: 'msg_a', type: 'tool', tool: 'edit', callID: 'call_1', state: { status: 'pending', input: {} } } });
+  server.broadcast('message.part.updated', { part: { id: 'prt_2', sessionID, messageID: 'msg_a', type: 'tool', tool: 'edit', callID: 'call_1', state: { status: 'running', input: { filePath: '/proj/src/app.js' } } } });
+  server.broadcast('message.part.updated', { part: { id: 'prt_2', sessionID, messageID: 'msg_a', type: 'tool', tool: 'edit', callID: 'call_1', state: { status: 'completed', input: { filePath: '/proj/src/app.js' }, output: '' } } });
+  server.broadcast('message.part.updated', { part: { id: 'prt_9', sessionID: 'ses_other', messageID: 'msg_x', type: 'text', text: 'Not ours', time: { start: 1, end: 2 } } });
+
+  return new Promise((resolve) => {
+    // Give the event stream a moment to deliver before the reply lands
+    setTimeout(() => resolve({
+      info: { id: 'msg_a', role: 'assistant', tokens: TOKENS, cost: 0.01 },
+      parts: [
+        textPart(sessionID, 'prt_1', 'Fixing it'),
+        { id: 'prt_2', sessionID, messageID: 'msg_a', type: 'tool', tool: 'edit', callID: 'call_1', state: { status: 'completed', input: { filePath: '/proj/src/app.js' }, output: '' } },
+        { id: 'prt_3', sessionID, messageID: 'msg_a', type: 'tool', tool: 'bash', callID: 'call_2', state: { status: 'completed', input: { command: 'npm test' }, output: '1 failing', metadata: { exit: 1 } } },
+        textPart(sessionID, 'prt_4', 'Done.')
+      ]
+    }), 20);
+  });
+}
+
+describe('OpenCode Server Backend', () => {
+  let server;
+  let manager;
+
+  beforeEach(async () => {
+    server = await createFakeServer(scriptedReply);
+    manager = createInstanceManager({ serverUrl: server.url });
+  });
+
+  afterEach(async () => {
+    await closeServer(server);
+  });
+
+  it('should create a server session for each instance', async () => {
+    const result = await manager.startInstance('api', '/proj', 'C1');
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.sessionId, 'ses_1');
+    assert.strictEqual(manager.getInstance('api').sessionId, 'ses_1');
+    assert.deepStrictEqual(server.requests[0], { method: 'POST', path: '/session', directory: '/proj', body: { title: 'api' } });
+
+    const again = await manager.startInstance('api', '/proj', 'C2');
+    assert.strictEqual(again.success, false);
+    assert.ok(again.error.includes('already running'));
+  });
+
+  it('should stream replies and tool events from the event stream', async () => {
+    await manager.startInstance('api', '/proj', 'C1', { model: 'anthropic/claude-sonnet-4' });
+    const texts = [];
+    const events = [];
+
+    const result = await manager.sendToInstance('api', 'fix the bug', {
+      onMessage: async (text) => { texts.push(text); },
+      onEvent: async (event) => { events.push(event); }
+    });
+
+    assert.strictEqual(result.success, true);
+    assert.deepStrictEqual(result.responses, ['Fixing it', 'Done.']);
+    assert.deepStrictEqual(texts, ['Fixing it', 'Done.']);
+    assert.strictEqual(result.streamed, true);
+    assert.deepStrictEqual(result.usage, { inputTokens: 150, outputTokens: 25, costUsd: 0.01 });
+    assert.deepStrictEqual(manager.getInstance('api').usage, result.usage);
+
+    const message = server.requests.find(r => r.path === '/session/ses_1/message');
+    assert.deepStrictEqual(message.body, {
+      parts: [{ type: 'text', text: 'fix the bug' }],
+      model: { providerID: 'anthropic', modelID: 'claude-sonnet-4' }
+    });
+
+    assert.deepStrictEqual(events.map(e => e.type), ['init', 'tool_call', 'tool_result', 'tool_call', 'tool_result', 'result']);
+    assert.deepStrictEqual(events[1], { type: 'tool_call', id: 'call_1', name: 'Edit', input: { file_path: '/proj/src/app.js' } });
+    assert.deepStrictEqual(events[4], { type: 'tool_result', id: 'call_2', isError: true, output: 'Exit code 1\n1 failing' });
+    assert.strictEqual(manager.getInstance('api').activeRun, null);
+  });
+
+  it('should abort a run on the server when cancelled', async () => {
+    await closeServer(server);
+    server = await createFakeServer((sessionID, body, fake) => new Promise((resolve) => {
+      fake.onAbort = () => resolve({
+        info: { id: 'msg_a', role: 'assistant', tokens: TOKENS, cost: 0.02, error: { name: 'MessageAbortedError', data: { message: 'Aborted' } } },
+        parts: []
+      });
+    }));
+    manager = createInstanceManager({ serverUrl: server.url });
+    await manager.startInstance('api', '/proj', 'C1');
+
+    const pending = manager.sendToInstance('api', 'long task');
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.ok(manager.getInstance('api').activeRun);
+    const busy = await manager.sendToInstance('api', 'another');
+    assert.ok(busy.error.includes('busy'));
+
+    assert.strictEqual(manager.cancelInstance('api').success, true);
+    const result = await pending;
+
+    assert.strictEqual(result.cancelled, true);
+    assert.strictEqual(result.usage.costUsd, 0.02);
+    assert.deepStrictEqual(server.aborted, ['ses_1']);
+    assert.strictEqual(manager.cancelInstance('api').success, false);
+  });
+
+  it('should report errors on the reply', async () => {
+    await closeServer(server);
+    server = await createFakeServer(() => ({
+      info: { id: 'msg_a', role: 'assistant', error: { name: 'ProviderAuthError', data: { message: 'Missing API key' } } },
+      parts: []
+    }));
+    manager = createInstanceManager({ serverUrl: server.url });
+    await manager.startInstance('api', '/proj', 'C1');
+
+    const result = await manager.sendToInstance('api', 'hello');
+
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.error, 'Missing API key');
+  });
+
+  it('should reject models without a provider', async () => {
+    await manager.startInstance('api', '/proj', 'C1', { model: 'gpt-4o' });
+
+    const result = await manager.sendToInstance('api', 'hello');
+
+    assert.strictEqual(result.success, false);
+    assert.ok(result.error.includes('provider/model'));
+    assert.strictEqual(manager.getInstance('api').messageCount, 0);
+  });
+
+  it('should fail to start when the server is unreachable', async () => {
+    const offline = createInstanceManager({ serverUrl: 'http://127.0.0.1:1' });
+
+    const result = await offline.startInstance('api', '/proj', 'C1');
+
+    assert.strictEqual(result.success, false);
+    assert.ok(result.error.startsWith('Could not create OpenCode session'));
+    assert.strictEqual(offline.getInstance('api'), null);
+  });
+
+  it('should keep sessions across restarts', async () => {
+    const stateStore = createMemoryStateStore();
+    const first = createInstanceManager({ serverUrl: server.url, stateStore });
+    await first.startInstance('api', '/proj', 'C1');
+    await first.sendToInstance('api', 'hello');
+
+    const second = createInstanceManager({ serverUrl: server.url, stateStore });
+    const instance = second.getInstance('api');
+    assert.strictEqual(instance.sessionId, 'ses_1');
+    assert.strictEqual(instance.messageCount, 1);
+
+    await second.sendToInstance('api', 'again');
+    assert.ok(server.requests.some(r => r.path === '/session/ses_1/message' && r.body.parts[0].text === 'again'));
+  });
+
+  it('should launch opencode serve when no server URL is configured', async () => {
+    const calls = [];
+    const proc = new EventEmitter();
+    proc.pid = 4242;
+    proc.exitCode = null;
+    proc.stdout = new EventEmitter();
+    proc.stderr = new EventEmitter();
+    proc.kill = (signal) => {
+      calls.push(signal);
+      proc.exitCode = 0;
+      setImmediate(() => proc.emit('close', 0));
+    };
+    const spawnFn = (command, args) => {
+      calls.push(args.join(' '));
+      setImmediate(() => proc.stdout.emit('data', Buffer.from(`opencode server listening on ${server.url}\n`)));
+      return proc;
+    };
+    const launched = createInstanceManager({ spawnFn });
+    const log = console.log;
+    console.log = () => {};
+
+    try {
+      const [a, b] = await Promise.all([
+        launched.startInstance('a', '/proj', 'C1'),
+        launched.startInstance('b', '/proj', 'C2')
+      ]);
+      assert.strictEqual(a.success, true);
+      assert.strictEqual(b.success, true);
+    } finally {
+      console.log = log;
+    }
+
+    await launched.close();
+    assert.deepStrictEqual(calls, ['serve --hostname 127.0.0.1 --port 0', 'SIGINT']);
+  });
+});
+
+describe('parseModel', () => {
+  it('should split provider and model at the first slash', () => {
+    assert.deepStrictEqual(parseModel('openrouter/meta/llama-3'), { providerID: 'openrouter', modelID: 'meta/llama-3' });
+    assert.strictEqual(parseModel('gpt-4o'), null);
+    assert.strictEqual(parseModel('openai/'), null);
+  });
+});
+
+describe('extractUsage', () => {
+  it('should count cache tokens as input and reasoning as output', () => {
+    assert.deepStrictEqual(extractUsage({ tokens: TOKENS, cost: 0.5 }), { inputTokens: 150, outputTokens: 25, costUsd: 0.5 });
+    assert.strictEqual(extractUsage({}), null);
+  });
+});
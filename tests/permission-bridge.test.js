@@ -0,0 +1,258 @@
+/**
+ * Tests for the permission bridge and the stdio MCP permission server
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const path = require('path');
+const { spawn } = require('child_process');
+const readline = require('readline');
+const { createPermissionBridge } = require('../src/permission-bridge');
+const { createMcpHandler, requestBridgeDecision } = require('../src/mcp-permission-server');
+
+/**
+ * Bridge connection details, as the MCP server receives them via env
+ */
+function bridgeConfig(bridge, instanceId = 'bot') {
+  const { env } = JSON.parse(bridge.mcpConfig(instanceId)).mcpServers.open_dispatch;
+  return { url: env.OD_BRIDGE_URL, token: env.OD_BRIDGE_TOKEN, instanceId: env.OD_INSTANCE_ID };
+}
+
+/**
+ * Start a bridge without its startup log line
+ */
+async function startQuietly(bridge) {
+  const originalLog = console.log;
+  console.log = () => {};
+  try {
+    await bridge.start();
+  } finally {
+    console.log = originalLog;
+  }
+}
+
+describe('Permission Bridge', () => {
+  let bridge;
+
+  beforeEach(async () => {
+    bridge = createPermissionBridge({ timeoutMs: 5000 });
+    await startQuietly(bridge);
+  });
+
+  afterEach(async () => {
+    await bridge.stop();
+  });
+
+  it('should build an MCP config pointing at the bridge', () => {
+    const config = JSON.parse(bridge.mcpConfig('bot'));
+    const server = config.mcpServers.open_dispatch;
+    assert.strictEqual(server.command, process.execPath);
+    assert.ok(server.args[0].endsWith('mcp-permission-server.js'));
+    assert.strictEqual(server.env.OD_BRIDGE_URL, bridge.url);
+    assert.strictEqual(server.env.OD_INSTANCE_ID, 'bot');
+    assert.strictEqual(bridge.promptToolName, 'mcp__open_dispatch__approve');
+  });
+
+  it('should hold a request until it is approved', async () => {
+    const seen = [];
+    bridge.onRequest(async (request) => {
+      seen.push(request);
+      assert.deepStrictEqual(bridge.listPending().map(r => r.requestId), [request.requestId]);
+      setImmediate(() => bridge.decide(request.requestId, { allow: true, decidedBy: 'alice' }));
+    });
+
+    const decision = await requestBridgeDecision(bridgeConfig(bridge), {
+      tool_name: 'Bash',
+      input: { command: 'npm test' }
+    });
+
+    assert.deepStrictEqual(decision, { behavior: 'allow', updatedInput: { command: 'npm test' } });
+    assert.strictEqual(seen[0].instanceId, 'bot');
+    assert.strictEqual(seen[0].toolName, 'Bash');
+    assert.strictEqual(bridge.listPending().length, 0);
+  });
+
+  it('should pass the deny reason back', async () => {
+    bridge.onRequest(async (request) => {
+      setImmediate(() => bridge.decide(request.requestId, { allow: false, message: 'Not on main' }));
+    });
+
+    const decision = await requestBridgeDecision(bridgeConfig(bridge), { tool_name: 'Bash', input: {} });
+
+    assert.deepStrictEqual(decision, { behavior: 'deny', message: 'Not on main' });
+  });
+
+  it('should only accept one decision per request', async () => {
+    const results = [];
+    bridge.onRequest(async (request) => {
+      setImmediate(() => {
+        results.push(bridge.decide(request.requestId, { allow: true }));
+        results.push(bridge.decide(request.requestId, { allow: false }));
+      });
+    });
+
+    await requestBridgeDecision(bridgeConfig(bridge), { tool_name: 'Write', input: {} });
+
+    assert.strictEqual(results[0].success, true);
+    assert.strictEqual(results[1].success, false);
+    assert.match(results[1].error, /already decided/);
+  });
+
+  it('should deny by default when nobody answers in time', async () => {
+    await bridge.stop();
+    bridge = createPermissionBridge({ timeoutMs: 50 });
+    await startQuietly(bridge);
+
+    const timedOut = [];
+    bridge.onRequest(async () => {});
+    bridge.onTimeout(async (request) => { timedOut.push(request.toolName); });
+
+    const decision = await requestBridgeDecision(bridgeConfig(bridge), { tool_name: 'Bash', input: {} });
+
+    assert.strictEqual(decision.behavior, 'deny');
+    assert.match(decision.message, /denied by default/);
+    assert.deepStrictEqual(timedOut, ['Bash']);
+  });
+
+  it('should deny when no approval handler is registered', async () => {
+    const decision = await requestBridgeDecision(bridgeConfig(bridge), { tool_name: 'Bash', input: {} });
+    assert.strictEqual(decision.behavior, 'deny');
+  });
+
+  it('should reject requests without the bridge token', async () => {
+    const config = { ...bridgeConfig(bridge), token: 'wrong' };
+    await assert.rejects(
+      requestBridgeDecision(config, { tool_name: 'Bash', input: {} }),
+      /HTTP 401/
+    );
+  });
+
+  it('should refuse request bodies over 1 MB', async () => {
+    const { url, token } = bridgeConfig(bridge);
+    // Sent in chunks, so only the second request reports no length up front
+    const post = (chunks, headers = {}) => new Promise((resolve, reject) => {
+      const req = http.request(`${url}/permission`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}`, ...headers }
+      }, (res) => {
+        res.resume();
+        resolve(res.statusCode);
+      });
+      req.on('error', reject);
+      for (const chunk of chunks) req.write(chunk);
+      req.end();
+    });
+    const half = Buffer.alloc(512 * 1024, 'x');
+
+    assert.strictEqual(await post([half, half, half], { 'Content-Length': 3 * half.length }), 413);
+    assert.strictEqual(await post([half, half, half]), 413);
+  });
+});
+
+describe('MCP Permission Server', () => {
+  it('should answer initialize and tools/list', async () => {
+    const handle = createMcpHandler({ requestDecision: async () => ({ behavior: 'deny' }) });
+
+    const init = await handle({ jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2025-06-18' } });
+    assert.strictEqual(init.result.protocolVersion, '2025-06-18');
+    assert.ok(init.result.capabilities.tools);
+
+    assert.strictEqual(await handle({ jsonrpc: '2.0', method: 'notifications/initialized' }), null);
+
+    const list = await handle({ jsonrpc: '2.0', id: 2, method: 'tools/list' });
+    assert.deepStrictEqual(list.result.tools.map(t => t.name), ['approve']);
+  });
+
+  it('should return the decision as text content', async () => {
+    const calls = [];
+    const handle = createMcpHandler({
+      requestDecision: async (args) => {
+        calls.push(args);
+        return { behavior: 'allow', updatedInput: args.input };
+      }
+    });
+
+    const response = await handle({
+      jsonrpc: '2.0',
+      id: 3,
+      method: 'tools/call',
+      params: { name: 'approve', arguments: { tool_name: 'Bash', input: { command: 'ls' } } }
+    });
+
+    assert.strictEqual(calls[0].tool_name, 'Bash');
+    assert.deepStrictEqual(JSON.parse(response.result.content[0].text), {
+      behavior: 'allow',
+      updatedInput: { command: 'ls' }
+    });
+  });
+
+  it('should deny when the bridge is unreachable', async () => {
+    const handle = createMcpHandler({
+      requestDecision: async () => { throw new Error('connect ECONNREFUSED'); }
+    });
+
+    const response = await handle({
+      jsonrpc: '2.0',
+      id: 4,
+      method: 'tools/call',
+      params: { name: 'approve', arguments: { tool_name: 'Bash', input: {} } }
+    });
+
+    const decision = JSON.parse(response.result.content[0].text);
+    assert.strictEqual(decision.behavior, 'deny');
+    assert.match(decision.message, /ECONNREFUSED/);
+  });
+
+  it('should return JSON-RPC errors for unknown methods and tools', async () => {
+    const handle = createMcpHandler({ requestDecision: async () => ({ behavior: 'deny' }) });
+
+    const unknownMethod = await handle({ jsonrpc: '2.0', id: 5, method: 'resources/list' });
+    assert.strictEqual(unknownMethod.error.code, -32601);
+
+    const unknownTool = await handle({ jsonrpc: '2.0', id: 6, method: 'tools/call', params: { name: 'rm' } });
+    assert.strictEqual(unknownTool.error.code, -32602);
+  });
+
+  it('should round-trip a tool call over stdio through the bridge', async () => {
+    const bridge = createPermissionBridge({ timeoutMs: 5000 });
+    await startQuietly(bridge);
+    bridge.onRequest(async (request) => {
+      bridge.decide(request.requestId, { allow: true });
+    });
+
+    const { env } = JSON.parse(bridge.mcpConfig('bot')).mcpServers.open_dispatch;
+    const child = spawn(process.execPath, [path.join(__dirname, '..', 'src', 'mcp-permission-server.js')], {
+      env: { ...process.env, ...env },
+      stdio: ['pipe', 'pipe', 'inherit']
+    });
+    const lines = readline.createInterface({ input: child.stdout });
+    const waiters = new Map();
+    lines.on('line', (line) => {
+      const message = JSON.parse(line);
+      if (waiters.has(message.id)) waiters.get(message.id)(message);
+    });
+    const call = (id, method, params) => new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${method}`)), 5000);
+      waiters.set(id, (message) => { clearTimeout(timer); resolve(message); });
+      child.stdin.write(JSON.stringify({ jsonrpc: '2.0', id, method, params }) + '\n');
+    });
+
+    try {
+      const init = await call(1, 'initialize', {});
+      assert.ok(init.result.serverInfo);
+
+      const result = await call(2, 'tools/call', {
+        name: 'approve',
+        arguments: { tool_name: 'Edit', input: { file_path: 'a.js' } }
+      });
+      assert.deepStrictEqual(JSON.parse(result.result.content[0].text), {
+        behavior: 'allow',
+        updatedInput: { file_path: 'a.js' }
+      });
+    } finally {
+      child.kill();
+      await bridge.stop();
+    }
+  });
+});
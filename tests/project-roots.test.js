@@ -0,0 +1,106 @@
+/**
+ * Tests for project root allowlisting and aliases
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createProjectResolver, parseAliases } = require('../src/project-roots');
+
+describe('Project Roots', () => {
+  let tmpDir;
+  let root;
+  let outside;
+
+  beforeEach(() => {
+    tmpDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'od-roots-')));
+    root = path.join(tmpDir, 'projects');
+    outside = path.join(tmpDir, 'secrets');
+    fs.mkdirSync(path.join(root, 'api'), { recursive: true });
+    fs.mkdirSync(outside);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('local backends', () => {
+    it('should accept directories inside a root', () => {
+      const resolver = createProjectResolver({ roots: [root], aliases: {} });
+      assert.deepStrictEqual(
+        resolver.resolve(path.join(root, 'api'), { local: true }),
+        { projectDir: path.join(root, 'api') }
+      );
+    });
+
+    it('should resolve relative paths against the first root and default to it', () => {
+      const resolver = createProjectResolver({ roots: [root], aliases: {} });
+      assert.strictEqual(resolver.resolve('api', { local: true }).projectDir, path.join(root, 'api'));
+      assert.strictEqual(resolver.resolve(null, { local: true }).projectDir, root);
+    });
+
+    it('should accept subdirectories whose names start with ..', () => {
+      fs.mkdirSync(path.join(root, '..cache'));
+      const resolver = createProjectResolver({ roots: [root], aliases: {} });
+      assert.strictEqual(resolver.resolve('..cache', { local: true }).projectDir, path.join(root, '..cache'));
+    });
+
+    it('should reject .. escapes', () => {
+      const resolver = createProjectResolver({ roots: [root], aliases: {} });
+      const result = resolver.resolve('../secrets', { local: true });
+      assert.match(result.error, /outside the allowed project roots/);
+    });
+
+    it('should reject symlinks that point outside the roots', () => {
+      fs.symlinkSync(outside, path.join(root, 'link'));
+      const resolver = createProjectResolver({ roots: [root], aliases: {} });
+      const result = resolver.resolve(path.join(root, 'link'), { local: true });
+      assert.match(result.error, /resolves to .*secrets.* outside the allowed project roots/);
+    });
+
+    it('should reject missing directories and files', () => {
+      fs.writeFileSync(path.join(root, 'README.md'), '');
+      const resolver = createProjectResolver({ roots: [], aliases: {} });
+      assert.match(resolver.resolve(path.join(root, 'nope'), { local: true }).error, /Project directory not found/);
+      assert.match(resolver.resolve(path.join(root, 'README.md'), { local: true }).error, /Not a directory/);
+    });
+
+    it('should allow any existing directory when no roots are configured', () => {
+      const resolver = createProjectResolver({ roots: [], aliases: {} });
+      assert.strictEqual(resolver.resolve(outside, { local: true }).projectDir, outside);
+    });
+  });
+
+  describe('aliases', () => {
+    it('should expand @aliases', () => {
+      const resolver = createProjectResolver({ roots: [root], aliases: { 'backend-repo': path.join(root, 'api') } });
+      assert.strictEqual(resolver.resolve('@backend-repo', { local: true }).projectDir, path.join(root, 'api'));
+    });
+
+    it('should still enforce roots on alias targets', () => {
+      const resolver = createProjectResolver({ roots: [root], aliases: { leak: outside } });
+      assert.match(resolver.resolve('@leak', { local: true }).error, /outside the allowed project roots/);
+    });
+
+    it('should list known aliases for unknown names', () => {
+      const resolver = createProjectResolver({ roots: [], aliases: { web: '/srv/web' } });
+      assert.match(resolver.resolve('@api').error, /Unknown project alias "@api". Known aliases: @web/);
+    });
+
+    it('should pass remote values through untouched', () => {
+      const resolver = createProjectResolver({ roots: [root], aliases: { app: 'owner/repo' } });
+      assert.deepStrictEqual(resolver.resolve('@app'), { projectDir: 'owner/repo' });
+      assert.deepStrictEqual(resolver.resolve('owner/other'), { projectDir: 'owner/other' });
+    });
+
+    it('should parse PROJECT_ALIASES', () => {
+      assert.deepStrictEqual(
+        parseAliases(' backend-repo=~/code/backend , @web=/srv/web '),
+        { 'backend-repo': '~/code/backend', web: '/srv/web' }
+      );
+      assert.throws(() => parseAliases('nope'), /Use name=path/);
+    });
+  });
+});
@@ -9,6 +9,9 @@ const { describe, it, beforeEach, afterEach } = require('node:test');
 const assert = require('node:assert');
 const { createInstanceManager } = require('../src/sprite-core');
 const { JobStatus } = require('../src/job');
+const { createMemoryStateStore } = require('../src/state-store');
+const { createMemoryJobStore } = require('../src/job-store');
+const { Job } = require('../src/job');
 
 /**
  * Poll until condition is true, with timeout.
@@ -87,6 +90,10 @@ function createMockOrchestrator(options = {}) {
 
     async wakeSprite() {
       return { ok: true };
+    },
+
+    async getSpriteStatus(machineId) {
+      return { id: machineId, state: 'started' };
     }
   };
 }
@@ -262,6 +269,110 @@ describe('Sprite Instance Manager', () => {
     });
   });
 
+  describe('cancelJob / cancelInstance', () => {
+    it('should destroy the Machine and resolve a one-shot run as cancelled', async () => {
+      const destroyed = [];
+      orchestrator.destroyMachine = async (machineId) => { destroyed.push(machineId); };
+      await manager.startInstance('test', 'owner/repo', 'C123');
+
+      const sendPromise = manager.sendToInstance('test', 'long task', { onMessage: async () => {} });
+      await waitFor(() => manager.getInstance('test').currentJob?.status === JobStatus.RUNNING);
+      const jobId = manager.getInstance('test').currentJob.jobId;
+
+      const cancelResult = await manager.cancelJob(jobId);
+      assert.strictEqual(cancelResult.success, true);
+
+      const result = await sendPromise;
+      assert.strictEqual(result.success, false);
+      assert.strictEqual(result.cancelled, true);
+      assert.strictEqual(manager.getJob(jobId).status, JobStatus.CANCELLED);
+      assert.deepStrictEqual(destroyed, ['mock-machine-1']);
+      assert.strictEqual(manager.getInstance('test').currentJob, null);
+    });
+
+    it('should cancel the current job of an instance by name', async () => {
+      await manager.startInstance('test', 'owner/repo', 'C123');
+      const sendPromise = manager.sendToInstance('test', 'long task', { onMessage: async () => {} });
+      await waitFor(() => manager.getInstance('test').currentJob?.status === JobStatus.RUNNING);
+
+      const cancelResult = await manager.cancelInstance('test');
+      assert.strictEqual(cancelResult.success, true);
+      assert.strictEqual((await sendPromise).cancelled, true);
+    });
+
+    it('should ignore a late completion webhook after cancel', async () => {
+      await manager.startInstance('test', 'owner/repo', 'C123');
+      const sendPromise = manager.sendToInstance('test', 'long task', { onMessage: async () => {} });
+      await waitFor(() => manager.getInstance('test').currentJob?.status === JobStatus.RUNNING);
+      const job = manager.getInstance('test').currentJob;
+
+      await manager.cancelJob(job.jobId);
+      job.complete(0);
+      await job.onComplete(job);
+
+      const result = await sendPromise;
+      assert.strictEqual(result.cancelled, true);
+      assert.strictEqual(job.status, JobStatus.CANCELLED);
+    });
+
+    it('should fail when the instance has no run in progress', async () => {
+      await manager.startInstance('test', 'owner/repo', 'C123');
+      const result = await manager.cancelInstance('test');
+      assert.strictEqual(result.success, false);
+      assert.ok(result.error.includes('no run in progress'));
+    });
+
+    it('should fail for unknown or finished jobs', async () => {
+      assert.strictEqual((await manager.cancelJob('nope')).success, false);
+
+      await manager.startInstance('test', 'owner/repo', 'C123', { persistent: true });
+      await manager.sendToInstance('test', 'quick', { onMessage: async () => {} });
+      const [job] = manager.listJobs();
+      const result = await manager.cancelJob(job.jobId);
+      assert.strictEqual(result.success, false);
+      assert.ok(result.error.includes('already completed'));
+    });
+  });
+
+  describe('state persistence', () => {
+    it('should restore instances after a restart without in-flight jobs', async () => {
+      const stateStore = createMemoryStateStore();
+      const first = createInstanceManager({ orchestrator, stateStore });
+      const started = await first.startInstance('test', 'owner/repo', 'C123', { persistent: true });
+      await first.sendToInstance('test', 'quick', { onMessage: async () => {} });
+
+      const second = createInstanceManager({ orchestrator, stateStore });
+      const restored = second.getInstance('test');
+      assert.strictEqual(restored.sessionId, started.sessionId);
+      assert.strictEqual(restored.spriteId, started.spriteId);
+      assert.strictEqual(restored.messageCount, 1);
+      assert.strictEqual(restored.currentJob, null);
+      assert.strictEqual(second.getInstanceByChannel('C123').instanceId, 'test');
+
+      second.stopInstance('test');
+      assert.deepStrictEqual(stateStore.entries('instances:sprite'), []);
+    });
+  });
+
+  describe('getMachineStatus', () => {
+    it('should report the persistent Machine state', async () => {
+      const started = await manager.startInstance('test', 'owner/repo', 'C123', { persistent: true });
+      const status = await manager.getMachineStatus('test');
+      assert.deepStrictEqual(status, { machineId: started.spriteId, state: 'started' });
+    });
+
+    it('should return null without a Machine and survive API errors', async () => {
+      await manager.startInstance('test', 'owner/repo', 'C123');
+      assert.strictEqual(await manager.getMachineStatus('test'), null);
+      assert.strictEqual(await manager.getMachineStatus('nope'), null);
+
+      orchestrator.getSpriteStatus = async () => { throw new Error('Fly API 503'); };
+      await manager.startInstance('p', 'owner/repo', 'C9', { persistent: true });
+      const status = await manager.getMachineStatus('p');
+      assert.strictEqual(status.state, 'unavailable');
+    });
+  });
+
   describe('job management', () => {
     it('should track jobs in the jobs map', async () => {
       await manager.startInstance('test', 'owner/repo', 'C123', { persistent: true });
@@ -280,6 +391,74 @@ describe('Sprite Instance Manager', () => {
     });
   });
 
+  describe('job store', () => {
+    it('should record one-shot jobs from start to completion', async () => {
+      const jobStore = createMemoryJobStore();
+      const m = createInstanceManager({ orchestrator, jobStore });
+      await m.startInstance('test', 'owner/repo', 'C123');
+
+      const sendPromise = m.sendToInstance('test', 'run tests', { onMessage: async () => {}, userId: 'U1' });
+      await waitFor(() => m.getInstance('test').currentJob?.status === JobStatus.RUNNING);
+      const job = m.getInstance('test').currentJob;
+      assert.strictEqual(jobStore.get(job.jobId).status, JobStatus.RUNNING);
+      assert.strictEqual(jobStore.get(job.jobId).userId, 'U1');
+
+      job.addLog('all green');
+      job.complete(0);
+      await job.onComplete(job);
+      await sendPromise;
+
+      const stored = jobStore.get(job.jobId);
+      assert.strictEqual(stored.status, JobStatus.COMPLETED);
+      assert.strictEqual(stored.logs[0].message, 'all green');
+    });
+
+    it('should fall back to the store once a job leaves memory', async () => {
+      const jobStore = createMemoryJobStore();
+      const m = createInstanceManager({ orchestrator, jobStore });
+      await m.startInstance('test', 'owner/repo', 'C123', { persistent: true });
+      const result = await m.sendToInstance('test', 'quick', { onMessage: async () => {} });
+
+      m.jobs.delete(result.jobId);
+
+      assert.strictEqual(m.getJob(result.jobId).status, JobStatus.COMPLETED);
+      assert.strictEqual(m.listJobs()[0].jobId, result.jobId);
+      assert.deepStrictEqual(m.findJobIds(result.jobId.substring(0, 8)), [result.jobId]);
+      const cancel = await m.cancelJob(result.jobId);
+      assert.ok(cancel.error.includes('already completed'));
+    });
+
+    it('should filter and page listJobs', async () => {
+      const jobStore = createMemoryJobStore();
+      const m = createInstanceManager({ orchestrator, jobStore });
+      await m.startInstance('a', 'owner/repo', 'C1', { persistent: true });
+      await m.startInstance('b', 'owner/repo', 'C2', { persistent: true });
+      const first = await m.sendToInstance('a', 'one', { userId: 'U1' });
+      await new Promise(r => setTimeout(r, 5));
+      const second = await m.sendToInstance('a', 'two', { userId: 'U2' });
+      await new Promise(r => setTimeout(r, 5));
+      const third = await m.sendToInstance('b', 'three', { userId: 'U1' });
+
+      assert.deepStrictEqual(m.listJobs().map(j => j.jobId), [first.jobId, second.jobId, third.jobId]);
+      assert.deepStrictEqual(m.listJobs({ channelId: 'C1' }).map(j => j.jobId), [first.jobId, second.jobId]);
+      assert.deepStrictEqual(m.listJobs({ userId: 'U1' }).map(j => j.jobId), [first.jobId, third.jobId]);
+      assert.deepStrictEqual(m.listJobs({ limit: 1, offset: 1 }).map(j => j.jobId), [second.jobId]);
+    });
+
+    it('should close out jobs left running by a previous process', () => {
+      const jobStore = createMemoryJobStore();
+      const orphan = new Job({ command: 'x', channelId: 'C1' });
+      orphan.start('machine-old');
+      jobStore.save(orphan);
+
+      createInstanceManager({ orchestrator, jobStore });
+
+      const stored = jobStore.get(orphan.jobId);
+      assert.strictEqual(stored.status, JobStatus.FAILED);
+      assert.ok(stored.error.includes('restart'));
+    });
+  });
+
   describe('stale reaper', () => {
     it('should start and stop without error', () => {
       manager.startStaleReaper();
@@ -365,6 +544,19 @@ describe('Sprite Instance Manager', () => {
       assert.ok(cmd.includes('\\$(evil)'), 'Session ID $ should be escaped with backslash');
     });
 
+    it('should pass instance permissions as escaped flags', async () => {
+      await manager.startInstance('perms', 'owner/repo', 'C220', {
+        permissionMode: 'plan',
+        allowedTools: ['Bash(git:*)'],
+        appendSystemPrompt: 'Cost is $0'
+      });
+      const { permissions } = manager.getInstance('perms');
+      const cmd = manager.buildAgentCommand('hi', 'sess1', 'claude', permissions);
+      assert.ok(cmd.startsWith('claude --permission-mode plan --allowedTools "Bash(git:*)"'));
+      assert.ok(cmd.includes('--append-system-prompt "Cost is \\$0"'));
+      assert.ok(!cmd.includes('--dangerously-skip-permissions'));
+    });
+
     it('should produce valid opencode commands', () => {
       const cmd = manager.buildAgentCommand('test msg', 'sess1', 'opencode');
       assert.ok(cmd.includes('opencode run'), 'Should contain opencode run');
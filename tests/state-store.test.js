@@ -0,0 +1,188 @@
+/**
+ * Tests for the pluggable state store and instance persistence helper
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  createStateStore,
+  createMemoryStateStore,
+  createJsonStateStore,
+  createSqliteStateStore,
+  createInstancePersistence
+} = require('../src/state-store');
+
+/**
+ * Shared contract every implementation must satisfy
+ */
+function describeStoreContract(name, makeStore) {
+  describe(`${name} contract`, () => {
+    let store;
+
+    beforeEach(() => {
+      store = makeStore();
+    });
+
+    afterEach(() => {
+      store.close();
+    });
+
+    it('should return null for missing keys', () => {
+      assert.strictEqual(store.get('ns', 'missing'), null);
+    });
+
+    it('should set and get values', () => {
+      store.set('ns', 'a', { sessionId: 's1', messageCount: 2 });
+      assert.deepStrictEqual(store.get('ns', 'a'), { sessionId: 's1', messageCount: 2 });
+    });
+
+    it('should keep namespaces separate', () => {
+      store.set('one', 'a', { v: 1 });
+      store.set('two', 'a', { v: 2 });
+      assert.deepStrictEqual(store.get('one', 'a'), { v: 1 });
+      assert.deepStrictEqual(store.get('two', 'a'), { v: 2 });
+    });
+
+    it('should list entries in a namespace', () => {
+      store.set('ns', 'a', { v: 1 });
+      store.set('ns', 'b', { v: 2 });
+      const entries = store.entries('ns').sort(([x], [y]) => x.localeCompare(y));
+      assert.deepStrictEqual(entries, [['a', { v: 1 }], ['b', { v: 2 }]]);
+    });
+
+    it('should delete keys and clear namespaces', () => {
+      store.set('ns', 'a', { v: 1 });
+      store.set('ns', 'b', { v: 2 });
+      store.set('other', 'c', { v: 3 });
+
+      store.delete('ns', 'a');
+      assert.strictEqual(store.get('ns', 'a'), null);
+
+      store.clear('ns');
+      assert.deepStrictEqual(store.entries('ns'), []);
+      assert.deepStrictEqual(store.get('other', 'c'), { v: 3 });
+    });
+
+    it('should not share references with callers', () => {
+      const value = { list: [1] };
+      store.set('ns', 'a', value);
+      value.list.push(2);
+      store.get('ns', 'a').list.push(3);
+      assert.deepStrictEqual(store.get('ns', 'a'), { list: [1] });
+    });
+  });
+}
+
+describe('State Store', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'od-state-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describeStoreContract('memory', () => createMemoryStateStore());
+  describeStoreContract('json', () => createJsonStateStore({ filePath: path.join(tmpDir, 'state.json') }));
+
+  describe('json file', () => {
+    it('should survive reopening the file', () => {
+      const filePath = path.join(tmpDir, 'nested', 'state.json');
+      const first = createJsonStateStore({ filePath });
+      first.set('instances:claude', 'bot', { sessionId: 's1' });
+
+      const second = createJsonStateStore({ filePath });
+      assert.deepStrictEqual(second.get('instances:claude', 'bot'), { sessionId: 's1' });
+    });
+
+    it('should move a corrupt file aside and start empty', () => {
+      const filePath = path.join(tmpDir, 'state.json');
+      fs.writeFileSync(filePath, '{not json');
+
+      const originalError = console.error;
+      console.error = () => {};
+      let store;
+      try {
+        store = createJsonStateStore({ filePath });
+      } finally {
+        console.error = originalError;
+      }
+
+      assert.deepStrictEqual(store.entries('ns'), []);
+      assert.ok(fs.readdirSync(tmpDir).some(f => f.startsWith('state.json.corrupt-')));
+    });
+  });
+
+  describe('sqlite', () => {
+    it('should explain how to install better-sqlite3 when missing', (t) => {
+      try {
+        require.resolve('better-sqlite3');
+        t.skip('better-sqlite3 is installed');
+        return;
+      } catch (e) {
+        // Expected in environments without the optional dependency
+      }
+      assert.throws(
+        () => createSqliteStateStore({ filePath: path.join(tmpDir, 'state.db') }),
+        /npm install better-sqlite3/
+      );
+    });
+  });
+
+  describe('createStateStore', () => {
+    it('should create the requested type', () => {
+      assert.strictEqual(createStateStore({ type: 'memory' }).type, 'memory');
+      const store = createStateStore({ type: 'json', filePath: path.join(tmpDir, 's.json') });
+      assert.strictEqual(store.type, 'json');
+      assert.strictEqual(store.filePath, path.join(tmpDir, 's.json'));
+    });
+
+    it('should reject unknown types', () => {
+      assert.throws(() => createStateStore({ type: 'redis' }), /Unknown state store/);
+    });
+  });
+});
+
+describe('createInstancePersistence', () => {
+  it('should be a no-op without a store', () => {
+    const persistence = createInstancePersistence(null, 'instances:test');
+    persistence.save('bot', { sessionId: 's1' });
+    assert.deepStrictEqual(persistence.load(), []);
+  });
+
+  it('should drop runtime fields and revive dates', () => {
+    const store = createMemoryStateStore();
+    const persistence = createInstancePersistence(store, 'instances:test', {
+      runtimeFields: ['activeRun']
+    });
+    const startedAt = new Date('2024-01-01T00:00:00Z');
+
+    persistence.save('bot', { sessionId: 's1', startedAt, activeRun: { proc: {} } });
+    assert.strictEqual(store.get('instances:test', 'bot').activeRun, undefined);
+
+    const [[instanceId, instance]] = persistence.load();
+    assert.strictEqual(instanceId, 'bot');
+    assert.strictEqual(instance.sessionId, 's1');
+    assert.ok(instance.startedAt instanceof Date);
+    assert.strictEqual(instance.startedAt.getTime(), startedAt.getTime());
+    assert.strictEqual(instance.activeRun, null);
+  });
+
+  it('should remove and clear saved instances', () => {
+    const store = createMemoryStateStore();
+    const persistence = createInstancePersistence(store, 'instances:test');
+    persistence.save('a', { sessionId: 's1' });
+    persistence.save('b', { sessionId: 's2' });
+
+    persistence.remove('a');
+    assert.deepStrictEqual(persistence.load().map(([id]) => id), ['b']);
+
+    persistence.clear();
+    assert.deepStrictEqual(persistence.load(), []);
+  });
+});
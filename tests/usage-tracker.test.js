@@ -0,0 +1,78 @@
+/**
+ * Tests for per-turn usage accounting
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { createUsageTracker, accumulateUsage } = require('../src/usage-tracker');
+const { createMemoryStateStore } = require('../src/state-store');
+
+const turn = (inputTokens, outputTokens, costUsd) => ({ inputTokens, outputTokens, costUsd });
+
+describe('Usage Tracker', () => {
+  it('should add turns on the same day to one bucket', () => {
+    const stateStore = createMemoryStateStore();
+    const tracker = createUsageTracker({ stateStore });
+    const at = new Date('2024-01-31T10:00:00Z');
+
+    tracker.record({ instanceId: 'bot', channelId: 'C1', userId: 'U1', usage: turn(100, 10, 0.01), at });
+    tracker.record({ instanceId: 'bot', channelId: 'C1', userId: 'U1', usage: turn(200, 20, 0.02), at });
+
+    const entries = stateStore.entries('usage');
+    assert.strictEqual(entries.length, 1);
+    assert.strictEqual(entries[0][1].day, '2024-01-31');
+    assert.deepStrictEqual(tracker.totals(), { inputTokens: 300, outputTokens: 30, costUsd: 0.03, turns: 2 });
+  });
+
+  it('should ignore turns without usage', () => {
+    const tracker = createUsageTracker();
+    tracker.record({ instanceId: 'bot', usage: null });
+    assert.strictEqual(tracker.totals().turns, 0);
+  });
+
+  it('should filter totals by instance, channel, user and day', () => {
+    const tracker = createUsageTracker();
+    tracker.record({ instanceId: 'api', channelId: 'C1', userId: 'U1', usage: turn(100, 10, 1), at: new Date('2024-01-01T00:00:00Z') });
+    tracker.record({ instanceId: 'web', channelId: 'C2', userId: 'U1', usage: turn(100, 10, 2), at: new Date('2024-01-05T00:00:00Z') });
+    tracker.record({ instanceId: 'web', channelId: 'C2', userId: 'U2', usage: turn(100, 10, 4), at: new Date('2024-01-05T23:59:00Z') });
+
+    assert.strictEqual(tracker.totals({ instanceId: 'web' }).costUsd, 6);
+    assert.strictEqual(tracker.totals({ channelId: 'C1' }).costUsd, 1);
+    assert.strictEqual(tracker.totals({ userId: 'U1' }).costUsd, 3);
+    assert.strictEqual(tracker.totals({ since: new Date('2024-01-05T12:00:00Z') }).costUsd, 6);
+  });
+
+  it('should group a report by user, most expensive first', () => {
+    const tracker = createUsageTracker();
+    tracker.record({ instanceId: 'api', userId: 'U1', userName: 'alice', usage: turn(100, 10, 0.5) });
+    tracker.record({ instanceId: 'web', userId: 'U2', userName: 'bob', usage: turn(100, 10, 2) });
+    tracker.record({ instanceId: 'web', userId: 'U1', usage: turn(100, 10, 0.25) });
+
+    const { groups, total } = tracker.report({ by: 'user' });
+
+    assert.deepStrictEqual(groups.map(g => [g.label, g.costUsd, g.turns]), [['bob', 2, 1], ['alice', 0.75, 2]]);
+    assert.strictEqual(total.turns, 3);
+  });
+
+  it('should list days newest first', () => {
+    const tracker = createUsageTracker();
+    tracker.record({ instanceId: 'bot', usage: turn(1, 1, 5), at: new Date('2024-01-01T00:00:00Z') });
+    tracker.record({ instanceId: 'bot', usage: turn(1, 1, 1), at: new Date('2024-01-03T00:00:00Z') });
+
+    const { groups } = tracker.report({ by: 'day' });
+
+    assert.deepStrictEqual(groups.map(g => g.key), ['2024-01-03', '2024-01-01']);
+  });
+
+  it('should accumulate run usage on an instance', () => {
+    const instance = {};
+    accumulateUsage(instance, turn(100, 10, 0.01));
+    accumulateUsage(instance, { inputTokens: 50 });
+
+    assert.deepStrictEqual(instance.usage, { inputTokens: 150, outputTokens: 10, costUsd: 0.01 });
+  });
+
+  it('should reject unknown groupings', () => {
+    assert.throws(() => createUsageTracker().report({ by: 'model' }), /Unknown grouping "model"/);
+  });
+});
@@ -10,6 +10,7 @@ const assert = require('node:assert');
 const http = require('http');
 const { createWebhookServer } = require('../src/webhook-server');
 const { Job, JobStatus } = require('../src/job');
+const { createMemoryJobStore } = require('../src/job-store');
 
 function post(port, path, body, token) {
   return new Promise((resolve, reject) => {
@@ -443,4 +444,41 @@ describe('Webhook Server', () => {
       assert.strictEqual(job.logs.length, 1);
     });
   });
+
+  describe('job store', () => {
+    let storeServer;
+    let storePort;
+    let jobStore;
+
+    beforeEach(async () => {
+      jobStore = createMemoryJobStore();
+      storeServer = createWebhookServer({ jobs, jobStore, port: 0 });
+      await new Promise(resolve => storeServer.server.listen(0, resolve));
+      storePort = storeServer.server.address().port;
+    });
+
+    afterEach(async () => {
+      await new Promise(resolve => storeServer.server.close(resolve));
+    });
+
+    it('should persist artifacts and terminal status', async () => {
+      const job = new Job({ command: 'c', channelId: 'ch', jobToken: 'tok' });
+      job.start('machine-1');
+      jobs.set(job.jobId, job);
+
+      await post(storePort, '/webhooks/logs', { jobId: job.jobId, text: 'working' }, 'tok');
+      assert.strictEqual(jobStore.get(job.jobId), null, 'running logs are saved at completion');
+
+      await post(storePort, '/webhooks/artifacts', {
+        jobId: job.jobId,
+        artifacts: [{ name: 'PR', url: 'https://github.com/o/r/pull/1' }]
+      }, 'tok');
+      assert.strictEqual(jobStore.get(job.jobId).artifacts.length, 1);
+
+      await post(storePort, '/webhooks/status', { jobId: job.jobId, status: 'completed', exitCode: 0 }, 'tok');
+      const stored = jobStore.get(job.jobId);
+      assert.strictEqual(stored.status, JobStatus.COMPLETED);
+      assert.strictEqual(stored.logs[0].message, 'working');
+    });
+  });
 });